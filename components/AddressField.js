@@ -0,0 +1,94 @@
+// components/AddressField.js
+import React from 'react';
+import { Input, TextInput, Select, Group, Stack, Text, Button } from '@mantine/core';
+import { STATE_OPTIONS, normalizeStateCode, normalizeZip, formatAddress, isCompleteAddress } from '../lib/address';
+import { standardizeAddress, differsFromStandard } from '../lib/addressStandardizer';
+
+const EMPTY_ADDRESS = { street1: null, street2: null, city: null, state: null, zip: null };
+
+/**
+ * Input for an `address` field: street lines, city, a state dropdown and ZIP.
+ * `value` is { street1, street2, city, state, zip } (or null); each change
+ * reports the whole address, and a part is tidied when it loses focus.
+ * `label` may include a provenance badge; the inputs are named from config.label.
+ * A complete address that USPS would write differently (Street -> ST) gets a
+ * one-click suggestion; the PDF always uses the standardized form.
+ */
+function AddressField({ name, config, label = config.label, value, error, onChange }) {
+  const { required } = config;
+  const address = { ...EMPTY_ADDRESS, ...(value && typeof value === 'object' ? value : {}) };
+  const setPart = (part, partValue) => {
+    const next = { ...address, [part]: partValue === '' ? null : partValue };
+    onChange(Object.values(next).every(v => v === null) ? null : next);
+  };
+  const tidyPart = (part, normalize) => () => {
+    if (address[part] === null) return;
+    const tidied = normalize(address[part]);
+    if (tidied !== address[part]) setPart(part, tidied);
+  };
+  const collapseSpaces = (v) => v.replace(/\s+/g, ' ').trim();
+  const standardized = isCompleteAddress(address) && differsFromStandard(address) ? standardizeAddress(address) : null;
+
+  return (
+    <Input.Wrapper id={name} label={label} required={required} error={error ? true : undefined}>
+      <Stack gap="xs">
+        <TextInput
+          id={`${name}-street1`}
+          aria-label={`${config.label} street`}
+          placeholder="Street address"
+          value={address.street1 || ''}
+          onChange={(e) => setPart('street1', e.target.value)}
+          onBlur={tidyPart('street1', collapseSpaces)}
+          error={Boolean(error)}
+        />
+        <TextInput
+          id={`${name}-street2`}
+          aria-label={`${config.label} suite or unit`}
+          placeholder="Suite, unit, floor (optional)"
+          value={address.street2 || ''}
+          onChange={(e) => setPart('street2', e.target.value)}
+          onBlur={tidyPart('street2', collapseSpaces)}
+        />
+        <Group grow align="flex-start">
+          <TextInput
+            id={`${name}-city`}
+            aria-label={`${config.label} city`}
+            placeholder="City"
+            value={address.city || ''}
+            onChange={(e) => setPart('city', e.target.value)}
+            onBlur={tidyPart('city', collapseSpaces)}
+            error={Boolean(error)}
+          />
+          <Select
+            id={`${name}-state`}
+            aria-label={`${config.label} state`}
+            placeholder="State"
+            data={STATE_OPTIONS}
+            value={address.state ? normalizeStateCode(address.state) : null}
+            onChange={(val) => setPart('state', val || null)}
+            searchable
+            clearable
+            error={Boolean(error)}
+          />
+          <TextInput
+            id={`${name}-zip`}
+            aria-label={`${config.label} ZIP`}
+            placeholder="ZIP"
+            value={address.zip || ''}
+            onChange={(e) => setPart('zip', e.target.value)}
+            onBlur={tidyPart('zip', normalizeZip)}
+            error={Boolean(error)}
+          />
+        </Group>
+        {standardized && (
+          <Group gap="xs">
+            <Text size="xs" c="dimmed">USPS format: {formatAddress(standardized)}</Text>
+            <Button size="compact-xs" variant="subtle" onClick={() => onChange(standardized)}>Use this</Button>
+          </Group>
+        )}
+      </Stack>
+    </Input.Wrapper>
+  );
+}
+
+export default AddressField;
@@ -0,0 +1,47 @@
+// components/ConflictPicker.js
+import { Paper, Group, Button, Text } from '@mantine/core';
+import ProvenanceBadge from './ProvenanceBadge';
+import { formatAddress } from '../lib/address';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number') return value.toLocaleString();
+  if (typeof value === 'object') return formatAddress(value);
+  return String(value);
+};
+
+/**
+ * Shown under a field whose sources disagree (provenance `conflict`): one
+ * button per candidate value. Picking one sets the field, which records it as
+ * the user's choice and clears the conflict.
+ *
+ * @param {{ candidates: Array<Object> }} conflict - From the field's provenance
+ * @param {*} value - The field's current value
+ */
+function ConflictPicker({ conflict, value, onPick }) {
+  const candidates = conflict?.candidates || [];
+  if (candidates.length < 2) return null;
+
+  return (
+    <Paper withBorder p="xs" mt={4} style={{ borderColor: 'var(--mantine-color-orange-4)' }}>
+      <Text size="xs" c="orange" fw={500} mb={4}>Sources disagree. Which value is right?</Text>
+      <Group gap="xs">
+        {candidates.map((candidate, index) => (
+          <Button
+            key={index}
+            size="compact-xs"
+            variant={candidate.value === value ? 'light' : 'default'}
+            onClick={() => onPick(candidate.value)}
+            title={candidate.evidence || undefined}
+          >
+            {formatValue(candidate.value)}
+            <ProvenanceBadge provenance={candidate} />
+          </Button>
+        ))}
+      </Group>
+    </Paper>
+  );
+}
+
+export default ConflictPicker;
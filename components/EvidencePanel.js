@@ -0,0 +1,88 @@
+// components/EvidencePanel.js
+import { useState } from 'react';
+import { Paper, Stack, Group, Text, Title, ScrollArea, Blockquote, Anchor } from '@mantine/core';
+import ProvenanceBadge from './ProvenanceBadge';
+import { getFieldLabel } from '../config/formSchema';
+import { formatAddress } from '../lib/address';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return formatAddress(value);
+  return String(value);
+};
+
+// Value at a field name or `group.index.field` path
+const valueAt = (formData, path) => {
+  const [group, index, field] = path.split('.');
+  return index === undefined ? formData[group] : formData[group]?.[Number(index)]?.[field];
+};
+
+const describeFact = ({ factIndex, factId, metadata = {} }) => {
+  const details = Object.entries(metadata).map(([key, value]) => `${key}: ${value}`);
+  return [`Fact ${factId ?? `#${factIndex + 1}`}`, ...details].join(' · ');
+};
+
+/**
+ * Side panel listing the source text behind every extracted value, in form
+ * order. `facts` is the company memory's unstructured_transcripts when it was
+ * loaded this session; with it the full cited fact can be expanded.
+ *
+ * @param {Object} schema - Schema of the selected form
+ * @param {Array<{ title, fields }>} sections - The form's sections, for ordering
+ * @param {Object} formData - Current form data
+ * @param {Object} provenance - Provenance map (see lib/fieldProvenance.js)
+ * @param {Array<Object>} [facts] - [{ fact_id, content, metadata }]
+ */
+function EvidencePanel({ schema, sections, formData, provenance, facts = [] }) {
+  const [expandedPath, setExpandedPath] = useState(null);
+
+  const order = sections.flatMap(section => section.fields);
+  const cited = Object.entries(provenance || {})
+    .filter(([, entry]) => entry?.evidence || entry?.citation)
+    .sort(([a], [b]) => order.indexOf(a.split('.')[0]) - order.indexOf(b.split('.')[0]) || a.localeCompare(b));
+
+  const fullFactText = (citation) => {
+    if (!citation) return null;
+    const fact = facts.find(f => citation.factId !== null && f?.fact_id === citation.factId) || facts[citation.factIndex];
+    return typeof fact === 'string' ? fact : fact?.content || null;
+  };
+
+  return (
+    <Paper withBorder p="sm" style={{ position: 'sticky', top: 16 }}>
+      <Title order={5} mb="xs">Sources</Title>
+      {cited.length === 0 ? (
+        <Text size="sm" c="dimmed">No extracted values cite company memory yet.</Text>
+      ) : (
+        <ScrollArea.Autosize mah="75vh">
+          <Stack gap="md">
+            {cited.map(([path, entry]) => {
+              const fullText = fullFactText(entry.citation);
+              const isExpanded = expandedPath === path;
+              return (
+                <div key={path}>
+                  <Group gap={4} wrap="nowrap">
+                    <Text size="sm" fw={500}>{getFieldLabel(schema, path)}</Text>
+                    <ProvenanceBadge provenance={entry} />
+                  </Group>
+                  <Text size="xs" c="dimmed">{formatValue(valueAt(formData, path))}</Text>
+                  {entry.citation && <Text size="xs" c="dimmed">{describeFact(entry.citation)}</Text>}
+                  <Blockquote p="xs" mt={4} fz="xs">
+                    {isExpanded && fullText ? fullText : entry.evidence || fullText}
+                  </Blockquote>
+                  {fullText && entry.evidence && fullText !== entry.evidence && (
+                    <Anchor size="xs" component="button" type="button" onClick={() => setExpandedPath(isExpanded ? null : path)}>
+                      {isExpanded ? 'Show excerpt' : 'Show full fact'}
+                    </Anchor>
+                  )}
+                </div>
+              );
+            })}
+          </Stack>
+        </ScrollArea.Autosize>
+      )}
+    </Paper>
+  );
+}
+
+export default EvidencePanel;
@@ -0,0 +1,133 @@
+// components/ExtractionDiffDialog.js
+import { useEffect, useState } from 'react';
+import { Modal, Table, Checkbox, Button, Group, Stack, Text, Badge, Alert } from '@mantine/core';
+import { IconInfoCircle } from '@tabler/icons-react';
+import ProvenanceBadge from './ProvenanceBadge';
+import { formatAddress } from '../lib/address';
+import { getFieldConfig } from '../config/formSchema';
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+const formatValue = (value, fieldConfig) => {
+  if (isBlank(value)) return '(empty)';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number') return value.toLocaleString();
+  if (fieldConfig?.type === 'address') return formatAddress(value);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// A new row's filled cells, one "Label: value" line each
+function NewRowValues({ row, groupConfig }) {
+  const cells = Object.entries(groupConfig?.fields || {}).filter(([field]) => !isBlank(row?.[field]));
+  return (
+    <Stack gap={2}>
+      {cells.map(([field, fieldConfig]) => (
+        <Text size="sm" key={field}>{fieldConfig.label}: {formatValue(row[field], fieldConfig)}</Text>
+      ))}
+    </Stack>
+  );
+}
+
+/**
+ * Shown after re-running extraction on a draft: one row per field where the
+ * new extraction differs from the draft. Changes are accepted one field at a
+ * time; fields the user entered by hand start unticked so they aren't
+ * overwritten by accident.
+ *
+ * @param {Array<Object>|null} changes - From diffExtraction (lib/versionDiff.js); null hides the dialog
+ * @param {Object} schema - Form schema the changes were diffed against, for labels and formatting
+ * @param {Function} onApply - Called with the accepted changes
+ * @param {Function} onClose - Called when the user keeps the draft as it is
+ */
+function ExtractionDiffDialog({ changes, schema, onApply, onClose }) {
+  const [accepted, setAccepted] = useState({});
+
+  useEffect(() => {
+    if (!changes) return;
+    const initial = {};
+    changes.forEach(({ path, userEdited }) => { initial[path] = !userEdited; });
+    setAccepted(initial);
+  }, [changes]);
+
+  if (!changes) return null;
+
+  const acceptedChanges = changes.filter(({ path }) => accepted[path]);
+  const protectedCount = changes.filter(({ userEdited }) => userEdited).length;
+  const setAll = (value) => setAccepted(Object.fromEntries(changes.map(({ path }) => [path, value])));
+
+  return (
+    <Modal opened onClose={onClose} title="Re-extracted values" size="xl">
+      <Stack>
+        {changes.length === 0 ? (
+          <Text size="sm">The new extraction matches your draft. Nothing to update.</Text>
+        ) : (
+          <>
+            {protectedCount > 0 && (
+              <Alert icon={<IconInfoCircle size="1rem" />} color="blue">
+                {protectedCount} field(s) you edited by hand are left unticked. Tick them to take the extracted value instead.
+              </Alert>
+            )}
+            <Table withTableBorder>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th>
+                    <Checkbox
+                      aria-label="Accept all"
+                      checked={acceptedChanges.length === changes.length}
+                      indeterminate={acceptedChanges.length > 0 && acceptedChanges.length < changes.length}
+                      onChange={(event) => setAll(event.currentTarget.checked)}
+                    />
+                  </Table.Th>
+                  <Table.Th>Field</Table.Th>
+                  <Table.Th>In your draft</Table.Th>
+                  <Table.Th>Extracted</Table.Th>
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {changes.map(({ path, group, label, from, to, provenance, userEdited, newRow }) => (
+                  <Table.Tr key={path}>
+                    <Table.Td>
+                      <Checkbox
+                        aria-label={`Accept ${label}`}
+                        checked={Boolean(accepted[path])}
+                        onChange={(event) => {
+                          const { checked } = event.currentTarget;
+                          setAccepted(prev => ({ ...prev, [path]: checked }));
+                        }}
+                      />
+                    </Table.Td>
+                    <Table.Td>
+                      <Text size="sm">{label}</Text>
+                      {userEdited && <Badge size="xs" color="gray" variant="light">Your edit</Badge>}
+                    </Table.Td>
+                    <Table.Td><Text size="sm" c={from === null ? 'dimmed' : undefined}>{formatValue(from, getFieldConfig(schema, path))}</Text></Table.Td>
+                    <Table.Td>
+                      {newRow ? (
+                        <NewRowValues row={to} groupConfig={schema[group]} />
+                      ) : (
+                        <>
+                          <Text size="sm" component="span">{formatValue(to, getFieldConfig(schema, path))}</Text>
+                          <ProvenanceBadge provenance={provenance} />
+                        </>
+                      )}
+                    </Table.Td>
+                  </Table.Tr>
+                ))}
+              </Table.Tbody>
+            </Table>
+          </>
+        )}
+
+        <Group position="right">
+          <Button variant="default" onClick={onClose}>Keep My Draft</Button>
+          <Button onClick={() => onApply(acceptedChanges)} disabled={acceptedChanges.length === 0}>
+            Apply {acceptedChanges.length} Change{acceptedChanges.length === 1 ? '' : 's'}
+          </Button>
+        </Group>
+      </Stack>
+    </Modal>
+  );
+}
+
+export default ExtractionDiffDialog;
@@ -7,21 +7,39 @@ import {
   Textarea,
   Text
 } from '@mantine/core';
+import RepeatableField from './RepeatableField';
+import AddressField from './AddressField';
+import IndustryCodeField from './IndustryCodeField';
+import ProvenanceBadge from './ProvenanceBadge';
+import ConflictPicker from './ConflictPicker';
+import { normalizeFieldValue } from '../config/formSchema';
 
 /**
- * Generic form field component that renders the appropriate input based on field type
+ * Generic form field component that renders the appropriate input based on field type.
+ * `warning` is a non-blocking message, shown only while the field has no error.
+ * `provenance` (see lib/fieldProvenance.js) adds a source/confidence badge to the label,
+ * and a picker between the candidate values when its sources disagree.
+ * `errors`/`warnings`/`provenanceMap` (the full per-path maps) are only needed by repeatable groups;
+ * `formData` (the whole form) only by industry codes, for their suggestion.
+ * Text values are normalized (see normalizeFieldValue) when the field loses focus.
  */
-function FormField({ name, config, value, error, onChange }) {
+function FormField({ name, config, value, error, warning, provenance, errors, warnings, provenanceMap, formData, onChange }) {
   const { label, type, required, options } = config;
+  const labelWithBadge = provenance ? <>{label}<ProvenanceBadge provenance={provenance} /></> : label;
+  const handleBlur = () => {
+    const normalized = normalizeFieldValue(config, value);
+    if (normalized !== value) onChange(normalized);
+  };
   const renderField = () => {
     switch (type) {
       case 'text':
         return (
           <TextInput
             id={name}
-            label={label}
+            label={labelWithBadge}
             value={value || ''}
             onChange={(e) => onChange(e.target.value)}
+            onBlur={handleBlur}
             error={error}
             required={required}
             placeholder={`Enter ${label.toLowerCase()}`}
@@ -32,9 +50,10 @@ function FormField({ name, config, value, error, onChange }) {
         return (
           <Textarea
             id={name}
-            label={label}
+            label={labelWithBadge}
             value={value || ''}
             onChange={(e) => onChange(e.target.value)}
+            onBlur={handleBlur}
             error={error}
             required={required}
             placeholder={`Enter ${label.toLowerCase()}`}
@@ -46,7 +65,7 @@ function FormField({ name, config, value, error, onChange }) {
         return (
           <NumberInput
             id={name}
-            label={label}
+            label={labelWithBadge}
             value={value || ''}
             onChange={(val) => onChange(val)}
             error={error}
@@ -60,9 +79,10 @@ function FormField({ name, config, value, error, onChange }) {
         return (
           <TextInput
             id={name}
-            label={label}
+            label={labelWithBadge}
             value={value || ''}
             onChange={(e) => onChange(e.target.value)}
+            onBlur={handleBlur}
             error={error}
             required={required}
             placeholder="email@example.com"
@@ -74,18 +94,56 @@ function FormField({ name, config, value, error, onChange }) {
         return (
           <Checkbox
             id={name}
-            label={label}
+            label={labelWithBadge}
             checked={!!value}
             onChange={(e) => onChange(e.currentTarget.checked)}
             error={error}
           />
         );
       
+      case 'address':
+        return (
+          <AddressField
+            name={name}
+            config={config}
+            label={labelWithBadge}
+            value={value}
+            error={error}
+            onChange={onChange}
+          />
+        );
+
+      case 'industry_code':
+        return (
+          <IndustryCodeField
+            name={name}
+            config={config}
+            label={labelWithBadge}
+            value={value}
+            error={error}
+            formData={formData}
+            onChange={onChange}
+          />
+        );
+
+      case 'repeatable':
+        return (
+          <RepeatableField
+            name={name}
+            config={config}
+            value={value}
+            errors={errors}
+            warnings={warnings}
+            provenance={provenanceMap}
+            onChange={onChange}
+          />
+        );
+
       case 'select':
         return (
           <Select
             id={name}
-            label={label}
+            label={labelWithBadge}
             value={value || ''}
             onChange={(val) => onChange(val)}
             error={error}
@@ -100,9 +158,10 @@ function FormField({ name, config, value, error, onChange }) {
         return (
           <TextInput
             id={name}
-            label={label}
+            label={labelWithBadge}
             value={value || ''}
             onChange={(e) => onChange(e.target.value)}
+            onBlur={handleBlur}
             error={error}
             required={required}
           />
@@ -114,6 +173,8 @@ function FormField({ name, config, value, error, onChange }) {
     <div style={{ marginBottom: '16px' }}>
       {renderField()}
       {error && <Text color="red" size="sm">{error}</Text>}
+      {!error && warning && <Text color="orange" size="sm">⚠ {warning}</Text>}
+      {provenance?.conflict && <ConflictPicker conflict={provenance.conflict} value={value} onPick={onChange} />}
     </div>
   );
 }
@@ -0,0 +1,54 @@
+// components/IndustryCodeField.js
+import React from 'react';
+import { Autocomplete, Group, Text, Button } from '@mantine/core';
+import {
+  SIC_OPTIONS, NAICS_OPTIONS, getSicTitle, getNaicsTitle, suggestIndustryCode
+} from '../config/industryCodes';
+
+/**
+ * Input for an `industry_code` field (SIC or NAICS, by `config.codeSystem`):
+ * type a code, or search the bundled list by code or industry name. Only the
+ * code is stored; its title is shown underneath. While empty, a code is
+ * suggested from the other code (crosswalk) or the business description.
+ *
+ * @param {Object} formData - The whole form, for the suggestion
+ */
+function IndustryCodeField({ name, config, label = config.label, value, error, formData = {}, onChange }) {
+  const isSic = config.codeSystem === 'sic';
+  const options = (isSic ? SIC_OPTIONS : NAICS_OPTIONS).map(option => option.label);
+  const title = value ? (isSic ? getSicTitle(value) : getNaicsTitle(value)) : null;
+  const suggestion = value ? null : suggestIndustryCode(config.codeSystem, formData);
+
+  // Picked options read "1761 - Roofing, ..."; only the code is kept
+  const handleChange = (text) => {
+    const picked = text.match(/^(\d+) - /);
+    onChange(picked ? picked[1] : text);
+  };
+
+  return (
+    <>
+      <Autocomplete
+        id={name}
+        label={label}
+        value={value || ''}
+        onChange={handleChange}
+        data={options}
+        limit={20}
+        error={error}
+        required={config.required}
+        description={title || undefined}
+        placeholder={`Search ${isSic ? 'SIC' : 'NAICS'} code or industry`}
+      />
+      {suggestion && (
+        <Group gap="xs" mt={4}>
+          <Text size="xs" c="dimmed">
+            Suggested: {suggestion.code} {suggestion.title} ({suggestion.reason})
+          </Text>
+          <Button size="compact-xs" variant="subtle" onClick={() => onChange(suggestion.code)}>Use this</Button>
+        </Group>
+      )}
+    </>
+  );
+}
+
+export default IndustryCodeField;
@@ -21,6 +21,9 @@ function Layout({ children }) {
             <Group>
               {isSignedIn ? (
                 <>
+                  <Button variant="subtle" onClick={() => router.push('/admin/agency-profiles')}>
+                    Agency Profiles
+                  </Button>
                   <UserButton afterSignOutUrl="/" />
                   <Button variant="subtle" onClick={() => signOut(() => router.push('/'))}>
                     Sign Out
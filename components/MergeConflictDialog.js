@@ -0,0 +1,120 @@
+// components/MergeConflictDialog.js
+import { useEffect, useState } from 'react';
+import { Modal, Table, SegmentedControl, Button, Group, Stack, Text, Alert, List } from '@mantine/core';
+import { IconAlertTriangle } from '@tabler/icons-react';
+import { formatAddress } from '../lib/address';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (Array.isArray(value)) return JSON.stringify(value);
+  if (typeof value === 'object') return formatAddress(value);
+  return String(value);
+};
+
+/**
+ * Shown when a save is rejected because the draft changed since it was loaded.
+ * Each conflicting field is resolved individually (defaulting to the stored
+ * value, so nobody's edits are overwritten by accident); fields only the other
+ * session changed are taken over as-is.
+ *
+ * @param {Object} conflict - `conflict` body of the 409 from /api/save-form
+ * @param {Object} yourFormData - The data this session tried to save
+ * @param {Function} onResolve - Called with (formData, currentRevision, { save }); `save` is
+ *   false when the user simply took the stored version, which needs no new save
+ */
+function MergeConflictDialog({ conflict, yourFormData, onResolve }) {
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    if (!conflict) return;
+    const initial = {};
+    conflict.conflicts.forEach(({ field }) => { initial[field] = 'theirs'; });
+    setChoices(initial);
+  }, [conflict]);
+
+  if (!conflict) return null;
+
+  const handleApply = () => {
+    const merged = { ...yourFormData };
+    conflict.remoteChanges.forEach(({ field, theirs }) => { merged[field] = theirs; });
+    conflict.conflicts.forEach(({ field, theirs, yours }) => {
+      merged[field] = choices[field] === 'yours' ? yours : theirs;
+    });
+    onResolve(merged, conflict.currentRevision, { save: true });
+  };
+
+  const handleDiscardMine = () => {
+    onResolve({ ...conflict.currentFormData }, conflict.currentRevision, { save: false });
+  };
+
+  const savedAt = conflict.updatedAt ? new Date(conflict.updatedAt).toLocaleString() : 'recently';
+
+  return (
+    <Modal
+      opened
+      onClose={() => {}}
+      withCloseButton={false}
+      closeOnClickOutside={false}
+      closeOnEscape={false}
+      title="This draft was changed in another session"
+      size="xl"
+    >
+      <Stack>
+        <Alert icon={<IconAlertTriangle size="1rem" />} color="yellow">
+          Someone saved this draft {savedAt} (revision {conflict.currentRevision}) after you loaded it.
+          Choose which value to keep for each field you both changed.
+        </Alert>
+
+        {conflict.conflicts.length > 0 ? (
+          <Table withTableBorder>
+            <Table.Thead>
+              <Table.Tr>
+                <Table.Th>Field</Table.Th>
+                <Table.Th>Their value</Table.Th>
+                <Table.Th>Your value</Table.Th>
+                <Table.Th>Keep</Table.Th>
+              </Table.Tr>
+            </Table.Thead>
+            <Table.Tbody>
+              {conflict.conflicts.map(({ field, label, theirs, yours }) => (
+                <Table.Tr key={field}>
+                  <Table.Td>{label}</Table.Td>
+                  <Table.Td><Text size="sm">{formatValue(theirs)}</Text></Table.Td>
+                  <Table.Td><Text size="sm">{formatValue(yours)}</Text></Table.Td>
+                  <Table.Td>
+                    <SegmentedControl
+                      size="xs"
+                      value={choices[field] || 'theirs'}
+                      onChange={(value) => setChoices(prev => ({ ...prev, [field]: value }))}
+                      data={[{ value: 'theirs', label: 'Theirs' }, { value: 'yours', label: 'Mine' }]}
+                    />
+                  </Table.Td>
+                </Table.Tr>
+              ))}
+            </Table.Tbody>
+          </Table>
+        ) : (
+          <Text size="sm">None of your edits clash with theirs.</Text>
+        )}
+
+        {conflict.remoteChanges.length > 0 && (
+          <div>
+            <Text size="sm" fw={500}>Their other changes will be kept:</Text>
+            <List size="sm">
+              {conflict.remoteChanges.map(({ field, label, theirs }) => (
+                <List.Item key={field}>{label}: {formatValue(theirs)}</List.Item>
+              ))}
+            </List>
+          </div>
+        )}
+
+        <Group position="right">
+          <Button variant="default" onClick={handleDiscardMine}>Discard My Changes</Button>
+          <Button onClick={handleApply}>Apply Merge & Save</Button>
+        </Group>
+      </Stack>
+    </Modal>
+  );
+}
+
+export default MergeConflictDialog;
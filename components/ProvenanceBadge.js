@@ -0,0 +1,44 @@
+// components/ProvenanceBadge.js
+import { Badge, Tooltip, Text, Stack } from '@mantine/core';
+import { PROVENANCE_SOURCES, needsReview } from '../lib/fieldProvenance';
+import { getRuleLabel } from '../config/extractionRules';
+
+const SOURCE_BADGES = {
+  [PROVENANCE_SOURCES.RULE]: { label: 'Rule', color: 'teal' },
+  [PROVENANCE_SOURCES.LLM]: { label: 'AI', color: 'violet' },
+  [PROVENANCE_SOURCES.DEFAULT]: { label: 'Default', color: 'gray' },
+};
+
+/**
+ * Small badge next to a field label saying where its value came from, with
+ * the confidence and evidence in a tooltip. Low-confidence values turn orange
+ * so reviewers know what to double-check. Nothing is shown for user edits.
+ */
+function ProvenanceBadge({ provenance }) {
+  if (!provenance || !SOURCE_BADGES[provenance.source]) return null;
+  const { label, color } = SOURCE_BADGES[provenance.source];
+  const { rule, confidence, evidence, citation } = provenance;
+  const hasConfidence = typeof confidence === 'number';
+  const flagged = needsReview(provenance);
+
+  const details = (
+    <Stack gap={2}>
+      <Text size="xs">Source: {rule ? getRuleLabel(rule) : label}</Text>
+      {hasConfidence && <Text size="xs">Confidence: {Math.round(confidence * 100)}%</Text>}
+      {citation && <Text size="xs">Cited fact: {citation.factId ?? `#${citation.factIndex + 1}`}</Text>}
+      {evidence && <Text size="xs" fs="italic">"{evidence}"</Text>}
+      {provenance.conflict && <Text size="xs" fw={500}>Another source gives a different value.</Text>}
+      {flagged && <Text size="xs" fw={500}>Please double-check this value.</Text>}
+    </Stack>
+  );
+
+  return (
+    <Tooltip label={details} multiline w={320} withArrow>
+      <Badge size="xs" variant={flagged ? 'filled' : 'light'} color={flagged ? 'orange' : color} ml={6} style={{ cursor: 'help' }}>
+        {hasConfidence && provenance.source === PROVENANCE_SOURCES.LLM ? `${label} ${Math.round(confidence * 100)}%` : label}
+      </Badge>
+    </Tooltip>
+  );
+}
+
+export default ProvenanceBadge;
@@ -0,0 +1,78 @@
+// components/RepeatableField.js
+import { Paper, Group, Text, Button, Grid } from '@mantine/core';
+import { IconPlus, IconTrash } from '@tabler/icons-react';
+import FormField from './FormField';
+import { createEmptyRow, fieldPath } from '../config/formSchema';
+
+/**
+ * Editor for a 'repeatable' schema field: one card per row, each rendering the
+ * group's row fields, with add/remove controls bounded by minItems/maxItems.
+ *
+ * @param {string} name - Schema key of the group (e.g. 'premises')
+ * @param {Object} config - The group's schema config
+ * @param {Array<Object>} value - Current rows
+ * @param {Object} errors - Full validation errors map; row cells use `group.index.field` keys
+ * @param {Object} warnings - Full validation warnings map, same keys
+ * @param {Object} provenance - Full provenance map, same keys
+ * @param {Function} onChange - Called with the updated rows array and, for a cell edit, the cell's path
+ */
+function RepeatableField({ name, config, value, errors = {}, warnings = {}, provenance = {}, onChange }) {
+  const rows = Array.isArray(value) ? value : [];
+  const { itemLabel, fields, minItems = 0, maxItems } = config;
+
+  const updateCell = (index, field, cellValue) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, [field]: cellValue } : row)), fieldPath(name, index, field));
+  };
+
+  const addRow = () => onChange([...rows, createEmptyRow(config)]);
+  const removeRow = (index) => onChange(rows.filter((_, i) => i !== index));
+
+  return (
+    <div>
+      <Text fw={500} size="sm" mb="xs">{config.label}</Text>
+      {rows.map((row, index) => (
+        <Paper key={index} withBorder p="sm" mb="sm">
+          <Group position="apart" mb="xs">
+            <Text size="sm" fw={500}>{itemLabel} {index + 1}</Text>
+            <Button
+              size="xs"
+              variant="subtle"
+              color="red"
+              leftSection={<IconTrash size="0.9rem" />}
+              onClick={() => removeRow(index)}
+              disabled={rows.length <= minItems}
+            >
+              Remove
+            </Button>
+          </Group>
+          <Grid>
+            {Object.entries(fields).map(([field, fieldConfig]) => (
+              <Grid.Col span={12} md={6} key={field}>
+                <FormField
+                  name={fieldPath(name, index, field)}
+                  config={fieldConfig}
+                  value={row[field]}
+                  error={errors[fieldPath(name, index, field)]}
+                  warning={warnings[fieldPath(name, index, field)]}
+                  provenance={provenance[fieldPath(name, index, field)]}
+                  onChange={(cellValue) => updateCell(index, field, cellValue)}
+                />
+              </Grid.Col>
+            ))}
+          </Grid>
+        </Paper>
+      ))}
+      <Button
+        size="xs"
+        variant="light"
+        leftSection={<IconPlus size="0.9rem" />}
+        onClick={addRow}
+        disabled={maxItems !== undefined && rows.length >= maxItems}
+      >
+        Add {itemLabel}
+      </Button>
+    </div>
+  );
+}
+
+export default RepeatableField;
@@ -0,0 +1,192 @@
+// components/VersionHistory.js
+import { useEffect, useState } from 'react';
+import {
+  Modal, Table, Badge, Checkbox, Button, Group, Stack, Text, Loader, Alert, ScrollArea
+} from '@mantine/core';
+import { IconAlertCircle } from '@tabler/icons-react';
+import { showNotification } from '@mantine/notifications';
+import { listFormVersions, diffFormVersions, restoreFormVersion } from '../lib/apiClient';
+import { formatAddress } from '../lib/address';
+
+// Badge styling per save type; explicit saves stand out, auto-saves stay quiet
+const SAVE_TYPE_BADGES = {
+  manual: { label: 'Saved', color: 'blue', variant: 'filled' },
+  auto: { label: 'Auto-save', color: 'gray', variant: 'light' },
+  restore: { label: 'Restored', color: 'violet', variant: 'light' },
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return JSON.stringify(value);
+  if (typeof value === 'object') return formatAddress(value);
+  return String(value);
+};
+
+/**
+ * Modal listing every saved version of a company's draft of one form type.
+ * Pick two versions to see a field-by-field diff, or restore any single one.
+ */
+function VersionHistory({ opened, onClose, companyId, formType, onRestored }) {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState([]); // Up to two version numbers
+  const [diff, setDiff] = useState(null);
+  const [isDiffing, setIsDiffing] = useState(false);
+  const [restoringVersion, setRestoringVersion] = useState(null);
+
+  useEffect(() => {
+    if (!opened || !companyId) return;
+    setSelected([]);
+    setDiff(null);
+    loadVersions();
+  }, [opened, companyId, formType]);
+
+  const loadVersions = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await listFormVersions(companyId, formType);
+      setVersions(Array.isArray(data) ? data : []);
+    } catch (loadError) {
+      console.error("[VersionHistory] Failed to load versions:", loadError);
+      setError(loadError?.error || loadError?.message || 'Could not load version history.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const toggleSelected = (version) => {
+    setDiff(null);
+    setSelected(prev => {
+      if (prev.includes(version)) return prev.filter(v => v !== version);
+      // Keep the most recent pick plus the new one
+      return [...prev, version].slice(-2);
+    });
+  };
+
+  const handleCompare = async () => {
+    if (selected.length !== 2) return;
+    const [fromVersion, toVersion] = [...selected].sort((a, b) => a - b);
+    setIsDiffing(true);
+    try {
+      const result = await diffFormVersions(companyId, formType, fromVersion, toVersion);
+      setDiff(result);
+    } catch (diffError) {
+      console.error("[VersionHistory] Failed to diff versions:", diffError);
+      showNotification({ title: 'Compare Failed', message: diffError?.error || 'Could not compare versions.', color: 'red' });
+    } finally {
+      setIsDiffing(false);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    setRestoringVersion(version);
+    try {
+      const result = await restoreFormVersion(companyId, formType, version);
+      showNotification({ title: 'Version Restored', message: `Version ${version} is now the current draft.`, color: 'green' });
+      onRestored(result.savedData);
+      onClose();
+    } catch (restoreError) {
+      console.error("[VersionHistory] Failed to restore version:", restoreError);
+      showNotification({ title: 'Restore Failed', message: restoreError?.error || 'Could not restore version.', color: 'red' });
+    } finally {
+      setRestoringVersion(null);
+    }
+  };
+
+  return (
+    <Modal opened={opened} onClose={onClose} title="Version History" size="xl">
+      {error && <Alert icon={<IconAlertCircle size="1rem" />} color="red" mb="sm">{error}</Alert>}
+
+      {isLoading ? (
+        <Group><Loader size="xs" /><Text size="sm" c="dimmed">Loading versions...</Text></Group>
+      ) : versions.length === 0 ? (
+        <Text c="dimmed">No saved versions yet.</Text>
+      ) : (
+        <Stack>
+          <ScrollArea.Autosize mah={300}>
+            <Table striped highlightOnHover>
+              <Table.Thead>
+                <Table.Tr>
+                  <Table.Th />
+                  <Table.Th>Version</Table.Th>
+                  <Table.Th>Type</Table.Th>
+                  <Table.Th>Saved</Table.Th>
+                  <Table.Th />
+                </Table.Tr>
+              </Table.Thead>
+              <Table.Tbody>
+                {versions.map(v => {
+                  const badge = SAVE_TYPE_BADGES[v.save_type] || { label: v.save_type, color: 'gray', variant: 'outline' };
+                  return (
+                    <Table.Tr key={v.version}>
+                      <Table.Td>
+                        <Checkbox
+                          aria-label={`Select version ${v.version} to compare`}
+                          checked={selected.includes(v.version)}
+                          onChange={() => toggleSelected(v.version)}
+                        />
+                      </Table.Td>
+                      <Table.Td>v{v.version}</Table.Td>
+                      <Table.Td>
+                        <Badge color={badge.color} variant={badge.variant}>{badge.label}</Badge>
+                        {v.restored_from != null && <Text size="xs" c="dimmed">from v{v.restored_from}</Text>}
+                      </Table.Td>
+                      <Table.Td>{new Date(v.created_at).toLocaleString()}</Table.Td>
+                      <Table.Td>
+                        <Button
+                          size="xs"
+                          variant="subtle"
+                          onClick={() => handleRestore(v.version)}
+                          loading={restoringVersion === v.version}
+                          disabled={restoringVersion !== null}
+                        >
+                          Restore
+                        </Button>
+                      </Table.Td>
+                    </Table.Tr>
+                  );
+                })}
+              </Table.Tbody>
+            </Table>
+          </ScrollArea.Autosize>
+
+          <Group position="apart">
+            <Text size="sm" c="dimmed">Select two versions to compare.</Text>
+            <Button size="xs" onClick={handleCompare} disabled={selected.length !== 2} loading={isDiffing}>
+              Compare
+            </Button>
+          </Group>
+
+          {diff && (
+            diff.changes.length === 0 ? (
+              <Text size="sm">No differences between v{diff.from.version} and v{diff.to.version}.</Text>
+            ) : (
+              <Table withTableBorder>
+                <Table.Thead>
+                  <Table.Tr>
+                    <Table.Th>Field</Table.Th>
+                    <Table.Th>v{diff.from.version}</Table.Th>
+                    <Table.Th>v{diff.to.version}</Table.Th>
+                  </Table.Tr>
+                </Table.Thead>
+                <Table.Tbody>
+                  {diff.changes.map(change => (
+                    <Table.Tr key={change.field}>
+                      <Table.Td>{change.label}</Table.Td>
+                      <Table.Td><Text size="sm" c={change.change === 'added' ? 'dimmed' : 'red'}>{formatValue(change.from)}</Text></Table.Td>
+                      <Table.Td><Text size="sm" c={change.change === 'removed' ? 'dimmed' : 'green'}>{formatValue(change.to)}</Text></Table.Td>
+                    </Table.Tr>
+                  ))}
+                </Table.Tbody>
+              </Table>
+            )
+          )}
+        </Stack>
+      )}
+    </Modal>
+  );
+}
+
+export default VersionHistory;
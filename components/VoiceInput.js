@@ -4,7 +4,7 @@ import { Button, Group, Tooltip, Text } from '@mantine/core';
 import { showNotification } from '@mantine/notifications';
 import { processVoiceCommand } from '../lib/apiClient'; // Ensure this path is correct
 
-function VoiceInput({ onCommandProcessed }) {
+function VoiceInput({ onCommandProcessed, formType }) {
   const [isRecording, setIsRecording] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [hasPermission, setHasPermission] = useState(null); // null | true | false
@@ -151,7 +151,7 @@ function VoiceInput({ onCommandProcessed }) {
           }
 
           // Process audio with the API
-          const result = await processVoiceCommand(audioBlob); // This function is in apiClient.js
+          const result = await processVoiceCommand(audioBlob, formType); // This function is in apiClient.js
           onCommandProcessed(result);
 
         } catch (processingError) {
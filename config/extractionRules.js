@@ -0,0 +1,205 @@
+// config/extractionRules.js
+// Deterministic extraction rules, run by extractWithRules (lib/extractionService.js)
+// before the LLM. Adding a rule here needs no pipeline change. A rule is:
+//
+//   id          Name stored in field provenance as `rule`; the same rule
+//               written for different targets shares one id
+//   label       Shown in the provenance tooltip
+//   target      Field name, or `group.index.field` for a repeatable row cell
+//   source      One of:
+//                 { structured: 'key' }  - Company memory structured field (dot path)
+//                 { field: 'name' }      - A value another rule already extracted
+//                 { pattern: /.../ }     - Regex run on each transcript fact;
+//                                          capture `group` (default 1) is the value
+//   normalize   Name of a normalizer (see RULE_NORMALIZERS in lib/extractionService.js)
+//               or a function (raw, fieldConfig, rule) => value. Defaults to 'field',
+//               which coerces by the target's schema type (lib/coercion.js).
+//   aliases     For the 'option' normalizer: spoken term (lowercase) -> option value
+//   priority    Higher runs first; the first rule that yields a valid value wins
+//               its target. Lower-priority rules are fallbacks.
+//   confidence  0-1, recorded in field provenance
+//
+// Rules whose target is not in the form's schema are skipped, so one list
+// serves every form. DERIVED_RULES run once more after the LLM, when their
+// `field` sources can read values the LLM filled in.
+import { naicsForSic, sicForNaics, suggestIndustryCodes } from './industryCodes';
+
+const COMPANY_RECORD = 'Company record';
+const STRUCTURED_PRIORITY = 100;
+const TRANSCRIPT_PRIORITY = 50;
+const FALLBACK_PRIORITY = 10;
+
+// Company memory structured fields copied as-is
+const structuredRule = (target, key = target, options = {}) => ({
+    id: `structured_${key}`,
+    label: COMPANY_RECORD,
+    target,
+    source: { structured: key },
+    priority: STRUCTURED_PRIORITY,
+    confidence: 0.95,
+    ...options,
+});
+
+// Phone numbers as said or written: (555) 123-4567, 555.123.4567, +1 555 123 4567
+const PHONE_PATTERN = '(\\+?1?[\\s.-]?\\(?\\d{3}\\)?[\\s.-]?\\d{3}[\\s.-]?\\d{4})';
+
+export const EXTRACTION_RULES = [
+    // --- Company record ---
+    structuredRule('legal_name'),
+    structuredRule('contact_email'),
+    structuredRule('applicant_address'),
+    structuredRule('premise_address'),
+    structuredRule('premises.0.address', 'premise_address'),
+    structuredRule('premises.0.annual_revenue', 'annual_revenue'),
+    structuredRule('sic'),
+    structuredRule('naics'),
+    structuredRule('contact_name'),
+    structuredRule('contact_phone'),
+    structuredRule('business_phone'),
+
+    // --- Transcript patterns ---
+    {
+        id: 'fein_regex',
+        label: 'FEIN pattern in a transcript',
+        target: 'fein',
+        source: { pattern: /(\d{2}-\d{7})/ },
+        priority: TRANSCRIPT_PRIORITY,
+        confidence: 0.85, // Pattern match; the number could belong to another company
+    },
+    {
+        id: 'entity_type_statement',
+        label: 'Entity type stated in a transcript',
+        target: 'applicant_entity_type',
+        source: { pattern: /\b(?:entity type|business type|organized as)\s*(?:is|:|-)?\s*(?:an?\s+)?(l\.l\.c\.|[a-z"\- ]{2,40})/i },
+        normalize: 'option',
+        aliases: {
+            'limited liability company': 'LLC',
+            'l.l.c.': 'LLC',
+            'corp': 'Corporation',
+            'inc': 'Corporation',
+            'c corp': 'Corporation',
+            's corp': 'Subchapter S Corporation',
+            's-corp': 'Subchapter S Corporation',
+            's corporation': 'Subchapter S Corporation',
+            'sole proprietor': 'Individual',
+            'sole proprietorship': 'Individual',
+            'nonprofit': 'Not For Profit Org',
+            'non-profit': 'Not For Profit Org',
+        },
+        priority: TRANSCRIPT_PRIORITY,
+        confidence: 0.8,
+    },
+    {
+        id: 'nature_of_business_statement',
+        label: 'Nature of business stated in a transcript',
+        target: 'nature_of_business',
+        source: { pattern: /\bnature of business\s*(?:is|:|-)?\s*(?:an?\s+)?([a-z ]{3,30})/i },
+        normalize: 'option',
+        aliases: { 'contracting': 'Contractor', 'general contractor': 'Contractor', 'restaurants': 'Restaurant', 'services': 'Service' },
+        priority: TRANSCRIPT_PRIORITY,
+        confidence: 0.8,
+    },
+    {
+        id: 'business_phone_statement',
+        label: 'Business phone stated in a transcript',
+        target: 'business_phone',
+        source: { pattern: new RegExp(`\\b(?:business|office|main|company) (?:phone|number|line)\\s*(?:is|:|-)?\\s*${PHONE_PATTERN}`, 'i') },
+        priority: TRANSCRIPT_PRIORITY,
+        confidence: 0.8,
+    },
+    {
+        id: 'sic_statement',
+        label: 'SIC code stated in a transcript',
+        target: 'sic',
+        source: { pattern: /\bSIC(?: code)?\s*(?:is|:|#|-)?\s*(\d{4})\b/i },
+        priority: TRANSCRIPT_PRIORITY,
+        confidence: 0.85,
+    },
+    {
+        id: 'naics_statement',
+        label: 'NAICS code stated in a transcript',
+        target: 'naics',
+        source: { pattern: /\bNAICS(?: code)?\s*(?:is|:|#|-)?\s*(\d{6})\b/i },
+        priority: TRANSCRIPT_PRIORITY,
+        confidence: 0.85,
+    },
+    {
+        id: 'city_limits_statement',
+        label: 'City limits stated in a transcript',
+        target: 'premises.0.city_limits',
+        source: { pattern: /\b(inside|outside|within|beyond)\s+(?:the\s+)?city limits\b/i },
+        normalize: 'option',
+        aliases: { 'within': 'Inside', 'beyond': 'Outside' },
+        priority: TRANSCRIPT_PRIORITY,
+        confidence: 0.7, // Only right when the business has a single location
+    },
+
+    // --- Fallbacks ---
+    {
+        id: 'applicant_address_fallback',
+        label: 'Copied from the mailing address',
+        target: 'premise_address',
+        source: { field: 'applicant_address' },
+        priority: FALLBACK_PRIORITY,
+        confidence: 0.6, // Often right for small businesses, but worth a look
+    },
+    {
+        id: 'applicant_address_fallback',
+        label: 'Copied from the mailing address',
+        target: 'premises.0.address',
+        source: { field: 'applicant_address' },
+        priority: FALLBACK_PRIORITY,
+        confidence: 0.6,
+    },
+];
+
+// Fill industry codes from each other (SIC/NAICS crosswalk) or, failing
+// that, from keywords in the business description
+export const DERIVED_RULES = [
+    {
+        id: 'sic_naics_crosswalk',
+        label: 'SIC/NAICS crosswalk',
+        target: 'naics',
+        source: { field: 'sic' },
+        normalize: (sic) => naicsForSic(sic)[0] ?? null,
+        priority: TRANSCRIPT_PRIORITY,
+        confidence: 0.6, // A SIC code often maps to several NAICS codes
+    },
+    {
+        id: 'sic_naics_crosswalk',
+        label: 'SIC/NAICS crosswalk',
+        target: 'sic',
+        source: { field: 'naics' },
+        normalize: (naics) => sicForNaics(naics)[0] ?? null,
+        priority: TRANSCRIPT_PRIORITY,
+        confidence: 0.7,
+    },
+    {
+        id: 'industry_from_description',
+        label: 'Matched from the business description',
+        target: 'sic',
+        source: { field: 'business_description' },
+        normalize: (text) => suggestIndustryCodes(text, 1)[0]?.sic ?? null,
+        priority: FALLBACK_PRIORITY,
+        confidence: 0.4, // Keyword match; flagged for review
+    },
+    {
+        id: 'industry_from_description',
+        label: 'Matched from the business description',
+        target: 'naics',
+        source: { field: 'business_description' },
+        normalize: (text) => suggestIndustryCodes(text, 1)[0]?.naics ?? null,
+        priority: FALLBACK_PRIORITY,
+        confidence: 0.4,
+    },
+];
+
+// Rule names stored in provenance before the registry existed
+const LEGACY_RULE_LABELS = {
+    structured_data: COMPANY_RECORD,
+};
+
+// Tooltip label for a provenance `rule`, falling back to the rule's id
+export function getRuleLabel(ruleId) {
+    return [...EXTRACTION_RULES, ...DERIVED_RULES].find(rule => rule.id === ruleId)?.label || LEGACY_RULE_LABELS[ruleId] || ruleId;
+}
@@ -0,0 +1,38 @@
+// config/formRegistry.js
+// Every form the app can fill. A form definition brings:
+//   formType, title, description - identity shown in the UI
+//   schema                       - field configs (same shape as config/formSchema.js)
+//   applyDefaults(data, agencyProfile) - fills defaults and agency info into empty fields
+//   validate(data, { partial })  - { isValid, errors, warnings }
+//   sections                     - [{ title, fields }] layout for the editor
+//   extraction.hints             - fieldName -> extra guidance for LLM extraction
+//   pdf                          - { castEid, fileSuffix, requiredKeys, buildPayload(formData) } for Anvil
+import { acord125Form } from './forms/acord125';
+import { acord126Form } from './forms/acord126';
+import { acord130Form } from './forms/acord130';
+import { acord140Form } from './forms/acord140';
+
+export const DEFAULT_FORM_TYPE = 'acord125';
+
+const formRegistry = {};
+
+export function registerForm(definition) {
+  if (!definition?.formType || !definition.schema) {
+    throw new Error('Form definitions need at least a formType and a schema.');
+  }
+  formRegistry[definition.formType] = definition;
+}
+
+[acord125Form, acord126Form, acord130Form, acord140Form].forEach(registerForm);
+
+/**
+ * Looks up a registered form. Missing formType falls back to ACORD 125 so
+ * older clients keep working; an unknown one returns null.
+ */
+export function getFormDefinition(formType = DEFAULT_FORM_TYPE) {
+  return formRegistry[formType || DEFAULT_FORM_TYPE] || null;
+}
+
+export function listFormTypes() {
+  return Object.values(formRegistry).map(({ formType, title, description }) => ({ formType, title, description }));
+}
@@ -1,16 +1,130 @@
 // config/formSchema.js
+import { getSicDivision, areSicNaicsConsistent, isKnownSicCode, isKnownNaicsCode } from './industryCodes';
+import { normalizePhone, normalizeFein } from '../lib/coercion';
+import { normalizeStateCode, normalizeAddress, isCompleteAddress, describeAddressProblem, toAddress } from '../lib/address';
+import { describeZipMismatch } from '../lib/addressStandardizer';
 
-// --- Helper Functions (Keep from previous version) ---
-const isEmpty = (v) => v === null || v === undefined || v === '';
-const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
-const isNonNegativeNumber = (v) => typeof v === 'number' && !isNaN(v) && v >= 0;
-const isPhoneNumber = (v) => typeof v === 'string' && /^[+]?[\d\s()-.]{7,}$/.test(v.trim());
-const isEmail = (v) => typeof v === 'string' && /\S+@\S+\.\S+/.test(v.trim());
-const isIsoDateString = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v.trim());
-const isValidOption = (v, options) => !isEmpty(v) && options.some(opt => opt.value === v);
-const isFeinFormat = (v) => typeof v === 'string' && /^\d{2}-\d{7}$/.test(v.trim());
+// --- Helper Functions (shared with the other form schemas in config/forms/) ---
+export const isEmpty = (v) => v === null || v === undefined || v === ''
+    // Composite values (an address) are empty when every part is
+    || (typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(isEmpty));
+export const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+export const isNonNegativeNumber = (v) => typeof v === 'number' && !isNaN(v) && v >= 0;
+export const isNonNegativeInteger = (v) => isNonNegativeNumber(v) && Number.isInteger(v);
+// US (NANP) numbers only: the PDF's phone fields can't hold anything else (formatPhoneToAnvil)
+export const isPhoneNumber = (v) => typeof v === 'string' && /^\+1\d{10}$/.test(normalizePhone(v));
+export const isEmail = (v) => typeof v === 'string' && /\S+@\S+\.\S+/.test(v.trim());
+export const isIsoDateString = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v.trim());
+export const isValidOption = (v, options) => !isEmpty(v) && options.some(opt => opt.value === v);
+export const isFeinFormat = (v) => typeof v === 'string' && /^\d{2}-\d{7}$/.test(v.trim());
 // --- End Helpers ---
 
+// --- Repeatable Groups ---
+// A field with type 'repeatable' holds an array of row objects; its `fields`
+// describe one row (same shape as a schema). Errors and voice commands address
+// a single cell as `group.index.field`, e.g. `premises.0.address`.
+export const fieldPath = (group, index, field) => `${group}.${index}.${field}`;
+
+const splitFieldPath = (path) => {
+    const [group, index, field] = String(path).split('.');
+    return { group, index: Number(index), field };
+};
+
+// Config for a top-level field or a `group.index.field` path (null if unknown)
+export function getFieldConfig(schema, path) {
+    if (schema[path]) return schema[path];
+    const { group, index, field } = splitFieldPath(path);
+    const groupConfig = schema[group];
+    if (groupConfig?.type !== 'repeatable' || !Number.isInteger(index) || index < 0) return null;
+    if (groupConfig.maxItems && index >= groupConfig.maxItems) return null;
+    return groupConfig.fields[field] || null;
+}
+
+// Display label for a field path, e.g. "Location 2 Address"
+export function getFieldLabel(schema, path) {
+    if (schema[path]) return schema[path].label;
+    const config = getFieldConfig(schema, path);
+    if (!config) return path;
+    const { group, index } = splitFieldPath(path);
+    return `${schema[group].itemLabel} ${index + 1} ${config.label}`;
+}
+
+// Every addressable path: top-level fields plus each row cell up to maxItems
+export function listFieldPaths(schema) {
+    return Object.entries(schema).flatMap(([key, config]) => {
+        if (config.type !== 'repeatable') return [key];
+        const paths = [];
+        for (let index = 0; index < (config.maxItems || 1); index++) {
+            Object.keys(config.fields).forEach(field => paths.push(fieldPath(key, index, field)));
+        }
+        return paths;
+    });
+}
+
+// Returns a copy of formData with the value set; row paths create missing rows
+export function setFieldValue(formData, path, value) {
+    if (!path.includes('.')) return { ...formData, [path]: value };
+    const { group, index, field } = splitFieldPath(path);
+    const rows = Array.isArray(formData[group]) ? [...formData[group]] : [];
+    while (rows.length <= index) rows.push({});
+    rows[index] = { ...rows[index], [field]: value };
+    return { ...formData, [group]: rows };
+}
+
+// An empty row for a repeatable group, with checkbox cells defaulted to false
+export function createEmptyRow(groupConfig) {
+    const row = {};
+    Object.entries(groupConfig.fields).forEach(([field, config]) => {
+        row[field] = config.type === 'checkbox' ? false : null;
+    });
+    return row;
+}
+// --- End Repeatable Groups ---
+
+// --- Normalization ---
+// Canonical value formats, applied when a field loses focus, to extraction
+// results, and on save and PDF generation. A field's own `normalize(value)`
+// overrides the one for its `format`, which overrides the one for its `type`.
+// Values a normalizer can't make canonical are left alone for validation to report.
+export const FIELD_NORMALIZERS = {
+    phone: normalizePhone,      // E.164: +17704702936
+    fein: normalizeFein,        // XX-XXXXXXX, zero-padded
+    state: normalizeStateCode,  // Two-letter uppercase code
+    text: (v) => v.replace(/\s+/g, ' ').trim(),
+    email: (v) => v.trim(),
+    textarea: (v) => v.trim(), // Line breaks are kept
+    address: normalizeAddress,  // { street1, street2, city, state, zip }; strings are parsed
+    industry_code: (v) => v.replace(/\s+/g, ''),
+};
+
+// Canonical form of one value; non-string values are returned as they are,
+// except addresses, which are objects
+export function normalizeFieldValue(config, value) {
+    if (!config) return value;
+    if (config.type === 'address' && value && typeof value === 'object') return normalizeAddress(value);
+    if (typeof value !== 'string') return value;
+    const normalize = config.normalize || FIELD_NORMALIZERS[config.format] || FIELD_NORMALIZERS[config.type];
+    return normalize ? normalize(value) : value;
+}
+
+// Copy of formData with every field (and repeatable row cell) normalized
+export function normalizeFormData(schema, formData = {}) {
+    const normalized = { ...formData };
+    Object.entries(schema).forEach(([key, config]) => {
+        if (!(key in normalized)) return;
+        if (config.type === 'repeatable') {
+            if (!Array.isArray(normalized[key])) return;
+            normalized[key] = normalized[key].map(row => (row && typeof row === 'object'
+                ? Object.fromEntries(Object.entries(row).map(([field, value]) => [field, normalizeFieldValue(config.fields[field], value)]))
+                : row));
+            return;
+        }
+        normalized[key] = normalizeFieldValue(config, normalized[key]);
+    });
+    return normalized;
+}
+// --- End Normalization ---
+
 // --- Define Options for Select fields based on ACORD 125 PDF ---
 const applicantBusinessTypeOptions = [
     { value: 'Corporation', label: 'Corporation' },
@@ -23,17 +137,18 @@ const applicantBusinessTypeOptions = [
     { value: 'Trust', label: 'Trust' }
 ];
 
+// typicalRevenue: plausible total annual revenue range; outside it we only warn
 const natureOfBusinessOptions = [
-    { value: 'Apartments', label: 'Apartments' },
-    { value: 'Contractor', label: 'Contractor' },
-    { value: 'Manufacturing', label: 'Manufacturing' },
-    { value: 'Restaurant', label: 'Restaurant' },
-    { value: 'Service', label: 'Service' },
-    { value: 'Wholesale', label: 'Wholesale' },
-    { value: 'Condominiums', label: 'Condominiums' },
-    { value: 'Institutional', label: 'Institutional' },
-    { value: 'Office', label: 'Office' },
-    { value: 'Retail', label: 'Retail' },
+    { value: 'Apartments', label: 'Apartments', typicalRevenue: { min: 50000, max: 50000000 } },
+    { value: 'Contractor', label: 'Contractor', typicalRevenue: { min: 25000, max: 500000000 } },
+    { value: 'Manufacturing', label: 'Manufacturing', typicalRevenue: { min: 100000, max: 1000000000 } },
+    { value: 'Restaurant', label: 'Restaurant', typicalRevenue: { min: 50000, max: 50000000 } },
+    { value: 'Service', label: 'Service', typicalRevenue: { min: 10000, max: 500000000 } },
+    { value: 'Wholesale', label: 'Wholesale', typicalRevenue: { min: 100000, max: 1000000000 } },
+    { value: 'Condominiums', label: 'Condominiums', typicalRevenue: { min: 10000, max: 20000000 } },
+    { value: 'Institutional', label: 'Institutional', typicalRevenue: { min: 50000, max: 1000000000 } },
+    { value: 'Office', label: 'Office', typicalRevenue: { min: 10000, max: 500000000 } },
+    { value: 'Retail', label: 'Retail', typicalRevenue: { min: 25000, max: 1000000000 } },
     { value: 'Other', label: 'Other' } // Added 'Other' option
 ];
 
@@ -41,8 +156,62 @@ const cityLimitsOptions = [
     { value: 'Inside', label: 'Inside City Limits' },
     { value: 'Outside', label: 'Outside City Limits' }
 ];
+
+const lineOfBusinessOptions = [
+    { value: 'General Liability', label: 'General Liability' },
+    { value: 'Automobile', label: 'Automobile' },
+    { value: 'Property', label: 'Property' },
+    { value: 'Workers Compensation', label: 'Workers Compensation' },
+    { value: 'Umbrella', label: 'Umbrella' },
+    { value: 'Other', label: 'Other' }
+];
+
+const claimStatusOptions = [
+    { value: 'Open', label: 'Open' },
+    { value: 'Closed', label: 'Closed' },
+    { value: 'Subrogation', label: 'Subrogation' }
+];
+
+const interestTypeOptions = [
+    { value: 'Additional Insured', label: 'Additional Insured' },
+    { value: 'Mortgagee', label: 'Mortgagee' },
+    { value: 'Loss Payee', label: 'Loss Payee' },
+    { value: "Lender's Loss Payable", label: "Lender's Loss Payable" },
+    { value: 'Lienholder', label: 'Lienholder' },
+    { value: 'Other', label: 'Other' }
+];
 // --- End Options ---
 
+const optionalNumber = (v) => isEmpty(v) || isNonNegativeNumber(v);
+const optionalDate = (v) => isEmpty(v) || isIsoDateString(v);
+const optionalText = (v) => isEmpty(v) || isNonEmptyString(v);
+const currentYear = new Date().getFullYear();
+
+// --- Date Defaults ---
+// Policy term used for the default expiration date. NEXT_PUBLIC_POLICY_TERM_MONTHS
+// overrides it (1-12; POLICY_TERM_RULES rejects terms over a year).
+const parsedTermMonths = parseInt(process.env.NEXT_PUBLIC_POLICY_TERM_MONTHS, 10);
+export const POLICY_TERM_MONTHS = parsedTermMonths >= 1 && parsedTermMonths <= 12 ? parsedTermMonths : 12;
+
+// Local calendar date as YYYY-MM-DD
+const toIsoDate = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+export const firstOfNextMonth = (today = new Date()) =>
+    toIsoDate(new Date(today.getFullYear(), today.getMonth() + 1, 1));
+
+// Same day `months` later, clamped to the end of shorter months (Jan 31 + 1 -> Feb 28)
+export function addMonthsToIsoDate(isoDate, months) {
+    if (!isIsoDateString(isoDate)) return null;
+    const [year, month, day] = isoDate.trim().split('-').map(Number);
+    const lastDayOfTarget = new Date(year, month - 1 + months + 1, 0).getDate();
+    return toIsoDate(new Date(year, month - 1 + months, Math.min(day, lastDayOfTarget)));
+}
+// --- End Date Defaults ---
+
 
 // --- ACORD 125 Focused Schema ---
 // Added Agency Info fields
@@ -73,6 +242,7 @@ export const formSchema = {
         label: 'Agency Phone',
         type: 'text',
         required: true,
+        format: 'phone', // Normalized by lib/coercion.js
         validation: isPhoneNumber,
         // readOnly: true
      },
@@ -90,14 +260,16 @@ export const formSchema = {
         type: 'date',
         required: true, // Make required as we will now provide a default
         validation: isIsoDateString, // Must be valid date string now
-        // Default applied in frontend logic
+        defaultValue: () => firstOfNextMonth(),
     },
     policy_exp_date: {
         label: 'Proposed Exp. Date',
         type: 'date',
         required: true, // Make required as we will now provide a default
         validation: isIsoDateString, // Must be valid date string now
-        // Default applied in frontend logic
+        // Follows the effective date until the user sets it by hand
+        defaultValue: (data) => addMonthsToIsoDate(data.policy_eff_date, POLICY_TERM_MONTHS),
+        derivedFrom: 'policy_eff_date',
     },
 
     // --- Applicant Info (Page 1) ---
@@ -110,15 +282,17 @@ export const formSchema = {
     },
     applicant_address: {
         label: 'Applicant Mailing Address',
-        type: 'textarea',
+        type: 'address',
         required: true,
-        validation: (v) => typeof v === 'string' && v.trim().length >= 15,
-        // anvilId: 'mailingAddress' -> needs parsing
+        validation: isCompleteAddress,
+        warning: describeZipMismatch,
+        // anvilId: 'mailingAddress' -> split by toAnvilAddress
     },
     business_phone: {
         label: 'Applicant Business Phone',
         type: 'text',
         required: true,
+        format: 'phone', // Normalized by lib/coercion.js
         validation: isPhoneNumber,
         // anvilId: 'businessPhone' -> needs formatting
     },
@@ -134,21 +308,24 @@ export const formSchema = {
         label: 'FEIN',
         type: 'text',
         required: false, // Keep optional as requested before
+        format: 'fein', // Normalized by lib/coercion.js
         validation: (v) => isEmpty(v) || isFeinFormat(v), // Validate format ONLY if provided
         // anvilId: 'feinOrSocSec'
      },
      sic: {
          label: 'SIC Code',
-         type: 'text',
+         type: 'industry_code',
+         codeSystem: 'sic', // Picker, validation and crosswalk from config/industryCodes.js
          required: false,
-         validation: (v) => isEmpty(v) || /^\d{4}$/.test(v.trim()),
+         validation: (v) => isEmpty(v) || isKnownSicCode(v),
          // anvilId: 'sic'
      },
      naics: {
          label: 'NAICS Code',
-         type: 'text',
+         type: 'industry_code',
+         codeSystem: 'naics',
          required: false,
-         validation: (v) => isEmpty(v) || /^\d{6}$/.test(v.trim()),
+         validation: (v) => isEmpty(v) || isKnownNaicsCode(v),
          // anvilId: 'naics'
      },
 
@@ -171,32 +348,50 @@ export const formSchema = {
         label: 'Primary Contact Phone',
         type: 'text',
         required: true,
+        format: 'phone', // Normalized by lib/coercion.js
         validation: isPhoneNumber,
         // anvilId: 'phoneACNoExt' -> needs formatting
     },
 
-    // --- Premises Info (Page 2 - Simplified to first location) ---
-    premise_address: {
-        label: 'Primary Premise Address',
-        type: 'textarea',
-        required: true,
-        validation: (v) => typeof v === 'string' && v.trim().length >= 15,
-        // anvilId: 'street' -> needs parsing
-    },
-    city_limits: {
-        label: 'Premise City Limits',
-        type: 'select',
-        required: false, // Keep optional as requested before
-        options: cityLimitsOptions,
-        validation: (v) => isEmpty(v) || isValidOption(v, cityLimitsOptions), // Validate only if provided
-        // anvilId: 'insideCityLimits', 'outsideCityLimits' -> needs boolean logic
+    // --- Premises Info (Page 2 - one row per location, 4 slots on the form) ---
+    premises_same_as_mailing: {
+        label: 'Location 1 is the mailing address',
+        type: 'checkbox',
+        required: false,
     },
-    annual_revenue: {
-        label: 'Annual Revenue ($)',
-        type: 'number',
+    premises: {
+        label: 'Premises',
+        type: 'repeatable',
+        itemLabel: 'Location',
         required: true,
-        validation: isNonNegativeNumber,
-        // anvilId: 'annualRevenues'
+        minItems: 1,
+        maxItems: 4,
+        identityField: 'address', // Rows with the same address describe the same location
+        fields: {
+            address: {
+                label: 'Address',
+                type: 'address',
+                required: false, // Required by ACORD125_RULES unless location 1 is the mailing address
+                validation: isCompleteAddress,
+                warning: describeZipMismatch,
+                // anvilId: 'street' (+ slot suffix) -> split by toAnvilAddress
+            },
+            city_limits: {
+                label: 'City Limits',
+                type: 'select',
+                required: false, // Keep optional as requested before
+                options: cityLimitsOptions,
+                validation: (v) => isEmpty(v) || isValidOption(v, cityLimitsOptions), // Validate only if provided
+                // anvilId: 'insideCityLimits', 'outsideCityLimits' (+ slot suffix) -> needs boolean logic
+            },
+            annual_revenue: {
+                label: 'Annual Revenue ($)',
+                type: 'number',
+                required: true,
+                validation: isNonNegativeNumber,
+                // anvilId: 'annualRevenues' (+ slot suffix)
+            },
+        },
     },
 
     // --- Nature of Business (Page 2) ---
@@ -215,69 +410,441 @@ export const formSchema = {
         validation: (v) => typeof v === 'string' && v.trim().length >= 10,
         // anvilId: 'descriptionOfPrimaryOperations'
      },
+
+    // --- Prior Carrier Information (Page 3 - current and two prior terms) ---
+    prior_carriers: {
+        label: 'Prior Carriers',
+        type: 'repeatable',
+        itemLabel: 'Prior Policy',
+        required: false,
+        minItems: 0,
+        maxItems: 3,
+        fields: {
+            year: {
+                label: 'Policy Year',
+                type: 'number',
+                required: true,
+                integer: true,
+                validation: (v) => isNonNegativeInteger(v) && v >= 1900 && v <= currentYear + 1,
+                errorMessage: `Policy Year must be a year between 1900 and ${currentYear + 1}.`,
+            },
+            line_of_business: {
+                label: 'Line of Business',
+                type: 'select',
+                required: false,
+                options: lineOfBusinessOptions,
+                validation: (v) => isEmpty(v) || isValidOption(v, lineOfBusinessOptions),
+            },
+            carrier: {
+                label: 'Carrier',
+                type: 'text',
+                required: true,
+                validation: isNonEmptyString,
+            },
+            policy_number: {
+                label: 'Policy Number',
+                type: 'text',
+                required: false,
+                validation: optionalText,
+            },
+            premium: {
+                label: 'Premium ($)',
+                type: 'number',
+                required: false,
+                validation: optionalNumber,
+            },
+            effective_date: {
+                label: 'Effective Date',
+                type: 'date',
+                required: false,
+                validation: optionalDate,
+            },
+            expiration_date: {
+                label: 'Expiration Date',
+                type: 'date',
+                required: false,
+                validation: optionalDate,
+            },
+        },
+    },
+
+    // --- Loss History (Page 3 - claims in the last five years) ---
+    loss_history: {
+        label: 'Loss History (Last 5 Years)',
+        type: 'repeatable',
+        itemLabel: 'Loss',
+        required: false,
+        minItems: 0,
+        maxItems: 3,
+        fields: {
+            date_of_occurrence: {
+                label: 'Date of Occurrence',
+                type: 'date',
+                required: true,
+                validation: isIsoDateString,
+            },
+            line_of_business: {
+                label: 'Line of Business',
+                type: 'select',
+                required: false,
+                options: lineOfBusinessOptions,
+                validation: (v) => isEmpty(v) || isValidOption(v, lineOfBusinessOptions),
+            },
+            description: {
+                label: 'Description of Loss',
+                type: 'textarea',
+                required: true,
+                validation: isNonEmptyString,
+            },
+            claim_status: {
+                label: 'Claim Status',
+                type: 'select',
+                required: false,
+                options: claimStatusOptions,
+                validation: (v) => isEmpty(v) || isValidOption(v, claimStatusOptions),
+            },
+            amount_paid: {
+                label: 'Amount Paid ($)',
+                type: 'number',
+                required: false,
+                validation: optionalNumber,
+            },
+            amount_reserved: {
+                label: 'Amount Reserved ($)',
+                type: 'number',
+                required: false,
+                validation: optionalNumber,
+            },
+        },
+    },
+
+    // --- Additional Interest (Page 4 - mortgagees, loss payees, etc.) ---
+    additional_interests: {
+        label: 'Additional Interests',
+        type: 'repeatable',
+        itemLabel: 'Interest',
+        required: false,
+        minItems: 0,
+        maxItems: 2,
+        identityField: 'name',
+        fields: {
+            interest_type: {
+                label: 'Interest Type',
+                type: 'select',
+                required: true,
+                options: interestTypeOptions,
+                validation: (v) => isValidOption(v, interestTypeOptions),
+            },
+            name: {
+                label: 'Name',
+                type: 'text',
+                required: true,
+                validation: isNonEmptyString,
+            },
+            address: {
+                label: 'Address',
+                type: 'address',
+                required: true,
+                validation: isCompleteAddress,
+                warning: describeZipMismatch,
+            },
+            reference_number: {
+                label: 'Loan / Reference Number',
+                type: 'text',
+                required: false,
+                validation: optionalText,
+            },
+            item_description: {
+                label: 'Location / Item Description',
+                type: 'text',
+                required: false,
+                validation: optionalText,
+            },
+        },
+    },
 };
 
-// Define Agency Info here (used only by frontend default logic now)
-const AGENCY_DEFAULTS = {
-    agency_name: "Tatch Co.",
-    agency_address: "1035 Rockingham Street, Alpharetta, GA, 30022",
-    agency_contact_name: "Shabaig Chatha",
-    agency_phone: "(770) 470-2936",
-    agency_email: "shabaig@tatchinsurance.com",
+// --- Cross-Field Rules ---
+// Checked after the per-field rules, on full validation only (drafts may be
+// inconsistent while they are being filled in). Each rule has:
+//   field    - field (or `group.index.field` path) the error is shown on
+//   fields   - fields it reads; it only runs when all are filled and valid
+//   when     - optional (data) => boolean, replaces the `fields` precondition
+//   check    - (data) => true when the data is consistent
+//   message  - string, or (data) => string
+//   severity - 'warning' reports into `warnings` instead of `errors`; warnings
+//              never make the form invalid and are also reported for drafts
+const parseIsoDate = (v) => {
+    const [year, month, day] = v.trim().split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
 };
 
-// Define default values for dates and nature of business
-const FIELD_DEFAULTS = {
-    policy_eff_date: '2025-04-01',
-    policy_exp_date: '2026-04-01',
+const oneYearAfter = (v) => {
+    const [year, month, day] = v.trim().split('-').map(Number);
+    return Date.UTC(year + 1, month - 1, day);
+};
+
+export const POLICY_TERM_RULES = [
+    {
+        field: 'policy_exp_date',
+        fields: ['policy_eff_date', 'policy_exp_date'],
+        check: (data) => parseIsoDate(data.policy_exp_date) > parseIsoDate(data.policy_eff_date),
+        message: 'Proposed Exp. Date must be after the effective date.',
+    },
+    {
+        field: 'policy_exp_date',
+        fields: ['policy_eff_date', 'policy_exp_date'],
+        check: (data) => parseIsoDate(data.policy_exp_date) <= oneYearAfter(data.policy_eff_date),
+        message: 'Policy term cannot be longer than 12 months.',
+    },
+];
+
+export const ACORD125_RULES = [
+    ...POLICY_TERM_RULES,
+    {
+        field: 'naics',
+        fields: ['sic', 'naics'],
+        check: (data) => areSicNaicsConsistent(data.sic, data.naics),
+        message: (data) => `NAICS ${data.naics} does not match SIC ${data.sic} (${getSicDivision(data.sic)?.name}).`,
+    },
+    // Every location needs an address, except location 1 when it is the mailing address
+    ...Array.from({ length: formSchema.premises.maxItems }, (_, index) => ({
+        field: fieldPath('premises', index, 'address'),
+        when: (data) => Array.isArray(data.premises) && index < data.premises.length
+            && !(index === 0 && data.premises_same_as_mailing),
+        check: (data) => !isEmpty(data.premises[index]?.address),
+        message: index === 0
+            ? 'Address is required unless location 1 is the mailing address.'
+            : 'Address is required.',
+    })),
+];
+
+// --- Soft Warnings ---
+// Worth an underwriter's second look, but never blocking
+const FREE_MAIL_DOMAINS = [
+    'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com', 'icloud.com',
+    'live.com', 'msn.com', 'me.com', 'ymail.com', 'comcast.net', 'protonmail.com',
+];
+const LARGE_ACCOUNT_REVENUE = 5000000;
+const CORPORATE_ENTITY_TYPES = ['Corporation', 'Subchapter S Corporation'];
+
+// Total annual revenue across all locations (null when none is filled in)
+export function getTotalAnnualRevenue(data) {
+    const revenues = (Array.isArray(data.premises) ? data.premises : [])
+        .map(location => location?.annual_revenue)
+        .filter(isNonNegativeNumber);
+    return revenues.length > 0 ? revenues.reduce((sum, revenue) => sum + revenue, 0) : null;
+}
+
+const formatDollars = (amount) => `$${amount.toLocaleString('en-US')}`;
+
+export const ACORD125_WARNING_RULES = [
+    {
+        severity: 'warning',
+        field: 'premises',
+        when: (data) => getTotalAnnualRevenue(data) !== null
+            && !!natureOfBusinessOptions.find(opt => opt.value === data.nature_of_business)?.typicalRevenue,
+        check: (data) => {
+            const { min, max } = natureOfBusinessOptions.find(opt => opt.value === data.nature_of_business).typicalRevenue;
+            const total = getTotalAnnualRevenue(data);
+            return total >= min && total <= max;
+        },
+        message: (data) => {
+            const { min, max } = natureOfBusinessOptions.find(opt => opt.value === data.nature_of_business).typicalRevenue;
+            return `Total annual revenue of ${formatDollars(getTotalAnnualRevenue(data))} is unusual for ${data.nature_of_business} (typically ${formatDollars(min)} to ${formatDollars(max)}).`;
+        },
+    },
+    {
+        severity: 'warning',
+        field: 'fein',
+        when: (data) => CORPORATE_ENTITY_TYPES.includes(data.applicant_entity_type),
+        check: (data) => !isEmpty(data.fein),
+        message: 'Corporations normally have a FEIN. Please confirm it is not available.',
+    },
+    {
+        severity: 'warning',
+        field: 'contact_email',
+        when: (data) => isEmail(data.contact_email) && getTotalAnnualRevenue(data) >= LARGE_ACCOUNT_REVENUE,
+        check: (data) => !FREE_MAIL_DOMAINS.includes(data.contact_email.trim().split('@').pop().toLowerCase()),
+        message: 'Free email domain on a large account. Confirm this is the right business contact.',
+    },
+];
+
+// Agency fields are filled from the signed-in producer's agency profile
+// (see lib/agencyProfiles.js) rather than hard-coded values
+export const AGENCY_FIELDS = Object.keys(formSchema).filter(key => key.startsWith('agency_'));
+
+// Static defaults; policy dates come from their schema `defaultValue` rules
+export const FIELD_DEFAULTS = {
     nature_of_business: 'Other',
 };
 
 /**
- * Applies default values (Agency Info, Dates, Nature of Business)
- * to the provided form data *only if* the corresponding fields are empty.
+ * Applies default values for any form schema: the agency profile for the
+ * agency fields the schema has, each field's `defaultValue(data)` rule, plus
+ * the given field defaults *only if* those fields are empty. Values already
+ * on the form are never overwritten.
  *
+ * @param {Object} schema - The form schema the data belongs to
+ * @param {Object} fieldDefaults - fieldName -> default value
  * @param {Object} currentData - The current form data (can be empty or partially filled)
+ * @param {Object} [agencyProfile] - The signed-in producer's agency fields (agency_name, ...)
  * @returns {Object} - The form data with defaults applied to empty fields.
  */
-export function applyDefaultsToFormData(currentData = {}) {
-    const dataWithDefaults = { ...currentData };
+export function applyDefaultsForSchema(schema, fieldDefaults, currentData = {}, agencyProfile = {}) {
+    const dataWithDefaults = migrateLegacyAddresses(schema, currentData);
 
-    // Apply Agency Defaults (Always apply these for now, assuming they are fixed)
-    Object.assign(dataWithDefaults, AGENCY_DEFAULTS);
+    // Apply the agency profile to empty agency fields only
+    AGENCY_FIELDS.forEach(fieldName => {
+        if (schema[fieldName] && isEmpty(dataWithDefaults[fieldName]) && !isEmpty(agencyProfile?.[fieldName])) {
+            dataWithDefaults[fieldName] = agencyProfile[fieldName];
+        }
+    });
+
+    // Rule-based defaults run in schema order, so a rule can read fields
+    // defaulted before it (the expiration date reads the effective date)
+    Object.entries(schema).forEach(([fieldName, config]) => {
+        if (config.defaultValue && isEmpty(dataWithDefaults[fieldName])) {
+            dataWithDefaults[fieldName] = config.defaultValue(dataWithDefaults) ?? null;
+        }
+    });
 
     // Apply Field Defaults only if the field is empty
-    for (const fieldName in FIELD_DEFAULTS) {
+    for (const fieldName in fieldDefaults) {
         if (isEmpty(dataWithDefaults[fieldName])) {
-            dataWithDefaults[fieldName] = FIELD_DEFAULTS[fieldName];
+            dataWithDefaults[fieldName] = fieldDefaults[fieldName];
         }
     }
 
     // Ensure boolean fields default to false if null/undefined
-     Object.keys(formSchema).forEach(key => {
-        if (formSchema[key].type === 'checkbox' && dataWithDefaults[key] == null) { // Use == to catch null and undefined
+     Object.keys(schema).forEach(key => {
+        if (schema[key].type === 'checkbox' && dataWithDefaults[key] == null) { // Use == to catch null and undefined
              dataWithDefaults[key] = false;
         }
+        // Repeatable groups start with their minimum number of empty rows
+        if (schema[key].type === 'repeatable') {
+             const rows = Array.isArray(dataWithDefaults[key]) ? dataWithDefaults[key] : [];
+             const emptyRow = createEmptyRow(schema[key]);
+             dataWithDefaults[key] = rows.map(row => ({ ...emptyRow, ...row }));
+             while (dataWithDefaults[key].length < (schema[key].minItems || 0)) {
+                 dataWithDefaults[key].push({ ...emptyRow });
+             }
+        }
      });
 
 
     return dataWithDefaults;
 }
 
+/**
+ * Recomputes fields whose `defaultValue` depends on the field that just
+ * changed (see `derivedFrom`). A derived field is only updated while it
+ * still holds its computed value, so a date the user typed is left alone.
+ *
+ * @param {Object} schema - The form schema
+ * @param {Object} previousData - Form data before the change
+ * @param {Object} updatedData - Form data after the change
+ * @param {string} changedField - Field that changed
+ * @returns {Object} - updatedData, with derived fields refreshed
+ */
+export function applyDerivedDefaults(schema, previousData, updatedData, changedField) {
+    let result = updatedData;
+    Object.entries(schema).forEach(([fieldName, config]) => {
+        if (config.derivedFrom !== changedField || !config.defaultValue) return;
+        const current = previousData[fieldName];
+        const userEdited = !isEmpty(current) && current !== config.defaultValue(previousData);
+        const derived = config.defaultValue(result);
+        if (userEdited || isEmpty(derived)) return;
+        result = { ...result, [fieldName]: derived };
+    });
+    return result;
+}
+
+// Drafts saved before addresses were structured hold them as one string
+function migrateLegacyAddresses(schema, data) {
+    const migrated = { ...data };
+    const toStructured = (config, value) => (config?.type === 'address' && typeof value === 'string' ? toAddress(value) : value);
+    Object.entries(schema).forEach(([key, config]) => {
+        if (config.type === 'repeatable' && Array.isArray(migrated[key])) {
+            migrated[key] = migrated[key].map(row => (row && typeof row === 'object'
+                ? Object.fromEntries(Object.entries(row).map(([field, value]) => [field, toStructured(config.fields[field], value)]))
+                : row));
+        } else if (key in migrated) {
+            migrated[key] = toStructured(config, migrated[key]);
+        }
+    });
+    return migrated;
+}
+
+// Drafts saved before premises became repeatable hold a single flat location
+function migrateLegacyPremises(data) {
+    const { premise_address, city_limits, annual_revenue, ...rest } = data;
+    const hadLegacyFields = [premise_address, city_limits, annual_revenue].some(v => v !== undefined);
+    if (!hadLegacyFields) return data;
+    if (!Array.isArray(rest.premises) || rest.premises.length === 0) {
+        rest.premises = [{ address: premise_address ?? null, city_limits: city_limits ?? null, annual_revenue: annual_revenue ?? null }];
+    }
+    return rest;
+}
+
+/**
+ * Applies default values (Agency Info, Dates, Nature of Business)
+ * to the provided ACORD 125 form data *only if* the corresponding fields are empty.
+ *
+ * @param {Object} currentData - The current form data (can be empty or partially filled)
+ * @param {Object} [agencyProfile] - The signed-in producer's agency fields
+ * @returns {Object} - The form data with defaults applied to empty fields.
+ */
+export function applyDefaultsToFormData(currentData = {}, agencyProfile = {}) {
+    return applyDefaultsForSchema(formSchema, FIELD_DEFAULTS, migrateLegacyPremises(currentData || {}), agencyProfile);
+}
+
 
 // --- Updated Validation Function ---
-// (No changes needed here, it already validates based on the schema definition)
-export function validateAcord125Data(formData) {
+// Validates form data against any form schema. A field's `errorMessage`
+// overrides the generic message when its validation fails; its optional
+// `warning(value)` returns a non-blocking message for a valid value.
+// With { partial: true } only filled-in fields are checked (type/format), so
+// half-finished drafts can be saved; finalizing runs the full check, including
+// the cross-field `rules` (see ACORD125_RULES).
+// Returns { isValid, errors, warnings }; only `errors` affect isValid.
+export function validateFormAgainstSchema(schema, formData, { partial = false, rules = [] } = {}) {
     const errors = {};
+    const warnings = {};
     let isValid = true;
 
-    for (const fieldName in formSchema) {
-        const fieldConfig = formSchema[fieldName];
+    for (const fieldName in schema) {
+        const fieldConfig = schema[fieldName];
         // Get value safely, even if formData is null/undefined initially
         const value = formData ? formData[fieldName] : undefined;
 
+        // Repeatable groups: row count, then each row against the row fields
+        if (fieldConfig.type === 'repeatable') {
+            const rows = Array.isArray(value) ? value : [];
+            const { minItems = 0, maxItems, itemLabel } = fieldConfig;
+            if (!partial && rows.length < minItems) {
+                errors[fieldName] = `At least ${minItems} ${itemLabel.toLowerCase()} is required`;
+                isValid = false;
+            } else if (maxItems && rows.length > maxItems) {
+                errors[fieldName] = `At most ${maxItems} ${itemLabel.toLowerCase()} entries fit on the form`;
+                isValid = false;
+            }
+            rows.forEach((row, index) => {
+                const rowResult = validateFormAgainstSchema(fieldConfig.fields, row, { partial });
+                Object.entries(rowResult.errors).forEach(([field, message]) => {
+                    errors[fieldPath(fieldName, index, field)] = message;
+                });
+                Object.entries(rowResult.warnings).forEach(([field, message]) => {
+                    warnings[fieldPath(fieldName, index, field)] = message;
+                });
+                if (!rowResult.isValid) isValid = false;
+            });
+            continue;
+        }
+
         // Check Required (only if fieldConfig.required is true)
         if (fieldConfig.required && isEmpty(value)) {
+            if (partial) continue; // Drafts may leave required fields empty
             // Allow agency fields to be technically required but pre-filled
             // Users shouldn't normally clear these defaults
             if (!fieldName.startsWith('agency_')) {
@@ -293,20 +860,54 @@ export function validateAcord125Data(formData) {
              const isFieldValid = fieldConfig.validation(value);
              if (!isFieldValid) {
                  // Provide more specific errors
-                 if (fieldName === 'fein') errors[fieldName] = `Invalid ${fieldConfig.label}. Format: XX-XXXXXXX`;
-                 else if (fieldName === 'policy_eff_date' || fieldName === 'policy_exp_date') errors[fieldName] = `Invalid date format for ${fieldConfig.label}. Use YYYY-MM-DD.`;
+                 if (fieldConfig.errorMessage) errors[fieldName] = fieldConfig.errorMessage;
+                 else if (fieldName === 'fein') errors[fieldName] = `Invalid ${fieldConfig.label}. Format: XX-XXXXXXX`;
+                 else if (fieldConfig.type === 'date') errors[fieldName] = `Invalid date format for ${fieldConfig.label}. Use YYYY-MM-DD.`;
                  else if (fieldConfig.type === 'email') errors[fieldName] = `Invalid ${fieldConfig.label} format.`;
                  else if (fieldConfig.type === 'number' && !isNonNegativeNumber(value)) errors[fieldName] = `${fieldConfig.label} must be a non-negative number.`;
-                 else if (fieldName === 'applicant_address' || fieldName === 'premise_address') errors[fieldName] = `${fieldConfig.label} must be at least 15 characters.`;
+                 else if (fieldConfig.type === 'address') errors[fieldName] = `${fieldConfig.label}: ${describeAddressProblem(value)}`;
                  else if (fieldName === 'business_description') errors[fieldName] = `${fieldConfig.label} must be at least 10 characters.`;
                  else if (fieldConfig.type === 'select') errors[fieldName] = `Invalid selection for ${fieldConfig.label}.`;
-                 else if (fieldName === 'sic') errors[fieldName] = `Invalid ${fieldConfig.label}. Expected 4 digits.`;
-                 else if (fieldName === 'naics') errors[fieldName] = `Invalid ${fieldConfig.label}. Expected 6 digits.`;
+                 else if (fieldConfig.format === 'phone') errors[fieldName] = `${fieldConfig.label} must be a 10-digit US number, without an extension.`;
+                 else if (fieldName === 'sic') errors[fieldName] = /^\d{4}$/.test(String(value).trim()) ? `${value} is not a SIC code.` : `Invalid ${fieldConfig.label}. Expected 4 digits.`;
+                 else if (fieldName === 'naics') errors[fieldName] = /^\d{6}$/.test(String(value).trim()) ? `${value} is not a NAICS code.` : `Invalid ${fieldConfig.label}. Expected 6 digits.`;
                  else errors[fieldName] = `Invalid value for ${fieldConfig.label}.`;
 
                  isValid = false;
              }
         }
+
+        // Non-blocking checks on values that passed validation
+        if (!isEmpty(value) && !errors[fieldName] && fieldConfig.warning) {
+            const warning = fieldConfig.warning(value);
+            if (warning) warnings[fieldName] = warning;
+        }
     }
-    return { isValid, errors };
-}
\ No newline at end of file
+
+    // Cross-field rules: errors are skipped for drafts; nothing is reported on
+    // a field that already has an error
+    const data = formData || {};
+    rules.forEach(rule => {
+        const isWarning = rule.severity === 'warning';
+        if ((partial && !isWarning) || errors[rule.field]) return;
+        if (isWarning && warnings[rule.field]) return; // First warning per field wins
+        const applies = rule.when
+            ? rule.when(data)
+            : rule.fields.every(field => !isEmpty(data[field]) && !errors[field]);
+        if (!applies || rule.check(data)) return;
+        const message = typeof rule.message === 'function' ? rule.message(data) : rule.message;
+        if (isWarning) {
+            warnings[rule.field] = message;
+        } else {
+            errors[rule.field] = message;
+            isValid = false;
+        }
+    });
+
+    return { isValid, errors, warnings };
+}
+
+// ACORD 125 validation (kept as the entry point used across the app)
+export function validateAcord125Data(formData, options) {
+    return validateFormAgainstSchema(formSchema, formData, { ...options, rules: [...ACORD125_RULES, ...ACORD125_WARNING_RULES] });
+}
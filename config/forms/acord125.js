@@ -0,0 +1,108 @@
+// config/forms/acord125.js
+import { formSchema, applyDefaultsToFormData, validateAcord125Data } from '../formSchema';
+import {
+  toAnvilAddress, parseFullNameToAnvil, formatPhoneToAnvil, formatAgencyBlock, toAnvilNumber, buildSlotPayload
+} from '../../lib/anvilFormatters';
+
+// --- Repeatable sections -> numbered Anvil slots (slot count = the group's maxItems) ---
+// Premises slot 1 keeps the original unsuffixed ids (street, annualRevenues, ...)
+// and falls back to the mailing address when the applicant says they are the same.
+const buildPremisesPayload = (formData) => buildSlotPayload(formData.premises, formSchema.premises.maxItems, (location, index) => ({
+  street: toAnvilAddress(index === 0 && formData.premises_same_as_mailing ? formData.applicant_address : location.address),
+  insideCityLimits: location.city_limits === 'Inside' || undefined,
+  outsideCityLimits: location.city_limits === 'Outside' || undefined,
+  annualRevenues: toAnvilNumber(location.annual_revenue),
+}), { firstSlotUnsuffixed: true });
+
+const buildPriorCarrierPayload = (priorCarriers) => buildSlotPayload(priorCarriers, formSchema.prior_carriers.maxItems, (policy) => ({
+  priorCarrierYear: toAnvilNumber(policy.year),
+  priorCarrierLineOfBusiness: policy.line_of_business,
+  priorCarrierName: policy.carrier,
+  priorCarrierPolicyNumber: policy.policy_number,
+  priorCarrierPremium: toAnvilNumber(policy.premium),
+  priorCarrierEffectiveDate: policy.effective_date,
+  priorCarrierExpirationDate: policy.expiration_date,
+}));
+
+const buildLossHistoryPayload = (losses) => buildSlotPayload(losses, formSchema.loss_history.maxItems, (loss) => ({
+  lossDateOfOccurrence: loss.date_of_occurrence,
+  lossLineOfBusiness: loss.line_of_business,
+  lossDescription: loss.description,
+  lossClaimOpen: loss.claim_status === 'Open' || undefined,
+  lossClaimClosed: loss.claim_status === 'Closed' || undefined,
+  lossSubrogation: loss.claim_status === 'Subrogation' || undefined,
+  lossAmountPaid: toAnvilNumber(loss.amount_paid),
+  lossAmountReserved: toAnvilNumber(loss.amount_reserved),
+}));
+
+const buildAdditionalInterestPayload = (interests) => buildSlotPayload(interests, formSchema.additional_interests.maxItems, (interest) => ({
+  additionalInterestType: interest.interest_type,
+  additionalInterestName: interest.name,
+  additionalInterestAddress: toAnvilAddress(interest.address),
+  additionalInterestReferenceNumber: interest.reference_number,
+  additionalInterestItemDescription: interest.item_description,
+}));
+
+// ACORD 125 - Commercial Insurance Application (applicant, premises, business details and history)
+export const acord125Form = {
+  formType: 'acord125',
+  title: 'ACORD 125',
+  description: 'Commercial Insurance Application',
+  schema: formSchema,
+  applyDefaults: applyDefaultsToFormData,
+  validate: validateAcord125Data,
+
+  sections: [
+    { title: 'Agency Information', fields: Object.keys(formSchema).filter(key => key.startsWith('agency_')) },
+    { title: 'Policy Information', fields: ['policy_eff_date', 'policy_exp_date'] },
+    { title: 'Applicant Information', fields: ['legal_name', 'applicant_address', 'business_phone', 'applicant_entity_type', 'fein', 'sic', 'naics'] },
+    { title: 'Primary Contact Information', fields: ['contact_name', 'contact_email', 'contact_phone'] },
+    { title: 'Premises Information', fields: ['premises_same_as_mailing', 'premises'] },
+    { title: 'Business Details', fields: ['nature_of_business', 'business_description'] },
+    { title: 'Prior Carrier Information', fields: ['prior_carriers'] },
+    { title: 'Loss History', fields: ['loss_history'] },
+    { title: 'Additional Interests', fields: ['additional_interests'] },
+  ],
+
+  // Extra guidance appended to the LLM parameter descriptions
+  extraction: {
+    hints: {
+      premises_same_as_mailing: 'Answer "yes" only if the facts say the business operates from its mailing address.',
+      premises: 'List every distinct business location (office, shop, warehouse, store) mentioned, one item per address. Only fill city_limits if the facts say whether that location is inside or outside city limits.',
+      business_description: 'A short description of the primary operations, in the words of the facts.',
+      prior_carriers: 'One item per prior or current insurance policy mentioned (carrier, line of business, policy term). Use the year the policy term started.',
+      loss_history: 'One item per claim or loss in the last five years. Do not invent amounts; only fill amounts stated in the facts.',
+      additional_interests: 'Lenders, mortgagees, loss payees or additional insureds named in the facts, one item each.',
+    },
+  },
+
+  pdf: {
+    castEid: process.env.ANVIL_CAST_EID_ACORD125 || '4ya1i67hf2irfjdI0t2b',
+    fileSuffix: 'ACORD125',
+    // Anvil keys that must survive cleaning, with labels for the error message
+    requiredKeys: { applicantName: 'Applicant Name', mailingAddress: 'Mailing Address', proposedEffectiveDate: 'Effective Date' },
+    buildPayload(formData) {
+      return {
+        agency: formatAgencyBlock(formData),
+        date: new Date().toISOString().split('T')[0],
+        transactionStatus: "Quote",
+        proposedEffectiveDate: formData.policy_eff_date,
+        proposedExpirationDate: formData.policy_exp_date,
+        applicantName: parseFullNameToAnvil(formData.legal_name),
+        mailingAddress: toAnvilAddress(formData.applicant_address),
+        businessPhone: formatPhoneToAnvil(formData.business_phone),
+        applicantBusinessType: formData.applicant_entity_type,
+        feinOrSocSec: formData.fein,
+        sic: formData.sic,
+        naics: formData.naics,
+        phoneACNoExt: formatPhoneToAnvil(formData.contact_phone),
+        ...buildPremisesPayload(formData),
+        natureOfBusiness: formData.nature_of_business,
+        descriptionOfPrimaryOperations: formData.business_description,
+        ...buildPriorCarrierPayload(formData.prior_carriers),
+        ...buildLossHistoryPayload(formData.loss_history),
+        ...buildAdditionalInterestPayload(formData.additional_interests),
+      };
+    },
+  },
+};
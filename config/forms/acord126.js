@@ -0,0 +1,126 @@
+// config/forms/acord126.js
+import {
+  applyDefaultsForSchema, validateFormAgainstSchema, POLICY_TERM_RULES, isNonEmptyString, isValidOption, isEmpty
+} from '../formSchema';
+import { AGENCY_FIELDS, POLICY_FIELDS, pickFields, limitField } from './common';
+import { parseFullNameToAnvil, formatAgencyBlock, toAnvilNumber } from '../../lib/anvilFormatters';
+
+const coverageFormOptions = [
+  { value: 'Occurrence', label: 'Occurrence' },
+  { value: 'Claims Made', label: 'Claims Made' },
+];
+
+const premiumBasisOptions = [
+  { value: 'Gross Sales', label: 'Gross Sales' },
+  { value: 'Payroll', label: 'Payroll' },
+  { value: 'Area', label: 'Area (sq ft)' },
+  { value: 'Units', label: 'Units' },
+  { value: 'Admissions', label: 'Admissions' },
+];
+
+const schema = {
+  ...pickFields([...AGENCY_FIELDS, ...POLICY_FIELDS, 'legal_name', 'fein']),
+
+  // --- Coverages ---
+  coverage_form: {
+    label: 'Coverage Form',
+    type: 'select',
+    required: true,
+    options: coverageFormOptions,
+    validation: (v) => isValidOption(v, coverageFormOptions),
+  },
+  general_aggregate_limit: limitField('General Aggregate Limit ($)'),
+  products_aggregate_limit: limitField('Products & Completed Ops Aggregate ($)'),
+  personal_adv_injury_limit: limitField('Personal & Advertising Injury ($)'),
+  each_occurrence_limit: limitField('Each Occurrence ($)'),
+  damage_to_rented_premises_limit: limitField('Damage to Rented Premises ($)', false),
+  medical_expense_limit: limitField('Medical Expense, Any One Person ($)', false),
+  deductible: limitField('Deductible ($)', false),
+
+  // --- Schedule of Hazards (first classification) ---
+  class_code: {
+    label: 'GL Class Code',
+    type: 'text',
+    required: true,
+    validation: (v) => typeof v === 'string' && /^\d{5}$/.test(v.trim()),
+    errorMessage: 'Invalid GL Class Code. Expected 5 digits.',
+  },
+  classification_description: {
+    label: 'Classification Description',
+    type: 'textarea',
+    required: true,
+    validation: isNonEmptyString,
+  },
+  premium_basis: {
+    label: 'Premium Basis',
+    type: 'select',
+    required: true,
+    options: premiumBasisOptions,
+    validation: (v) => isValidOption(v, premiumBasisOptions),
+  },
+  exposure: limitField('Exposure'),
+  has_subcontractors: {
+    label: 'Uses Subcontractors',
+    type: 'checkbox',
+    required: false,
+    validation: (v) => isEmpty(v) || typeof v === 'boolean',
+  },
+};
+
+const FIELD_DEFAULTS = {
+  coverage_form: 'Occurrence',
+};
+
+// ACORD 126 - Commercial General Liability Section
+export const acord126Form = {
+  formType: 'acord126',
+  title: 'ACORD 126',
+  description: 'Commercial General Liability Section',
+  schema,
+  applyDefaults: (data, agencyProfile) => applyDefaultsForSchema(schema, FIELD_DEFAULTS, data, agencyProfile),
+  validate: (data, options) => validateFormAgainstSchema(schema, data, { ...options, rules: POLICY_TERM_RULES }),
+
+  sections: [
+    { title: 'Agency Information', fields: AGENCY_FIELDS },
+    { title: 'Policy Information', fields: [...POLICY_FIELDS, 'legal_name', 'fein'] },
+    { title: 'Coverages & Limits', fields: ['coverage_form', 'general_aggregate_limit', 'products_aggregate_limit', 'personal_adv_injury_limit', 'each_occurrence_limit', 'damage_to_rented_premises_limit', 'medical_expense_limit', 'deductible'] },
+    { title: 'Schedule of Hazards', fields: ['class_code', 'classification_description', 'premium_basis', 'exposure', 'has_subcontractors'] },
+  ],
+
+  extraction: {
+    hints: {
+      class_code: 'The 5-digit ISO general liability class code, only if stated.',
+      exposure: 'The rating exposure amount matching the premium basis (e.g. annual gross sales or payroll).',
+      has_subcontractors: 'Answer "yes" only if the facts say the business hires subcontractors.',
+    },
+  },
+
+  pdf: {
+    castEid: process.env.ANVIL_CAST_EID_ACORD126,
+    fileSuffix: 'ACORD126',
+    requiredKeys: { namedInsured: 'Applicant Name', effectiveDate: 'Effective Date' },
+    buildPayload(formData) {
+      return {
+        agency: formatAgencyBlock(formData),
+        date: new Date().toISOString().split('T')[0],
+        namedInsured: parseFullNameToAnvil(formData.legal_name),
+        effectiveDate: formData.policy_eff_date,
+        feinOrSocSec: formData.fein,
+        occurrence: formData.coverage_form === 'Occurrence' || undefined,
+        claimsMade: formData.coverage_form === 'Claims Made' || undefined,
+        generalAggregate: toAnvilNumber(formData.general_aggregate_limit),
+        productsCompletedOperationsAggregate: toAnvilNumber(formData.products_aggregate_limit),
+        personalAdvertisingInjury: toAnvilNumber(formData.personal_adv_injury_limit),
+        eachOccurrence: toAnvilNumber(formData.each_occurrence_limit),
+        damageToRentedPremises: toAnvilNumber(formData.damage_to_rented_premises_limit),
+        medicalExpense: toAnvilNumber(formData.medical_expense_limit),
+        deductible: toAnvilNumber(formData.deductible),
+        classCode: formData.class_code,
+        classification: formData.classification_description,
+        premiumBasis: formData.premium_basis,
+        exposure: toAnvilNumber(formData.exposure),
+        subcontractorsUsed: formData.has_subcontractors || undefined,
+      };
+    },
+  },
+};
@@ -0,0 +1,138 @@
+// config/forms/acord130.js
+import {
+  applyDefaultsForSchema, validateFormAgainstSchema, POLICY_TERM_RULES, isNonEmptyString, isNonNegativeInteger, isEmpty
+} from '../formSchema';
+import { AGENCY_FIELDS, POLICY_FIELDS, pickFields, limitField } from './common';
+import {
+  toAnvilAddress, parseFullNameToAnvil, formatPhoneToAnvil, formatAgencyBlock, toAnvilNumber
+} from '../../lib/anvilFormatters';
+
+const isStateCode = (v) => typeof v === 'string' && /^[A-Za-z]{2}$/.test(v.trim());
+
+const headcountField = (label, required) => ({
+  label,
+  type: 'number',
+  required,
+  integer: true,
+  validation: required ? isNonNegativeInteger : (v) => isEmpty(v) || isNonNegativeInteger(v),
+  errorMessage: `${label} must be a whole number.`,
+});
+
+const schema = {
+  ...pickFields([
+    ...AGENCY_FIELDS, ...POLICY_FIELDS,
+    'legal_name', 'applicant_address', 'business_phone', 'applicant_entity_type', 'fein',
+    'contact_name', 'contact_email', 'contact_phone',
+  ]),
+
+  // --- Part 1 / Part 2 Coverage ---
+  rating_state: {
+    label: 'Rating State',
+    type: 'text',
+    required: true,
+    format: 'state',
+    validation: isStateCode,
+    errorMessage: 'Rating State must be a 2-letter state code.',
+  },
+  el_each_accident_limit: limitField("Employers' Liability - Each Accident ($)"),
+  el_disease_each_employee_limit: limitField("Employers' Liability - Disease, Each Employee ($)"),
+  el_disease_policy_limit: limitField("Employers' Liability - Disease, Policy Limit ($)"),
+
+  // --- Rating Information (first classification) ---
+  class_code: {
+    label: 'WC Class Code',
+    type: 'text',
+    required: true,
+    validation: (v) => typeof v === 'string' && /^\d{4}$/.test(v.trim()),
+    errorMessage: 'Invalid WC Class Code. Expected 4 digits.',
+  },
+  class_description: {
+    label: 'Class Description',
+    type: 'textarea',
+    required: true,
+    validation: isNonEmptyString,
+  },
+  full_time_employees: headcountField('Full-Time Employees', true),
+  part_time_employees: headcountField('Part-Time Employees', false),
+  estimated_annual_payroll: limitField('Estimated Annual Payroll ($)'),
+  experience_mod: {
+    label: 'Experience Modification',
+    type: 'number',
+    required: false,
+    validation: (v) => isEmpty(v) || (typeof v === 'number' && v > 0 && v < 5),
+    errorMessage: 'Experience Modification must be between 0 and 5 (e.g. 0.95).',
+  },
+  owners_included: {
+    label: 'Owners/Officers Included',
+    type: 'checkbox',
+    required: false,
+    validation: (v) => isEmpty(v) || typeof v === 'boolean',
+  },
+};
+
+const FIELD_DEFAULTS = {
+  el_each_accident_limit: 1000000,
+  el_disease_each_employee_limit: 1000000,
+  el_disease_policy_limit: 1000000,
+};
+
+// ACORD 130 - Workers Compensation Application
+export const acord130Form = {
+  formType: 'acord130',
+  title: 'ACORD 130',
+  description: 'Workers Compensation Application',
+  schema,
+  applyDefaults: (data, agencyProfile) => applyDefaultsForSchema(schema, FIELD_DEFAULTS, data, agencyProfile),
+  validate: (data, options) => validateFormAgainstSchema(schema, data, { ...options, rules: POLICY_TERM_RULES }),
+
+  sections: [
+    { title: 'Agency Information', fields: AGENCY_FIELDS },
+    { title: 'Policy Information', fields: POLICY_FIELDS },
+    { title: 'Applicant Information', fields: ['legal_name', 'applicant_address', 'business_phone', 'applicant_entity_type', 'fein'] },
+    { title: 'Contact Information', fields: ['contact_name', 'contact_email', 'contact_phone'] },
+    { title: 'Coverage', fields: ['rating_state', 'el_each_accident_limit', 'el_disease_each_employee_limit', 'el_disease_policy_limit'] },
+    { title: 'Rating Information', fields: ['class_code', 'class_description', 'full_time_employees', 'part_time_employees', 'estimated_annual_payroll', 'experience_mod', 'owners_included'] },
+  ],
+
+  extraction: {
+    hints: {
+      rating_state: 'The 2-letter state where most employees work.',
+      class_code: 'The 4-digit NCCI workers compensation class code, only if stated.',
+      estimated_annual_payroll: 'Total annual payroll in dollars, not revenue.',
+      experience_mod: 'The experience modification factor, e.g. "0.92". Only if stated.',
+    },
+  },
+
+  pdf: {
+    castEid: process.env.ANVIL_CAST_EID_ACORD130,
+    fileSuffix: 'ACORD130',
+    requiredKeys: { applicantName: 'Applicant Name', mailingAddress: 'Mailing Address', proposedEffectiveDate: 'Effective Date' },
+    buildPayload(formData) {
+      return {
+        agency: formatAgencyBlock(formData),
+        date: new Date().toISOString().split('T')[0],
+        proposedEffectiveDate: formData.policy_eff_date,
+        proposedExpirationDate: formData.policy_exp_date,
+        applicantName: parseFullNameToAnvil(formData.legal_name),
+        mailingAddress: toAnvilAddress(formData.applicant_address),
+        businessPhone: formatPhoneToAnvil(formData.business_phone),
+        applicantBusinessType: formData.applicant_entity_type,
+        feinOrSocSec: formData.fein,
+        contactName: formData.contact_name,
+        contactEmail: formData.contact_email,
+        contactPhone: formatPhoneToAnvil(formData.contact_phone),
+        ratingState: formData.rating_state?.toUpperCase(),
+        elEachAccident: toAnvilNumber(formData.el_each_accident_limit),
+        elDiseaseEachEmployee: toAnvilNumber(formData.el_disease_each_employee_limit),
+        elDiseasePolicyLimit: toAnvilNumber(formData.el_disease_policy_limit),
+        classCode: formData.class_code,
+        classDescription: formData.class_description,
+        fullTimeEmployees: toAnvilNumber(formData.full_time_employees),
+        partTimeEmployees: toAnvilNumber(formData.part_time_employees),
+        estimatedAnnualRemuneration: toAnvilNumber(formData.estimated_annual_payroll),
+        experienceMod: toAnvilNumber(formData.experience_mod),
+        ownersIncluded: formData.owners_included || undefined,
+      };
+    },
+  },
+};
@@ -0,0 +1,154 @@
+// config/forms/acord140.js
+import {
+  formSchema, applyDefaultsForSchema, validateFormAgainstSchema, POLICY_TERM_RULES, isValidOption, isNonNegativeInteger, isEmpty
+} from '../formSchema';
+import { AGENCY_FIELDS, POLICY_FIELDS, pickFields, limitField } from './common';
+import { toAnvilAddress, parseFullNameToAnvil, formatAgencyBlock, toAnvilNumber } from '../../lib/anvilFormatters';
+
+const constructionOptions = [
+  { value: 'Frame', label: 'Frame' },
+  { value: 'Joisted Masonry', label: 'Joisted Masonry' },
+  { value: 'Non-Combustible', label: 'Non-Combustible' },
+  { value: 'Masonry Non-Combustible', label: 'Masonry Non-Combustible' },
+  { value: 'Modified Fire Resistive', label: 'Modified Fire Resistive' },
+  { value: 'Fire Resistive', label: 'Fire Resistive' },
+];
+
+const causeOfLossOptions = [
+  { value: 'Basic', label: 'Basic' },
+  { value: 'Broad', label: 'Broad' },
+  { value: 'Special', label: 'Special' },
+];
+
+const valuationOptions = [
+  { value: 'RC', label: 'Replacement Cost' },
+  { value: 'ACV', label: 'Actual Cash Value' },
+];
+
+const coinsuranceOptions = [
+  { value: '80', label: '80%' },
+  { value: '90', label: '90%' },
+  { value: '100', label: '100%' },
+];
+
+const selectField = (label, options, required = true) => ({
+  label,
+  type: 'select',
+  required,
+  options,
+  validation: required ? (v) => isValidOption(v, options) : (v) => isEmpty(v) || isValidOption(v, options),
+});
+
+const currentYear = new Date().getFullYear();
+
+const schema = {
+  ...pickFields([...AGENCY_FIELDS, ...POLICY_FIELDS, 'legal_name']),
+
+  // --- Building Information (one building per ACORD 140) ---
+  // Same rules as an ACORD 125 location address
+  premise_address: {
+    ...formSchema.premises.fields.address,
+    label: 'Premises Address',
+  },
+  construction_type: selectField('Construction Type', constructionOptions),
+  year_built: {
+    label: 'Year Built',
+    type: 'number',
+    required: true,
+    integer: true,
+    validation: (v) => isNonNegativeInteger(v) && v >= 1800 && v <= currentYear + 1,
+    errorMessage: `Year Built must be a year between 1800 and ${currentYear + 1}.`,
+  },
+  num_stories: {
+    label: 'Number of Stories',
+    type: 'number',
+    required: false,
+    integer: true,
+    validation: (v) => isEmpty(v) || (isNonNegativeInteger(v) && v > 0),
+    errorMessage: 'Number of Stories must be a whole number of at least 1.',
+  },
+  total_area_sqft: limitField('Total Area (sq ft)', false),
+  protection_class: {
+    label: 'Protection Class',
+    type: 'text',
+    required: false,
+    validation: (v) => isEmpty(v) || /^(10|[1-9])(X|Y|W)?$/i.test(String(v).trim()),
+    errorMessage: 'Protection Class must be 1-10 (optionally with an X/Y/W suffix).',
+  },
+  sprinklered: {
+    label: 'Sprinklered',
+    type: 'checkbox',
+    required: false,
+    validation: (v) => isEmpty(v) || typeof v === 'boolean',
+  },
+
+  // --- Subjects of Insurance ---
+  building_limit: limitField('Building Limit ($)', false),
+  business_personal_property_limit: limitField('Business Personal Property Limit ($)', false),
+  business_income_limit: limitField('Business Income Limit ($)', false),
+  cause_of_loss: selectField('Causes of Loss', causeOfLossOptions),
+  valuation: selectField('Valuation', valuationOptions),
+  coinsurance_pct: selectField('Coinsurance', coinsuranceOptions, false),
+  deductible: limitField('Deductible ($)', false),
+};
+
+const FIELD_DEFAULTS = {
+  cause_of_loss: 'Special',
+  valuation: 'RC',
+  coinsurance_pct: '80',
+};
+
+// ACORD 140 - Property Section
+export const acord140Form = {
+  formType: 'acord140',
+  title: 'ACORD 140',
+  description: 'Property Section',
+  schema,
+  applyDefaults: (data, agencyProfile) => applyDefaultsForSchema(schema, FIELD_DEFAULTS, data, agencyProfile),
+  validate: (data, options) => validateFormAgainstSchema(schema, data, { ...options, rules: POLICY_TERM_RULES }),
+
+  sections: [
+    { title: 'Agency Information', fields: AGENCY_FIELDS },
+    { title: 'Policy Information', fields: [...POLICY_FIELDS, 'legal_name'] },
+    { title: 'Premises & Building', fields: ['premise_address', 'construction_type', 'year_built', 'num_stories', 'total_area_sqft', 'protection_class', 'sprinklered'] },
+    { title: 'Subjects of Insurance', fields: ['building_limit', 'business_personal_property_limit', 'business_income_limit', 'cause_of_loss', 'valuation', 'coinsurance_pct', 'deductible'] },
+  ],
+
+  extraction: {
+    hints: {
+      construction_type: 'ISO construction class of the building, only if the facts describe it.',
+      year_built: 'Four-digit year the building was built.',
+      building_limit: 'Insured value of the building itself, not contents.',
+      business_personal_property_limit: 'Insured value of contents, equipment and inventory.',
+      sprinklered: 'Answer "yes" only if the facts say the building has automatic sprinklers.',
+    },
+  },
+
+  pdf: {
+    castEid: process.env.ANVIL_CAST_EID_ACORD140,
+    fileSuffix: 'ACORD140',
+    requiredKeys: { namedInsured: 'Applicant Name', street: 'Premises Address', effectiveDate: 'Effective Date' },
+    buildPayload(formData) {
+      return {
+        agency: formatAgencyBlock(formData),
+        date: new Date().toISOString().split('T')[0],
+        namedInsured: parseFullNameToAnvil(formData.legal_name),
+        effectiveDate: formData.policy_eff_date,
+        street: toAnvilAddress(formData.premise_address),
+        constructionType: formData.construction_type,
+        yearBuilt: toAnvilNumber(formData.year_built),
+        numberOfStories: toAnvilNumber(formData.num_stories),
+        totalArea: toAnvilNumber(formData.total_area_sqft),
+        protectionClass: formData.protection_class,
+        sprinklered: formData.sprinklered || undefined,
+        buildingAmount: toAnvilNumber(formData.building_limit),
+        businessPersonalPropertyAmount: toAnvilNumber(formData.business_personal_property_limit),
+        businessIncomeAmount: toAnvilNumber(formData.business_income_limit),
+        causesOfLoss: formData.cause_of_loss,
+        valuation: formData.valuation,
+        coinsurance: formData.coinsurance_pct,
+        deductible: toAnvilNumber(formData.deductible),
+      };
+    },
+  },
+};
@@ -0,0 +1,24 @@
+// config/forms/common.js
+// Pieces the supplemental ACORD forms share with the ACORD 125 schema
+import { formSchema, isEmpty, isNonNegativeNumber } from '../formSchema';
+
+export { AGENCY_FIELDS } from '../formSchema';
+export const POLICY_FIELDS = ['policy_eff_date', 'policy_exp_date'];
+
+// Re-use ACORD 125 field definitions so shared fields validate identically everywhere
+export function pickFields(keys) {
+  return keys.reduce((picked, key) => {
+    picked[key] = formSchema[key];
+    return picked;
+  }, {});
+}
+
+// Optional dollar/count fields: empty, or a non-negative number
+export const isOptionalAmount = (v) => isEmpty(v) || isNonNegativeNumber(v);
+
+export const limitField = (label, required = true) => ({
+  label,
+  type: 'number',
+  required,
+  validation: required ? isNonNegativeNumber : isOptionalAmount,
+});
@@ -0,0 +1,272 @@
+// config/industryCodes.js
+import { NAICS_2017_CODES } from './naicsCodes';
+import { SIC_1987_CODES, SIC_NAICS_CONCORDANCE } from './sicCodes';
+
+// SIC divisions (by 2-digit major group) and the NAICS sectors their industries
+// were split into. A SIC and NAICS code from unrelated divisions/sectors
+// describe different businesses, which usually means one of them is wrong.
+const SIC_DIVISIONS = [
+    { name: 'Agriculture, Forestry & Fishing', from: 1, to: 9, naicsSectors: ['11', '54', '56'] },
+    { name: 'Mining', from: 10, to: 14, naicsSectors: ['21'] },
+    { name: 'Construction', from: 15, to: 17, naicsSectors: ['23'] },
+    { name: 'Manufacturing', from: 20, to: 39, naicsSectors: ['31', '32', '33', '51'] },
+    { name: 'Transportation, Communications & Utilities', from: 40, to: 49, naicsSectors: ['22', '48', '49', '51', '56'] },
+    { name: 'Wholesale Trade', from: 50, to: 51, naicsSectors: ['42'] },
+    { name: 'Retail Trade', from: 52, to: 59, naicsSectors: ['44', '45', '72'] },
+    { name: 'Finance, Insurance & Real Estate', from: 60, to: 67, naicsSectors: ['52', '53', '55'] },
+    { name: 'Services', from: 70, to: 89, naicsSectors: ['51', '53', '54', '56', '61', '62', '71', '72', '81'] },
+    { name: 'Public Administration', from: 91, to: 97, naicsSectors: ['92'] },
+];
+
+// Division for a 4-digit SIC code, or null (e.g. 99xx "Nonclassifiable")
+export function getSicDivision(sic) {
+    const majorGroup = parseInt(String(sic).trim().slice(0, 2), 10);
+    if (isNaN(majorGroup)) return null;
+    return SIC_DIVISIONS.find(division => majorGroup >= division.from && majorGroup <= division.to) || null;
+}
+
+// True when the NAICS code's sector is one the SIC division maps into.
+// Codes we can't place are treated as consistent rather than flagged.
+export function areSicNaicsConsistent(sic, naics) {
+    const division = getSicDivision(sic);
+    if (!division) return true;
+    return division.naicsSectors.includes(String(naics).trim().slice(0, 2));
+}
+
+// --- Code lists ---
+// Every SIC industry (1987 manual, config/sicCodes.js) and every 2017 NAICS
+// industry (config/naicsCodes.js), plus the 2022 NAICS codes of the
+// industries below. Codes outside these lists fail validation.
+
+// Industries common on small commercial accounts, for matching business
+// descriptions: [SIC, NAICS, NAICS title, description keywords].
+const INDUSTRIES = [
+    // Construction
+    ['1521', '236115', 'New Single-Family Housing Construction (except For-Sale Builders)', ['home builder', 'custom homes', 'residential construction']],
+    ['1521', '236118', 'Residential Remodelers', ['remodeling', 'remodeler', 'renovation', 'kitchen and bath']],
+    ['1522', '236116', 'New Multifamily Housing Construction (except For-Sale Builders)', ['multifamily construction', 'apartment construction']],
+    ['1531', '236117', 'New Housing For-Sale Builders', ['spec homes', 'for-sale homes']],
+    ['1541', '236210', 'Industrial Building Construction', ['industrial construction', 'warehouse construction']],
+    ['1542', '236220', 'Commercial and Institutional Building Construction', ['general contractor', 'commercial construction', 'tenant improvement']],
+    ['1611', '237310', 'Highway, Street, and Bridge Construction', ['paving', 'asphalt', 'road construction']],
+    ['1623', '237110', 'Water and Sewer Line and Related Structures Construction', ['sewer', 'water line', 'utility construction']],
+    ['1711', '238220', 'Plumbing, Heating, and Air-Conditioning Contractors', ['plumbing', 'plumber', 'hvac', 'heating and air']],
+    ['1721', '238320', 'Painting and Wall Covering Contractors', ['painting contractor', 'painter', 'wallpaper']],
+    ['1731', '238210', 'Electrical Contractors and Other Wiring Installation Contractors', ['electrical contractor', 'electrician', 'wiring']],
+    ['1741', '238140', 'Masonry Contractors', ['masonry', 'mason', 'brick', 'stonework']],
+    ['1742', '238310', 'Drywall and Insulation Contractors', ['drywall', 'insulation', 'plastering']],
+    ['1751', '238350', 'Finish Carpentry Contractors', ['carpentry', 'carpenter', 'trim work']],
+    ['1751', '238130', 'Framing Contractors', ['framing', 'framer']],
+    ['1752', '238330', 'Flooring Contractors', ['flooring', 'floor installation', 'carpet installation']],
+    ['1761', '238160', 'Roofing Contractors', ['roofing', 'roofer', 'reroofing', 'shingles']],
+    ['1761', '238170', 'Siding Contractors', ['siding', 'gutters']],
+    ['1771', '238110', 'Poured Concrete Foundation and Structure Contractors', ['concrete', 'foundations', 'flatwork']],
+    ['1791', '238120', 'Structural Steel and Precast Concrete Contractors', ['steel erection', 'ironworker', 'structural steel']],
+    ['1793', '238150', 'Glass and Glazing Contractors', ['glazing', 'glass installation']],
+    ['1794', '238910', 'Site Preparation Contractors', ['excavation', 'grading', 'site work']],
+    ['1795', '238910', 'Site Preparation Contractors', ['demolition', 'wrecking']],
+    ['0781', '541320', 'Landscape Architectural Services', ['landscape architect', 'landscape design']],
+    ['0782', '561730', 'Landscaping Services', ['landscaping', 'lawn care', 'lawn mowing', 'tree trimming']],
+
+    // Food and drink
+    ['5812', '722511', 'Full-Service Restaurants', ['restaurant', 'dining', 'bistro', 'diner']],
+    ['5812', '722513', 'Limited-Service Restaurants', ['fast food', 'takeout', 'pizza', 'sandwich shop', 'food truck']],
+    ['5812', '722515', 'Snack and Nonalcoholic Beverage Bars', ['coffee shop', 'cafe', 'ice cream', 'juice bar']],
+    ['5812', '722320', 'Caterers', ['catering', 'caterer']],
+    ['5813', '722410', 'Drinking Places (Alcoholic Beverages)', ['bar', 'tavern', 'pub', 'nightclub']],
+    ['5461', '311811', 'Retail Bakeries', ['bakery', 'baked goods', 'pastries']],
+    ['2051', '311812', 'Commercial Bakeries', ['wholesale bakery', 'commercial bakery']],
+    ['2082', '312120', 'Breweries', ['brewery', 'brewpub', 'craft beer']],
+    ['2084', '312130', 'Wineries', ['winery', 'vineyard']],
+    ['2086', '312111', 'Soft Drink Manufacturing', ['soft drinks', 'bottling']],
+
+    // Retail
+    ['5411', '445110', 'Supermarkets and Other Grocery Retailers (except Convenience Retailers)', ['grocery', 'supermarket']],
+    ['5411', '445131', 'Convenience Retailers', ['convenience store']],
+    ['5921', '445320', 'Beer, Wine, and Liquor Retailers', ['liquor store', 'wine shop']],
+    ['5251', '444140', 'Hardware Retailers', ['hardware store']],
+    ['5261', '444240', 'Nursery, Garden Center, and Farm Supply Retailers', ['garden center', 'nursery']],
+    ['5311', '455110', 'Department Stores', ['department store']],
+    ['5511', '441110', 'New Car Dealers', ['car dealership', 'auto dealer']],
+    ['5521', '441120', 'Used Car Dealers', ['used cars']],
+    ['5531', '441330', 'Automotive Parts and Accessories Retailers', ['auto parts']],
+    ['5541', '457110', 'Gasoline Stations with Convenience Stores', ['gas station', 'fuel station']],
+    ['5651', '458110', 'Clothing and Clothing Accessories Retailers', ['clothing store', 'apparel store', 'boutique']],
+    ['5712', '449110', 'Furniture Retailers', ['furniture store']],
+    ['5731', '449210', 'Electronics and Appliance Retailers', ['electronics store', 'appliance store']],
+    ['5912', '456110', 'Pharmacies and Drug Retailers', ['pharmacy', 'drugstore']],
+    ['5941', '459110', 'Sporting Goods Retailers', ['sporting goods', 'bike shop']],
+    ['5942', '459210', 'Book Retailers and News Dealers', ['bookstore']],
+    ['5944', '458310', 'Jewelry Retailers', ['jewelry', 'jeweler']],
+    ['5992', '459310', 'Florists', ['florist', 'flower shop']],
+    ['5995', '456130', 'Optical Goods Retailers', ['optical store', 'eyeglasses']],
+    ['5999', '459999', 'All Other Miscellaneous Retailers', ['retail store', 'gift shop']],
+
+    // Wholesale
+    ['5031', '423310', 'Lumber, Plywood, Millwork, and Wood Panel Merchant Wholesalers', ['lumber yard', 'lumber supply']],
+    ['5047', '423450', 'Medical, Dental, and Hospital Equipment and Supplies Merchant Wholesalers', ['medical supply distributor']],
+    ['5063', '423610', 'Electrical Apparatus and Equipment, Wiring Supplies, and Related Equipment Merchant Wholesalers', ['electrical supply']],
+    ['5074', '423720', 'Plumbing and Heating Equipment and Supplies (Hydronics) Merchant Wholesalers', ['plumbing supply']],
+    ['5141', '424410', 'General Line Grocery Merchant Wholesalers', ['food distributor', 'grocery wholesale']],
+    ['5181', '424810', 'Beer and Ale Merchant Wholesalers', ['beer distributor']],
+    ['5182', '424820', 'Wine and Distilled Alcoholic Beverage Merchant Wholesalers', ['wine distributor', 'liquor distributor']],
+
+    // Manufacturing
+    ['2434', '337110', 'Wood Kitchen Cabinet and Countertop Manufacturing', ['cabinet maker', 'cabinetry', 'countertops']],
+    ['2511', '337122', 'Nonupholstered Wood Household Furniture Manufacturing', ['furniture maker', 'woodworking']],
+    ['2752', '323111', 'Commercial Printing (except Screen and Books)', ['print shop', 'commercial printing']],
+    ['3089', '326199', 'All Other Plastics Product Manufacturing', ['plastics', 'injection molding']],
+    ['3441', '332312', 'Fabricated Structural Metal Manufacturing', ['steel fabrication', 'metal fabrication']],
+    ['3599', '332710', 'Machine Shops', ['machine shop', 'cnc machining']],
+
+    // Transportation and warehousing
+    ['4212', '484110', 'General Freight Trucking, Local', ['local trucking', 'delivery service']],
+    ['4213', '484121', 'General Freight Trucking, Long-Distance, Truckload', ['long haul', 'trucking company', 'freight hauling']],
+    ['4214', '484210', 'Used Household and Office Goods Moving', ['moving company', 'movers']],
+    ['4121', '485310', 'Taxi and Ridesharing Services', ['taxi', 'limousine']],
+    ['4225', '493110', 'General Warehousing and Storage', ['warehousing', 'warehouse storage']],
+
+    // Real estate, finance and insurance
+    ['6513', '531110', 'Lessors of Residential Buildings and Dwellings', ['apartments', 'apartment building', 'rental units', 'landlord']],
+    ['6512', '531120', 'Lessors of Nonresidential Buildings (except Miniwarehouses)', ['commercial property', 'shopping center', 'office building owner']],
+    ['4225', '531130', 'Lessors of Miniwarehouses and Self-Storage Units', ['self storage', 'storage units']],
+    ['6531', '531210', 'Offices of Real Estate Agents and Brokers', ['real estate agent', 'realtor', 'real estate brokerage']],
+    ['6531', '531311', 'Residential Property Managers', ['property management', 'property manager']],
+    ['6411', '524210', 'Insurance Agencies and Brokerages', ['insurance agency', 'insurance broker']],
+
+    // Lodging and personal services
+    ['7011', '721110', 'Hotels (except Casino Hotels) and Motels', ['hotel', 'motel', 'inn']],
+    ['7215', '812310', 'Coin-Operated Laundries and Drycleaners', ['laundromat', 'coin laundry']],
+    ['7216', '812320', 'Drycleaning and Laundry Services (except Coin-Operated)', ['dry cleaner', 'dry cleaning']],
+    ['7231', '812112', 'Beauty Salons', ['salon', 'hair salon', 'nail salon']],
+    ['7241', '812111', 'Barber Shops', ['barber']],
+    ['0742', '541940', 'Veterinary Services', ['veterinary', 'veterinarian', 'animal hospital']],
+    ['0752', '812910', 'Pet Care (except Veterinary) Services', ['pet grooming', 'dog grooming', 'boarding kennel', 'doggy daycare']],
+
+    // Business services
+    ['7311', '541810', 'Advertising Agencies', ['advertising agency', 'marketing agency']],
+    ['7342', '561710', 'Exterminating and Pest Control Services', ['pest control', 'exterminator']],
+    ['7349', '561720', 'Janitorial Services', ['janitorial', 'cleaning service', 'commercial cleaning']],
+    ['7371', '541511', 'Custom Computer Programming Services', ['software development', 'web development', 'app development']],
+    ['7372', '513210', 'Software Publishers', ['software company', 'saas']],
+    ['7373', '541512', 'Computer Systems Design Services', ['it consulting', 'systems integration', 'managed it']],
+    ['7374', '518210', 'Computing Infrastructure Providers, Data Processing, Web Hosting, and Related Services', ['data processing', 'web hosting']],
+    ['7381', '561612', 'Security Guards and Patrol Services', ['security guard', 'security services']],
+
+    // Automotive services
+    ['7514', '532111', 'Passenger Car Rental', ['car rental']],
+    ['7532', '811121', 'Automotive Body, Paint, and Interior Repair and Maintenance', ['body shop', 'collision repair', 'auto body']],
+    ['7538', '811111', 'General Automotive Repair', ['auto repair', 'mechanic', 'repair shop']],
+    ['7542', '811192', 'Car Washes', ['car wash']],
+
+    // Recreation
+    ['7991', '713940', 'Fitness and Recreational Sports Centers', ['gym', 'fitness center', 'yoga studio']],
+
+    // Health, education and social services
+    ['8011', '621111', 'Offices of Physicians (except Mental Health Specialists)', ['physician', 'medical practice', 'medical clinic']],
+    ['8021', '621210', 'Offices of Dentists', ['dentist', 'dental practice', 'dental office']],
+    ['8041', '621310', 'Offices of Chiropractors', ['chiropractor', 'chiropractic']],
+    ['8042', '621320', 'Offices of Optometrists', ['optometrist', 'eye exams']],
+    ['8051', '623110', 'Nursing Care Facilities (Skilled Nursing Facilities)', ['nursing home', 'skilled nursing']],
+    ['8062', '622110', 'General Medical and Surgical Hospitals', ['hospital']],
+    ['8211', '611110', 'Elementary and Secondary Schools', ['private school', 'elementary school', 'high school']],
+    ['8351', '624410', 'Child Care Services', ['daycare', 'day care', 'child care', 'preschool']],
+
+    // Professional services
+    ['8111', '541110', 'Offices of Lawyers', ['law firm', 'attorney', 'lawyer']],
+    ['8711', '541330', 'Engineering Services', ['engineering firm', 'civil engineering']],
+    ['8712', '541310', 'Architectural Services', ['architect', 'architecture firm']],
+    ['8721', '541211', 'Offices of Certified Public Accountants', ['accounting firm', 'cpa', 'bookkeeping', 'tax preparation']],
+    ['8742', '541611', 'Administrative Management and General Management Consulting Services', ['management consulting', 'business consulting']],
+    ['8743', '541820', 'Public Relations Agencies', ['public relations']],
+
+    // Membership organizations
+    ['8641', '813410', 'Civic and Social Organizations', ['civic association', 'fraternal', 'social club']],
+    ['8661', '813110', 'Religious Organizations', ['church', 'synagogue', 'mosque', 'congregation']],
+];
+
+export const SIC_CODES = SIC_1987_CODES;
+export const NAICS_CODES = {
+    ...NAICS_2017_CODES,
+    ...Object.fromEntries(INDUSTRIES.map(([, naics, naicsTitle]) => [naics, naicsTitle])),
+};
+
+const cleanCode = (code) => String(code ?? '').trim();
+
+// Title of a listed SIC code, or null
+export function getSicTitle(sic) {
+    return SIC_CODES[cleanCode(sic)] || null;
+}
+
+// Title of a listed NAICS code, or null
+export function getNaicsTitle(naics) {
+    return NAICS_CODES[cleanCode(naics)] || null;
+}
+
+export const isKnownSicCode = (v) => getSicTitle(v) !== null;
+export const isKnownNaicsCode = (v) => getNaicsTitle(v) !== null;
+
+// Options for the code pickers: "1761 - Roofing, Siding, and Sheet Metal Work"
+export const SIC_OPTIONS = Object.entries(SIC_CODES)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([value, title]) => ({ value, label: `${value} - ${title}` }));
+export const NAICS_OPTIONS = Object.entries(NAICS_CODES)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([value, title]) => ({ value, label: `${value} - ${title}` }));
+
+// Crosswalk (the SIC to NAICS concordance): the 2017 NAICS codes a SIC code
+// became, primary match first, and the SIC codes a NAICS code came from,
+// those it is the primary match of first. 2022-only NAICS codes have none.
+export const naicsForSic = (sic) => SIC_NAICS_CONCORDANCE[cleanCode(sic)] || [];
+export const sicForNaics = (naics) => Object.entries(SIC_NAICS_CONCORDANCE)
+    .filter(([, naicsCodes]) => naicsCodes.includes(cleanCode(naics)))
+    .sort(([, a], [, b]) => a.indexOf(cleanCode(naics)) - b.indexOf(cleanCode(naics)))
+    .map(([sic]) => sic);
+
+/**
+ * Industries a free-text business description points to, best match first:
+ * [{ sic, naics, title, matched }]. Matching is on whole keywords, so
+ * "re-roofing" finds roofing but "barber" doesn't find "bar".
+ */
+export function suggestIndustryCodes(text, limit = 3) {
+    const haystack = ` ${String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+    if (haystack.trim() === '') return [];
+    return INDUSTRIES
+        .map(([sic, naics, naicsTitle, keywords]) => ({
+            sic,
+            naics,
+            title: naicsTitle,
+            matched: keywords.filter(keyword => haystack.includes(` ${keyword.replace(/[^a-z0-9]+/g, ' ')} `)),
+        }))
+        .filter(suggestion => suggestion.matched.length > 0)
+        .sort((a, b) => b.matched.length - a.matched.length)
+        .slice(0, limit);
+}
+
+/**
+ * A code for an empty `sic` or `naics` field: the crosswalk from the other
+ * code when it is filled, else the best match for the business description.
+ *
+ * @param {'sic'|'naics'} codeSystem
+ * @returns {{ code: string, title: string, reason: string }|null}
+ */
+export function suggestIndustryCode(codeSystem, formData = {}) {
+    const isSic = codeSystem === 'sic';
+    const otherCode = cleanCode(formData[isSic ? 'naics' : 'sic']);
+    const crosswalked = otherCode ? (isSic ? sicForNaics(otherCode) : naicsForSic(otherCode))[0] : null;
+    if (crosswalked) {
+        return {
+            code: crosswalked,
+            title: isSic ? getSicTitle(crosswalked) : getNaicsTitle(crosswalked),
+            reason: `Matches ${isSic ? 'NAICS' : 'SIC'} ${otherCode}`,
+        };
+    }
+    const [best] = suggestIndustryCodes(formData.business_description, 1);
+    if (!best) return null;
+    const code = isSic ? best.sic : best.naics;
+    return {
+        code,
+        title: isSic ? getSicTitle(code) : getNaicsTitle(code),
+        reason: `From the business description ("${best.matched[0]}")`,
+    };
+}
@@ -0,0 +1,2022 @@
+// config/sicCodes.js
+
+// Every 4-digit industry in the 1987 SIC manual (1,005 codes), the last
+// edition of the SIC system.
+export const SIC_1987_CODES = {
+    '0111': 'Wheat',
+    '0112': 'Rice',
+    '0115': 'Corn',
+    '0116': 'Soybeans',
+    '0119': 'Cash Grains, Not Elsewhere Classified',
+    '0131': 'Cotton',
+    '0132': 'Tobacco',
+    '0133': 'Sugarcane and Sugar Beets',
+    '0134': 'Irish Potatoes',
+    '0139': 'Field Crops, Except Cash Grains, Not Elsewhere Classified',
+    '0161': 'Vegetables and Melons',
+    '0171': 'Berry Crops',
+    '0172': 'Grapes',
+    '0173': 'Tree Nuts',
+    '0174': 'Citrus Fruits',
+    '0175': 'Deciduous Tree Fruits',
+    '0179': 'Fruits and Tree Nuts, Not Elsewhere Classified',
+    '0181': 'Ornamental Floriculture and Nursery Products',
+    '0182': 'Food Crops Grown Under Cover',
+    '0191': 'General Farms, Primarily Crop',
+    '0211': 'Beef Cattle Feedlots',
+    '0212': 'Beef Cattle, Except Feedlots',
+    '0213': 'Hogs',
+    '0214': 'Sheep and Goats',
+    '0219': 'General Livestock, Except Dairy and Poultry',
+    '0241': 'Dairy Farms',
+    '0251': 'Broiler, Fryer, and Roaster Chickens',
+    '0252': 'Chicken Eggs',
+    '0253': 'Turkeys and Turkey Eggs',
+    '0254': 'Poultry Hatcheries',
+    '0259': 'Poultry and Eggs, Not Elsewhere Classified',
+    '0271': 'Fur-Bearing Animals and Rabbits',
+    '0272': 'Horses and Other Equines',
+    '0273': 'Animal Aquaculture',
+    '0279': 'Animal Specialties, Not Elsewhere Classified',
+    '0291': 'General Farms, Primarily Livestock and Animal Specialties',
+    '0711': 'Soil Preparation Services',
+    '0721': 'Crop Planting, Cultivating, and Protecting',
+    '0722': 'Crop Harvesting, Primarily by Machine',
+    '0723': 'Crop Preparation Services for Market, Except Cotton Ginning',
+    '0724': 'Cotton Ginning',
+    '0741': 'Veterinary Services for Livestock',
+    '0742': 'Veterinary Services for Animal Specialties',
+    '0751': 'Livestock Services, Except Veterinary',
+    '0752': 'Animal Specialty Services, Except Veterinary',
+    '0761': 'Farm Labor Contractors and Crew Leaders',
+    '0762': 'Farm Management Services',
+    '0781': 'Landscape Counseling and Planning',
+    '0782': 'Lawn and Garden Services',
+    '0783': 'Ornamental Shrub and Tree Services',
+    '0811': 'Timber Tracts',
+    '0831': 'Forest Nurseries and Gathering of Forest Products',
+    '0851': 'Forestry Services',
+    '0912': 'Finfish',
+    '0913': 'Shellfish',
+    '0919': 'Miscellaneous Marine Products',
+    '0921': 'Fish Hatcheries and Preserves',
+    '0971': 'Hunting and Trapping, and Game Propagation',
+    '1011': 'Iron Ores',
+    '1021': 'Copper Ores',
+    '1031': 'Lead and Zinc Ores',
+    '1041': 'Gold Ores',
+    '1044': 'Silver Ores',
+    '1061': 'Ferroalloy Ores, Except Vanadium',
+    '1081': 'Metal Mining Services',
+    '1094': 'Uranium-Radium-Vanadium Ores',
+    '1099': 'Miscellaneous Metal Ores, Not Elsewhere Classified',
+    '1221': 'Bituminous Coal and Lignite Surface Mining',
+    '1222': 'Bituminous Coal Underground Mining',
+    '1231': 'Anthracite Mining',
+    '1241': 'Coal Mining Services',
+    '1311': 'Crude Petroleum and Natural Gas',
+    '1321': 'Natural Gas Liquids',
+    '1381': 'Drilling Oil and Gas Wells',
+    '1382': 'Oil and Gas Field Exploration Services',
+    '1389': 'Oil and Gas Field Services, Not Elsewhere Classified',
+    '1411': 'Dimension Stone',
+    '1422': 'Crushed and Broken Limestone',
+    '1423': 'Crushed and Broken Granite',
+    '1429': 'Crushed and Broken Stone, Not Elsewhere Classified',
+    '1442': 'Construction Sand and Gravel',
+    '1446': 'Industrial Sand',
+    '1455': 'Kaolin and Ball Clay',
+    '1459': 'Clay, Ceramic, and Refractory Minerals, Not Elsewhere Classified',
+    '1474': 'Potash, Soda, and Borate Minerals',
+    '1475': 'Phosphate Rock',
+    '1479': 'Chemical and Fertilizer Mineral Mining, Not Elsewhere Classified',
+    '1481': 'Nonmetallic Minerals Services, Except Fuels',
+    '1499': 'Miscellaneous Nonmetallic Minerals, Except Fuels',
+    '1521': 'General Contractors-Single-Family Houses',
+    '1522': 'General Contractors-Residential Buildings, Other Than Single-Family',
+    '1531': 'Operative Builders',
+    '1541': 'General Contractors-Industrial Buildings and Warehouses',
+    '1542': 'General Contractors-Nonresidential Buildings, Other than Industrial Buildings and Warehouses',
+    '1611': 'Highway and Street Construction, Except Elevated Highways',
+    '1622': 'Bridge, Tunnel, and Elevated Highway Construction',
+    '1623': 'Water, Sewer, Pipeline, and Communications and Power Line Construction',
+    '1629': 'Heavy Construction, Not Elsewhere Classified',
+    '1711': 'Plumbing, Heating and Air-Conditioning',
+    '1721': 'Painting and Paper Hanging',
+    '1731': 'Electrical Work',
+    '1741': 'Masonry, Stone Setting, and Other Stone Work',
+    '1742': 'Plastering, Drywall, Acoustical, and Insulation Work',
+    '1743': 'Terrazzo, Tile, Marble, and Mosaic Work',
+    '1751': 'Carpentry Work',
+    '1752': 'Floor Laying and Other Floor Work, Not Elsewhere Classified',
+    '1761': 'Roofing, Siding, and Sheet Metal Work',
+    '1771': 'Concrete Work',
+    '1781': 'Water Well Drilling',
+    '1791': 'Structural Steel Erection',
+    '1793': 'Glass and Glazing Work',
+    '1794': 'Excavation Work',
+    '1795': 'Wrecking and Demolition Work',
+    '1796': 'Installation or Erection of Building Equipment, Not Elsewhere Classified',
+    '1799': 'Special Trade Contractors, Not Elsewhere Classified',
+    '2011': 'Meat Packing Plants',
+    '2013': 'Sausages and Other Prepared Meat Products',
+    '2015': 'Poultry Slaughtering and Processing',
+    '2021': 'Creamery Butter',
+    '2022': 'Natural, Processed, and Imitation Cheese',
+    '2023': 'Dry, Condensed, and Evaporated Dairy Products',
+    '2024': 'Ice Cream and Frozen Desserts',
+    '2026': 'Fluid Milk',
+    '2032': 'Canned Specialties',
+    '2033': 'Canned Fruits, Vegetables, Preserves, Jams, and Jellies',
+    '2034': 'Dried and Dehydrated Fruits, Vegetables, and Soup Mixes',
+    '2035': 'Pickled Fruits and Vegetables, Vegetable Sauces and Seasonings, and Salad Dressings',
+    '2037': 'Frozen Fruits, Fruit Juices, and Vegetables',
+    '2038': 'Frozen Specialties, Not Elsewhere Classified',
+    '2041': 'Flour and Other Grain Mill Products',
+    '2043': 'Cereal Breakfast Foods',
+    '2044': 'Rice Milling',
+    '2045': 'Prepared Flour Mixes and Doughs',
+    '2046': 'Wet Corn Milling',
+    '2047': 'Dog and Cat Food',
+    '2048': 'Prepared Feed and Feed Ingredients for Animals and Fowls, Except Dogs and Cats',
+    '2051': 'Bread and Other Bakery Products, Except Cookies and Crackers',
+    '2052': 'Cookies and Crackers',
+    '2053': 'Frozen Bakery Products, Except Bread',
+    '2061': 'Cane Sugar, Except Refining',
+    '2062': 'Cane Sugar Refining',
+    '2063': 'Beet Sugar',
+    '2064': 'Candy and Other Confectionery Products',
+    '2066': 'Chocolate and Cocoa Products',
+    '2067': 'Chewing Gum',
+    '2068': 'Salted and Roasted Nuts and Seeds',
+    '2074': 'Cottonseed Oil Mills',
+    '2075': 'Soybean Oil Mills',
+    '2076': 'Vegetable Oil Mills, Except Corn, Cottonseed, and Soybeans',
+    '2077': 'Animal and Marine Fats and Oils',
+    '2079': 'Shortening, Table Oils, Margarine, and Other Edible Fats and Oils, Not Elsewhere Classified',
+    '2082': 'Malt Beverages',
+    '2083': 'Malt',
+    '2084': 'Wines, Brandy, and Brandy Spirits',
+    '2085': 'Distilled and Blended Liquors',
+    '2086': 'Bottled and Canned Soft Drinks and Carbonated Waters',
+    '2087': 'Flavoring Extracts and Flavoring Syrups, Not Elsewhere Classified',
+    '2091': 'Canned and Cured Fish and Seafoods',
+    '2092': 'Prepared Fresh or Frozen Fish and Seafoods',
+    '2095': 'Roasted Coffee',
+    '2096': 'Potato Chips, Corn Chips, and Similar Snacks',
+    '2097': 'Manufactured Ice',
+    '2098': 'Macaroni, Spaghetti, Vermicelli, and Noodles',
+    '2099': 'Food Preparations, Not Elsewhere Classified',
+    '2111': 'Cigarettes',
+    '2121': 'Cigars',
+    '2131': 'Chewing and Smoking Tobacco and Snuff',
+    '2141': 'Tobacco Stemming and Redrying',
+    '2211': 'Broadwoven Fabric Mills, Cotton',
+    '2221': 'Broadwoven Fabric Mills, Manmade Fiber and Silk',
+    '2231': 'Broadwoven Fabric Mills, Wool (Including Dyeing and Finishing)',
+    '2241': 'Narrow Fabric and Other Smallwares Mills: Cotton, Wool, Silk, and Manmade Fiber',
+    '2251': "Women's Full-Length and Knee-Length Hosiery, Except Socks",
+    '2252': 'Hosiery, Not Elsewhere Classified',
+    '2253': 'Knit Outerwear Mills',
+    '2254': 'Knit Underwear and Nightwear Mills',
+    '2257': 'Weft Knit Fabric Mills',
+    '2258': 'Lace and Warp Knit Fabric Mills',
+    '2259': 'Knitting Mills, Not Elsewhere Classified',
+    '2261': 'Finishers of Broadwoven Fabrics of Cotton',
+    '2262': 'Finishers of Broadwoven Fabrics of Manmade Fiber and Silk',
+    '2269': 'Finishers of Textiles, Not Elsewhere Classified',
+    '2273': 'Carpets and Rugs',
+    '2281': 'Yarn Spinning Mills',
+    '2282': 'Yarn Texturizing, Throwing, Twisting, and Winding Mills',
+    '2284': 'Thread Mills',
+    '2295': 'Coated Fabrics, Not Rubberized',
+    '2296': 'Tire Cord and Fabrics',
+    '2297': 'Nonwoven Fabrics',
+    '2298': 'Cordage and Twine',
+    '2299': 'Textile Goods, Not Elsewhere Classified',
+    '2311': "Men's and Boys' Suits, Coats, and Overcoats",
+    '2321': "Men's and Boys' Shirts, Except Work Shirts",
+    '2322': "Men's and Boys' Underwear and Nightwear",
+    '2323': "Men's and Boys' Neckwear",
+    '2325': "Men's and Boys' Separate Trousers and Slacks",
+    '2326': "Men's and Boys' Work Clothing",
+    '2329': "Men's and Boys' Clothing, Not Elsewhere Classified",
+    '2331': "Women's, Misses', and Juniors' Blouses and Shirts",
+    '2335': "Women's, Misses', and Juniors' Dresses",
+    '2337': "Women's, Misses', and Juniors' Suits, Skirts, and Coats",
+    '2339': "Women's, Misses', and Juniors' Outerwear, Not Elsewhere Classified",
+    '2341': "Women's, Misses', Children's, and Infants' Underwear and Nightwear",
+    '2342': 'Brassieres, Girdles, and Allied Garments',
+    '2353': 'Hats, Caps, and Millinery',
+    '2361': "Girls', Children's, and Infants' Dresses, Blouses, and Shirts",
+    '2369': "Girls', Children's, and Infants' Outerwear, Not Elsewhere Classified",
+    '2371': 'Fur Goods',
+    '2381': 'Dress and Work Gloves, Except Knit and All-Leather',
+    '2384': 'Robes and Dressing Gowns',
+    '2385': 'Waterproof Outerwear',
+    '2386': 'Leather and Sheep-Lined Clothing',
+    '2387': 'Apparel Belts',
+    '2389': 'Apparel and Accessories, Not Elsewhere Classified',
+    '2391': 'Curtains and Draperies',
+    '2392': 'Housefurnishings, Except Curtains and Draperies',
+    '2393': 'Textile Bags',
+    '2394': 'Canvas and Related Products',
+    '2395': 'Pleating, Decorative and Novelty Stitching, and Tucking for the Trade',
+    '2396': 'Automotive Trimmings, Apparel Findings, and Related Products',
+    '2397': 'Schiffli Machine Embroideries',
+    '2399': 'Fabricated Textile Products, Not Elsewhere Classified',
+    '2411': 'Logging',
+    '2421': 'Sawmills and Planing Mills, General',
+    '2426': 'Hardwood Dimension and Flooring Mills',
+    '2429': 'Special Product Sawmills, Not Elsewhere Classified',
+    '2431': 'Millwork',
+    '2434': 'Wood Kitchen Cabinets',
+    '2435': 'Hardwood Veneer and Plywood',
+    '2436': 'Softwood Veneer and Plywood',
+    '2439': 'Structural Wood Members, Not Elsewhere Classified',
+    '2441': 'Nailed and Lock Corner Wood Boxes and Shook',
+    '2448': 'Wood Pallets and Skids',
+    '2449': 'Wood Containers, Not Elsewhere Classified',
+    '2451': 'Mobile Homes',
+    '2452': 'Prefabricated Wood Buildings and Components',
+    '2491': 'Wood Preserving',
+    '2493': 'Reconstituted Wood Products',
+    '2499': 'Wood Products, Not Elsewhere Classified',
+    '2511': 'Wood Household Furniture, Except Upholstered',
+    '2512': 'Wood Household Furniture, Upholstered',
+    '2514': 'Metal Household Furniture',
+    '2515': 'Mattresses, Foundations, and Convertible Beds',
+    '2517': 'Wood Television, Radio, Phonograph, and Sewing Machine Cabinets',
+    '2519': 'Household Furniture, Not Elsewhere Classified',
+    '2521': 'Wood Office Furniture',
+    '2522': 'Office Furniture, Except Wood',
+    '2531': 'Public Building and Related Furniture',
+    '2541': 'Wood Office and Store Fixtures, Partitions, Shelving, and Lockers',
+    '2542': 'Office and Store Fixtures, Partitions, Shelving, and Lockers, Except Wood',
+    '2591': 'Drapery Hardware and Window Blinds and Shades',
+    '2599': 'Furniture and Fixtures, Not Elsewhere Classified',
+    '2611': 'Pulp Mills',
+    '2621': 'Paper Mills',
+    '2631': 'Paperboard Mills',
+    '2652': 'Setup Paperboard Boxes',
+    '2653': 'Corrugated and Solid Fiber Boxes',
+    '2655': 'Fiber Cans, Tubes, Drums, and Similar Products',
+    '2656': 'Sanitary Food Containers, Except Folding',
+    '2657': 'Folding Paperboard Boxes, Including Sanitary',
+    '2671': 'Packaging Paper and Plastics Film, Coated and Laminated',
+    '2672': 'Coated and Laminated Paper, Not Elsewhere Classified',
+    '2673': 'Plastics, Foil, and Coated Paper Bags',
+    '2674': 'Uncoated Paper and Multiwall Bags',
+    '2675': 'Die-Cut Paper and Paperboard and Cardboard',
+    '2676': 'Sanitary Paper Products',
+    '2677': 'Envelopes',
+    '2678': 'Stationery, Tablets, and Related Products',
+    '2679': 'Converted Paper and Paperboard Products, Not Elsewhere Classified',
+    '2711': 'Newspapers: Publishing, or Publishing and Printing',
+    '2721': 'Periodicals: Publishing, or Publishing and Printing',
+    '2731': 'Books: Publishing, or Publishing and Printing',
+    '2732': 'Book Printing',
+    '2741': 'Miscellaneous Publishing',
+    '2752': 'Commercial Printing, Lithographic',
+    '2754': 'Commercial Printing, Gravure',
+    '2759': 'Commercial Printing, Not Elsewhere Classified',
+    '2761': 'Manifold Business Forms',
+    '2771': 'Greeting Cards',
+    '2782': 'Blankbooks, Looseleaf Binders and Devices',
+    '2789': 'Bookbinding and Related Work',
+    '2791': 'Typesetting',
+    '2796': 'Platemaking and Related Services',
+    '2812': 'Alkalies and Chlorine',
+    '2813': 'Industrial Gases',
+    '2816': 'Inorganic Pigments',
+    '2819': 'Industrial Inorganic Chemicals, Not Elsewhere Classified',
+    '2821': 'Plastics Materials, Synthetic Resins, and Nonvulcanizable Elastomers',
+    '2822': 'Synthetic Rubber (Vulcanizable Elastomers)',
+    '2823': 'Cellulosic Manmade Fibers',
+    '2824': 'Manmade Organic Fibers, Except Cellulosic',
+    '2833': 'Medicinal Chemicals and Botanical Products',
+    '2834': 'Pharmaceutical Preparations',
+    '2835': 'In Vitro and In Vivo Diagnostic Substances',
+    '2836': 'Biological Products, Except Diagnostic Substances',
+    '2841': 'Soap and Other Detergents, Except Specialty Cleaners',
+    '2842': 'Specialty Cleaning, Polishing, and Sanitation Preparations',
+    '2843': 'Surface Active Agents, Finishing Agents, Sulfonated Oils, and Assistants',
+    '2844': 'Perfumes, Cosmetics, and Other Toilet Preparations',
+    '2851': 'Paints, Varnishes, Lacquers, Enamels, and Allied Products',
+    '2861': 'Gum and Wood Chemicals',
+    '2865': 'Cyclic Organic Crudes and Intermediates, and Organic Dyes and Pigments',
+    '2869': 'Industrial Organic Chemicals, Not Elsewhere Classified',
+    '2873': 'Nitrogenous Fertilizers',
+    '2874': 'Phosphatic Fertilizers',
+    '2875': 'Fertilizers, Mixing Only',
+    '2879': 'Pesticides and Agricultural Chemicals, Not Elsewhere Classified',
+    '2891': 'Adhesives and Sealants',
+    '2892': 'Explosives',
+    '2893': 'Printing Ink',
+    '2895': 'Carbon Black',
+    '2899': 'Chemicals and Chemical Preparations, Not Elsewhere Classified',
+    '2911': 'Petroleum Refining',
+    '2951': 'Asphalt Paving Mixtures and Blocks',
+    '2952': 'Asphalt Felts and Coatings',
+    '2992': 'Lubricating Oils and Greases',
+    '2999': 'Products of Petroleum and Coal, Not Elsewhere Classified',
+    '3011': 'Tires and Inner Tubes',
+    '3021': 'Rubber and Plastics Footwear',
+    '3052': 'Rubber and Plastics Hose and Belting',
+    '3053': 'Gaskets, Packing, and Sealing Devices',
+    '3061': 'Molded, Extruded, and Lathe-Cut Mechanical Rubber Goods',
+    '3069': 'Fabricated Rubber Products, Not Elsewhere Classified',
+    '3081': 'Unsupported Plastics Film and Sheet',
+    '3082': 'Unsupported Plastics Profile Shapes',
+    '3083': 'Laminated Plastics Plate, Sheet, and Profile Shapes',
+    '3084': 'Plastics Pipe',
+    '3085': 'Plastics Bottles',
+    '3086': 'Plastics Foam Products',
+    '3087': 'Custom Compounding of Purchased Plastics Resins',
+    '3088': 'Plastics Plumbing Fixtures',
+    '3089': 'Plastics Products, Not Elsewhere Classified',
+    '3111': 'Leather Tanning and Finishing',
+    '3131': 'Boot and Shoe Cut Stock and Findings',
+    '3142': 'House Slippers',
+    '3143': "Men's Footwear, Except Athletic",
+    '3144': "Women's Footwear, Except Athletic",
+    '3149': 'Footwear, Except Rubber, Not Elsewhere Classified',
+    '3151': 'Leather Gloves and Mittens',
+    '3161': 'Luggage',
+    '3171': "Women's Handbags and Purses",
+    '3172': "Personal Leather Goods, Except Women's Handbags and Purses",
+    '3199': 'Leather Goods, Not Elsewhere Classified',
+    '3211': 'Flat Glass',
+    '3221': 'Glass Containers',
+    '3229': 'Pressed and Blown Glass and Glassware, Not Elsewhere Classified',
+    '3231': 'Glass Products, Made of Purchased Glass',
+    '3241': 'Cement, Hydraulic',
+    '3251': 'Brick and Structural Clay Tile',
+    '3253': 'Ceramic Wall and Floor Tile',
+    '3255': 'Clay Refractories',
+    '3259': 'Structural Clay Products, Not Elsewhere Classified',
+    '3261': 'Vitreous China Plumbing Fixtures and China and Earthenware Fittings and Bathroom Accessories',
+    '3262': 'Vitreous China Table and Kitchen Articles',
+    '3263': 'Fine Earthenware (Whiteware) Table and Kitchen Articles',
+    '3264': 'Porcelain Electrical Supplies',
+    '3269': 'Pottery Products, Not Elsewhere Classified',
+    '3271': 'Concrete Block and Brick',
+    '3272': 'Concrete Products, Except Block and Brick',
+    '3273': 'Ready-Mixed Concrete',
+    '3274': 'Lime',
+    '3275': 'Gypsum Products',
+    '3281': 'Cut Stone and Stone Products',
+    '3291': 'Abrasive Products',
+    '3292': 'Asbestos Products',
+    '3295': 'Minerals and Earths, Ground or Otherwise Treated',
+    '3296': 'Mineral Wool',
+    '3297': 'Nonclay Refractories',
+    '3299': 'Nonmetallic Mineral Products, Not Elsewhere Classified',
+    '3312': 'Steel Works, Blast Furnaces (Including Coke Ovens), and Rolling Mills',
+    '3313': 'Electrometallurgical Products, Except Steel',
+    '3315': 'Steel Wiredrawing and Steel Nails and Spikes',
+    '3316': 'Cold-Rolled Steel Sheet, Strip, and Bars',
+    '3317': 'Steel Pipe and Tubes',
+    '3321': 'Gray and Ductile Iron Foundries',
+    '3322': 'Malleable Iron Foundries',
+    '3324': 'Steel Investment Foundries',
+    '3325': 'Steel Foundries, Not Elsewhere Classified',
+    '3331': 'Primary Smelting and Refining of Copper',
+    '3334': 'Primary Production of Aluminum',
+    '3339': 'Primary Smelting and Refining of Nonferrous Metals, Except Copper and Aluminum',
+    '3341': 'Secondary Smelting and Refining of Nonferrous Metals',
+    '3351': 'Rolling, Drawing, and Extruding of Copper',
+    '3353': 'Aluminum Sheet, Plate, and Foil',
+    '3354': 'Aluminum Extruded Products',
+    '3355': 'Aluminum Rolling and Drawing, Not Elsewhere Classified',
+    '3356': 'Rolling, Drawing, and Extruding of Nonferrous Metals, Except Copper and Aluminum',
+    '3357': 'Drawing and Insulating of Nonferrous Wire',
+    '3363': 'Aluminum Die-Castings',
+    '3364': 'Nonferrous Die-Castings, Except Aluminum',
+    '3365': 'Aluminum Foundries',
+    '3366': 'Copper Foundries',
+    '3369': 'Nonferrous Foundries, Except Aluminum and Copper',
+    '3398': 'Metal Heat Treating',
+    '3399': 'Primary Metal Products, Not Elsewhere Classified',
+    '3411': 'Metal Cans',
+    '3412': 'Metal Shipping Barrels, Drums, Kegs, and Pails',
+    '3421': 'Cutlery',
+    '3423': 'Hand and Edge Tools, Except Machine Tools and Handsaws',
+    '3425': 'Saw Blades and Handsaws',
+    '3429': 'Hardware, Not Elsewhere Classified',
+    '3431': 'Enameled Iron and Metal Sanitary Ware',
+    '3432': 'Plumbing Fixture Fittings and Trim',
+    '3433': 'Heating Equipment, Except Electric and Warm Air Furnaces',
+    '3441': 'Fabricated Structural Metal',
+    '3442': 'Metal Doors, Sash, Frames, Molding, and Trim',
+    '3443': 'Fabricated Plate Work (Boiler Shops)',
+    '3444': 'Sheet Metal Work',
+    '3446': 'Architectural and Ornamental Metal Work',
+    '3448': 'Prefabricated Metal Buildings and Components',
+    '3449': 'Miscellaneous Structural Metal Work',
+    '3451': 'Screw Machine Products',
+    '3452': 'Bolts, Nuts, Screws, Rivets, and Washers',
+    '3462': 'Iron and Steel Forgings',
+    '3463': 'Nonferrous Forgings',
+    '3465': 'Automotive Stampings',
+    '3466': 'Crowns and Closures',
+    '3469': 'Metal Stampings, Not Elsewhere Classified',
+    '3471': 'Electroplating, Plating, Polishing, Anodizing, and Coloring',
+    '3479': 'Coating, Engraving, and Allied Services, Not Elsewhere Classified',
+    '3482': 'Small Arms Ammunition',
+    '3483': 'Ammunition, Except for Small Arms',
+    '3484': 'Small Arms',
+    '3489': 'Ordnance and Accessories, Not Elsewhere Classified',
+    '3491': 'Industrial Valves',
+    '3492': 'Fluid Power Valves and Hose Fittings',
+    '3493': 'Steel Springs, Except Wire',
+    '3494': 'Valves and Pipe Fittings, Not Elsewhere Classified',
+    '3495': 'Wire Springs',
+    '3496': 'Miscellaneous Fabricated Wire Products',
+    '3497': 'Metal Foil and Leaf',
+    '3498': 'Fabricated Pipe and Pipe Fittings',
+    '3499': 'Fabricated Metal Products, Not Elsewhere Classified',
+    '3511': 'Steam, Gas, and Hydraulic Turbines, and Turbine Generator Set Units',
+    '3519': 'Internal Combustion Engines, Not Elsewhere Classified',
+    '3523': 'Farm Machinery and Equipment',
+    '3524': 'Lawn and Garden Tractors and Home Lawn and Garden Equipment',
+    '3531': 'Construction Machinery and Equipment',
+    '3532': 'Mining Machinery and Equipment, Except Oil and Gas Field Machinery and Equipment',
+    '3533': 'Oil and Gas Field Machinery and Equipment',
+    '3534': 'Elevators and Moving Stairways',
+    '3535': 'Conveyors and Conveying Equipment',
+    '3536': 'Overhead Traveling Cranes, Hoists, and Monorail Systems',
+    '3537': 'Industrial Trucks, Tractors, Trailers, and Stackers',
+    '3541': 'Machine Tools, Metal Cutting Types',
+    '3542': 'Machine Tools, Metal Forming Types',
+    '3543': 'Industrial Patterns',
+    '3544': 'Special Dies and Tools, Die Sets, Jigs and Fixtures, and Industrial Molds',
+    '3545': "Cutting Tools, Machine Tool Accessories, and Machinists' Precision Measuring Devices",
+    '3546': 'Power-Driven Handtools',
+    '3547': 'Rolling Mill Machinery and Equipment',
+    '3548': 'Electric and Gas Welding and Soldering Equipment',
+    '3549': 'Metalworking Machinery, Not Elsewhere Classified',
+    '3552': 'Textile Machinery',
+    '3553': 'Woodworking Machinery',
+    '3554': 'Paper Industries Machinery',
+    '3555': 'Printing Trades Machinery and Equipment',
+    '3556': 'Food Products Machinery',
+    '3559': 'Special Industry Machinery, Not Elsewhere Classified',
+    '3561': 'Pumps and Pumping Equipment',
+    '3562': 'Ball and Roller Bearings',
+    '3563': 'Air and Gas Compressors',
+    '3564': 'Industrial and Commercial Fans and Blowers and Air Purification Equipment',
+    '3565': 'Packaging Machinery',
+    '3566': 'Speed Changers, Industrial High-Speed Drives, and Gears',
+    '3567': 'Industrial Process Furnaces and Ovens',
+    '3568': 'Mechanical Power Transmission Equipment, Not Elsewhere Classified',
+    '3569': 'General Industrial Machinery, Not Elsewhere Classified',
+    '3571': 'Electronic Computers',
+    '3572': 'Computer Storage Devices',
+    '3575': 'Computer Terminals',
+    '3577': 'Computer Peripheral Equipment, Not Elsewhere Classified',
+    '3578': 'Calculating and Accounting Machines, Except Electronic Computers',
+    '3579': 'Office Machines, Not Elsewhere Classified',
+    '3581': 'Automatic Vending Machines',
+    '3582': 'Commercial Laundry, Drycleaning, and Pressing Machines',
+    '3585': 'Air-Conditioning and Warm Air Heating Equipment and Commercial and Industrial Refrigeration Equipment',
+    '3586': 'Measuring and Dispensing Pumps',
+    '3589': 'Service Industry Machinery, Not Elsewhere Classified',
+    '3592': 'Carburetors, Pistons, Piston Rings, and Valves',
+    '3593': 'Fluid Power Cylinders and Actuators',
+    '3594': 'Fluid Power Pumps and Motors',
+    '3596': 'Scales and Balances, Except Laboratory',
+    '3599': 'Industrial and Commercial Machinery and Equipment, Not Elsewhere Classified',
+    '3612': 'Power, Distribution, and Specialty Transformers',
+    '3613': 'Switchgear and Switchboard Apparatus',
+    '3621': 'Motors and Generators',
+    '3624': 'Carbon and Graphite Products',
+    '3625': 'Relays and Industrial Controls',
+    '3629': 'Electrical Industrial Apparatus, Not Elsewhere Classified',
+    '3631': 'Household Cooking Equipment',
+    '3632': 'Household Refrigerators and Home and Farm Freezers',
+    '3633': 'Household Laundry Equipment',
+    '3634': 'Electric Housewares and Fans',
+    '3635': 'Household Vacuum Cleaners',
+    '3639': 'Household Appliances, Not Elsewhere Classified',
+    '3641': 'Electric Lamp Bulbs and Tubes',
+    '3643': 'Current-Carrying Wiring Devices',
+    '3644': 'Noncurrent-Carrying Wiring Devices',
+    '3645': 'Residential Electric Lighting Fixtures',
+    '3646': 'Commercial, Industrial, and Institutional Electric Lighting Fixtures',
+    '3647': 'Vehicular Lighting Equipment',
+    '3648': 'Lighting Equipment, Not Elsewhere Classified',
+    '3651': 'Household Audio and Video Equipment',
+    '3652': 'Phonograph Records and Prerecorded Audio Tapes and Disks',
+    '3661': 'Telephone and Telegraph Apparatus',
+    '3663': 'Radio and Television Broadcasting and Communications Equipment',
+    '3669': 'Communications Equipment, Not Elsewhere Classified',
+    '3671': 'Electron Tubes',
+    '3672': 'Printed Circuit Boards',
+    '3674': 'Semiconductors and Related Devices',
+    '3675': 'Electronic Capacitors',
+    '3676': 'Electronic Resistors',
+    '3677': 'Electronic Coils, Transformers, and Other Inductors',
+    '3678': 'Electronic Connectors',
+    '3679': 'Electronic Components, Not Elsewhere Classified',
+    '3691': 'Storage Batteries',
+    '3692': 'Primary Batteries, Dry and Wet',
+    '3694': 'Electrical Equipment for Internal Combustion Engines',
+    '3695': 'Magnetic and Optical Recording Media',
+    '3699': 'Electrical Machinery, Equipment, and Supplies, Not Elsewhere Classified',
+    '3711': 'Motor Vehicles and Passenger Car Bodies',
+    '3713': 'Truck and Bus Bodies',
+    '3714': 'Motor Vehicle Parts and Accessories',
+    '3715': 'Truck Trailers',
+    '3716': 'Motor Homes',
+    '3721': 'Aircraft',
+    '3724': 'Aircraft Engines and Engine Parts',
+    '3728': 'Aircraft Parts and Auxiliary Equipment, Not Elsewhere Classified',
+    '3731': 'Ship Building and Repairing',
+    '3732': 'Boat Building and Repairing',
+    '3743': 'Railroad Equipment',
+    '3751': 'Motorcycles, Bicycles, and Parts',
+    '3761': 'Guided Missiles and Space Vehicles',
+    '3764': 'Guided Missile and Space Vehicle Propulsion Units and Propulsion Unit Parts',
+    '3769': 'Guided Missile Space Vehicle Parts and Auxiliary Equipment, Not Elsewhere Classified',
+    '3792': 'Travel Trailers and Campers',
+    '3795': 'Tanks and Tank Components',
+    '3799': 'Transportation Equipment, Not Elsewhere Classified',
+    '3812': 'Search, Detection, Navigation, Guidance, Aeronautical, and Nautical Systems and Instruments',
+    '3821': 'Laboratory Apparatus and Furniture',
+    '3822': 'Automatic Controls for Regulating Residential and Commercial Environments and Appliances',
+    '3823': 'Industrial Instruments for Measurement, Display, and Control of Process Variables; and Related Products',
+    '3824': 'Totalizing Fluid Meters and Counting Devices',
+    '3825': 'Instruments for Measuring and Testing of Electricity and Electrical Signals',
+    '3826': 'Laboratory Analytical Instruments',
+    '3827': 'Optical Instruments and Lenses',
+    '3829': 'Measuring and Controlling Devices, Not Elsewhere Classified',
+    '3841': 'Surgical and Medical Instruments and Apparatus',
+    '3842': 'Orthopedic, Prosthetic, and Surgical Appliances and Supplies',
+    '3843': 'Dental Equipment and Supplies',
+    '3844': 'X-Ray Apparatus and Tubes and Related Irradiation Apparatus',
+    '3845': 'Electromedical and Electrotherapeutic Apparatus',
+    '3851': 'Ophthalmic Goods',
+    '3861': 'Photographic Equipment and Supplies',
+    '3873': 'Watches, Clocks, Clockwork Operated Devices, and Parts',
+    '3911': 'Jewelry, Precious Metal',
+    '3914': 'Silverware, Plated Ware, and Stainless Steel Ware',
+    '3915': "Jewelers' Findings and Materials, and Lapidary Work",
+    '3931': 'Musical Instruments',
+    '3942': 'Dolls and Stuffed Toys',
+    '3944': "Games, Toys, and Children's Vehicles, Except Dolls and Bicycles",
+    '3949': 'Sporting and Athletic Goods, Not Elsewhere Classified',
+    '3951': 'Pens, Mechanical Pencils, and Parts',
+    '3952': "Lead Pencils, Crayons, and Artists' Materials",
+    '3953': 'Marking Devices',
+    '3955': 'Carbon Paper and Inked Ribbons',
+    '3961': 'Costume Jewelry and Costume Novelties, Except Precious Metal',
+    '3965': 'Fasteners, Buttons, Needles, and Pins',
+    '3991': 'Brooms and Brushes',
+    '3993': 'Signs and Advertising Specialties',
+    '3995': 'Burial Caskets',
+    '3996': 'Linoleum, Asphalted-Felt-Base, and Other Hard Surface Floor Coverings, Not Elsewhere Classified',
+    '3999': 'Manufacturing Industries, Not Elsewhere Classified',
+    '4011': 'Railroads, Line-Haul Operating',
+    '4013': 'Railroad Switching and Terminal Establishments',
+    '4111': 'Local and Suburban Transit',
+    '4119': 'Local Passenger Transportation, Not Elsewhere Classified',
+    '4121': 'Taxicabs',
+    '4131': 'Intercity and Rural Bus Transportation',
+    '4141': 'Local Bus Charter Service',
+    '4142': 'Bus Charter Service, Except Local',
+    '4151': 'School Buses',
+    '4173': 'Terminal and Service Facilities for Motor Vehicle Passenger Transportation',
+    '4212': 'Local Trucking Without Storage',
+    '4213': 'Trucking, Except Local',
+    '4214': 'Local Trucking With Storage',
+    '4215': 'Courier Services, Except by Air',
+    '4221': 'Farm Product Warehousing and Storage',
+    '4222': 'Refrigerated Warehousing and Storage',
+    '4225': 'General Warehousing and Storage',
+    '4226': 'Special Warehousing and Storage, Not Elsewhere Classified',
+    '4231': 'Terminal and Joint Terminal Maintenance Facilities for Motor Freight Transportation',
+    '4311': 'United States Postal Service',
+    '4412': 'Deep Sea Foreign Transportation of Freight',
+    '4424': 'Deep Sea Domestic Transportation of Freight',
+    '4432': 'Freight Transportation on the Great Lakes-St. Lawrence Seaway',
+    '4449': 'Water Transportation of Freight, Not Elsewhere Classified',
+    '4481': 'Deep Sea Transportation of Passengers, Except by Ferry',
+    '4482': 'Ferries',
+    '4489': 'Water Transportation of Passengers, Not Elsewhere Classified',
+    '4491': 'Marine Cargo Handling',
+    '4492': 'Towing and Tugboat Services',
+    '4493': 'Marinas',
+    '4499': 'Water Transportation Services, Not Elsewhere Classified',
+    '4512': 'Air Transportation, Scheduled',
+    '4513': 'Air Courier Services',
+    '4522': 'Air Transportation, Nonscheduled',
+    '4581': 'Airports, Flying Fields, and Airport Terminal Services',
+    '4612': 'Crude Petroleum Pipelines',
+    '4613': 'Refined Petroleum Pipelines',
+    '4619': 'Pipelines, Not Elsewhere Classified',
+    '4724': 'Travel Agencies',
+    '4725': 'Tour Operators',
+    '4729': 'Arrangement of Passenger Transportation, Not Elsewhere Classified',
+    '4731': 'Arrangement of Transportation of Freight and Cargo',
+    '4741': 'Rental of Railroad Cars',
+    '4783': 'Packing and Crating',
+    '4785': 'Fixed Facilities and Inspection and Weighing Services for Motor Vehicle Transportation',
+    '4789': 'Transportation Services, Not Elsewhere Classified',
+    '4812': 'Radiotelephone Communications',
+    '4813': 'Telephone Communications, Except Radiotelephone',
+    '4822': 'Telegraph and Other Message Communications',
+    '4832': 'Radio Broadcasting Stations',
+    '4833': 'Television Broadcasting Stations',
+    '4841': 'Cable and Other Pay Television Services',
+    '4899': 'Communications Services, Not Elsewhere Classified',
+    '4911': 'Electric Services',
+    '4922': 'Natural Gas Transmission',
+    '4923': 'Natural Gas Transmission and Distribution',
+    '4924': 'Natural Gas Distribution',
+    '4925': 'Mixed, Manufactured, or Liquefied Petroleum Gas Production and/or Distribution',
+    '4931': 'Electric and Other Services Combined',
+    '4932': 'Gas and Other Services Combined',
+    '4939': 'Combination Utilities, Not Elsewhere Classified',
+    '4941': 'Water Supply',
+    '4952': 'Sewerage Systems',
+    '4953': 'Refuse Systems',
+    '4959': 'Sanitary Services, Not Elsewhere Classified',
+    '4961': 'Steam and Air-Conditioning Supply',
+    '4971': 'Irrigation Systems',
+    '5012': 'Automobiles and Other Motor Vehicles',
+    '5013': 'Motor Vehicle Supplies and New Parts',
+    '5014': 'Tires and Tubes',
+    '5015': 'Motor Vehicle Parts, Used',
+    '5021': 'Furniture',
+    '5023': 'Home Furnishings',
+    '5031': 'Lumber, Plywood, Millwork, and Wood Panels',
+    '5032': 'Brick, Stone, and Related Construction Materials',
+    '5033': 'Roofing, Siding, and Insulation Materials',
+    '5039': 'Construction Materials, Not Elsewhere Classified',
+    '5043': 'Photographic Equipment and Supplies',
+    '5044': 'Office Equipment',
+    '5045': 'Computers and Computer Peripheral Equipment and Software',
+    '5046': 'Commercial Equipment, Not Elsewhere Classified',
+    '5047': 'Medical, Dental, and Hospital Equipment and Supplies',
+    '5048': 'Ophthalmic Goods',
+    '5049': 'Professional Equipment and Supplies, Not Elsewhere Classified',
+    '5051': 'Metals Service Centers and Offices',
+    '5052': 'Coal and Other Minerals and Ores',
+    '5063': 'Electrical Apparatus and Equipment Wiring Supplies, and Construction Materials',
+    '5064': 'Electrical Appliances, Television and Radio Sets',
+    '5065': 'Electronic Parts and Equipment, Not Elsewhere Classified',
+    '5072': 'Hardware',
+    '5074': 'Plumbing and Heating Equipment and Supplies (Hydronics)',
+    '5075': 'Warm Air Heating and Air-Conditioning Equipment and Supplies',
+    '5078': 'Refrigeration Equipment and Supplies',
+    '5082': 'Construction and Mining (Except Petroleum) Machinery and Equipment',
+    '5083': 'Farm and Garden Machinery and Equipment',
+    '5084': 'Industrial Machinery and Equipment',
+    '5085': 'Industrial Supplies',
+    '5087': 'Service Establishment Equipment and Supplies',
+    '5088': 'Transportation Equipment and Supplies, Except Motor Vehicles',
+    '5091': 'Sporting and Recreational Goods and Supplies',
+    '5092': 'Toys and Hobby Goods and Supplies',
+    '5093': 'Scrap and Waste Materials',
+    '5094': 'Jewelry, Watches, Precious Stones, and Precious Metals',
+    '5099': 'Durable Goods, Not Elsewhere Classified',
+    '5111': 'Printing and Writing Paper',
+    '5112': 'Stationery and Office Supplies',
+    '5113': 'Industrial and Personal Service Paper',
+    '5122': "Drugs, Drug Proprietaries, and Druggists' Sundries",
+    '5131': 'Piece Goods, Notions, and Other Dry Goods',
+    '5136': "Men's and Boys' Clothing and Furnishings",
+    '5137': "Women's, Children's, and Infants' Clothing and Accessories",
+    '5139': 'Footwear',
+    '5141': 'Groceries, General Line',
+    '5142': 'Packaged Frozen Foods',
+    '5143': 'Dairy Products, Except Dried or Canned',
+    '5144': 'Poultry and Poultry Products',
+    '5145': 'Confectionery',
+    '5146': 'Fish and Seafoods',
+    '5147': 'Meats and Meat Products',
+    '5148': 'Fresh Fruits and Vegetables',
+    '5149': 'Groceries and Related Products, Not Elsewhere Classified',
+    '5153': 'Grain and Field Beans',
+    '5154': 'Livestock',
+    '5159': 'Farm-Product Raw Materials, Not Elsewhere Classified',
+    '5162': 'Plastics Materials and Basic Forms and Shapes',
+    '5169': 'Chemicals and Allied Products, Not Elsewhere Classified',
+    '5171': 'Petroleum Bulk Stations and Terminals',
+    '5172': 'Petroleum and Petroleum Products Wholesalers, Except Bulk Stations and Terminals',
+    '5181': 'Beer and Ale',
+    '5182': 'Wine and Distilled Alcoholic Beverages',
+    '5191': 'Farm Supplies',
+    '5192': 'Books, Periodicals, and Newspapers',
+    '5193': "Flowers, Nursery Stock, and Florists' Supplies",
+    '5194': 'Tobacco and Tobacco Products',
+    '5198': 'Paints, Varnishes, and Supplies',
+    '5199': 'Nondurable Goods, Not Elsewhere Classified',
+    '5211': 'Lumber and Other Building Materials Dealers',
+    '5231': 'Paint, Glass, and Wallpaper Stores',
+    '5251': 'Hardware Stores',
+    '5261': 'Retail Nurseries, Lawn and Garden Supply Stores',
+    '5271': 'Mobile Home Dealers',
+    '5311': 'Department Stores',
+    '5331': 'Variety Stores',
+    '5399': 'Miscellaneous General Merchandise Stores',
+    '5411': 'Grocery Stores',
+    '5421': 'Meat and Fish (Seafood) Markets, Including Freezer Provisioners',
+    '5431': 'Fruit and Vegetable Markets',
+    '5441': 'Candy, Nut, and Confectionery Stores',
+    '5451': 'Dairy Products Stores',
+    '5461': 'Retail Bakeries',
+    '5499': 'Miscellaneous Food Stores',
+    '5511': 'Motor Vehicle Dealers (New and Used)',
+    '5521': 'Motor Vehicle Dealers (Used Only)',
+    '5531': 'Auto and Home Supply Stores',
+    '5541': 'Gasoline Service Stations',
+    '5551': 'Boat Dealers',
+    '5561': 'Recreational Vehicle Dealers',
+    '5571': 'Motorcycle Dealers',
+    '5599': 'Automotive Dealers, Not Elsewhere Classified',
+    '5611': "Men's and Boys' Clothing and Accessory Stores",
+    '5621': "Women's Clothing Stores",
+    '5632': "Women's Accessory and Specialty Stores",
+    '5641': "Children's and Infants' Wear Stores",
+    '5651': 'Family Clothing Stores',
+    '5661': 'Shoe Stores',
+    '5699': 'Miscellaneous Apparel and Accessory Stores',
+    '5712': 'Furniture Stores',
+    '5713': 'Floor Covering Stores',
+    '5714': 'Drapery, Curtain, and Upholstery Stores',
+    '5719': 'Miscellaneous Homefurnishings Stores',
+    '5722': 'Household Appliance Stores',
+    '5731': 'Radio, Television, and Consumer Electronics Stores',
+    '5734': 'Computer and Computer Software Stores',
+    '5735': 'Record and Prerecorded Tape Stores',
+    '5736': 'Musical Instrument Stores',
+    '5812': 'Eating Places',
+    '5813': 'Drinking Places (Alcoholic Beverages)',
+    '5912': 'Drug Stores and Proprietary Stores',
+    '5921': 'Liquor Stores',
+    '5932': 'Used Merchandise Stores',
+    '5941': 'Sporting Goods Stores and Bicycle Shops',
+    '5942': 'Book Stores',
+    '5943': 'Stationery Stores',
+    '5944': 'Jewelry Stores',
+    '5945': 'Hobby, Toy, and Game Shops',
+    '5946': 'Camera and Photographic Supply Stores',
+    '5947': 'Gift, Novelty, and Souvenir Shops',
+    '5948': 'Luggage and Leather Goods Stores',
+    '5949': 'Sewing, Needlework, and Piece Goods Stores',
+    '5961': 'Catalog and Mail-Order Houses',
+    '5962': 'Automatic Merchandising Machine Operators',
+    '5963': 'Direct Selling Establishments',
+    '5983': 'Fuel Oil Dealers',
+    '5984': 'Liquefied Petroleum Gas (Bottled Gas) Dealers',
+    '5989': 'Fuel Dealers, Not Elsewhere Classified',
+    '5992': 'Florists',
+    '5993': 'Tobacco Stores and Stands',
+    '5994': 'News Dealers and Newsstands',
+    '5995': 'Optical Goods Stores',
+    '5999': 'Miscellaneous Retail Stores, Not Elsewhere Classified',
+    '6011': 'Federal Reserve Banks',
+    '6019': 'Central Reserve Depository Institutions, Not Elsewhere Classified',
+    '6021': 'National Commercial Banks',
+    '6022': 'State Commercial Banks',
+    '6029': 'Commercial Banks, Not Elsewhere Classified',
+    '6035': 'Savings Institutions, Federally Chartered',
+    '6036': 'Savings Institutions, Not Federally Chartered',
+    '6061': 'Credit Unions, Federally Chartered',
+    '6062': 'Credit Unions, Not Federally Chartered',
+    '6081': 'Branches and Agencies of Foreign Banks',
+    '6082': 'Foreign Trade and International Banking Institutions',
+    '6091': 'Nondeposit Trust Facilities',
+    '6099': 'Functions Related to Depository Banking, Not Elsewhere Classified',
+    '6111': 'Federal and Federally-Sponsored Credit Agencies',
+    '6141': 'Personal Credit Institutions',
+    '6153': 'Short-Term Business Credit Institutions, Except Agricultural',
+    '6159': 'Miscellaneous Business Credit Institutions',
+    '6162': 'Mortgage Bankers and Loan Correspondents',
+    '6163': 'Loan Brokers',
+    '6211': 'Security Brokers, Dealers, and Flotation Companies',
+    '6221': 'Commodity Contracts Brokers and Dealers',
+    '6231': 'Security and Commodity Exchanges',
+    '6282': 'Investment Advice',
+    '6289': 'Services Allied With the Exchange of Securities or Commodities, Not Elsewhere Classified',
+    '6311': 'Life Insurance',
+    '6321': 'Accident and Health Insurance',
+    '6324': 'Hospital and Medical Service Plans',
+    '6331': 'Fire, Marine, and Casualty Insurance',
+    '6351': 'Surety Insurance',
+    '6361': 'Title Insurance',
+    '6371': 'Pension, Health, and Welfare Funds',
+    '6399': 'Insurance Carriers, Not Elsewhere Classified',
+    '6411': 'Insurance Agents, Brokers, and Service',
+    '6512': 'Operators of Nonresidential Buildings',
+    '6513': 'Operators of Apartment Buildings',
+    '6514': 'Operators of Dwellings Other Than Apartment Buildings',
+    '6515': 'Operators of Residential Mobile Home Sites',
+    '6517': 'Lessors of Railroad Property',
+    '6519': 'Lessors of Real Property, Not Elsewhere Classified',
+    '6531': 'Real Estate Agents and Managers',
+    '6541': 'Title Abstract Offices',
+    '6552': 'Land Subdividers and Developers, Except Cemeteries',
+    '6553': 'Cemetery Subdividers and Developers',
+    '6712': 'Offices of Bank Holding Companies',
+    '6719': 'Offices of Holding Companies, Not Elsewhere Classified',
+    '6722': 'Management Investment Offices, Open-End',
+    '6726': 'Unit Investment Trusts, Face-Amount Certificate Offices, and Closed-End Management Investment Offices',
+    '6732': 'Educational, Religious, and Charitable Trusts',
+    '6733': 'Trusts, Except Educational, Religious, and Charitable',
+    '6792': 'Oil Royalty Traders',
+    '6794': 'Patent Owners and Lessors',
+    '6798': 'Real Estate Investment Trusts',
+    '6799': 'Investors, Not Elsewhere Classified',
+    '7011': 'Hotels and Motels',
+    '7021': 'Rooming and Boarding Houses',
+    '7032': 'Sporting and Recreational Camps',
+    '7033': 'Recreational Vehicle Parks and Campsites',
+    '7041': 'Organization Hotels and Lodging Houses, on Membership Basis',
+    '7211': 'Power Laundries, Family and Commercial',
+    '7212': 'Garment Pressing, and Agents for Laundries and Drycleaners',
+    '7213': 'Linen Supply',
+    '7215': 'Coin-Operated Laundries and Drycleaning',
+    '7216': 'Drycleaning Plants, Except Rug Cleaning',
+    '7217': 'Carpet and Upholstery Cleaning',
+    '7218': 'Industrial Launderers',
+    '7219': 'Laundry and Garment Services, Not Elsewhere Classified',
+    '7221': 'Photographic Studios, Portrait',
+    '7231': 'Beauty Shops',
+    '7241': 'Barber Shops',
+    '7251': 'Shoe Repair Shops and Shoeshine Parlors',
+    '7261': 'Funeral Services and Crematories',
+    '7291': 'Tax Return Preparation Services',
+    '7299': 'Miscellaneous Personal Services, Not Elsewhere Classified',
+    '7311': 'Advertising Agencies',
+    '7312': 'Outdoor Advertising Services',
+    '7313': "Radio, Television, and Publishers' Advertising Representatives",
+    '7319': 'Advertising, Not Elsewhere Classified',
+    '7322': 'Adjustment and Collection Services',
+    '7323': 'Credit Reporting Services',
+    '7331': 'Direct Mail Advertising Services',
+    '7334': 'Photocopying and Duplicating Services',
+    '7335': 'Commercial Photography',
+    '7336': 'Commercial Art and Graphic Design',
+    '7338': 'Secretarial and Court Reporting Services',
+    '7342': 'Disinfecting and Pest Control Services',
+    '7349': 'Building Cleaning and Maintenance Services, Not Elsewhere Classified',
+    '7352': 'Medical Equipment Rental and Leasing',
+    '7353': 'Heavy Construction Equipment Rental and Leasing',
+    '7359': 'Equipment Rental and Leasing, Not Elsewhere Classified',
+    '7361': 'Employment Agencies',
+    '7363': 'Help Supply Services',
+    '7371': 'Computer Programming Services',
+    '7372': 'Prepackaged Software',
+    '7373': 'Computer Integrated Systems Design',
+    '7374': 'Computer Processing and Data Preparation and Processing Services',
+    '7375': 'Information Retrieval Services',
+    '7376': 'Computer Facilities Management Services',
+    '7377': 'Computer Rental and Leasing',
+    '7378': 'Computer Maintenance and Repair',
+    '7379': 'Computer Related Services, Not Elsewhere Classified',
+    '7381': 'Detective, Guard, and Armored Car Services',
+    '7382': 'Security Systems Services',
+    '7383': 'News Syndicates',
+    '7384': 'Photofinishing Laboratories',
+    '7389': 'Business Services, Not Elsewhere Classified',
+    '7513': 'Truck Rental and Leasing, Without Drivers',
+    '7514': 'Passenger Car Rental',
+    '7515': 'Passenger Car Leasing',
+    '7519': 'Utility Trailer and Recreational Vehicle Rental',
+    '7521': 'Automobile Parking',
+    '7532': 'Top, Body, and Upholstery Repair Shops and Paint Shops',
+    '7533': 'Automotive Exhaust System Repair Shops',
+    '7534': 'Tire Retreading and Repair Shops',
+    '7536': 'Automotive Glass Replacement Shops',
+    '7537': 'Automotive Transmission Repair Shops',
+    '7538': 'General Automotive Repair Shops',
+    '7539': 'Automotive Repair Shops, Not Elsewhere Classified',
+    '7542': 'Carwashes',
+    '7549': 'Automotive Services, Except Repair and Carwashes',
+    '7622': 'Radio and Television Repair Shops',
+    '7623': 'Refrigeration and Air-Conditioning Service and Repair Shops',
+    '7629': 'Electrical and Electronic Repair Shops, Not Elsewhere Classified',
+    '7631': 'Watch, Clock, and Jewelry Repair',
+    '7641': 'Reupholstery and Furniture Repair',
+    '7692': 'Welding Repair',
+    '7694': 'Armature Rewinding Shops',
+    '7699': 'Repair Shops and Related Services, Not Elsewhere Classified',
+    '7812': 'Motion Picture and Video Tape Production',
+    '7819': 'Services Allied to Motion Picture Production',
+    '7822': 'Motion Picture and Video Tape Distribution',
+    '7829': 'Services Allied to Motion Picture Distribution',
+    '7832': 'Motion Picture Theaters, Except Drive-In',
+    '7833': 'Drive-In Motion Picture Theaters',
+    '7841': 'Video Tape Rental',
+    '7911': 'Dance Studios, Schools, and Halls',
+    '7922': 'Theatrical Producers (Except Motion Picture) and Miscellaneous Theatrical Services',
+    '7929': 'Bands, Orchestras, Actors, and Other Entertainers and Entertainment Groups',
+    '7933': 'Bowling Centers',
+    '7941': 'Professional Sports Clubs and Promoters',
+    '7948': 'Racing, Including Track Operation',
+    '7991': 'Physical Fitness Facilities',
+    '7992': 'Public Golf Courses',
+    '7993': 'Coin-Operated Amusement Devices',
+    '7996': 'Amusement Parks',
+    '7997': 'Membership Sports and Recreation Clubs',
+    '7999': 'Amusement and Recreation Services, Not Elsewhere Classified',
+    '8011': 'Offices and Clinics of Doctors of Medicine',
+    '8021': 'Offices and Clinics of Dentists',
+    '8031': 'Offices and Clinics of Doctors of Osteopathy',
+    '8041': 'Offices and Clinics of Chiropractors',
+    '8042': 'Offices and Clinics of Optometrists',
+    '8043': 'Offices and Clinics of Podiatrists',
+    '8049': 'Offices and Clinics of Health Practitioners, Not Elsewhere Classified',
+    '8051': 'Skilled Nursing Care Facilities',
+    '8052': 'Intermediate Care Facilities',
+    '8059': 'Nursing and Personal Care Facilities, Not Elsewhere Classified',
+    '8062': 'General Medical and Surgical Hospitals',
+    '8063': 'Psychiatric Hospitals',
+    '8069': 'Specialty Hospitals, Except Psychiatric',
+    '8071': 'Medical Laboratories',
+    '8072': 'Dental Laboratories',
+    '8082': 'Home Health Care Services',
+    '8092': 'Kidney Dialysis Centers',
+    '8093': 'Specialty Outpatient Facilities, Not Elsewhere Classified',
+    '8099': 'Health and Allied Services, Not Elsewhere Classified',
+    '8111': 'Legal Services',
+    '8211': 'Elementary and Secondary Schools',
+    '8221': 'Colleges, Universities, and Professional Schools',
+    '8222': 'Junior Colleges and Technical Institutes',
+    '8231': 'Libraries',
+    '8243': 'Data Processing Schools',
+    '8244': 'Business and Secretarial Schools',
+    '8249': 'Vocational Schools, Not Elsewhere Classified',
+    '8299': 'Schools and Educational Services, Not Elsewhere Classified',
+    '8322': 'Individual and Family Social Services',
+    '8331': 'Job Training and Vocational Rehabilitation Services',
+    '8351': 'Child Day Care Services',
+    '8361': 'Residential Care',
+    '8399': 'Social Services, Not Elsewhere Classified',
+    '8412': 'Museums and Art Galleries',
+    '8422': 'Arboreta and Botanical or Zoological Gardens',
+    '8611': 'Business Associations',
+    '8621': 'Professional Membership Organizations',
+    '8631': 'Labor Unions and Similar Labor Organizations',
+    '8641': 'Civic, Social, and Fraternal Associations',
+    '8651': 'Political Organizations',
+    '8661': 'Religious Organizations',
+    '8699': 'Membership Organizations, Not Elsewhere Classified',
+    '8711': 'Engineering Services',
+    '8712': 'Architectural Services',
+    '8713': 'Surveying Services',
+    '8721': 'Accounting, Auditing, and Bookkeeping Services',
+    '8731': 'Commercial Physical and Biological Research',
+    '8732': 'Commercial Economic, Sociological, and Educational Research',
+    '8733': 'Noncommercial Research Organizations',
+    '8734': 'Testing Laboratories',
+    '8741': 'Management Services',
+    '8742': 'Management Consulting Services',
+    '8743': 'Public Relations Services',
+    '8744': 'Facilities Support Management Services',
+    '8748': 'Business Consulting Services, Not Elsewhere Classified',
+    '8811': 'Private Households',
+    '8999': 'Services, Not Elsewhere Classified',
+    '9111': 'Executive Offices',
+    '9121': 'Legislative Bodies',
+    '9131': 'Executive and Legislative Offices Combined',
+    '9199': 'General Government, Not Elsewhere Classified',
+    '9211': 'Courts',
+    '9221': 'Police Protection',
+    '9222': 'Legal Counsel and Prosecution',
+    '9223': 'Correctional Institutions',
+    '9224': 'Fire Protection',
+    '9229': 'Public Order and Safety, Not Elsewhere Classified',
+    '9311': 'Public Finance, Taxation, and Monetary Policy',
+    '9411': 'Administration of Educational Programs',
+    '9431': 'Administration of Public Health Programs',
+    '9441': 'Administration of Social, Human Resource and Income Maintenance Programs',
+    '9451': "Administration of Veterans' Affairs, Except Health and Insurance",
+    '9511': 'Air and Water Resource and Solid Waste Management',
+    '9512': 'Land, Mineral, Wildlife, and Forest Conservation',
+    '9531': 'Administration of Housing Programs',
+    '9532': 'Administration of Urban Planning and Community and Rural Development',
+    '9611': 'Administration of General Economic Programs',
+    '9621': 'Regulation and Administration of Transportation Programs',
+    '9631': 'Regulation and Administration of Communications, Electric, Gas, and Other Utilities',
+    '9641': 'Regulation of Agricultural Marketing and Commodities',
+    '9651': 'Regulation, Licensing, and Inspection of Miscellaneous Commercial Sectors',
+    '9661': 'Space Research and Technology',
+    '9711': 'National Security',
+    '9721': 'International Affairs',
+    '9999': 'Nonclassifiable Establishments',
+};
+
+// The 2017 NAICS industries each SIC industry was split into, per the U.S.
+// Census Bureau 1987 SIC to NAICS concordance, the one carrying most of the
+// SIC industry first. 9999 (Nonclassifiable) has no counterpart.
+export const SIC_NAICS_CONCORDANCE = {
+    '0111': ['111140'],
+    '0112': ['111160'],
+    '0115': ['111150'],
+    '0116': ['111110'],
+    '0119': ['111191', '111120', '111130', '111199'],
+    '0131': ['111920'],
+    '0132': ['111910'],
+    '0133': ['111991', '111930'],
+    '0134': ['111211'],
+    '0139': ['111940', '111992', '111998', '111219'],
+    '0161': ['111219'],
+    '0171': ['111333', '111334'],
+    '0172': ['111332'],
+    '0173': ['111335'],
+    '0174': ['111310', '111320'],
+    '0175': ['111331', '111339'],
+    '0179': ['111339', '111336'],
+    '0181': ['111421', '111422'],
+    '0182': ['111411', '111419'],
+    '0191': ['111998'],
+    '0211': ['112112'],
+    '0212': ['112111'],
+    '0213': ['112210'],
+    '0214': ['112410', '112420'],
+    '0219': ['112990'],
+    '0241': ['112120'],
+    '0251': ['112320'],
+    '0252': ['112310'],
+    '0253': ['112330'],
+    '0254': ['112340'],
+    '0259': ['112390'],
+    '0271': ['112930'],
+    '0272': ['112920'],
+    '0273': ['112511', '112512', '112519'],
+    '0279': ['112910', '112990'],
+    '0291': ['112990'],
+    '0711': ['115112'],
+    '0721': ['115112', '481219'],
+    '0722': ['115113'],
+    '0723': ['115114'],
+    '0724': ['115111'],
+    '0741': ['541940'],
+    '0742': ['541940'],
+    '0751': ['115210', '311611'],
+    '0752': ['812910', '115210'],
+    '0761': ['115115'],
+    '0762': ['115116'],
+    '0781': ['541320', '541690'],
+    '0782': ['561730'],
+    '0783': ['561730'],
+    '0811': ['113110', '111421'],
+    '0831': ['113210', '111998'],
+    '0851': ['115310'],
+    '0912': ['114111'],
+    '0913': ['114112'],
+    '0919': ['114119', '111998'],
+    '0921': ['112511', '112512'],
+    '0971': ['114210'],
+    '1011': ['212210'],
+    '1021': ['212230'],
+    '1031': ['212230'],
+    '1041': ['212221'],
+    '1044': ['212222'],
+    '1061': ['212299'],
+    '1081': ['213114', '541360'],
+    '1094': ['212291'],
+    '1099': ['212299'],
+    '1221': ['212111'],
+    '1222': ['212112'],
+    '1231': ['212113'],
+    '1241': ['213113'],
+    '1311': ['211120', '211130'],
+    '1321': ['211130'],
+    '1381': ['213111'],
+    '1382': ['213112', '541360'],
+    '1389': ['213112', '238910'],
+    '1411': ['212311'],
+    '1422': ['212312'],
+    '1423': ['212313'],
+    '1429': ['212319'],
+    '1442': ['212321'],
+    '1446': ['212322'],
+    '1455': ['212324'],
+    '1459': ['212325'],
+    '1474': ['212391'],
+    '1475': ['212392'],
+    '1479': ['212393'],
+    '1481': ['213115', '541360'],
+    '1499': ['212399', '212319'],
+    '1521': ['236115', '236118'],
+    '1522': ['236116', '236118', '236220'],
+    '1531': ['236117', '236210', '236220'],
+    '1541': ['236210', '236220'],
+    '1542': ['236220'],
+    '1611': ['237310'],
+    '1622': ['237310', '237990'],
+    '1623': ['237110', '237120', '237130'],
+    '1629': ['237990', '236210', '237110', '237130', '238910'],
+    '1711': ['238220', '238210', '238290'],
+    '1721': ['238320', '237310'],
+    '1731': ['238210'],
+    '1741': ['238140'],
+    '1742': ['238310'],
+    '1743': ['238340', '238140'],
+    '1751': ['238130', '238350'],
+    '1752': ['238330'],
+    '1761': ['238160', '238170', '238390'],
+    '1771': ['238110', '238140', '238990'],
+    '1781': ['237110'],
+    '1791': ['238120'],
+    '1793': ['238150'],
+    '1794': ['238910'],
+    '1795': ['238910'],
+    '1796': ['238290'],
+    '1799': ['238990', '238190', '238390', '238310', '238910', '562910', '238150', '238290', '238350'],
+    '2011': ['311611'],
+    '2013': ['311612', '311613'],
+    '2015': ['311615', '311999'],
+    '2021': ['311512'],
+    '2022': ['311513'],
+    '2023': ['311514', '311511'],
+    '2024': ['311520'],
+    '2026': ['311511'],
+    '2032': ['311422', '311999'],
+    '2033': ['311421'],
+    '2034': ['311423', '311211'],
+    '2035': ['311421', '311941'],
+    '2037': ['311411'],
+    '2038': ['311412'],
+    '2041': ['311211'],
+    '2043': ['311230', '311920'],
+    '2044': ['311212'],
+    '2045': ['311824'],
+    '2046': ['311221'],
+    '2047': ['311111'],
+    '2048': ['311119', '311611'],
+    '2051': ['311812'],
+    '2052': ['311821', '311812', '311919'],
+    '2053': ['311813'],
+    '2061': ['311314'],
+    '2062': ['311314'],
+    '2063': ['311313'],
+    '2064': ['311340', '311352'],
+    '2066': ['311351', '311352'],
+    '2067': ['311340'],
+    '2068': ['311911'],
+    '2074': ['311224'],
+    '2075': ['311224'],
+    '2076': ['311224'],
+    '2077': ['311613', '311710'],
+    '2079': ['311225', '311224'],
+    '2082': ['312120'],
+    '2083': ['311213'],
+    '2084': ['312130'],
+    '2085': ['312140'],
+    '2086': ['312111', '312112'],
+    '2087': ['311930', '311942'],
+    '2091': ['311710'],
+    '2092': ['311710'],
+    '2095': ['311920'],
+    '2096': ['311919'],
+    '2097': ['312113'],
+    '2098': ['311824'],
+    '2099': ['311999', '311830', '311911', '311920', '311941', '311942', '111998'],
+    '2111': ['312230'],
+    '2121': ['312230'],
+    '2131': ['312230'],
+    '2141': ['312230'],
+    '2211': ['313210'],
+    '2221': ['313210'],
+    '2231': ['313210', '313310'],
+    '2241': ['313220'],
+    '2251': ['315110'],
+    '2252': ['315110'],
+    '2253': ['315190'],
+    '2254': ['315190'],
+    '2257': ['313240'],
+    '2258': ['313240'],
+    '2259': ['313240', '315190'],
+    '2261': ['313310'],
+    '2262': ['313310'],
+    '2269': ['313310'],
+    '2273': ['314110'],
+    '2281': ['313110'],
+    '2282': ['313110'],
+    '2284': ['313110'],
+    '2295': ['313320'],
+    '2296': ['314994'],
+    '2297': ['313230'],
+    '2298': ['314994'],
+    '2299': ['313110', '313210', '313230', '314999'],
+    '2311': ['315220', '315210'],
+    '2321': ['315220', '315210'],
+    '2322': ['315220', '315210'],
+    '2323': ['315990'],
+    '2325': ['315220', '315210'],
+    '2326': ['315220', '315210'],
+    '2329': ['315220', '315280', '315210'],
+    '2331': ['315240', '315210'],
+    '2335': ['315240', '315210'],
+    '2337': ['315240', '315210'],
+    '2339': ['315240', '315210', '315990'],
+    '2341': ['315240', '315220', '315210'],
+    '2342': ['315240', '315210'],
+    '2353': ['315990', '315210'],
+    '2361': ['315240', '315220', '315210'],
+    '2369': ['315240', '315220', '315210'],
+    '2371': ['315280'],
+    '2381': ['315990', '315210'],
+    '2384': ['315240', '315220', '315210'],
+    '2385': ['315280', '315240', '315220', '315210'],
+    '2386': ['315280', '315210'],
+    '2387': ['315990'],
+    '2389': ['315990', '315280', '315210'],
+    '2391': ['314120'],
+    '2392': ['314120', '314910', '314999'],
+    '2393': ['314910'],
+    '2394': ['314910'],
+    '2395': ['314999', '315210'],
+    '2396': ['336360', '315990', '323113', '314999'],
+    '2397': ['313220'],
+    '2399': ['314999', '336360', '315990'],
+    '2411': ['113310'],
+    '2421': ['321113', '321912', '321918', '321999'],
+    '2426': ['321912', '321918', '337215'],
+    '2429': ['321113', '321920', '321999'],
+    '2431': ['321911', '321918'],
+    '2434': ['337110'],
+    '2435': ['321211'],
+    '2436': ['321212'],
+    '2439': ['321213', '321214'],
+    '2441': ['321920'],
+    '2448': ['321920'],
+    '2449': ['321920'],
+    '2451': ['321991'],
+    '2452': ['321992'],
+    '2491': ['321114'],
+    '2493': ['321219'],
+    '2499': ['321999', '321920', '339999'],
+    '2511': ['337122'],
+    '2512': ['337121'],
+    '2514': ['337124'],
+    '2515': ['337910', '337121'],
+    '2517': ['337122'],
+    '2519': ['337125'],
+    '2521': ['337211'],
+    '2522': ['337214'],
+    '2531': ['337127', '336360', '339940'],
+    '2541': ['337212', '337110', '337215'],
+    '2542': ['337215'],
+    '2591': ['337920'],
+    '2599': ['337127', '339113'],
+    '2611': ['322110', '322121', '322130'],
+    '2621': ['322121', '322122'],
+    '2631': ['322130'],
+    '2652': ['322219'],
+    '2653': ['322211'],
+    '2655': ['322219'],
+    '2656': ['322219'],
+    '2657': ['322212'],
+    '2671': ['322220', '326112'],
+    '2672': ['322220'],
+    '2673': ['326111', '322220'],
+    '2674': ['322220'],
+    '2675': ['322299', '322230'],
+    '2676': ['322291'],
+    '2677': ['322230'],
+    '2678': ['322230'],
+    '2679': ['322299', '322220', '322230'],
+    '2711': ['511110'],
+    '2721': ['511120'],
+    '2731': ['511130', '512230'],
+    '2732': ['323117'],
+    '2741': ['511140', '511199', '512230', '519130'],
+    '2752': ['323111'],
+    '2754': ['323111'],
+    '2759': ['323111', '323113'],
+    '2761': ['323111'],
+    '2771': ['511191', '323111'],
+    '2782': ['323111'],
+    '2789': ['323120'],
+    '2791': ['323120'],
+    '2796': ['323120'],
+    '2812': ['325180'],
+    '2813': ['325120'],
+    '2816': ['325130', '325180'],
+    '2819': ['325180', '325998', '331313'],
+    '2821': ['325211'],
+    '2822': ['325212'],
+    '2823': ['325220'],
+    '2824': ['325220'],
+    '2833': ['325411'],
+    '2834': ['325412'],
+    '2835': ['325413', '325412'],
+    '2836': ['325414'],
+    '2841': ['325611'],
+    '2842': ['325612'],
+    '2843': ['325613'],
+    '2844': ['325620', '325611'],
+    '2851': ['325510'],
+    '2861': ['325194'],
+    '2865': ['325110', '325130', '325194'],
+    '2869': ['325199', '325110', '325193', '325120'],
+    '2873': ['325311'],
+    '2874': ['325312'],
+    '2875': ['325314'],
+    '2879': ['325320'],
+    '2891': ['325520'],
+    '2892': ['325920'],
+    '2893': ['325910'],
+    '2895': ['325180'],
+    '2899': ['325998', '311942', '325510', '325199'],
+    '2911': ['324110'],
+    '2951': ['324121'],
+    '2952': ['324122'],
+    '2992': ['324191'],
+    '2999': ['324199'],
+    '3011': ['326211'],
+    '3021': ['316210'],
+    '3052': ['326220'],
+    '3053': ['339991'],
+    '3061': ['326291'],
+    '3069': ['326299', '313320', '339920'],
+    '3081': ['326113'],
+    '3082': ['326121'],
+    '3083': ['326130'],
+    '3084': ['326122'],
+    '3085': ['326160'],
+    '3086': ['326140', '326150'],
+    '3087': ['325991'],
+    '3088': ['326191'],
+    '3089': ['326199', '326121', '337215'],
+    '3111': ['316110'],
+    '3131': ['316998', '321999', '339993'],
+    '3142': ['316210'],
+    '3143': ['316210'],
+    '3144': ['316210'],
+    '3149': ['316210'],
+    '3151': ['315990'],
+    '3161': ['316998'],
+    '3171': ['316992'],
+    '3172': ['316998'],
+    '3199': ['316998'],
+    '3211': ['327211'],
+    '3221': ['327213'],
+    '3229': ['327212'],
+    '3231': ['327215'],
+    '3241': ['327310'],
+    '3251': ['327120'],
+    '3253': ['327120'],
+    '3255': ['327120'],
+    '3259': ['327120'],
+    '3261': ['327110'],
+    '3262': ['327110'],
+    '3263': ['327110'],
+    '3264': ['327110'],
+    '3269': ['327110'],
+    '3271': ['327331'],
+    '3272': ['327390', '327332'],
+    '3273': ['327320'],
+    '3274': ['327410'],
+    '3275': ['327420'],
+    '3281': ['327991'],
+    '3291': ['327910', '332999'],
+    '3292': ['327999', '336340'],
+    '3295': ['327992'],
+    '3296': ['327993'],
+    '3297': ['327120'],
+    '3299': ['327999', '327420'],
+    '3312': ['331110', '324199', '331221'],
+    '3313': ['331110'],
+    '3315': ['331222', '332618'],
+    '3316': ['331221'],
+    '3317': ['331210'],
+    '3321': ['331511'],
+    '3322': ['331511'],
+    '3324': ['331512'],
+    '3325': ['331513'],
+    '3331': ['331410'],
+    '3334': ['331313'],
+    '3339': ['331410'],
+    '3341': ['331314', '331420', '331492'],
+    '3351': ['331420'],
+    '3353': ['331315'],
+    '3354': ['331318'],
+    '3355': ['331318'],
+    '3356': ['331491'],
+    '3357': ['335929', '331318', '331420', '331491', '335921'],
+    '3363': ['331523'],
+    '3364': ['331523'],
+    '3365': ['331524'],
+    '3366': ['331529'],
+    '3369': ['331529'],
+    '3398': ['332811'],
+    '3399': ['331110', '331221', '331314', '332618', '332813'],
+    '3411': ['332431'],
+    '3412': ['332439'],
+    '3421': ['332215'],
+    '3423': ['332216'],
+    '3425': ['332216'],
+    '3429': ['332510', '332919', '332999'],
+    '3431': ['332999'],
+    '3432': ['332913', '332919'],
+    '3433': ['333414'],
+    '3441': ['332312'],
+    '3442': ['332321'],
+    '3443': ['332313', '332410', '332420', '333415'],
+    '3444': ['332322', '332439', '333415'],
+    '3446': ['332323'],
+    '3448': ['332311'],
+    '3449': ['332114', '332312', '332321', '332323'],
+    '3451': ['332721'],
+    '3452': ['332722'],
+    '3462': ['332111'],
+    '3463': ['332112'],
+    '3465': ['336370'],
+    '3466': ['332119'],
+    '3469': ['332119', '332215'],
+    '3471': ['332813'],
+    '3479': ['332812', '339910'],
+    '3482': ['332992'],
+    '3483': ['332993'],
+    '3484': ['332994'],
+    '3489': ['332994'],
+    '3491': ['332911'],
+    '3492': ['332912'],
+    '3493': ['332613'],
+    '3494': ['332919', '332996'],
+    '3495': ['332613', '334519'],
+    '3496': ['332618'],
+    '3497': ['322220', '332999'],
+    '3498': ['332996'],
+    '3499': ['332999', '332117', '332510', '332919', '336360', '337215'],
+    '3511': ['333611'],
+    '3519': ['333618', '336390'],
+    '3523': ['333111', '333922'],
+    '3524': ['333112', '332216'],
+    '3531': ['333120', '333923', '336510'],
+    '3532': ['333131'],
+    '3533': ['333132'],
+    '3534': ['333921'],
+    '3535': ['333922'],
+    '3536': ['333923'],
+    '3537': ['333924', '332439', '332999'],
+    '3541': ['333517'],
+    '3542': ['333517'],
+    '3543': ['332999'],
+    '3544': ['333514', '333511'],
+    '3545': ['333515', '332216'],
+    '3546': ['333991'],
+    '3547': ['333519'],
+    '3548': ['333992'],
+    '3549': ['333519'],
+    '3552': ['333249'],
+    '3553': ['333243'],
+    '3554': ['333243'],
+    '3555': ['333244'],
+    '3556': ['333241'],
+    '3559': ['333249', '333242', '333318'],
+    '3561': ['333914'],
+    '3562': ['332991'],
+    '3563': ['333912'],
+    '3564': ['333413'],
+    '3565': ['333993'],
+    '3566': ['333612'],
+    '3567': ['333994'],
+    '3568': ['333613'],
+    '3569': ['333999', '333413'],
+    '3571': ['334111'],
+    '3572': ['334112'],
+    '3575': ['334118'],
+    '3577': ['334118'],
+    '3578': ['334118'],
+    '3579': ['333318', '339940', '334519'],
+    '3581': ['333318'],
+    '3582': ['333318'],
+    '3585': ['333415', '336390'],
+    '3586': ['333914'],
+    '3589': ['333318'],
+    '3592': ['336310'],
+    '3593': ['333995'],
+    '3594': ['333996'],
+    '3596': ['333997'],
+    '3599': ['332710', '333999', '336390', '332999'],
+    '3612': ['335311'],
+    '3613': ['335313'],
+    '3621': ['335312'],
+    '3624': ['335991'],
+    '3625': ['335314'],
+    '3629': ['335999'],
+    '3631': ['335220'],
+    '3632': ['335220'],
+    '3633': ['335220'],
+    '3634': ['335210'],
+    '3635': ['335210'],
+    '3639': ['335220', '335210', '333318'],
+    '3641': ['335110'],
+    '3643': ['335931'],
+    '3644': ['335932'],
+    '3645': ['335121'],
+    '3646': ['335122'],
+    '3647': ['336320'],
+    '3648': ['335129'],
+    '3651': ['334310'],
+    '3652': ['334614', '512250'],
+    '3661': ['334210', '334418'],
+    '3663': ['334220'],
+    '3669': ['334290'],
+    '3671': ['334419'],
+    '3672': ['334412'],
+    '3674': ['334413'],
+    '3675': ['334416'],
+    '3676': ['334416'],
+    '3677': ['334416'],
+    '3678': ['334417'],
+    '3679': ['334419', '334418', '334515', '336320'],
+    '3691': ['335911'],
+    '3692': ['335912'],
+    '3694': ['336320'],
+    '3695': ['334613'],
+    '3699': ['335999', '333318'],
+    '3711': ['336111', '336112', '336120', '336211', '336992'],
+    '3713': ['336211'],
+    '3714': ['336390', '336310', '336320', '336330', '336340', '336350'],
+    '3715': ['336212'],
+    '3716': ['336213'],
+    '3721': ['336411'],
+    '3724': ['336412'],
+    '3728': ['336413'],
+    '3731': ['336611', '488390'],
+    '3732': ['336612', '811490'],
+    '3743': ['336510'],
+    '3751': ['336991'],
+    '3761': ['336414'],
+    '3764': ['336415'],
+    '3769': ['336419'],
+    '3792': ['336214'],
+    '3795': ['336992'],
+    '3799': ['336999', '336214'],
+    '3812': ['334511'],
+    '3821': ['339113', '333999', '334516'],
+    '3822': ['334512'],
+    '3823': ['334513'],
+    '3824': ['334514'],
+    '3825': ['334515'],
+    '3826': ['334516'],
+    '3827': ['333314'],
+    '3829': ['334519', '339112'],
+    '3841': ['339112'],
+    '3842': ['339113', '322291'],
+    '3843': ['339114'],
+    '3844': ['334517'],
+    '3845': ['334510', '334517'],
+    '3851': ['339115'],
+    '3861': ['333316', '325992'],
+    '3873': ['334519'],
+    '3911': ['339910'],
+    '3914': ['339910', '332215'],
+    '3915': ['339910'],
+    '3931': ['339992'],
+    '3942': ['339930'],
+    '3944': ['339930'],
+    '3949': ['339920'],
+    '3951': ['339940'],
+    '3952': ['339940'],
+    '3953': ['339940'],
+    '3955': ['339940'],
+    '3961': ['339910'],
+    '3965': ['339993'],
+    '3991': ['339994'],
+    '3993': ['339950'],
+    '3995': ['339995'],
+    '3996': ['326199'],
+    '3999': ['339999', '316110', '321999', '325998', '337127'],
+    '4011': ['482111'],
+    '4013': ['482112', '488210'],
+    '4111': ['485111', '485112', '485113', '485119', '485999'],
+    '4119': ['485320', '485410', '485991', '485999', '487110', '621910'],
+    '4121': ['485310'],
+    '4131': ['485210'],
+    '4141': ['485510'],
+    '4142': ['485510'],
+    '4151': ['485410'],
+    '4173': ['488490'],
+    '4212': ['484110', '484210', '484220', '562111', '562112', '562119'],
+    '4213': ['484121', '484122', '484210', '484230'],
+    '4214': ['484110', '484210', '484220'],
+    '4215': ['492110', '492210'],
+    '4221': ['493130'],
+    '4222': ['493120'],
+    '4225': ['493110', '531130'],
+    '4226': ['493190'],
+    '4231': ['488490'],
+    '4311': ['491110'],
+    '4412': ['483111'],
+    '4424': ['483113'],
+    '4432': ['483113'],
+    '4449': ['483211'],
+    '4481': ['483112', '483114'],
+    '4482': ['483114', '483212'],
+    '4489': ['483212', '487210'],
+    '4491': ['488320', '488310'],
+    '4492': ['488330', '483113', '483211'],
+    '4493': ['713930'],
+    '4499': ['488390', '488330', '532411', '541990'],
+    '4512': ['481111', '481112'],
+    '4513': ['492110'],
+    '4522': ['481211', '481212', '481219', '487990', '621910'],
+    '4581': ['488119', '488111', '488190', '561720'],
+    '4612': ['486110'],
+    '4613': ['486910'],
+    '4619': ['486990'],
+    '4724': ['561510'],
+    '4725': ['561520'],
+    '4729': ['488999', '561599'],
+    '4731': ['488510', '541614'],
+    '4741': ['532411', '488210'],
+    '4783': ['488991'],
+    '4785': ['488490', '488390'],
+    '4789': ['488999', '487110', '488210'],
+    '4812': ['517312', '517911'],
+    '4813': ['517311', '517911'],
+    '4822': ['517311', '517919'],
+    '4832': ['515111', '515112'],
+    '4833': ['515120'],
+    '4841': ['515210', '517311'],
+    '4899': ['517919', '517410'],
+    '4911': ['221122', '221111', '221112', '221113', '221114', '221115', '221116', '221117', '221118', '221121'],
+    '4922': ['486210'],
+    '4923': ['486210', '221210'],
+    '4924': ['221210'],
+    '4925': ['221210'],
+    '4931': ['221122', '221112', '221210'],
+    '4932': ['221210'],
+    '4939': ['221122', '221112', '221210'],
+    '4941': ['221310'],
+    '4952': ['221320'],
+    '4953': ['562211', '562212', '562213', '562219', '562920'],
+    '4959': ['562910', '562998', '488119', '561790'],
+    '4961': ['221330'],
+    '4971': ['221310'],
+    '5012': ['423110'],
+    '5013': ['423120', '441310'],
+    '5014': ['423130', '441320'],
+    '5015': ['423140'],
+    '5021': ['423210'],
+    '5023': ['423220'],
+    '5031': ['423310', '444190'],
+    '5032': ['423320', '444190'],
+    '5033': ['423330'],
+    '5039': ['423390', '423310'],
+    '5043': ['423410'],
+    '5044': ['423420'],
+    '5045': ['423430', '443142'],
+    '5046': ['423440'],
+    '5047': ['423450', '446199'],
+    '5048': ['423460'],
+    '5049': ['423490', '453210'],
+    '5051': ['423510'],
+    '5052': ['423520'],
+    '5063': ['423610', '444190'],
+    '5064': ['423620'],
+    '5065': ['423690', '443142'],
+    '5072': ['423710'],
+    '5074': ['423720', '444190'],
+    '5075': ['423730'],
+    '5078': ['423740'],
+    '5082': ['423810'],
+    '5083': ['423820', '444210'],
+    '5084': ['423830'],
+    '5085': ['423840', '423830'],
+    '5087': ['423850'],
+    '5088': ['423860'],
+    '5091': ['423910'],
+    '5092': ['423920'],
+    '5093': ['423930'],
+    '5094': ['423940'],
+    '5099': ['423990'],
+    '5111': ['424110'],
+    '5112': ['424120', '453210'],
+    '5113': ['424130'],
+    '5122': ['424210', '446191'],
+    '5131': ['424310'],
+    '5136': ['424320'],
+    '5137': ['424330'],
+    '5139': ['424340'],
+    '5141': ['424410'],
+    '5142': ['424420'],
+    '5143': ['424430'],
+    '5144': ['424440'],
+    '5145': ['424450'],
+    '5146': ['424460'],
+    '5147': ['424470', '311612'],
+    '5148': ['424480'],
+    '5149': ['424490', '312112'],
+    '5153': ['424510'],
+    '5154': ['424520'],
+    '5159': ['424590'],
+    '5162': ['424610'],
+    '5169': ['424690'],
+    '5171': ['424710', '454310'],
+    '5172': ['424720'],
+    '5181': ['424810'],
+    '5182': ['424820'],
+    '5191': ['424910', '444220'],
+    '5192': ['424920'],
+    '5193': ['424930', '444220'],
+    '5194': ['424940'],
+    '5198': ['424950', '444120'],
+    '5199': ['424990'],
+    '5211': ['444110', '444190'],
+    '5231': ['444120', '444190'],
+    '5251': ['444130'],
+    '5261': ['444220', '444210'],
+    '5271': ['453930'],
+    '5311': ['452210', '452311'],
+    '5331': ['452319'],
+    '5399': ['452319', '452311'],
+    '5411': ['445110', '445120', '447110', '452311'],
+    '5421': ['445210', '445220', '454390'],
+    '5431': ['445230'],
+    '5441': ['445292', '311340', '311352'],
+    '5451': ['445299'],
+    '5461': ['311811', '445291', '722515'],
+    '5499': ['445299', '446191', '722515'],
+    '5511': ['441110'],
+    '5521': ['441120'],
+    '5531': ['441310', '441320'],
+    '5541': ['447110', '447190'],
+    '5551': ['441222'],
+    '5561': ['441210'],
+    '5571': ['441228'],
+    '5599': ['441228'],
+    '5611': ['448110', '448150'],
+    '5621': ['448120'],
+    '5632': ['448150', '448190'],
+    '5641': ['448130'],
+    '5651': ['448140'],
+    '5661': ['448210'],
+    '5699': ['448190', '448150'],
+    '5712': ['442110'],
+    '5713': ['442210'],
+    '5714': ['442291', '451130'],
+    '5719': ['442299', '442291'],
+    '5722': ['443141'],
+    '5731': ['443142'],
+    '5734': ['443142'],
+    '5735': ['443142'],
+    '5736': ['451140'],
+    '5812': ['722511', '722513', '722514', '722515', '722320'],
+    '5813': ['722410'],
+    '5912': ['446110'],
+    '5921': ['445310'],
+    '5932': ['453310', '522298'],
+    '5941': ['451110'],
+    '5942': ['451211'],
+    '5943': ['453210'],
+    '5944': ['448310'],
+    '5945': ['451120'],
+    '5946': ['443142'],
+    '5947': ['453220'],
+    '5948': ['448320'],
+    '5949': ['451130'],
+    '5961': ['454110'],
+    '5962': ['454210'],
+    '5963': ['454390', '722330'],
+    '5983': ['454310'],
+    '5984': ['454310'],
+    '5989': ['454310'],
+    '5992': ['453110'],
+    '5993': ['453991'],
+    '5994': ['451212'],
+    '5995': ['446130'],
+    '5999': ['453998', '453910', '453920', '446120', '446199', '443142'],
+    '6011': ['521110'],
+    '6019': ['522320'],
+    '6021': ['522110', '522210', '523991'],
+    '6022': ['522110', '522190', '522210', '523991'],
+    '6029': ['522110'],
+    '6035': ['522120'],
+    '6036': ['522120'],
+    '6061': ['522130'],
+    '6062': ['522130'],
+    '6081': ['522110', '522293', '522298'],
+    '6082': ['522293'],
+    '6091': ['523991'],
+    '6099': ['522320', '522390', '523130'],
+    '6111': ['522294', '522293', '522298'],
+    '6141': ['522291', '522210', '522220'],
+    '6153': ['522298', '522210', '522220', '522320'],
+    '6159': ['522298', '522220', '522292'],
+    '6162': ['522292', '522390'],
+    '6163': ['522310'],
+    '6211': ['523120', '523110', '523910', '523999'],
+    '6221': ['523140', '523130'],
+    '6231': ['523210'],
+    '6282': ['523930', '523920'],
+    '6289': ['523999', '523991'],
+    '6311': ['524113'],
+    '6321': ['524114', '525190'],
+    '6324': ['524114', '525190'],
+    '6331': ['524126', '524128', '525190'],
+    '6351': ['524126'],
+    '6361': ['524127'],
+    '6371': ['525110', '525120', '523920', '524292'],
+    '6399': ['524128'],
+    '6411': ['524210', '524291', '524292', '524298'],
+    '6512': ['531120', '711310'],
+    '6513': ['531110'],
+    '6514': ['531110'],
+    '6515': ['531190'],
+    '6517': ['531190'],
+    '6519': ['531190'],
+    '6531': ['531210', '531311', '531312', '531320', '531390', '812220'],
+    '6541': ['541191'],
+    '6552': ['237210'],
+    '6553': ['812220'],
+    '6712': ['551111'],
+    '6719': ['551112'],
+    '6722': ['525910'],
+    '6726': ['525990'],
+    '6732': ['813211'],
+    '6733': ['525920', '523920', '523991'],
+    '6792': ['523910', '533110'],
+    '6794': ['533110'],
+    '6798': ['525990', '531110', '531120', '531130', '531190'],
+    '6799': ['523910', '523130'],
+    '7011': ['721110', '721120', '721191', '721199'],
+    '7021': ['721310'],
+    '7032': ['721214'],
+    '7033': ['721211'],
+    '7041': ['721110', '721310'],
+    '7211': ['812320'],
+    '7212': ['812320'],
+    '7213': ['812331'],
+    '7215': ['812310'],
+    '7216': ['812320'],
+    '7217': ['561740'],
+    '7218': ['812332'],
+    '7219': ['812320', '811490'],
+    '7221': ['541921'],
+    '7231': ['812112', '812113', '611511'],
+    '7241': ['812111', '611511'],
+    '7251': ['811430', '812990'],
+    '7261': ['812210', '812220'],
+    '7291': ['541213'],
+    '7299': ['812990', '812191', '812199', '532281'],
+    '7311': ['541810'],
+    '7312': ['541850'],
+    '7313': ['541840'],
+    '7319': ['541890', '541830', '541850', '541870', '481219'],
+    '7322': ['561440', '561450'],
+    '7323': ['561450'],
+    '7331': ['541860'],
+    '7334': ['561439'],
+    '7335': ['541922', '481219'],
+    '7336': ['541430'],
+    '7338': ['561410', '561492'],
+    '7342': ['561710', '561720'],
+    '7349': ['561720', '561790'],
+    '7352': ['532283', '532490'],
+    '7353': ['532412'],
+    '7359': ['532490', '532210', '532289', '532310', '532411', '532420', '562991'],
+    '7361': ['561311', '541612'],
+    '7363': ['561320', '561330'],
+    '7371': ['541511'],
+    '7372': ['511210', '334614'],
+    '7373': ['541512'],
+    '7374': ['518210'],
+    '7375': ['519130'],
+    '7376': ['541513'],
+    '7377': ['532420'],
+    '7378': ['811212', '443142'],
+    '7379': ['541519', '541512'],
+    '7381': ['561612', '561611', '561613'],
+    '7382': ['561621'],
+    '7383': ['519110'],
+    '7384': ['812921', '812922'],
+    '7389': ['561990', '561410', '561422', '561491', '561499', '561591', '561910', '561920', '541930', '541990', '425120'],
+    '7513': ['532120'],
+    '7514': ['532111'],
+    '7515': ['532112'],
+    '7519': ['532120'],
+    '7521': ['812930'],
+    '7532': ['811121'],
+    '7533': ['811112'],
+    '7534': ['326212', '811198'],
+    '7536': ['811122'],
+    '7537': ['811113'],
+    '7538': ['811111'],
+    '7539': ['811118', '811198'],
+    '7542': ['811192'],
+    '7549': ['811191', '811198', '488410'],
+    '7622': ['811211', '811213', '443142'],
+    '7623': ['811310', '811412', '443141'],
+    '7629': ['811219', '811211', '811212', '811213', '811412', '443141'],
+    '7631': ['811490', '448310'],
+    '7641': ['811420'],
+    '7692': ['811490'],
+    '7694': ['811310', '335312'],
+    '7699': ['811490', '811310', '811412', '811219', '561790', '562991', '488390'],
+    '7812': ['512110'],
+    '7819': ['512191', '512199', '532490', '541214', '561311', '711510'],
+    '7822': ['512120', '423990'],
+    '7829': ['512199', '512120'],
+    '7832': ['512131'],
+    '7833': ['512132'],
+    '7841': ['532282'],
+    '7911': ['611610', '713990'],
+    '7922': ['711110', '711120', '711310', '711320', '711410', '711510', '532490', '561311'],
+    '7929': ['711130', '711190', '711510'],
+    '7933': ['713950'],
+    '7941': ['711211', '711310', '711320', '711410'],
+    '7948': ['711212', '711219'],
+    '7991': ['713940'],
+    '7992': ['713910'],
+    '7993': ['713120', '713290', '713990'],
+    '7996': ['713110'],
+    '7997': ['713910', '713940', '713990', '481219'],
+    '7999': ['713990', '487990', '532284', '611620', '711190', '711219', '712190', '713210', '713290', '713920'],
+    '8011': ['621111', '621112', '621491', '621493'],
+    '8021': ['621210'],
+    '8031': ['621111', '621112'],
+    '8041': ['621310'],
+    '8042': ['621320'],
+    '8043': ['621391'],
+    '8049': ['621399', '621330', '621340'],
+    '8051': ['623110', '623311'],
+    '8052': ['623110', '623210', '623311'],
+    '8059': ['623110', '623311'],
+    '8062': ['622110'],
+    '8063': ['622210'],
+    '8069': ['622310', '622110', '622210'],
+    '8071': ['621511', '621512'],
+    '8072': ['339116'],
+    '8082': ['621610'],
+    '8092': ['621492'],
+    '8093': ['621420', '621410', '621498'],
+    '8099': ['621999', '621410', '621991'],
+    '8111': ['541110'],
+    '8211': ['611110'],
+    '8221': ['611310'],
+    '8222': ['611210'],
+    '8231': ['519120'],
+    '8243': ['611420', '611519'],
+    '8244': ['611410'],
+    '8249': ['611519', '611512', '611513'],
+    '8299': ['611699', '611430', '611512', '611610', '611620', '611630', '611691', '611710'],
+    '8322': ['624190', '624110', '624120', '624210', '624221', '624229', '624230', '922150'],
+    '8331': ['624310'],
+    '8351': ['624410'],
+    '8361': ['623990', '623210', '623220', '623312'],
+    '8399': ['813219', '813212', '813319'],
+    '8412': ['712110', '712120'],
+    '8422': ['712130', '712190'],
+    '8611': ['813910'],
+    '8621': ['813920'],
+    '8631': ['813930'],
+    '8641': ['813410', '813990'],
+    '8651': ['813940'],
+    '8661': ['813110'],
+    '8699': ['813990', '813312', '813410', '813910', '561599'],
+    '8711': ['541330'],
+    '8712': ['541310'],
+    '8713': ['541370'],
+    '8721': ['541211', '541214', '541219'],
+    '8731': ['541715', '541713', '541714'],
+    '8732': ['541720', '541910'],
+    '8733': ['541715', '541714', '541720'],
+    '8734': ['541380', '541940'],
+    '8741': ['561110', '236220'],
+    '8742': ['541611', '541612', '541613', '541614'],
+    '8743': ['541820'],
+    '8744': ['561210'],
+    '8748': ['541618', '541690', '611710'],
+    '8811': ['814110'],
+    '8999': ['711510', '541620', '541690'],
+    '9111': ['921110'],
+    '9121': ['921120'],
+    '9131': ['921140'],
+    '9199': ['921190'],
+    '9211': ['922110'],
+    '9221': ['922120'],
+    '9222': ['922130'],
+    '9223': ['922140'],
+    '9224': ['922160'],
+    '9229': ['922190'],
+    '9311': ['921130'],
+    '9411': ['923110'],
+    '9431': ['923120'],
+    '9441': ['923130'],
+    '9451': ['923140'],
+    '9511': ['924110'],
+    '9512': ['924120'],
+    '9531': ['925110'],
+    '9532': ['925120'],
+    '9611': ['926110'],
+    '9621': ['926120', '488111'],
+    '9631': ['926130'],
+    '9641': ['926140'],
+    '9651': ['926150'],
+    '9661': ['927110'],
+    '9711': ['928110'],
+    '9721': ['928120'],
+    '9999': [],
+};
@@ -0,0 +1,103 @@
+-- db/schema.sql
+-- Supabase tables used by lib/storage/supabaseAdapter.js. The app reaches them
+-- only from API routes, with the service-role key (SUPABASE_SERVICE_ROLE_KEY,
+-- see lib/supabaseClient.js). Row level security is on with no policies, so
+-- the public anon key can't read or write any of them.
+
+create table if not exists form_drafts (
+  id uuid primary key default gen_random_uuid(),
+  user_id text not null,            -- Clerk user ID
+  company_id text not null,         -- Retool company ID
+  form_type text not null default 'acord125', -- Key in config/formRegistry.js
+  form_data jsonb not null default '{}'::jsonb,
+  field_provenance jsonb not null default '{}'::jsonb, -- Per-field source/confidence/evidence, see lib/fieldProvenance.js
+  current_version integer,          -- Latest row in form_draft_versions
+  status text not null default 'draft' check (status in ('draft', 'ready', 'submitted')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, company_id, form_type)
+);
+
+-- Immutable history: one row per save, never updated
+create table if not exists form_draft_versions (
+  id uuid primary key default gen_random_uuid(),
+  user_id text not null,
+  company_id text not null,
+  form_type text not null default 'acord125',
+  version integer not null,
+  form_data jsonb not null,
+  field_provenance jsonb not null default '{}'::jsonb,
+  save_type text not null check (save_type in ('auto', 'manual', 'restore')),
+  restored_from integer,            -- Source version when save_type = 'restore'
+  created_at timestamptz not null default now(),
+  unique (user_id, company_id, form_type, version)
+);
+
+-- Agency info used to pre-fill the agency_* form fields. An organization
+-- profile is the office default; a producer profile overrides it field by field.
+create table if not exists agency_profiles (
+  id uuid primary key default gen_random_uuid(),
+  scope text not null check (scope in ('organization', 'producer')),
+  owner_id text not null,           -- Clerk organization ID or Clerk user ID, per scope
+  org_id text,                      -- Organization that manages the profile (null for personal accounts)
+  profile jsonb not null default '{}'::jsonb,
+  updated_by text not null,         -- Clerk user ID of the last editor
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (scope, owner_id)
+);
+
+alter table form_drafts enable row level security;
+alter table form_draft_versions enable row level security;
+alter table agency_profiles enable row level security;
+
+-- One save, atomically: checks the expected revision (when given), appends the
+-- next version and updates the draft row. Saves of the same draft are
+-- serialized by an advisory lock, so version numbers never collide. A stale
+-- p_expected_revision raises SQLSTATE PT409 (HTTP 409 through PostgREST)
+-- with the current revision in the error detail.
+create or replace function save_form_draft(
+  p_user_id text,
+  p_company_id text,
+  p_form_type text,
+  p_form_data jsonb,
+  p_field_provenance jsonb,
+  p_save_type text,
+  p_restored_from integer,
+  p_expected_revision integer
+) returns form_drafts
+language plpgsql
+as $$
+declare
+  latest integer;
+  saved form_drafts;
+begin
+  perform pg_advisory_xact_lock(hashtext(p_user_id || ':' || p_company_id || ':' || p_form_type));
+
+  select coalesce(max(version), 0) into latest
+  from form_draft_versions
+  where user_id = p_user_id and company_id = p_company_id and form_type = p_form_type;
+
+  if p_expected_revision is not null and p_expected_revision <> latest then
+    raise exception 'Draft was saved elsewhere (expected revision %, current is %).', p_expected_revision, latest
+      using errcode = 'PT409', detail = latest::text;
+  end if;
+
+  insert into form_draft_versions (user_id, company_id, form_type, version, form_data, field_provenance, save_type, restored_from)
+  values (p_user_id, p_company_id, p_form_type, latest + 1, p_form_data, coalesce(p_field_provenance, '{}'::jsonb), p_save_type, p_restored_from);
+
+  insert into form_drafts (user_id, company_id, form_type, form_data, field_provenance, current_version, status, updated_at)
+  values (p_user_id, p_company_id, p_form_type, p_form_data, coalesce(p_field_provenance, '{}'::jsonb), latest + 1, 'draft', now())
+  on conflict (user_id, company_id, form_type) do update
+    set form_data = excluded.form_data,
+        field_provenance = excluded.field_provenance,
+        current_version = excluded.current_version,
+        status = 'draft', -- Any content change reopens the draft
+        updated_at = excluded.updated_at
+  returning * into saved;
+
+  return saved;
+end;
+$$;
+
+revoke execute on function save_form_draft(text, text, text, jsonb, jsonb, text, integer, integer) from public, anon, authenticated;
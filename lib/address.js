@@ -0,0 +1,158 @@
+// lib/address.js
+// Addresses are stored as { street1, street2, city, state, zip } (schema type
+// 'address'). These helpers parse free text into that shape, normalize and
+// validate it, and format it back into one line for display and prompts.
+
+export const ADDRESS_PARTS = ['street1', 'street2', 'city', 'state', 'zip'];
+
+export const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+  CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+  HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+  LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+  SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+};
+
+// Options for the state dropdown
+export const STATE_OPTIONS = Object.entries(US_STATES).map(([value, name]) => ({ value, label: `${value} - ${name}` }));
+
+export const isZipCode = (v) => typeof v === 'string' && /^\d{5}(-\d{4})?$/.test(v.trim());
+export const isStateCode = (v) => typeof v === 'string' && Boolean(US_STATES[v.trim().toUpperCase()]);
+
+const isBlankPart = (v) => v === null || v === undefined || String(v).trim() === '';
+
+// State code for a code or state name ("oh", "Ohio"), null when it is neither
+function stateCodeFor(text) {
+  const value = String(text ?? '').trim().replace(/\.$/, '');
+  if (US_STATES[value.toUpperCase()]) return value.toUpperCase();
+  const name = value.toLowerCase().replace(/\s+/g, ' ');
+  return Object.keys(US_STATES).find(code => US_STATES[code].toLowerCase() === name) || null;
+}
+
+// Two-letter state code, uppercase ("ga", "Georgia" -> "GA"); anything else is returned trimmed
+export const normalizeStateCode = (value) => stateCodeFor(value) || String(value ?? '').trim();
+
+// ZIP or ZIP+4 with the dash; a 4-digit ZIP lost its leading zero (stored as a number)
+export function normalizeZip(value) {
+  const text = String(value ?? '').trim();
+  const digits = text.replace(/\D/g, '');
+  if (digits.length === 9) return `${digits.slice(0, 5)}-${digits.slice(5)}`;
+  if (digits.length === 5 && /^\d{5}$/.test(text)) return digits;
+  if (digits.length === 4 && /^\d{4}$/.test(text)) return `0${digits}`;
+  return text;
+}
+
+// "Ste 4", "Apt. B", "#12": a whole keyword followed by a number or letter,
+// so neither "Flower St" nor "Lot Rd" is taken for a unit
+const STREET2_PATTERN = /^(.*?),?\s+((?:#|(?:apt|suite|ste|unit|fl|floor|bldg|building|dept|rm|room|lot)\b\.?)\s*(?:[a-z]?-?\d[\w-]*|[a-z]\b).*)$/i;
+
+/**
+ * Splits a one-line or multi-line address ("1200 Main St Ste 4, Columbus, OH
+ * 43215") into its parts. The ZIP and state are read from the end, the city
+ * from the part before them, and a suite or unit is moved to street2.
+ *
+ * @returns {Object|null} - { street1, street2, city, state, zip }, or null for blank input
+ */
+export function parseAddress(text) {
+  if (typeof text !== 'string' || text.trim() === '') return null;
+  const parts = text.replace(/\s*\n\s*/g, ', ').replace(/\s+/g, ' ').trim().replace(/,$/, '')
+    .split(',').map(part => part.trim()).filter(Boolean);
+  const address = { street1: null, street2: null, city: null, state: null, zip: null };
+
+  const zipMatch = parts[parts.length - 1]?.match(/\b(\d{5}(?:-\d{4})?)$/);
+  if (zipMatch) {
+    address.zip = zipMatch[1];
+    const rest = parts[parts.length - 1].slice(0, zipMatch.index).trim();
+    if (rest) parts[parts.length - 1] = rest;
+    else parts.pop();
+  }
+
+  // State code or name (up to three words: "District of Columbia") at the end
+  if (parts.length > 0) {
+    const words = parts[parts.length - 1].split(' ');
+    for (let count = Math.min(3, words.length); count >= 1; count--) {
+      const code = stateCodeFor(words.slice(-count).join(' '));
+      if (!code) continue;
+      address.state = code;
+      const rest = words.slice(0, -count).join(' ');
+      if (rest) parts[parts.length - 1] = rest;
+      else parts.pop();
+      break;
+    }
+  }
+
+  // Without commas there is no telling the street from the city: it stays street
+  if (parts.length > 1 || (parts.length === 1 && address.state)) address.city = parts.pop();
+
+  if (parts.length > 0) {
+    address.street1 = parts.join(', ');
+    const match = address.street1.match(STREET2_PATTERN);
+    if (match) {
+      address.street1 = match[1].trim();
+      address.street2 = match[2].trim();
+    }
+  }
+  return ADDRESS_PARTS.some(part => address[part]) ? address : null;
+}
+
+/**
+ * An address object from a stored value: address objects are copied part by
+ * part, strings (older drafts, free text) are parsed. Text that can't be
+ * parsed is kept whole in street1 so nothing is lost.
+ *
+ * @returns {Object|null} - null when there is no address at all
+ */
+export function toAddress(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') {
+    if (value.trim() === '') return null;
+    return parseAddress(value) || { street1: value.trim(), street2: null, city: null, state: null, zip: null };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) return null;
+  const address = Object.fromEntries(ADDRESS_PARTS.map(part => [part, isBlankPart(value[part]) ? null : String(value[part])]));
+  return ADDRESS_PARTS.some(part => address[part]) ? address : null;
+}
+
+// Parts trimmed, state as a code, ZIP with its dash (see FIELD_NORMALIZERS)
+export function normalizeAddress(value) {
+  const address = toAddress(value);
+  if (!address) return null;
+  return {
+    street1: address.street1 ? address.street1.replace(/\s+/g, ' ').trim() : null,
+    street2: address.street2 ? address.street2.replace(/\s+/g, ' ').trim() : null,
+    city: address.city ? address.city.replace(/\s+/g, ' ').trim() : null,
+    state: address.state ? normalizeStateCode(address.state) : null,
+    zip: address.zip ? normalizeZip(address.zip) : null,
+  };
+}
+
+// One line: "1200 Main St, Ste 4, Columbus, OH 43215" (strings are returned as they are)
+export function formatAddress(value) {
+  if (typeof value === 'string') return value;
+  const address = toAddress(value);
+  if (!address) return '';
+  const stateZip = [address.state, address.zip].filter(Boolean).join(' ');
+  return [address.street1, address.street2, address.city, stateZip].filter(Boolean).join(', ');
+}
+
+/**
+ * What keeps an address from being usable on a form, or null when it is
+ * complete: street, city, a valid state and a valid ZIP are all needed.
+ */
+export function describeAddressProblem(value) {
+  const address = toAddress(value);
+  if (!address) return 'Enter the street, city, state and ZIP.';
+  const missing = [['street1', 'street'], ['city', 'city'], ['state', 'state'], ['zip', 'ZIP']]
+    .filter(([part]) => !address[part])
+    .map(([, name]) => name);
+  if (missing.length > 0) return `Missing ${missing.join(', ')}.`;
+  if (!isStateCode(address.state)) return `"${address.state}" is not a US state.`;
+  if (!isZipCode(address.zip)) return 'ZIP must be 5 digits or ZIP+4 (12345-6789).';
+  return null;
+}
+
+export const isCompleteAddress = (value) => describeAddressProblem(value) === null;
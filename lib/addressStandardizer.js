@@ -0,0 +1,209 @@
+// lib/addressStandardizer.js
+// USPS Publication 28 style addresses, without calling out to USPS: street
+// suffixes, directionals and secondary unit designators are abbreviated
+// (Street -> ST, North -> N, Suite -> STE), everything is uppercased, and the
+// ZIP is checked against the state (config/zipPrefixes.js) and the city
+// (config/zipCities.js). Used for PDFs and the address field suggestion.
+import { normalizeAddress, formatAddress, US_STATES } from './address';
+import { getStateForZip } from '../config/zipPrefixes';
+import { getCityForZip, isZipInCity } from '../config/zipCities';
+
+// Publication 28, Appendix C1: suffix (and common spellings) -> abbreviation
+const STREET_SUFFIXES = {
+  ALY: ['ALLEY', 'ALLEE', 'ALLY'], ANX: ['ANNEX', 'ANEX', 'ANNX'], ARC: ['ARCADE'],
+  AVE: ['AVENUE', 'AV', 'AVEN', 'AVENU', 'AVN', 'AVNUE'], BYU: ['BAYOU', 'BAYOO'], BCH: ['BEACH'],
+  BND: ['BEND'], BLF: ['BLUFF', 'BLUF'], BTM: ['BOTTOM', 'BOT', 'BOTTM'],
+  BLVD: ['BOULEVARD', 'BOUL', 'BOULV'], BR: ['BRANCH', 'BRNCH'], BRG: ['BRIDGE', 'BRDGE'],
+  BRK: ['BROOK'], BG: ['BURG'], BYP: ['BYPASS', 'BYPA', 'BYPAS', 'BYPS'], CP: ['CAMP', 'CMP'],
+  CYN: ['CANYON', 'CANYN', 'CNYN'], CPE: ['CAPE'], CSWY: ['CAUSEWAY', 'CAUSWA'],
+  CTR: ['CENTER', 'CEN', 'CENT', 'CENTR', 'CENTRE', 'CNTER', 'CNTR'],
+  CIR: ['CIRCLE', 'CIRC', 'CIRCL', 'CRCL', 'CRCLE'], CLF: ['CLIFF'], CLB: ['CLUB'], CMN: ['COMMON'],
+  COR: ['CORNER'], CRSE: ['COURSE'], CT: ['COURT'], CV: ['COVE'], CRK: ['CREEK'],
+  CRES: ['CRESCENT', 'CRSENT', 'CRSNT'], XING: ['CROSSING', 'CRSSNG'], DL: ['DALE'], DM: ['DAM'],
+  DV: ['DIVIDE', 'DIV', 'DVD'], DR: ['DRIVE', 'DRIV', 'DRV'], EST: ['ESTATE'], ESTS: ['ESTATES'],
+  EXPY: ['EXPRESSWAY', 'EXP', 'EXPR', 'EXPRESS', 'EXPW'], EXT: ['EXTENSION', 'EXTN', 'EXTNSN'],
+  FLS: ['FALLS'], FRY: ['FERRY', 'FRRY'], FLD: ['FIELD'], FLDS: ['FIELDS'], FLT: ['FLAT'],
+  FRD: ['FORD'], FRST: ['FOREST', 'FORESTS'], FRG: ['FORGE', 'FORG'], FRK: ['FORK'], FT: ['FORT', 'FRT'],
+  FWY: ['FREEWAY', 'FREEWY', 'FRWAY', 'FRWY'], GDN: ['GARDEN', 'GARDN', 'GRDEN', 'GRDN'],
+  GDNS: ['GARDENS', 'GRDNS'], GTWY: ['GATEWAY', 'GATEWY', 'GATWAY', 'GTWAY'], GLN: ['GLEN'],
+  GRN: ['GREEN'], GRV: ['GROVE', 'GROV'], HBR: ['HARBOR', 'HARB', 'HARBR', 'HRBOR'],
+  HVN: ['HAVEN'], HTS: ['HEIGHTS', 'HT'], HWY: ['HIGHWAY', 'HIGHWY', 'HIWAY', 'HIWY', 'HWAY'],
+  HL: ['HILL'], HLS: ['HILLS'], HOLW: ['HOLLOW', 'HLLW', 'HOLLOWS', 'HOLWS'], INLT: ['INLET'],
+  IS: ['ISLAND', 'ISLND'], JCT: ['JUNCTION', 'JCTION', 'JCTN', 'JUNCTN', 'JUNCTON'],
+  KY: ['KEY'], KNL: ['KNOLL', 'KNOL'], LK: ['LAKE'], LKS: ['LAKES'], LNDG: ['LANDING', 'LNDNG'],
+  LN: ['LANE'], LGT: ['LIGHT'], LOOP: ['LOOPS'], MALL: [], MNR: ['MANOR'], MDW: ['MEADOW'],
+  MDWS: ['MEADOWS', 'MEDOWS'], ML: ['MILL'], MLS: ['MILLS'], MSN: ['MISSION', 'MISSN', 'MSSN'],
+  MTWY: ['MOTORWAY'], MT: ['MOUNT', 'MNT'], MTN: ['MOUNTAIN', 'MNTAIN', 'MNTN', 'MOUNTIN', 'MTIN'],
+  OPAS: ['OVERPASS'], PARK: ['PRK'], PKWY: ['PARKWAY', 'PARKWY', 'PKWAY', 'PKY'], PASS: [],
+  PATH: ['PATHS'], PIKE: ['PIKES'], PNES: ['PINES'], PL: ['PLACE'], PLN: ['PLAIN'], PLNS: ['PLAINS'],
+  PLZ: ['PLAZA', 'PLZA'], PT: ['POINT'], PRT: ['PORT'], PR: ['PRAIRIE', 'PRR'], RNCH: ['RANCH', 'RANCHES', 'RNCHS'],
+  RPDS: ['RAPIDS'], RST: ['REST'], RDG: ['RIDGE', 'RDGE'], RIV: ['RIVER', 'RVR', 'RIVR'], RD: ['ROAD'],
+  RTE: ['ROUTE'], ROW: [], RUN: [], SHL: ['SHOAL'], SHR: ['SHORE', 'SHOAR'], SKWY: ['SKYWAY'],
+  SPG: ['SPRING', 'SPNG', 'SPRNG'], SPGS: ['SPRINGS', 'SPNGS', 'SPRNGS'], SQ: ['SQUARE', 'SQR', 'SQRE', 'SQU'],
+  STA: ['STATION', 'STATN', 'STN'], STRM: ['STREAM', 'STREME'], ST: ['STREET', 'STRT', 'STR'],
+  SMT: ['SUMMIT', 'SUMIT', 'SUMITT'], TER: ['TERRACE', 'TERR'], TRCE: ['TRACE', 'TRACES'],
+  TRAK: ['TRACK', 'TRACKS', 'TRK', 'TRKS'], TRL: ['TRAIL', 'TRAILS', 'TRLS'],
+  TPKE: ['TURNPIKE', 'TRNPK', 'TURNPK'], UN: ['UNION'], VLY: ['VALLEY', 'VALLY', 'VLLY'],
+  VIA: ['VIADUCT', 'VDCT', 'VIADCT'], VW: ['VIEW'], VLG: ['VILLAGE', 'VILL', 'VILLAG', 'VILLG', 'VILLIAGE'],
+  VL: ['VILLE'], VIS: ['VISTA', 'VIST', 'VST', 'VSTA'], WALK: ['WALKS'], WAY: ['WY'], WL: ['WELL'], WLS: ['WELLS'],
+};
+
+const DIRECTIONALS = {
+  N: ['NORTH'], S: ['SOUTH'], E: ['EAST'], W: ['WEST'],
+  NE: ['NORTHEAST'], NW: ['NORTHWEST'], SE: ['SOUTHEAST'], SW: ['SOUTHWEST'],
+};
+
+// Publication 28, Appendix C2: designators that take a unit number or letter
+const SECONDARY_UNITS = {
+  APT: ['APARTMENT'], BLDG: ['BUILDING'], DEPT: ['DEPARTMENT'], FL: ['FLOOR'], HNGR: ['HANGAR'],
+  KEY: [], LOT: [], PIER: [], RM: ['ROOM'], SLIP: [], SPC: ['SPACE'], STOP: [], STE: ['SUITE'],
+  TRLR: ['TRAILER'], UNIT: [],
+};
+
+// Spelling -> abbreviation, abbreviations included
+const lookupTable = (table) => {
+  const lookup = {};
+  Object.entries(table).forEach(([abbreviation, spellings]) => {
+    lookup[abbreviation] = abbreviation;
+    spellings.forEach(spelling => { lookup[spelling] = abbreviation; });
+  });
+  return lookup;
+};
+const SUFFIX_LOOKUP = lookupTable(STREET_SUFFIXES);
+const DIRECTIONAL_LOOKUP = lookupTable(DIRECTIONALS);
+const UNIT_LOOKUP = lookupTable(SECONDARY_UNITS);
+
+// Uppercase words without periods or commas; "#200" becomes "# 200" and
+// "North East" one word
+const toWords = (text) => String(text ?? '').toUpperCase()
+  .replace(/[.,]/g, ' ')
+  .replace(/#\s*/g, '# ')
+  .replace(/\b(NORTH|SOUTH) (EAST|WEST)\b/g, '$1$2')
+  .split(/\s+/)
+  .filter(Boolean);
+
+// A unit number or letter: "200", "2B", "B-1", "B"
+const isUnitIdentifier = (word) => /\d/.test(word) || /^[A-Z]$/.test(word);
+
+// "SUITE 200" -> "STE 200", "APT # 2" -> "APT 2", "# 200" stays; null when
+// the words don't start with a designator
+function standardizeUnit(words) {
+  const designator = words[0] === '#' ? '#' : UNIT_LOOKUP[words[0]];
+  const rest = designator !== '#' && words[1] === '#' ? words.slice(2) : words.slice(1);
+  if (!designator || rest.length === 0) return null;
+  return [designator, ...rest].join(' ');
+}
+
+// Whether words[index] starts a secondary unit: a designator followed by a
+// unit number or letter (or "#"), with no street suffix after it. Designators
+// are also street words ("100 Old Pier Rd", "123 North Key Dr"), which this keeps.
+const startsUnit = (words, index) => {
+  if (index < 2 || !(words[index] === '#' || UNIT_LOOKUP[words[index]])) return false;
+  const next = words[index + 1];
+  if (next === undefined || !(isUnitIdentifier(next) || (next === '#' && words[index] !== '#'))) return false;
+  return !words.slice(index + 2).some(word => SUFFIX_LOOKUP[word] && !isUnitIdentifier(word));
+};
+
+/**
+ * One street line in Publication 28 form: "1200 north main street suite 4"
+ * becomes { street: '1200 N MAIN ST', unit: 'STE 4' }. Only the directional
+ * right after the house number or at the end, and the last suffix word, are
+ * abbreviated, so "Park Avenue" becomes PARK AVE and "North Street" NORTH ST.
+ * Street names made of designator words stay whole: "55 Boat Slip Way" is
+ * 55 BOAT SLIP WAY and "77 Bus Stop Ln" 77 BUS STOP LN.
+ */
+export function standardizeStreetLine(line) {
+  const words = toWords(line);
+  if (words.length === 0) return { street: null, unit: null };
+
+  // A secondary unit after the street name is split off
+  let unit = null;
+  const unitIndex = words.findIndex((word, index) => startsUnit(words, index));
+  if (unitIndex !== -1) {
+    unit = standardizeUnit(words.slice(unitIndex));
+    if (unit) words.splice(unitIndex);
+  }
+
+  const nameStart = /^\d/.test(words[0]) ? 1 : 0;
+  let nameEnd = words.length; // Exclusive; a postdirectional sits after it
+  if (words.length - nameStart > 2 && DIRECTIONAL_LOOKUP[words[words.length - 1]]) {
+    nameEnd = words.length - 1;
+    words[nameEnd] = DIRECTIONAL_LOOKUP[words[nameEnd]];
+  }
+  // A directional that is the whole street name ("North Street") stays spelled out
+  const nameLength = nameEnd - nameStart;
+  const isPredirectional = nameLength > 2 || (nameLength === 2 && !SUFFIX_LOOKUP[words[nameStart + 1]]);
+  if (isPredirectional && DIRECTIONAL_LOOKUP[words[nameStart]]) {
+    words[nameStart] = DIRECTIONAL_LOOKUP[words[nameStart]];
+  }
+  for (let index = nameEnd - 1; index > nameStart; index--) {
+    if (SUFFIX_LOOKUP[words[index]]) {
+      words[index] = SUFFIX_LOOKUP[words[index]];
+      break;
+    }
+  }
+  return { street: words.join(' '), unit };
+}
+
+/**
+ * The address in Publication 28 form (uppercase, abbreviated, state code,
+ * ZIP with its dash). A unit written on the street line moves to street2.
+ *
+ * @returns {Object|null} - { street1, street2, city, state, zip }, null when blank
+ */
+export function standardizeAddress(value) {
+  const address = normalizeAddress(value);
+  if (!address) return null;
+  const { street, unit } = standardizeStreetLine(address.street1);
+  const street2Words = toWords(address.street2);
+  const street2 = street2Words.length > 0 ? (standardizeUnit(street2Words) || street2Words.join(' ')) : null;
+  return {
+    street1: unit && street2 ? `${street} ${unit}` : street,
+    street2: street2 || unit,
+    city: address.city ? address.city.toUpperCase() : null,
+    state: address.state ? address.state.toUpperCase() : null,
+    zip: address.zip,
+  };
+}
+
+// True when the standardized address reads differently (not just in case)
+export function differsFromStandard(value) {
+  const standardized = standardizeAddress(value);
+  return Boolean(standardized) && formatAddress(standardized) !== formatAddress(normalizeAddress(value)).toUpperCase();
+}
+
+// Warning when the ZIP belongs to another state, or to another city than the
+// one given, else null. Cities the ZIP table doesn't know aren't flagged.
+export function describeZipMismatch(value) {
+  const address = normalizeAddress(value);
+  if (!address?.zip || !US_STATES[address.state]) return null;
+  const zipState = getStateForZip(address.zip);
+  if (zipState && zipState !== address.state) {
+    return `ZIP ${address.zip} is in ${US_STATES[zipState]}, not ${US_STATES[address.state]}. Check the ZIP and state.`;
+  }
+  const zipCity = getCityForZip(address.zip);
+  if (!zipCity || !address.city || isZipInCity(address.zip, address.city, address.state) !== false) return null;
+  return `ZIP ${address.zip} is in ${zipCity.city}, ${zipCity.state}, not ${address.city}. Check the ZIP and city.`;
+}
+
+// Copy of formData with every address field (and row cell) standardized
+export function standardizeFormAddresses(schema, formData = {}) {
+  const standardized = { ...formData };
+  Object.entries(schema).forEach(([key, config]) => {
+    if (config.type === 'address' && standardized[key]) {
+      standardized[key] = standardizeAddress(standardized[key]);
+    } else if (config.type === 'repeatable' && Array.isArray(standardized[key])) {
+      const addressFields = Object.keys(config.fields).filter(field => config.fields[field].type === 'address');
+      if (addressFields.length === 0) return;
+      standardized[key] = standardized[key].map(row => {
+        if (!row || typeof row !== 'object') return row;
+        const updated = { ...row };
+        addressFields.forEach(field => {
+          if (updated[field]) updated[field] = standardizeAddress(updated[field]);
+        });
+        return updated;
+      });
+    }
+  });
+  return standardized;
+}
@@ -0,0 +1,98 @@
+// lib/agencyProfiles.js
+import { getFormStore } from './formStore';
+import { formSchema, AGENCY_FIELDS, validateFormAgainstSchema, isEmpty } from '../config/formSchema';
+
+// An organization profile is the office default; a producer profile overrides
+// it field by field for producers who work out of another office.
+export const AGENCY_PROFILE_SCOPES = {
+  ORGANIZATION: 'organization',
+  PRODUCER: 'producer',
+};
+
+const agencySchema = AGENCY_FIELDS.reduce((schema, fieldName) => {
+  schema[fieldName] = formSchema[fieldName];
+  return schema;
+}, {});
+
+/**
+ * Keeps only agency fields, trimmed, and checks the filled ones with the same
+ * validators the forms use. Empty fields are allowed: a producer profile may
+ * override just the phone number, for example.
+ *
+ * @returns {{ profile: Object, errors: Object }}
+ */
+export function sanitizeAgencyProfile(input = {}) {
+  const profile = {};
+  AGENCY_FIELDS.forEach(fieldName => {
+    const value = input?.[fieldName];
+    if (typeof value === 'string' && value.trim() !== '') profile[fieldName] = value.trim();
+  });
+  const { errors } = validateFormAgainstSchema(agencySchema, profile, { partial: true });
+  return { profile, errors };
+}
+
+// Producer values win wherever they are filled in
+export function mergeAgencyProfiles(organizationProfile = {}, producerProfile = {}) {
+  const merged = {};
+  AGENCY_FIELDS.forEach(fieldName => {
+    const value = !isEmpty(producerProfile?.[fieldName]) ? producerProfile[fieldName] : organizationProfile?.[fieldName];
+    if (!isEmpty(value)) merged[fieldName] = value;
+  });
+  return merged;
+}
+
+/**
+ * The agency profile that applies to a signed-in user.
+ *
+ * @param {string} userId - Clerk user ID
+ * @param {string|null} orgId - Active Clerk organization, if any
+ * @returns {Promise<Object>} - { profile, sources: { organization, producer } }
+ */
+export async function loadEffectiveAgencyProfile(userId, orgId) {
+  const store = getFormStore();
+  const [organizationRecord, producerRecord] = await Promise.all([
+    orgId ? store.getAgencyProfile(AGENCY_PROFILE_SCOPES.ORGANIZATION, orgId) : null,
+    store.getAgencyProfile(AGENCY_PROFILE_SCOPES.PRODUCER, userId),
+  ]);
+  return {
+    profile: mergeAgencyProfiles(organizationRecord?.profile, producerRecord?.profile),
+    sources: { organization: Boolean(organizationRecord), producer: Boolean(producerRecord) },
+  };
+}
+
+/**
+ * Every stored profile an organization manages: its own plus its producers'.
+ *
+ * @returns {Promise<Object>} - { organization: record|null, producers: [record] }
+ */
+export async function listOrganizationAgencyProfiles(orgId) {
+  const records = await getFormStore().listAgencyProfiles(orgId);
+  return {
+    organization: records.find(r => r.scope === AGENCY_PROFILE_SCOPES.ORGANIZATION && r.owner_id === orgId) || null,
+    producers: records.filter(r => r.scope === AGENCY_PROFILE_SCOPES.PRODUCER),
+  };
+}
+
+export async function getAgencyProfile(scope, ownerId) {
+  return getFormStore().getAgencyProfile(scope, ownerId);
+}
+
+/**
+ * Stores a sanitized profile. Callers check permissions and sanitize first.
+ *
+ * @param {Object} options
+ * @param {string|null} options.orgId - Organization managing the profile
+ * @param {Object} options.profile - Output of sanitizeAgencyProfile
+ * @param {string} options.updatedBy - Clerk user ID of the editor
+ */
+export async function saveAgencyProfile(scope, ownerId, { orgId, profile, updatedBy }) {
+  if (!Object.values(AGENCY_PROFILE_SCOPES).includes(scope)) {
+    throw new Error(`Unknown agency profile scope "${scope}".`);
+  }
+  return getFormStore().saveAgencyProfile(scope, ownerId, { orgId, profile, updatedBy });
+}
+
+// Resolves to false when there was nothing to delete
+export async function deleteAgencyProfile(scope, ownerId) {
+  return getFormStore().deleteAgencyProfile(scope, ownerId);
+}
@@ -0,0 +1,112 @@
+// lib/anvilFormatters.js
+// Helpers that turn form values into Anvil PDF field shapes (shared by every form's PDF mapping)
+import { normalizeAddress, ADDRESS_PARTS } from './address';
+
+// --- Parsing/Formatting Helpers ---
+// Address parts as Anvil's address shape. generate-pdf standardizes addresses
+// first (lib/addressStandardizer.js); strings from older drafts are split here.
+export function toAnvilAddress(address) {
+  const parts = normalizeAddress(address);
+  if (!parts) {
+    if (address) console.warn(`[toAnvilAddress] Unreadable address input: "${JSON.stringify(address)}"`);
+    return undefined;
+  }
+  const result = { country: 'US' };
+  ADDRESS_PARTS.forEach(part => {
+    if (parts[part]) result[part] = parts[part];
+  });
+  return Object.keys(result).length > 1 ? result : undefined;
+}
+
+export function parseFullNameToAnvil(fullName) {
+  const result = { firstName: '', lastName: '' };
+  if (!fullName || typeof fullName !== 'string') return undefined;
+  const parts = fullName.trim().split(/\s+/);
+  if (parts.length === 1 && parts[0]) {
+    result.firstName = parts[0];
+  } else if (parts.length > 1) {
+    const suffixes = ['inc', 'llc', 'ltd', 'corp', 'co', 'group', 'lp', 'llp'];
+    const lastWordLower = parts[parts.length - 1].toLowerCase().replace(/[\.,]$/, '');
+    if (suffixes.includes(lastWordLower) && parts.length > 2) {
+      result.firstName = parts.join(' ');
+    } else {
+      result.lastName = parts.pop();
+      result.firstName = parts.join(' ');
+    }
+  }
+  return result.firstName || result.lastName ? result : undefined;
+}
+
+// Anvil phone fields only take US numbers; phones are stored as E.164 (see FIELD_NORMALIZERS)
+export function formatPhoneToAnvil(phone) {
+  if (!phone || typeof phone !== 'string') return undefined;
+  const digits = phone.replace(/\D/g, '');
+  const plausibleDigits = digits.startsWith('1') && digits.length === 11 ? digits.substring(1) : digits;
+  if (plausibleDigits.length !== 10) {
+    console.warn(`[formatPhoneToAnvil] "${phone}" is not a 10-digit US number; leaving the PDF field empty.`);
+    return undefined;
+  }
+  return { num: plausibleDigits };
+}
+
+// A phone number for a free-text PDF field, as Anvil prints its phone fields: (770) 470-2936
+function formatPhoneText(phone) {
+  const num = formatPhoneToAnvil(phone)?.num;
+  return num ? `(${num.slice(0, 3)}) ${num.slice(3, 6)}-${num.slice(6)}` : null;
+}
+
+// Combines the agency fields into the single multi-line "agency" block ACORD forms use
+export function formatAgencyBlock(formData) {
+  const phone = formatPhoneText(formData.agency_phone);
+  return [
+    formData.agency_name,
+    formData.agency_address,
+    phone ? `Phone: ${phone}` : null,
+    formData.agency_email ? `Email: ${formData.agency_email}` : null,
+    formData.agency_contact_name ? `Contact: ${formData.agency_contact_name}` : null,
+  ].filter(Boolean).join('\n');
+}
+
+// Numbers arrive as numbers or numeric strings; anything else is dropped
+export function toAnvilNumber(value) {
+  return (value != null && value !== '' && !isNaN(Number(value))) ? Number(value) : undefined;
+}
+
+// Spreads repeatable rows over numbered Anvil slots. mapRow(row, index) returns
+// { baseId: value } and slot n receives `${baseId}${n}`; with firstSlotUnsuffixed
+// slot 1 keeps the bare id (templates whose first row predates the others).
+export function buildSlotPayload(rows, slotCount, mapRow, { firstSlotUnsuffixed = false } = {}) {
+  const payload = {};
+  (Array.isArray(rows) ? rows : []).slice(0, slotCount).forEach((row, index) => {
+    const n = index + 1;
+    const suffix = firstSlotUnsuffixed && n === 1 ? '' : String(n);
+    Object.entries(mapRow(row, index)).forEach(([baseId, value]) => {
+      payload[`${baseId}${suffix}`] = value;
+    });
+  });
+  return payload;
+}
+
+// Clean the payload by removing undefined/null/empty values.
+export const cleanPayload = (obj) => {
+  if (obj === null || obj === undefined) return undefined;
+  if (typeof obj !== 'object') {
+    return (String(obj).trim() === '') ? undefined : obj;
+  }
+  if (Array.isArray(obj)) {
+    const cleanedArr = obj.map(cleanPayload).filter(item => item !== undefined);
+    return cleanedArr.length > 0 ? cleanedArr : undefined;
+  }
+  const cleanedObj = {};
+  let hasKeys = false;
+  for (const key in obj) {
+    if (Object.prototype.hasOwnProperty.call(obj, key)) {
+      const cleanedValue = cleanPayload(obj[key]);
+      if (cleanedValue !== undefined) {
+        cleanedObj[key] = cleanedValue;
+        hasKeys = true;
+      }
+    }
+  }
+  return hasKeys ? cleanedObj : undefined;
+};
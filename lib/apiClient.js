@@ -24,20 +24,26 @@ export const getCompanies = async () => {
   return api.get('/api/companies');
 };
 
-export const getCompanyMemory = async (companyId) => {
-  return api.get(`/api/company-memory?companyId=${companyId}`);
+// Served from the server's cache when possible; `refresh` refetches from Retool
+export const getCompanyMemory = async (companyId, { refresh = false } = {}) => {
+  return api.get(`/api/company-memory?companyId=${companyId}${refresh ? '&refresh=1' : ''}`);
 };
 
-// Data extraction API call
-export const extractData = async (structuredData, unstructuredTranscripts) => {
+// Data extraction API call (formType picks the registered form; ACORD 125 when omitted).
+// Resolves to { formData, provenance, cached } - provenance says where each value came from.
+// Results are cached per company memory; `refresh` re-extracts
+export const extractData = async (structuredData, unstructuredTranscripts, formType, { companyId = null, refresh = false } = {}) => {
   return api.post('/api/extract-data', {
     structured_data: structuredData,
     unstructured_transcripts: unstructuredTranscripts,
+    formType,
+    companyId,
+    refresh,
   });
 };
 
 // Voice processing API call
-export const processVoiceCommand = async (audioBlob) => {
+export const processVoiceCommand = async (audioBlob, formType) => {
   // ... (existing voice processing code remains the same) ...
    if (!audioBlob) {
     // Fallback or error handling if needed
@@ -50,6 +56,7 @@ export const processVoiceCommand = async (audioBlob) => {
   try {
     const formData = new FormData();
     formData.append('audio', audioBlob, 'recording.webm');
+    if (formType) formData.append('formType', formType);
 
     const response = await axios.post('/api/process-voice', formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
@@ -65,18 +72,72 @@ export const processVoiceCommand = async (audioBlob) => {
 
 
 // *** NEW: Save Form Data API Call ***
-export const saveFormData = async (companyId, formData) => {
-    console.log(`[apiClient] Saving form data for company ${companyId}`);
-    return api.post('/api/save-form', { companyId, formData });
+// baseRevision is the revision returned by loadFormData (or the previous save).
+// A stale revision rejects with `{ error, conflict }` from the 409 response.
+// provenance (see lib/fieldProvenance.js) is stored alongside the data.
+export const saveFormData = async (companyId, formType, formData, { isAutoSave = false, baseRevision = 0, provenance = {} } = {}) => {
+    console.log(`[apiClient] Saving ${formType} form data for company ${companyId} (base revision ${baseRevision})`);
+    return api.post('/api/save-form', { companyId, formType, formData, provenance, baseRevision, saveType: isAutoSave ? 'auto' : 'manual' });
 };
 
 // *** NEW: Load Form Data API Call ***
-export const loadFormData = async (companyId) => {
-    console.log(`[apiClient] Loading form data for company ${companyId}`);
+export const loadFormData = async (companyId, formType) => {
+    console.log(`[apiClient] Loading ${formType} form data for company ${companyId}`);
     // Use standard api instance which handles response.data extraction
-    return api.get(`/api/load-form?companyId=${companyId}`);
-    // Note: If no data is found, the API returns status 200 with `null` body,
-    // which the interceptor will pass through as `null`.
+    return api.get(`/api/load-form?companyId=${companyId}&formType=${formType}`);
+    // Resolves to { formData, provenance, revision, status, updatedAt }. If no data is found,
+    // formData is null, revision is 0 and status is 'draft'.
+};
+
+
+// --- Draft Status ---
+// Resolves to [{ company_id, form_type, status, updated_at }] for every draft the user has
+export const getDraftStatuses = async () => {
+    return api.get('/api/form-status');
+};
+
+// Moves the draft to 'ready' (full validation), 'submitted' or back to 'draft'.
+// Rejects with `{ error, details }` when the stored draft fails validation.
+export const updateFormStatus = async (companyId, formType, status, baseRevision) => {
+    console.log(`[apiClient] Setting ${formType} status '${status}' for company ${companyId} (revision ${baseRevision})`);
+    return api.post('/api/form-status', { companyId, formType, status, baseRevision });
+};
+
+// --- Draft Version History ---
+export const listFormVersions = async (companyId, formType) => {
+    return api.get(`/api/form-versions?companyId=${companyId}&formType=${formType}`);
+};
+
+export const diffFormVersions = async (companyId, formType, fromVersion, toVersion) => {
+    return api.get(`/api/diff-versions?companyId=${companyId}&formType=${formType}&from=${fromVersion}&to=${toVersion}`);
+};
+
+export const restoreFormVersion = async (companyId, formType, version) => {
+    console.log(`[apiClient] Restoring ${formType} version ${version} for company ${companyId}`);
+    return api.post('/api/restore-version', { companyId, formType, version });
+};
+
+
+// --- Agency Profiles ---
+// Resolves to { profile, sources } - the agency fields to pre-fill for the signed-in user
+export const getAgencyProfile = async () => {
+    return api.get('/api/agency-profile');
+};
+
+// Admin screen: the organization profile plus one entry per producer
+export const listAgencyProfiles = async () => {
+    return api.get('/api/admin/agency-profiles');
+};
+
+// scope is 'organization' or 'producer'; rejects with `{ error, details }` on invalid fields
+export const saveAgencyProfile = async (scope, ownerId, profile) => {
+    console.log(`[apiClient] Saving ${scope} agency profile for ${ownerId}`);
+    return api.put('/api/admin/agency-profiles', { scope, ownerId, profile });
+};
+
+export const deleteAgencyProfile = async (scope, ownerId) => {
+    console.log(`[apiClient] Removing ${scope} agency profile for ${ownerId}`);
+    return api.delete(`/api/admin/agency-profiles?scope=${scope}&ownerId=${ownerId}`);
 };
 
 
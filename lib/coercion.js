@@ -0,0 +1,308 @@
+// lib/coercion.js
+// Turns raw values (typed, spoken, extracted by rules or the LLM) into the
+// type a schema field expects. Shared by rule extraction, the LLM merge in
+// lib/extractionPipeline.js and voice commands, so "$1.2MM", "fifteen
+// thousand" or "April first" mean the same thing everywhere.
+
+import { normalizeStateCode, normalizeAddress } from './address';
+
+const UNITS = {
+  zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19,
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const SCALES = { thousand: 1e3, grand: 1e3, million: 1e6, billion: 1e9 };
+
+// Suffixes after a written number: 15k, 2.5m, $1.2MM, 3 million, 2bn
+const SUFFIX_MULTIPLIERS = {
+  k: 1e3, thousand: 1e3, grand: 1e3,
+  m: 1e6, mm: 1e6, mil: 1e6, million: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9,
+  hundred: 100,
+};
+
+// Rounded to cents so 1.1 million doesn't come out as 1100000.0000000002
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (v) => v === null || v === undefined || (typeof v === 'string' && v.trim() === '');
+
+// "one hundred twenty five thousand", "two point five million", "half a million",
+// "2 million 500 thousand"; null when a word isn't part of a number
+function parseNumberWords(text) {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  let total = 0;
+  let current = 0;
+  let decimals = null; // Digits after "point", while reading them
+  let seen = false;
+
+  const closeDecimals = () => {
+    if (decimals === null) return;
+    current = parseFloat(`${current}.${decimals || '0'}`);
+    decimals = null;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+    if (decimals !== null && (UNITS[token] ?? 10) < 10) {
+      decimals += String(UNITS[token]);
+    } else if (decimals !== null && /^\d+$/.test(token)) {
+      decimals += token;
+    } else if (token === 'point') {
+      decimals = '';
+    } else if (token === 'a') {
+      // "a million", "a hundred"; otherwise filler ("half a million")
+      if (current === 0 && (next === 'hundred' || SCALES[next])) current = 1;
+    } else if (token === 'half') {
+      current += 0.5;
+      seen = true;
+    } else if (UNITS[token] !== undefined || TENS[token] !== undefined) {
+      closeDecimals();
+      current += UNITS[token] ?? TENS[token];
+      seen = true;
+    } else if (/^\d+(\.\d+)?$/.test(token)) {
+      closeDecimals();
+      current += parseFloat(token);
+      seen = true;
+    } else if (token === 'hundred') {
+      closeDecimals();
+      current = (current || 1) * 100;
+      seen = true;
+    } else if (SCALES[token]) {
+      closeDecimals();
+      total += (current || 1) * SCALES[token];
+      current = 0;
+      seen = true;
+    } else {
+      return null;
+    }
+  }
+  closeDecimals();
+  return seen ? roundCents(total + current) : null;
+}
+
+/**
+ * Parses a number written in digits, with currency symbols and thousands
+ * separators, magnitude suffixes (k, m, MM, bn) or in words.
+ *
+ * @returns {number|null} - null when the value isn't a number
+ */
+export function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase()
+    .replace(/\b(usd|dollars?|bucks)\b/g, ' ')
+    .replace(/[$,]/g, '')
+    .replace(/([a-z])-(?=[a-z])/g, '$1 ') // twenty-five
+    .replace(/\band\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text === '') return null;
+
+  const match = text.match(/^(-?\d*\.?\d+)\s*([a-z]+)?$/);
+  if (match) {
+    const multiplier = match[2] ? SUFFIX_MULTIPLIERS[match[2]] : 1;
+    if (!multiplier) return null;
+    return roundCents(parseFloat(match[1]) * multiplier);
+  }
+  return parseNumberWords(text);
+}
+
+const TRUTHY = ['true', 'yes', 'y', 'yep', 'on', '1', 'affirmative', 'checked', 'correct'];
+const FALSY = ['false', 'no', 'n', 'nope', 'off', '0', 'negative', 'unchecked', 'none'];
+
+// true / false for clear yes/no answers, null otherwise
+export function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase().replace(/[.!]+$/, '');
+  if (TRUTHY.includes(text)) return true;
+  if (FALSY.includes(text)) return false;
+  return null;
+}
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+  eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15, sixteenth: 16,
+  seventeenth: 17, eighteenth: 18, nineteenth: 19, twentieth: 20, thirtieth: 30,
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const monthIndex = (word) => MONTHS.findIndex(month => word.length >= 3 && month.startsWith(word.replace(/\.$/, '')));
+
+const pad = (n) => String(n).padStart(2, '0');
+const toIsoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Local date for year/month(0-based)/day, or null when the day doesn't exist
+const makeDate = (year, month, day) => {
+  const date = new Date(year, month, day);
+  return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Day of month from "1", "1st", "first", "twenty first"
+function parseDay(words) {
+  if (words.length === 1) {
+    const digits = words[0].match(/^(\d{1,2})(st|nd|rd|th)?$/);
+    if (digits) return Number(digits[1]);
+    return ORDINALS[words[0]] ?? null;
+  }
+  if (words.length === 2 && TENS[words[0]] && ORDINALS[words[1]] < 10) return TENS[words[0]] + ORDINALS[words[1]];
+  return null;
+}
+
+// "april first", "april 1st 2026", "1 april", "the first of april"
+function parseMonthDay(words, today) {
+  const monthAt = words.findIndex(word => monthIndex(word) !== -1);
+  if (monthAt === -1) return null;
+  const month = monthIndex(words[monthAt]);
+  const rest = words.filter((_, i) => i !== monthAt);
+  const yearWord = rest.length > 1 && /^\d{4}$/.test(rest[rest.length - 1]) ? rest.pop() : null;
+  const day = parseDay(rest);
+  if (!day) return null;
+  if (yearWord) return makeDate(Number(yearWord), month, day);
+
+  // No year: the occurrence closest to today (upcoming policy dates, recent losses)
+  const candidate = makeDate(today.getFullYear(), month, day);
+  if (!candidate) return null;
+  const offsetDays = (candidate - today) / DAY_MS;
+  if (offsetDays < -183) return makeDate(today.getFullYear() + 1, month, day);
+  if (offsetDays > 183) return makeDate(today.getFullYear() - 1, month, day);
+  return candidate;
+}
+
+/**
+ * Parses a date to YYYY-MM-DD: ISO and US (MM/DD/YYYY) dates, month names
+ * ("April first", "Apr 1st, 2026", "the 1st of April"), today / tomorrow /
+ * yesterday, weekdays ("next Monday", "this Friday") and offsets ("in two
+ * weeks", "30 days from now"). Relative dates count from `options.today`.
+ *
+ * @returns {string|null} - null when the value isn't a recognizable date
+ */
+export function parseDate(value, { today = new Date() } = {}) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : toIsoDate(value);
+  if (typeof value !== 'string') return null;
+  const base = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const text = value.trim().toLowerCase().replace(/[.!]+$/, '').replace(/,/g, ' ').replace(/\s+/g, ' ');
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    const date = makeDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date ? toIsoDate(date) : null;
+  }
+  if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    const date = makeDate(year, Number(match[1]) - 1, Number(match[2]));
+    return date ? toIsoDate(date) : null;
+  }
+
+  const relativeDays = { today: 0, tomorrow: 1, yesterday: -1 }[text];
+  if (relativeDays !== undefined) return toIsoDate(addDays(base, relativeDays));
+
+  if ((match = text.match(/^(?:in )?(.+?) (day|week|month|year)s?(?: from (?:now|today))?$/)) && (text.startsWith('in ') || text.includes(' from '))) {
+    const amount = parseNumber(match[1].replace(/^an?$/, 'one'));
+    if (amount === null || !Number.isInteger(amount)) return null;
+    if (match[2] === 'day') return toIsoDate(addDays(base, amount));
+    if (match[2] === 'week') return toIsoDate(addDays(base, amount * 7));
+    const months = match[2] === 'month' ? amount : amount * 12;
+    const date = new Date(base.getFullYear(), base.getMonth() + months, 1);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    return toIsoDate(new Date(date.getFullYear(), date.getMonth(), Math.min(base.getDate(), lastDay)));
+  }
+
+  // "next monday" / "this monday" / "monday": the first one after today
+  // ("this monday" is today when today is Monday)
+  if ((match = text.match(/^(?:(next|this|coming|on) )?([a-z]+)$/)) && WEEKDAYS.includes(match[2])) {
+    const target = WEEKDAYS.indexOf(match[2]);
+    let days = (target - base.getDay() + 7) % 7;
+    if (days === 0 && match[1] !== 'this') days = 7;
+    return toIsoDate(addDays(base, days));
+  }
+
+  const words = text.replace(/([a-z])-(?=[a-z])/g, '$1 ').split(' ').filter(word => !['the', 'of', 'on'].includes(word));
+  const date = parseMonthDay(words, base);
+  return date ? toIsoDate(date) : null;
+}
+
+const DIGIT_WORDS = /\b(zero|oh|one|two|three|four|five|six|seven|eight|nine)\b/g;
+
+// Spoken digits ("five five five ...") to digits; other text is kept
+const spokenDigitsToNumbers = (text) => text.toLowerCase().replace(DIGIT_WORDS, (word) => String(UNITS[word]));
+
+/**
+ * Formats a phone number as E.164 (+17704702936), accepting spoken digits.
+ * Ten-digit numbers are taken as US numbers; numbers written with a leading
+ * + keep their country code. Anything else (extensions, too few digits) is
+ * returned trimmed so no information is lost.
+ */
+export function normalizePhone(value) {
+  const text = String(value ?? '').trim();
+  if (/\b(x|ext|extension)\b/i.test(text)) return text;
+  const digits = spokenDigitsToNumbers(text).replace(/\D/g, '');
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  if (text.startsWith('+') && digits.length >= 8 && digits.length <= 15) return `+${digits}`;
+  return text;
+}
+
+/**
+ * Formats a FEIN as XX-XXXXXXX (spoken digits too). Eight digits are taken as
+ * a FEIN whose leading zero was lost (stored as a number) and zero-padded.
+ * Anything else is returned trimmed.
+ */
+export function normalizeFein(value) {
+  const text = String(value ?? '').trim();
+  const digits = spokenDigitsToNumbers(text).replace(/\D/g, '');
+  if (digits.length !== 8 && digits.length !== 9) return text;
+  const padded = digits.padStart(9, '0');
+  return `${padded.slice(0, 2)}-${padded.slice(2)}`;
+}
+
+/**
+ * Coerces a raw value to what a schema field holds, by its `type` (number,
+ * checkbox, date, address) or `format` (phone, fein, state); other fields get
+ * trimmed text.
+ * Blank values become null. Throws when the value can't be read as the
+ * field's type, with a message fit to show the user.
+ *
+ * @param {Object} fieldConfig - The field's schema entry
+ * @param {Object} [options] - { today } for relative dates
+ */
+export function coerceValue(rawValue, fieldConfig, { today } = {}) {
+  if (isBlank(rawValue)) return null;
+  const label = fieldConfig?.label || 'this field';
+
+  switch (fieldConfig?.type) {
+    case 'number': {
+      const parsed = parseNumber(rawValue);
+      if (parsed === null) throw new Error(`Could not read "${rawValue}" as a number.`);
+      if (fieldConfig.integer && !Number.isInteger(parsed)) {
+        throw new Error(`Value "${rawValue}" must be a whole number for ${label}.`);
+      }
+      return parsed;
+    }
+    case 'checkbox': {
+      const parsed = parseBoolean(rawValue);
+      if (parsed === null) throw new Error(`Value "${rawValue}" is not a clear yes or no.`);
+      return parsed;
+    }
+    case 'date': {
+      const parsed = parseDate(rawValue, { today });
+      if (parsed === null) throw new Error(`Could not read "${rawValue}" as a date for ${label}.`);
+      return parsed;
+    }
+    case 'address':
+      // Text that doesn't parse is kept in street1; an object of blank parts is blank
+      return normalizeAddress(typeof rawValue === 'number' ? String(rawValue) : rawValue);
+    default:
+      break;
+  }
+
+  if (fieldConfig?.format === 'phone') return normalizePhone(rawValue);
+  if (fieldConfig?.format === 'fein') return normalizeFein(rawValue);
+  if (fieldConfig?.format === 'state') return normalizeStateCode(rawValue);
+  return String(rawValue).trim();
+}
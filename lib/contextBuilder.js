@@ -0,0 +1,159 @@
+// lib/contextBuilder.js
+// Fits company memory into the LLM's context. Facts are ranked by how much
+// they say about the fields still missing and packed into token-budgeted
+// passes; extractWithLLM (lib/extractionService.js) runs one call per pass.
+
+const parseLimit = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const CONTEXT_LIMITS = {
+  factTokensPerPass: parseLimit(process.env.LLM_CONTEXT_TOKENS, 3000),
+  structuredTokens: parseLimit(process.env.LLM_STRUCTURED_TOKENS, 500),
+  maxPasses: parseLimit(process.env.LLM_MAX_PASSES, 3),
+};
+
+// Rough count for English prose and JSON (about 4 characters per token)
+export const estimateTokens = (text) => Math.ceil(String(text ?? '').length / 4);
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'this', 'that', 'only', 'each', 'every', 'into', 'any',
+  'are', 'was', 'not', 'has', 'have', 'its', 'per', 'one', 'all', 'other', 'value', 'name',
+]);
+
+const keywordsOf = (text) => String(text ?? '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length >= 3 && !STOPWORDS.has(word));
+
+// Values facts mention without naming the field (amounts, dates, emails, ...)
+const VALUE_PATTERNS = {
+  number: /\$?\d[\d,.]*\s*(k|m|million|thousand)?\b/i,
+  date: /\b\d{4}-\d{2}-\d{2}\b|\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}/i,
+  email: /\S+@\S+\.\S+/,
+};
+
+// Keywords and value pattern per field, from labels, option labels and form hints
+function describeFieldsForRanking(schema, hints = {}) {
+  return Object.entries(schema).flatMap(([key, config]) => {
+    const configs = config.type === 'repeatable'
+      ? Object.entries(config.fields).map(([field, fieldConfig]) => [field, fieldConfig, `${config.label} ${config.itemLabel}`])
+      : [[key, config, '']];
+    return configs.map(([field, fieldConfig, groupWords]) => ({
+      keywords: new Set([
+        ...keywordsOf(`${field} ${fieldConfig.label} ${groupWords} ${hints[key] || ''}`),
+        ...(fieldConfig.options || []).flatMap(option => keywordsOf(option.label)),
+      ]),
+      valuePattern: VALUE_PATTERNS[fieldConfig.type] || null,
+    }));
+  });
+}
+
+/**
+ * Orders facts by relevance to the fields in `schema`: one point per field a
+ * fact mentions a keyword of, half a point when it only contains a value of
+ * the field's type. Ties keep the original (usually chronological) order.
+ *
+ * @param {Array<{ index, content }>} facts - Normalized facts (see normalizeTranscripts)
+ * @returns {Array<{ fact, score }>}
+ */
+export function rankFacts(facts, schema, hints = {}) {
+  const fields = describeFieldsForRanking(schema, hints);
+  return facts
+    .map((fact, position) => {
+      const words = new Set(keywordsOf(fact.content));
+      const score = fields.reduce((total, { keywords, valuePattern }) => {
+        if ([...keywords].some(keyword => words.has(keyword))) return total + 1;
+        if (valuePattern && valuePattern.test(fact.content)) return total + 0.5;
+        return total;
+      }, 0);
+      return { fact, score, position };
+    })
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .map(({ fact, score }) => ({ fact, score }));
+}
+
+// Splits a fact too long for one pass at sentence boundaries (hard cut as a
+// last resort). Pieces keep the fact's index so citations still point to it.
+function splitFact(fact, maxTokens) {
+  const maxChars = maxTokens * 4;
+  const sentences = fact.content.match(/[^.!?\n]+[.!?]*\s*|\n+/g) || [fact.content];
+  const pieces = [];
+  let current = '';
+  sentences.forEach(sentence => {
+    if (current && (current + sentence).length > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    for (let start = 0; start < sentence.length; start += maxChars) {
+      const part = sentence.slice(start, start + maxChars);
+      if (part.length === maxChars) pieces.push(part);
+      else current += part;
+    }
+  });
+  if (current.trim()) pieces.push(current);
+  return pieces.map((content, part) => ({ ...fact, content: content.trim(), part: part + 1, parts: pieces.length }));
+}
+
+/**
+ * Packs ranked facts into passes of at most `factTokensPerPass` tokens each,
+ * most relevant first. Facts that don't fit in `maxPasses` are dropped (and
+ * logged), least relevant first.
+ *
+ * @returns {Array<Array<Object>>} - Facts per pass; pieces of split facts carry `part` / `parts`
+ */
+export function packFactsIntoPasses(rankedFacts, { factTokensPerPass = CONTEXT_LIMITS.factTokensPerPass, maxPasses = CONTEXT_LIMITS.maxPasses } = {}) {
+  const passes = [];
+  let current = [];
+  let currentTokens = 0;
+  let dropped = 0;
+
+  const pieces = rankedFacts.flatMap(({ fact }) => (
+    estimateTokens(fact.content) > factTokensPerPass ? splitFact(fact, factTokensPerPass) : [fact]
+  ));
+  pieces.forEach(piece => {
+    const tokens = estimateTokens(piece.content) + 4; // "[n] " prefix and separator
+    if (currentTokens + tokens > factTokensPerPass && current.length > 0) {
+      passes.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    if (passes.length >= maxPasses) {
+      dropped += 1;
+      return;
+    }
+    current.push(piece);
+    currentTokens += tokens;
+  });
+  if (current.length > 0 && passes.length < maxPasses) passes.push(current);
+
+  if (dropped > 0) {
+    console.warn(`[ContextBuilder] ${dropped} least relevant fact piece(s) did not fit in ${maxPasses} pass(es) and were left out.`);
+  }
+  return passes;
+}
+
+/**
+ * Structured data as JSON within a token budget. Whole top-level keys are
+ * left out when it doesn't fit (longest values first), so the JSON is never
+ * cut mid-value; the omitted keys are returned for logging.
+ *
+ * @returns {{ json: string, omittedKeys: Array<string> }}
+ */
+export function serializeStructuredData(structuredData, maxTokens = CONTEXT_LIMITS.structuredTokens) {
+  const data = { ...(structuredData || {}) };
+  const omittedKeys = [];
+  const bySize = Object.keys(data).sort((a, b) => JSON.stringify(data[b]).length - JSON.stringify(data[a]).length);
+  while (estimateTokens(JSON.stringify(data)) > maxTokens && bySize.length > 0) {
+    const key = bySize.shift();
+    delete data[key];
+    omittedKeys.push(key);
+  }
+  return { json: JSON.stringify(data), omittedKeys };
+}
+
+// Facts as numbered lines for the prompt; the number is what the model cites
+export const formatFacts = (facts) => facts
+  .map(fact => `[${fact.index}]${fact.parts > 1 ? ` (part ${fact.part} of ${fact.parts})` : ''} ${fact.content}`)
+  .join(' \n ');
@@ -0,0 +1,313 @@
+// lib/extractionPipeline.js
+import {
+  extractWithRules, extractWithLLM, normalizeTranscripts, EVIDENCE_PARAMETER, MENTIONS_PARAMETER
+} from './extractionService';
+import {
+  createProvenance, locateEvidence, citeFact, isSameValue, valueText, addConflictCandidate, PROVENANCE_SOURCES
+} from './fieldProvenance';
+import { coerceValue } from './coercion';
+import { normalizeFormData } from '../config/formSchema';
+import { DERIVED_RULES } from '../config/extractionRules';
+
+// LLM values without a stated confidence, and values whose evidence can't be
+// found in the company memory (possible hallucination)
+const DEFAULT_LLM_CONFIDENCE = 0.6;
+const UNSUPPORTED_LLM_CONFIDENCE = 0.4;
+
+// Coerces and validates every cell of the rows the LLM returned for a repeatable group.
+// Invalid cells are dropped; rows left without any value are skipped.
+// Returns [{ rawIndex, row }] so evidence cited by LLM row index can be matched up.
+const coerceExtractedRows = (rawRows, groupConfig, groupName) => {
+    if (!Array.isArray(rawRows)) {
+        throw new Error(`Expected a list of ${groupConfig.itemLabel.toLowerCase()} entries.`);
+    }
+    const rows = [];
+    rawRows.forEach((rawRow, index) => {
+        if (!rawRow || typeof rawRow !== 'object') return;
+        const row = {};
+        Object.entries(groupConfig.fields).forEach(([field, fieldConfig]) => {
+            const rawValue = rawRow[field];
+            if (rawValue === null || rawValue === undefined || rawValue === '') return;
+            try {
+                const value = coerceValue(rawValue, fieldConfig);
+                if (!fieldConfig.validation || fieldConfig.validation(value)) {
+                    row[field] = value;
+                } else {
+                    console.warn(`[ExtractionPipeline] LLM Validation Failed for ${groupName}[${index}].${field}: value="${rawValue}" did not pass schema validation.`);
+                }
+            } catch (error) {
+                console.warn(`[ExtractionPipeline] LLM Coercion Error for ${groupName}[${index}].${field} with raw value "${rawValue}": ${error.message}`);
+            }
+        });
+        if (Object.keys(row).length > 0) rows.push({ rawIndex: index, row });
+    });
+    return rows;
+};
+
+// Merges extracted rows into existing ones. Rows with the same identity field
+// (e.g. the same premises address) are one entry: existing values win and empty
+// cells are filled in. New entries are appended up to the group's maxItems.
+// `onCellTaken(mergedIndex, field, newRowIndex)` reports every cell taken from newRows;
+// `onCellConflict(mergedIndex, field, newRowIndex, keptValue)` every cell where the two
+// disagree (mergedIndex can point past existingRows when newRows repeat an entry).
+const mergeRows = (existingRows, newRows, groupConfig, { onCellTaken = () => {}, onCellConflict = () => {} } = {}) => {
+    const identity = (row) => groupConfig.identityField
+        ? valueText(row[groupConfig.identityField]).toLowerCase().replace(/[^a-z0-9]/g, '')
+        : '';
+    const merged = existingRows.map(row => ({ ...row }));
+    newRows.forEach((row, newRowIndex) => {
+        const key = identity(row);
+        const matchIndex = key ? merged.findIndex(existing => identity(existing) === key) : -1;
+        if (matchIndex !== -1) {
+            const match = merged[matchIndex];
+            Object.entries(row).forEach(([field, value]) => {
+                if (match[field] === null || match[field] === undefined || match[field] === '') {
+                    match[field] = value;
+                    onCellTaken(matchIndex, field, newRowIndex);
+                } else if (!isSameValue(match[field], value)) {
+                    onCellConflict(matchIndex, field, newRowIndex, match[field]);
+                }
+            });
+        } else if (!groupConfig.maxItems || merged.length < groupConfig.maxItems) {
+            merged.push(row);
+            Object.keys(row).forEach(field => onCellTaken(merged.length - 1, field, newRowIndex));
+        }
+    });
+    return merged;
+};
+
+
+/**
+ * Fills a form from company memory: rules first, then the LLM for what is
+ * left, then reconciliation and cleanup. Shared by /api/extract-data and the
+ * extraction regression suite (scripts/extraction-regression.mjs).
+ *
+ * @param {Object} form - Form definition from config/formRegistry.js
+ * @param {Object} companyMemory - { structured_data, unstructured_transcripts } as /api/company-memory returns it
+ * @returns {Promise<{ formData: Object, provenance: Object, complete: boolean }>} - `complete` is
+ *   false when the LLM step failed or wasn't configured (the result is worth retrying)
+ */
+export async function extractFormData(form, { structured_data = {}, unstructured_transcripts = [] } = {}) {
+  const formSchema = form.schema;
+
+  // Initialize result object with nulls/defaults based on schema
+  const extractedData = {};
+  Object.keys(formSchema).forEach(key => {
+    extractedData[key] = formSchema[key].type === 'checkbox' ? null : null; // Default all to null initially
+  });
+
+  // Per-field { source, rule, confidence, evidence }, keyed like validation errors
+  const provenance = {};
+
+  // --- Step 1: Rule-Based Extraction ---
+  const { values: rulesResults, provenance: rulesProvenance } = extractWithRules(structured_data, unstructured_transcripts, formSchema);
+  console.log("[ExtractionPipeline] Rules Results:", rulesResults);
+
+  // Merge valid rules results
+  for (const key in rulesResults) {
+      if (formSchema[key] && rulesResults[key] !== null && rulesResults[key] !== undefined) {
+           // Optional: Validate rule results too? For now, assume rules are trusted if they match schema type loosely.
+           // We will validate rigorously after LLM merge.
+           extractedData[key] = rulesResults[key];
+           Object.keys(rulesProvenance)
+               .filter(path => path === key || path.startsWith(`${key}.`))
+               .forEach(path => { provenance[path] = rulesProvenance[path]; });
+      }
+  }
+  console.log("[ExtractionPipeline] Data after merging rules:", extractedData);
+
+  // --- Step 2: Identify Remaining Fields for LLM ---
+  // Rule-filled fields are still checked against the transcripts (reconciliation, Step 5)
+  const knownValues = {};
+  const remainingSchema = {};
+  const fieldsToFillByLLM = [];
+  Object.entries(formSchema).forEach(([key, config]) => {
+      // If the field wasn't filled by rules (is still null or empty string)
+      const currentValue = extractedData[key];
+      const isMissing = currentValue === null || currentValue === ''; // Check against initial null/empty
+
+      // Repeatable groups always go to the LLM: rules only know the first entry
+      if (isMissing || config.type === 'repeatable') {
+          remainingSchema[key] = config;
+          fieldsToFillByLLM.push(key);
+      } else {
+          knownValues[key] = currentValue;
+      }
+  });
+
+  // --- Step 3: LLM Extraction (Function Calling) ---
+  let llmResults = {};
+  let llmEvidence = [];
+  let transcriptMentions = [];
+  let complete = true;
+  if (fieldsToFillByLLM.length > 0 || Object.keys(knownValues).length > 0) {
+      console.log(`[ExtractionPipeline] Attempting LLM extraction (FC) for fields: ${fieldsToFillByLLM.join(', ')}`);
+      // Call the refactored LLM extraction function
+      const {
+          [EVIDENCE_PARAMETER]: citedEvidence, [MENTIONS_PARAMETER]: mentions, ...fieldArgs
+      } = await extractWithLLM(structured_data, unstructured_transcripts, remainingSchema, {
+          hints: form.extraction?.hints,
+          formTitle: form.title,
+          knownValues,
+          onFailure: () => { complete = false; },
+      });
+      llmResults = fieldArgs;
+      llmEvidence = Array.isArray(citedEvidence) ? citedEvidence : [];
+      transcriptMentions = Array.isArray(mentions) ? mentions : [];
+      console.log("[ExtractionPipeline] LLM Raw Results (Args from Function Call):", llmResults);
+
+  } else {
+       console.log("[ExtractionPipeline] No remaining fields needed LLM extraction.");
+  }
+
+  // Provenance for an LLM value. `citedPath` is how the model referred to it
+  // (list entries by their index in the LLM's own list).
+  const evidenceByPath = {};
+  llmEvidence.forEach(item => {
+      if (item && typeof item.field === 'string') evidenceByPath[item.field] = item;
+  });
+  // The cited fact is searched first, then every fact, then the structured data
+  // (which supports a value but has no fact to cite)
+  const facts = normalizeTranscripts(unstructured_transcripts);
+  const structuredMemory = [{ content: JSON.stringify(structured_data), structured: true }];
+  const findSupport = (citedFact, quote, value) => {
+      for (const searchIn of [citedFact ? [citedFact] : [], facts, structuredMemory]) {
+          for (const text of [quote, value]) {
+              const found = locateEvidence(searchIn, text);
+              if (found) return found;
+          }
+      }
+      return null;
+  };
+  // `cited` is an evidence (or mention) item: { fact_index, quote, confidence? }
+  const provenanceFromCitation = (cited, value) => {
+      const citedFact = Number.isInteger(cited?.fact_index) ? facts[cited.fact_index] || null : null;
+      const found = findSupport(citedFact, cited?.quote, value);
+      let confidence = typeof cited?.confidence === 'number' ? Math.min(Math.max(cited.confidence, 0), 1) : DEFAULT_LLM_CONFIDENCE;
+      if (!found) confidence = Math.min(confidence, UNSUPPORTED_LLM_CONFIDENCE);
+      return createProvenance(PROVENANCE_SOURCES.LLM, {
+          confidence,
+          evidence: found?.snippet || cited?.quote || null,
+          citation: found ? (found.fact.structured ? null : citeFact(found.fact)) : citeFact(citedFact),
+      });
+  };
+  const llmProvenance = (citedPath, value) => provenanceFromCitation(evidenceByPath[citedPath], value);
+
+  // --- Step 4: Validate and Merge LLM Results ---
+  console.log("[ExtractionPipeline] Validating and merging LLM results...");
+  for (const fieldName in llmResults) {
+      // Check if the field returned by LLM is one we expected it to fill
+      if (remainingSchema.hasOwnProperty(fieldName)) {
+          const rawValue = llmResults[fieldName]; // Value is expected string from LLM
+          const fieldConfig = remainingSchema[fieldName];
+          let coercedValue = rawValue;
+          let isValid = false;
+
+          try {
+              // Repeatable groups: coerce each row, then merge with rule results
+              if (fieldConfig.type === 'repeatable') {
+                  const rows = coerceExtractedRows(rawValue, fieldConfig, fieldName);
+                  const existingRows = extractedData[fieldName] || [];
+                  extractedData[fieldName] = mergeRows(existingRows, rows.map(({ row }) => row), fieldConfig, {
+                      onCellTaken: (mergedIndex, field, newRowIndex) => {
+                          const { rawIndex, row } = rows[newRowIndex];
+                          provenance[`${fieldName}.${mergedIndex}.${field}`] = llmProvenance(`${fieldName}.${rawIndex}.${field}`, row[field]);
+                      },
+                      onCellConflict: (mergedIndex, field, newRowIndex, keptValue) => {
+                          const { rawIndex, row } = rows[newRowIndex];
+                          const path = `${fieldName}.${mergedIndex}.${field}`;
+                          console.warn(`[ExtractionPipeline] Conflict for ${path}: kept "${valueText(keptValue)}", transcripts say "${valueText(row[field])}".`);
+                          provenance[path] = addConflictCandidate(provenance[path], keptValue, row[field], llmProvenance(`${fieldName}.${rawIndex}.${field}`, row[field]));
+                      },
+                  });
+                  console.log(`[ExtractionPipeline] Merged ${rows.length} LLM ${fieldName} entries:`, extractedData[fieldName]);
+                  continue;
+              }
+
+              // 1. Coerce Type (lib/coercion.js, shared with the rules and voice commands)
+              coercedValue = coerceValue(rawValue, fieldConfig);
+
+              // 2. Validate using schema
+              if (fieldConfig.validation) {
+                  isValid = fieldConfig.validation(coercedValue);
+              } else {
+                  isValid = true; // Assume valid if no specific validation function
+              }
+
+              // 3. Add to results if valid
+              if (isValid) {
+                  console.log(`[ExtractionPipeline] LLM Validation Passed for ${fieldName}: value=${coercedValue} (type: ${typeof coercedValue})`);
+                  extractedData[fieldName] = coercedValue; // Add the COERCED and VALIDATED value
+                  provenance[fieldName] = llmProvenance(fieldName, rawValue);
+              } else {
+                  // Log validation failure reason from schema if possible
+                  console.warn(`[ExtractionPipeline] LLM Validation Failed for ${fieldName}: value="${rawValue}" (coerced: ${coercedValue}) did not pass schema validation.`);
+              }
+
+          } catch (error) {
+              console.warn(`[ExtractionPipeline] LLM Coercion/Validation Error for field "${fieldName}" with raw value "${rawValue}": ${error.message}`);
+              // Do not add the invalid value to extractedData
+          }
+      } else {
+          console.warn(`[ExtractionPipeline] LLM returned unexpected field: ${fieldName}. Ignoring.`);
+      }
+  }
+
+
+  // --- Step 4b: Derived rules (industry codes from each other or the description) ---
+  const { values: derivedValues, provenance: derivedProvenance } = extractWithRules(
+      structured_data, unstructured_transcripts, formSchema, DERIVED_RULES, { known: extractedData });
+  Object.entries(derivedProvenance).forEach(([path, entry]) => {
+      const [key] = path.split('.');
+      extractedData[key] = derivedValues[key];
+      provenance[path] = entry;
+  });
+
+
+  // --- Step 5: Reconcile rule-filled fields with the transcripts ---
+  // The rule value stays; a differing transcript value becomes a second
+  // candidate so the user can pick the right one in the form.
+  transcriptMentions.forEach(mention => {
+      const fieldName = mention?.field;
+      if (!Object.prototype.hasOwnProperty.call(knownValues, fieldName)) return;
+      const fieldConfig = formSchema[fieldName];
+      try {
+          const value = coerceValue(mention.value, fieldConfig);
+          if (value === null) return;
+          if (fieldConfig.validation && !fieldConfig.validation(value)) return;
+          if (isSameValue(value, extractedData[fieldName])) return;
+          console.warn(`[ExtractionPipeline] Conflict for ${fieldName}: rules found "${extractedData[fieldName]}", transcripts say "${value}".`);
+          provenance[fieldName] = addConflictCandidate(provenance[fieldName], extractedData[fieldName], value, provenanceFromCitation(mention, mention.value));
+      } catch (error) {
+          console.warn(`[ExtractionPipeline] Ignoring transcript mention for ${fieldName} ("${mention.value}"): ${error.message}`);
+      }
+  });
+
+
+  // --- Step 6: Final Data Cleanup (Optional but good practice) ---
+  // Ensure defaults for optional fields if still null (e.g., checkboxes to false)
+  Object.keys(formSchema).forEach(key => {
+      if (extractedData[key] === null) {
+           if (formSchema[key].type === 'checkbox') {
+               extractedData[key] = false; // Default optional checkboxes to false
+               provenance[key] = createProvenance(PROVENANCE_SOURCES.DEFAULT);
+           }
+           // Keep other nulls as null unless a default is specified in schema
+      }
+       // Ensure number types are numbers or null
+      if (formSchema[key].type === 'number' && typeof extractedData[key] !== 'number' && extractedData[key] !== null) {
+           console.warn(`[ExtractionPipeline] Final check: Converting non-number ${key} to null.`);
+           extractedData[key] = null;
+           delete provenance[key];
+      }
+      // Ensure boolean types are booleans
+      if (formSchema[key].type === 'checkbox' && typeof extractedData[key] !== 'boolean') {
+           console.warn(`[ExtractionPipeline] Final check: Converting non-boolean ${key} to false.`);
+           extractedData[key] = false; // Default to false if somehow not boolean
+           provenance[key] = createProvenance(PROVENANCE_SOURCES.DEFAULT);
+      }
+  });
+
+  // Canonical formats (E.164 phones, padded FEINs, ...) as the form stores them
+  return { formData: normalizeFormData(formSchema, extractedData), provenance, complete };
+}
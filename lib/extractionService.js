@@ -1,6 +1,11 @@
 // lib/extractionService.js
-import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold, SchemaType } from "@google/generative-ai";
-import { formSchema } from '../config/formSchema'; // Ensure this path is correct and imports the refined ACORD 125 schema
+import { getFieldConfig, setFieldValue } from '../config/formSchema';
+import { EXTRACTION_RULES } from '../config/extractionRules';
+import { getLlmProvider, FINISH_REASONS } from './llmProvider';
+import { rankFacts, packFactsIntoPasses, serializeStructuredData, formatFacts } from './contextBuilder';
+import { createProvenance, locateEvidence, citeFact, PROVENANCE_SOURCES } from './fieldProvenance';
+import { coerceValue, parseNumber, parseDate, normalizePhone, normalizeFein } from './coercion';
+import { formatAddress, ADDRESS_PARTS } from './address';
 
 // --- Helper Functions (Consider moving to utils.js later) ---
 
@@ -23,230 +28,378 @@ const get = (obj, path, defaultValue = null) => {
 };
 
 
-// Helper function to parse potential numeric values (improved robustness)
-const parseNumeric = (value) => {
-  if (typeof value === 'number' && !isNaN(value)) return value;
-  if (typeof value === 'string') {
-    // Basic word-to-number mapping (can be expanded)
-    let potentialNumStr = String(value).trim().toLowerCase();
-    const numberWords = { 'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'zero': 0 };
-     if (numberWords[potentialNumStr] !== undefined) {
-         potentialNumStr = String(numberWords[potentialNumStr]); // Convert word match to string number
-     }
-
-    // Clean and parse
-    const cleanedValue = potentialNumStr.replace(/[$,\s]/g, '').trim();
-    if (cleanedValue === '') return null;
-
-    let num = parseFloat(cleanedValue);
-    if (isNaN(num)) return null;
-
-    // Handle 'k' and 'm' multipliers
-    const multiplierMatch = value.trim().match(/([mk])$/i); // Check original value for multiplier
-    if (multiplierMatch) {
-      const multiplier = multiplierMatch[1].toLowerCase();
-      if (multiplier === 'm') num *= 1000000;
-      if (multiplier === 'k') num *= 1000;
-    }
-    return num;
-  }
-  return null; // Return null if not number or parsable string
-};
+/**
+ * Company memory facts as [{ index, factId, content, metadata }]. Accepts the
+ * objects /api/company-memory returns ({ fact_id, content, metadata }) as well
+ * as plain strings from older clients. `index` is what the LLM cites.
+ */
+export function normalizeTranscripts(transcripts) {
+  return (transcripts || [])
+    .map(item => (typeof item === 'string'
+      ? { factId: null, content: item, metadata: {} }
+      : { factId: item?.fact_id ?? null, content: item?.content, metadata: item?.metadata || {} }))
+    .filter(fact => typeof fact.content === 'string' && fact.content.trim() !== '')
+    .map((fact, index) => ({ index, ...fact }));
+}
 
 
 // --- Rule-Based Extraction ---
-// This function attempts to directly map known fields or apply simple rules.
-// It's faster and more reliable than LLM for well-defined structured data.
-export function extractWithRules(structuredData, transcripts, schema) {
-  console.log("[extractWithRules] Starting rule-based extraction...");
-  const results = {};
-
-  // --- Direct Mappings from structuredData (based on /api/company-memory output) ---
+// Applies the declarative rules in config/extractionRules.js. It's faster and
+// more reliable than the LLM for well-defined structured data and phrases.
+
+// Matches a spoken or written term to one of the field's options: option
+// value or label (ignoring case and trailing punctuation), then rule aliases
+const matchOption = (value, fieldConfig, rule) => {
+  const term = String(value).trim().replace(/[.,;:!?"]+$/, '').toLowerCase();
+  const options = fieldConfig.options || [];
+  const option = options.find(opt => opt.value.toLowerCase() === term || opt.label.toLowerCase() === term);
+  if (option) return option.value;
+  const alias = Object.keys(rule.aliases || {})
+    .sort((a, b) => b.length - a.length)
+    .find(key => term === key || term.startsWith(`${key} `));
+  if (alias) return rule.aliases[alias];
+  // Captures often run on past the term ("LLC based in Ohio")
+  return options.find(opt => term.startsWith(`${opt.value.toLowerCase()} `))?.value ?? null;
+};
 
-  // Example: Legal Name
-  const legalName = get(structuredData, 'legal_name');
-  if (legalName && schema.legal_name?.validation(legalName)) {
-    results.legal_name = legalName;
-    console.log(`[extractWithRules] Found legal_name via direct map: ${legalName}`);
-  }
+// Normalizers a rule can name in `normalize`; each returns null (or throws)
+// when the raw value is unusable. 'field' coerces by the target field's type.
+export const RULE_NORMALIZERS = {
+  field: (value, fieldConfig) => coerceValue(value, fieldConfig),
+  trim: (value) => (typeof value === 'string' ? value.trim() : value),
+  text: (value) => String(value).trim(),
+  numeric: parseNumber,
+  date: (value) => parseDate(value),
+  phone: normalizePhone,
+  fein: normalizeFein,
+  option: matchOption,
+};
 
-  // Example: Contact Email
-  const email = get(structuredData, 'contact_email');
-  if (email && schema.contact_email?.validation(email)) {
-      results.contact_email = email;
-      console.log(`[extractWithRules] Found contact_email via direct map: ${email}`);
-  }
+// Rules that apply to this schema, highest priority first (registry order breaks ties)
+const rulesForSchema = (rules, schema) => rules
+  .filter(rule => getFieldConfig(schema, rule.target))
+  .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0));
 
-  // Example: Applicant Address (as combined string)
-  const address = get(structuredData, 'applicant_address');
-   if (address && schema.applicant_address?.validation(address)) {
-       results.applicant_address = address;
-       console.log(`[extractWithRules] Found applicant_address via direct map: ${address}`);
-   }
-   // If premise address is different and needed, map it too
-   const premiseAddress = get(structuredData, 'premise_address');
-    if (premiseAddress && schema.premise_address?.validation(premiseAddress)) {
-        results.premise_address = premiseAddress;
-        console.log(`[extractWithRules] Found premise_address via direct map: ${premiseAddress}`);
-    } else if(results.applicant_address) {
-        // Default premise address to applicant address if not found separately
-        results.premise_address = results.applicant_address;
-    }
+// Evidence text for a raw value; structured addresses read as one line
+const describeRaw = (raw) => (raw && typeof raw === 'object' ? formatAddress(raw) : raw);
 
-  // Example: Annual Revenue (needs parsing/validation)
-  const revenueStr = get(structuredData, 'annual_revenue');
-  if (revenueStr !== null && revenueStr !== undefined) {
-      const revenueNum = parseNumeric(revenueStr);
-      if (revenueNum !== null && schema.annual_revenue?.validation(revenueNum)) {
-          results.annual_revenue = revenueNum;
-          console.log(`[extractWithRules] Found and parsed annual_revenue via direct map: ${revenueNum}`);
-      }
+// Raw value(s) a rule's source yields, each with where it came from
+function readRuleSource(rule, { structuredData, facts, results }) {
+  const { structured, field, pattern, group = 1 } = rule.source || {};
+  if (structured) {
+    const raw = get(structuredData, structured);
+    return raw === null || raw === '' ? [] : [{ raw, evidence: `${structured}: ${describeRaw(raw)}` }];
   }
+  if (field) {
+    const raw = get(results, field);
+    return raw === null || raw === '' ? [] : [{ raw, evidence: `${field}: ${describeRaw(raw)}` }];
+  }
+  if (pattern) {
+    return facts.flatMap(fact => {
+      const match = fact.content.match(pattern);
+      const raw = match?.[group] ?? match?.[0];
+      if (!raw) return [];
+      return [{ raw, evidence: locateEvidence([fact], match[0])?.snippet || null, citation: citeFact(fact) }];
+    });
+  }
+  console.warn(`[extractWithRules] Rule ${rule.id} for ${rule.target} has no usable source; skipping.`);
+  return [];
+}
 
-   // Example: SIC / NAICS
-   const sic = get(structuredData, 'sic');
-   if (sic && schema.sic?.validation(String(sic).trim())) { // Validate as string
-       results.sic = String(sic).trim();
-       console.log(`[extractWithRules] Found sic via direct map: ${results.sic}`);
-   }
-   const naics = get(structuredData, 'naics');
-   if (naics && schema.naics?.validation(String(naics).trim())) { // Validate as string
-       results.naics = String(naics).trim();
-       console.log(`[extractWithRules] Found naics via direct map: ${results.naics}`);
-   }
-
-    // Example: Contact Name
-    const contactName = get(structuredData, 'contact_name');
-    if (contactName && schema.contact_name?.validation(contactName)) {
-        results.contact_name = contactName;
-        console.log(`[extractWithRules] Found contact_name via direct map: ${contactName}`);
-    }
-
-    // Example: Contact Phone
-    const contactPhone = get(structuredData, 'contact_phone');
-    if (contactPhone && schema.contact_phone?.validation(contactPhone)) {
-        results.contact_phone = contactPhone;
-        console.log(`[extractWithRules] Found contact_phone via direct map: ${contactPhone}`);
+/**
+ * Runs extraction rules against company memory. For each target field the
+ * highest-priority rule yielding a value that passes the field's validation
+ * wins; targets already filled are skipped.
+ *
+ * @param {Object} structuredData - Company memory structured fields
+ * @param {Array} transcripts - Company memory facts (see normalizeTranscripts)
+ * @param {Object} schema - Schema of the form being filled
+ * @param {Array<Object>} [rules] - Defaults to EXTRACTION_RULES
+ * @param {Object} [options] - { known }: values already extracted, which `field`
+ *   sources can read and which are never overwritten
+ * @returns {{ values: Object, provenance: Object }} - values include `known`; provenance
+ *   names the rule behind each value the rules filled
+ */
+export function extractWithRules(structuredData, transcripts, schema, rules = EXTRACTION_RULES, { known = {} } = {}) {
+  console.log("[extractWithRules] Starting rule-based extraction...");
+  const facts = normalizeTranscripts(transcripts);
+  let results = { ...known };
+  const provenance = {};
+
+  for (const rule of rulesForSchema(rules, schema)) {
+    if (get(results, rule.target) !== null) continue; // A higher-priority rule already filled it
+    const fieldConfig = getFieldConfig(schema, rule.target);
+    const normalize = typeof rule.normalize === 'function' ? rule.normalize : RULE_NORMALIZERS[rule.normalize || 'field'];
+    if (!normalize) {
+      console.warn(`[extractWithRules] Unknown normalizer "${rule.normalize}" in rule ${rule.id}; skipping.`);
+      continue;
     }
 
-    // Example: Business Phone
-    const businessPhone = get(structuredData, 'business_phone');
-    if (businessPhone && schema.business_phone?.validation(businessPhone)) {
-        results.business_phone = businessPhone;
-        console.log(`[extractWithRules] Found business_phone via direct map: ${businessPhone}`);
+    for (const { raw, evidence, citation = null } of readRuleSource(rule, { structuredData, facts, results })) {
+      let value;
+      try {
+        value = normalize(raw, fieldConfig, rule);
+      } catch (error) {
+        console.warn(`[extractWithRules] Rule ${rule.id} could not normalize "${raw}": ${error.message}`);
+        continue;
+      }
+      if (value === null || value === undefined || value === '') continue;
+      if (fieldConfig.validation && !fieldConfig.validation(value)) continue;
+
+      results = setFieldValue(results, rule.target, value);
+      provenance[rule.target] = createProvenance(PROVENANCE_SOURCES.RULE, {
+        rule: rule.id,
+        confidence: rule.confidence ?? null,
+        evidence,
+        citation,
+      });
+      console.log(`[extractWithRules] Found ${rule.target} via rule ${rule.id}: ${describeRaw(value)}`);
+      break; // First valid value wins
     }
-
-   // --- Rule applied to unstructured_transcripts ---
-
-   // Example Rule: Find FEIN using Regex in transcripts (if not found directly)
-   if (!results.fein) { // Only run if not found directly
-       const feinRegex = /(\d{2}-\d{7})/;
-       for (const transcript of transcripts) {
-           const match = transcript.match(feinRegex);
-           if (match && match[1] && schema.fein?.validation(match[1])) {
-               results.fein = match[1];
-               console.log(`[extractWithRules] Found FEIN via regex in transcripts: ${results.fein}`);
-               break; // Stop after first valid match
-           }
-       }
-   }
-
-   // Add more rules here if specific patterns are common in transcripts
-   // e.g., looking for "Entity Type: LLC", "Nature of Business: Contractor"
+  }
 
   console.log("[extractWithRules] Finished. Results:", results);
-  return results;
+  return { values: results, provenance };
 }
 
 
 // --- LLM Extraction using Function Calling ---
 
+// Extra populateFormFields parameter where the model cites its source for each
+// value. It is not a form field; /api/extract-data turns it into provenance.
+export const EVIDENCE_PARAMETER = 'field_evidence';
+
+// Parameter where the model reports transcript values for fields the rules
+// already filled from structured data, so /api/extract-data can flag disagreements
+export const MENTIONS_PARAMETER = 'transcript_mentions';
+
+// Parameter description for one field, built from its label and type.
+// `hints` (from the form definition) adds form-specific guidance per field.
+function describeField(key, config, hints = {}) {
+    let description = `Extract the value for "${config.label}". `;
+    if (config.type === 'select' && config.options) {
+        const allowedValues = config.options.map(opt => opt.value || opt.label).join(', ');
+        description += `The value should ideally be one of: ${allowedValues}. Extract the term used in the text that best matches one of these options.`;
+    } else if (config.type === 'date') {
+        description += `Format as YYYY-MM-DD.`;
+    } else if (key === 'fein') { // Using schema key for specificity
+        description += `Format must be XX-XXXXXXX.`;
+    } else if (config.type === 'number') {
+         description += `Extract the numerical value. Can be digits or words (e.g., "1 million", "50k").`;
+         if (config.integer) description += ` Whole numbers only.`;
+    } else if (config.type === 'email') {
+        description += `Extract the email address.`;
+    } else if (config.type === 'industry_code') {
+        description += config.codeSystem === 'sic'
+            ? `The 4-digit SIC code, only if the context states it.`
+            : `The 6-digit NAICS code, only if the context states it.`;
+    } else if (config.type === 'address') {
+        description += `Split it into street (street1), suite or unit (street2), city, two-letter state code and ZIP.`;
+    } else {
+        description += `Extract the relevant text or value accurately from the context.`;
+    }
+    if (hints[key]) {
+        description += ` ${hints[key]}`;
+    }
+    return description;
+}
+
+// Parameter schema for one field: addresses are requested part by part,
+// everything else as a string (coerced by lib/coercion.js)
+function describeParameter(key, config, hints = {}) {
+    const description = describeField(key, config, hints);
+    if (config.type === 'address') {
+        return {
+            type: 'object',
+            description,
+            properties: Object.fromEntries(ADDRESS_PARTS.map(part => [part, { type: 'string' }])),
+        };
+    }
+    return { type: 'string', description };
+}
+
 /**
- * Dynamically creates the tools definition for Gemini based on the fields needing extraction.
- * ENHANCED: Use field labels and types for better descriptions.
+ * Builds the populateFormFields declaration for the fields needing extraction,
+ * using field labels and types for the parameter descriptions.
+ * `knownValues` (fieldName -> value filled by rules) adds the MENTIONS_PARAMETER.
  */
-function createExtractionTools(schemaForLLM) {
+function createExtractionFunction(schemaForLLM, hints = {}, knownValues = {}) {
     const properties = {};
     Object.entries(schemaForLLM).forEach(([key, config]) => {
-        let description = `Extract the value for "${config.label}". `;
-        if (config.type === 'select' && config.options) {
-            const allowedValues = config.options.map(opt => opt.value || opt.label).join(', ');
-            description += `The value should ideally be one of: ${allowedValues}. Extract the term used in the text that best matches one of these options.`;
-        } else if (config.type === 'date') {
-            description += `Format as YYYY-MM-DD.`;
-        } else if (key === 'fein') { // Using schema key for specificity
-            description += `Format must be XX-XXXXXXX.`;
-        } else if (config.type === 'number') {
-             description += `Extract the numerical value. Can be digits or words (e.g., "1 million", "50k").`;
-        } else if (config.type === 'email') {
-            description += `Extract the email address.`;
-        } else {
-            description += `Extract the relevant text or value accurately from the context.`;
+        // Repeatable groups: an array with one object per entry found in the context
+        if (config.type === 'repeatable') {
+            const itemProperties = {};
+            Object.entries(config.fields).forEach(([field, fieldConfig]) => {
+                itemProperties[field] = describeParameter(field, fieldConfig);
+            });
+            properties[key] = {
+                type: 'array',
+                description: `Every ${config.itemLabel.toLowerCase()} found in the context, one item each (at most ${config.maxItems}).${hints[key] ? ` ${hints[key]}` : ''}`,
+                items: { type: 'object', properties: itemProperties },
+            };
+            return;
         }
 
-        properties[key] = {
-            type: SchemaType.STRING, // Always request string from LLM initially
-            description: description
-        };
+        properties[key] = describeParameter(key, config, hints);
     });
 
-    return [
-        {
-            functionDeclarations: [
-                {
-                    name: "populateFormFields",
-                    description: "Populates form fields based *only* on information confidently extracted from the provided context (structured info and facts/transcripts).",
-                    parameters: {
-                        type: SchemaType.OBJECT,
-                        properties: properties,
-                        // No 'required' array - LLM should only provide what it finds confidently.
-                    }
-                }
-            ]
+    properties[EVIDENCE_PARAMETER] = {
+        type: 'array',
+        description: 'One item per value you provide: the parameter name (for list entries "list.index.property", e.g. "premises.0.address"), the [number] of the fact it came from (omit for structured information), the exact quote it came from, and your confidence from 0 to 1.',
+        items: {
+            type: 'object',
+            properties: {
+                field: { type: 'string' },
+                fact_index: { type: 'integer' },
+                quote: { type: 'string' },
+                confidence: { type: 'number' },
+            },
+        },
+    };
+
+    if (Object.keys(knownValues).length > 0) {
+        properties[MENTIONS_PARAMETER] = {
+            type: 'array',
+            description: `Values the Facts & Transcripts state for the already-known fields (${Object.keys(knownValues).join(', ')}): the field name, the value as stated, the [number] of the fact and the exact quote.`,
+            items: {
+                type: 'object',
+                properties: {
+                    field: { type: 'string' },
+                    value: { type: 'string' },
+                    fact_index: { type: 'integer' },
+                    quote: { type: 'string' },
+                },
+            },
+        };
+    }
+
+    return {
+        name: "populateFormFields",
+        description: "Populates form fields based *only* on information confidently extracted from the provided context (structured info and facts/transcripts).",
+        parameters: {
+            type: 'object',
+            properties: properties,
+            // No 'required' array - LLM should only provide what it finds confidently.
         }
-    ];
+    };
 }
 
 
 /**
- * Extracts remaining form data using LLM (Gemini Function Calling Implementation).
- * ENHANCED: Improved prompt and context handling.
+ * Extracts remaining form data using LLM function calling, through the
+ * provider configured in lib/llmProvider.js.
+ * `options.hints` / `options.formTitle` come from the form definition being filled.
+ * `options.knownValues` are rule-filled values to check against the transcripts.
+ *
+ * Long company memories are split into several passes (lib/contextBuilder.js),
+ * most relevant facts first. Each pass only asks for the fields earlier passes
+ * left empty, so an earlier pass's value always wins; list entries and
+ * transcript mentions from every pass are combined.
+ *
+ * `options.onFailure` is called when the provider isn't configured or a pass
+ * fails, so callers can tell an incomplete result from one where the LLM
+ * simply found nothing.
  */
-export async function extractWithLLM(structuredData, transcripts, remainingSchema) {
+export async function extractWithLLM(structuredData, transcripts, remainingSchema, { hints = {}, formTitle = 'ACORD 125', knownValues = {}, onFailure = () => {} } = {}) {
   const fieldsToRequest = Object.keys(remainingSchema);
-  if (fieldsToRequest.length === 0) {
+  if (fieldsToRequest.length === 0 && Object.keys(knownValues).length === 0) {
       console.log('[extractWithLLM] No fields remaining for LLM extraction.');
       return {};
   }
 
-  console.log('[extractWithLLM] Starting Gemini Function Calling extraction for fields:', fieldsToRequest.join(', '));
+  const provider = getLlmProvider();
+  console.log(`[extractWithLLM] Starting ${provider.name} function calling extraction for fields:`, fieldsToRequest.join(', '));
 
-  const geminiApiKey = process.env.GEMINI_API_KEY; // Make sure this is set in .env.local
-  if (!geminiApiKey) {
-      console.error("[extractWithLLM] Gemini API key not found in environment variables.");
+  if (!provider.isConfigured()) {
+      console.error(`[extractWithLLM] The ${provider.name} LLM provider is not configured (missing API key?).`);
       // Allow graceful failure - validation downstream will catch missing required fields
+      onFailure();
       return {};
   }
 
   // --- Prepare Input for LLM ---
-  const tools = createExtractionTools(remainingSchema); // Use enhanced tool descriptions
+  const { json: structuredJson, omittedKeys } = serializeStructuredData(structuredData);
+  if (omittedKeys.length > 0) {
+      console.warn(`[extractWithLLM] Structured data too long; left out: ${omittedKeys.join(', ')}`);
+  }
+  const passes = packFactsIntoPasses(rankFacts(normalizeTranscripts(transcripts), remainingSchema, hints));
+  if (passes.length === 0) passes.push([]); // Structured data alone can still fill fields
+
+  const merged = {};
+  for (const [passIndex, passFacts] of passes.entries()) {
+      const pendingSchema = {};
+      Object.entries(remainingSchema).forEach(([key, config]) => {
+          if (config.type === 'repeatable' || merged[key] === undefined) pendingSchema[key] = config;
+      });
+      if (Object.keys(pendingSchema).length === 0 && Object.keys(knownValues).length === 0) break;
 
-  // Context: Provide reasonably complete transcripts/facts if token limits allow.
-  const transcriptSummary = (transcripts || []).join(' \n ').substring(0, 4000); // Limit context size
-  const structuredDataSnippet = JSON.stringify(structuredData)?.substring(0, 1000); // Keep snippet concise
+      console.log(`[extractWithLLM] Pass ${passIndex + 1} of ${passes.length}: ${passFacts.length} fact(s), fields: ${Object.keys(pendingSchema).join(', ')}`);
+      const args = await runExtractionPass(provider, {
+          structuredJson, facts: passFacts, schema: pendingSchema, hints, formTitle, knownValues,
+      });
+      if (args === null) {
+          onFailure();
+          continue;
+      }
+      mergePassResults(merged, args, remainingSchema);
+  }
+  return merged;
+}
+
+/**
+ * Adds one pass's function-call arguments to `merged`. Fields already set by
+ * an earlier pass keep their value; list entries are appended (duplicates are
+ * merged by /api/extract-data) with their cited evidence re-indexed to match.
+ */
+function mergePassResults(merged, args, schema) {
+  const { [EVIDENCE_PARAMETER]: evidence, [MENTIONS_PARAMETER]: mentions, ...fieldArgs } = args;
+  const passEvidence = Array.isArray(evidence) ? evidence : [];
+  const evidenceFor = (path) => passEvidence.filter(item => item?.field === path);
+  const accepted = [];
+
+  Object.entries(fieldArgs).forEach(([key, value]) => {
+      if (schema[key]?.type === 'repeatable') {
+          if (!Array.isArray(value)) return;
+          const offset = Array.isArray(merged[key]) ? merged[key].length : 0;
+          merged[key] = [...(merged[key] || []), ...value];
+          passEvidence
+              .filter(item => typeof item?.field === 'string' && item.field.startsWith(`${key}.`))
+              .forEach(item => {
+                  const [, index, field] = item.field.split('.');
+                  accepted.push({ ...item, field: `${key}.${Number(index) + offset}.${field}` });
+              });
+          return;
+      }
+      if (value === null || value === undefined || value === '') return;
+      if (merged[key] !== undefined) return; // An earlier, more relevant pass already answered
+      merged[key] = value;
+      accepted.push(...evidenceFor(key));
+  });
 
+  merged[EVIDENCE_PARAMETER] = [...(merged[EVIDENCE_PARAMETER] || []), ...accepted];
+  if (Array.isArray(mentions)) merged[MENTIONS_PARAMETER] = [...(merged[MENTIONS_PARAMETER] || []), ...mentions];
+}
+
+// One populateFormFields call over a subset of the facts; returns its arguments (null on failure)
+async function runExtractionPass(provider, { structuredJson, facts, schema, hints, formTitle, knownValues }) {
+  const extractionFunction = createExtractionFunction(schema, hints, knownValues); // Use enhanced tool descriptions
+
+  // Facts are numbered so the model can cite them in the evidence parameter
   const context = `
 Context for Data Extraction:
 Structured Information Known So Far:
-${structuredDataSnippet}${JSON.stringify(structuredData)?.length > 1000 ? '...' : ''}
+${structuredJson}
 
 Facts & Transcripts (Unstructured Context):
-${transcriptSummary}${ (transcripts || []).join(' \n ').length > 4000 ? '...' : ''}
-`;
+${facts.length > 0 ? formatFacts(facts) : '(none)'}
+${Object.keys(knownValues).length > 0 ? `
+Already Known Fields (filled from structured data):
+${JSON.stringify(knownValues)}
+` : ''}`;
 
   // ENHANCED Prompt: More specific instructions
   const prompt = `
-You are an AI assistant specialized in accurately extracting specific data points from business context (structured info, facts, transcripts) to populate form fields.
+You are an AI assistant specialized in accurately extracting specific data points from business context (structured info, facts, transcripts) to populate ${formTitle} form fields.
 Your goal is to populate the parameters of the 'populateFormFields' function.
 
 ${context}
@@ -258,82 +411,47 @@ ${context}
 4.  **CRITICAL: Do NOT guess or infer values.** If you are uncertain about a field's value based *only* on the provided context, DO NOT include it in the function call. Accuracy is paramount.
 5.  For fields with limited options (like 'Applicant Entity Type' or 'Nature of Business'), extract the term used in the text (e.g., "LLC", "Contractor", "Service") that best matches one of the allowed options mentioned in the parameter description. If no clear match exists in the text, do not provide a value for that field.
 6.  Extract values exactly as they appear where possible, especially for text descriptions. Format numbers as strings (e.g., "80000.00"), dates as "YYYY-MM-DD", FEIN as "XX-XXXXXXX".
-7.  Only call the function. Do not add conversational text, explanations, or apologies. If no fields can be confidently extracted, do not call the function.
+7.  For list parameters (premises, prior carriers, losses, additional interests, ...), provide one object per distinct entry found in the context, and only the properties stated for that entry. Return an empty list or omit the parameter when none are mentioned.
+8.  For every value you provide, add an entry to '${EVIDENCE_PARAMETER}' citing the [number] of the fact it came from, the exact quote that supports it and how confident you are (0 to 1).
+9.  If the Facts & Transcripts state a value for an Already Known Field, report it in '${MENTIONS_PARAMETER}' exactly as stated, even when it differs from the known value. Do not repeat known values that the facts don't mention.
+10. Only call the function. Do not add conversational text, explanations, or apologies. If no fields can be confidently extracted, do not call the function.
 `;
 
-  // --- Call Gemini API ---
-  console.log("[extractWithLLM] Initializing Gemini client for extraction...");
-  const genAI = new GoogleGenerativeAI(geminiApiKey);
-  const model = genAI.getGenerativeModel({
-      model: "gemini-1.5-flash-latest", // Use a model that supports function calling
-      tools: tools
-  });
-
+  // --- Call the LLM ---
   try {
-      const generationConfig = {
+      console.log("[extractWithLLM] Sending enhanced prompt to the LLM...");
+      const { functionCall, text, finishReason } = await provider.callFunction({
+          prompt,
+          functions: [extractionFunction],
           temperature: 0.1, // Low temperature for factual extraction
-      };
-      // Define safety settings to block potentially harmful content
-      const safetySettings = [
-          { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-          { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-          { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-          { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-      ];
-
-      console.log("[extractWithLLM] Sending enhanced prompt to Gemini...");
-
-      // Use chat interface for function calling
-      const chat = model.startChat({
-         generationConfig,
-         safetySettings,
       });
 
-      // Send the main prompt
-      const result = await chat.sendMessage(prompt);
-      const response = result.response;
-      const candidate = response?.candidates?.[0];
-
-      // Log the raw response for debugging
-      console.log("[extractWithLLM] Raw Gemini Response:", JSON.stringify(response, null, 2));
-
-      // Check for valid candidate and content parts
-      if (!candidate || !candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-            const finishReason = candidate?.finishReason;
-            const safetyRatings = candidate?.safetyRatings;
-            console.warn(`[extractWithLLM] No valid response/function call. Finish reason: ${finishReason}`, safetyRatings ? `Safety Ratings: ${JSON.stringify(safetyRatings)}` : '');
-            // If stopped due to safety, throw an error
-            if (finishReason === 'SAFETY') {
-                 throw new Error("AI extraction stopped due to safety settings.");
-            }
-            // Otherwise, it likely found nothing or finished normally without a function call
-            return {}; // Return empty if no function call or stopped normally
+      // If stopped due to safety, throw an error
+      if (finishReason === FINISH_REASONS.SAFETY) {
+          throw new Error("AI extraction stopped due to safety settings.");
       }
 
-      // Find the function call part in the response
-      const functionCallPart = candidate.content.parts.find(part => part.functionCall);
-
       // Check if the expected function was called
-      if (functionCallPart && functionCallPart.functionCall?.name === 'populateFormFields') {
-          const args = functionCallPart.functionCall.args || {};
+      if (functionCall?.name === 'populateFormFields') {
+          const args = functionCall.args || {};
           console.log("[extractWithLLM] Received 'populateFormFields' function call with args:", args);
           // Return the arguments object. Validation will happen in the API route (/api/extract-data)
           return args;
       } else {
           // Log if no function call was made or a different one was called
-          const textPart = candidate.content.parts.find(part => part.text);
-          console.log("[extractWithLLM] No 'populateFormFields' function call was made by the LLM.", textPart ? `Text response: ${textPart.text}` : '');
+          // (it likely found nothing or finished normally without a function call)
+          console.log(`[extractWithLLM] No 'populateFormFields' function call was made by the LLM. Finish reason: ${finishReason}.`, text ? `Text response: ${text}` : '');
           return {}; // Return empty object
       }
 
   } catch (error) {
       // Log any errors during the API call or processing
-      console.error("[extractWithLLM] Error during Gemini call or processing:", error);
+      console.error("[extractWithLLM] Error during LLM call or processing:", error);
        const errorMessage = error.message?.includes("safety settings")
             ? "Extraction stopped due to safety concerns."
             : `Error during AI data extraction.`;
        // Depending on requirements, could throw the error or return empty
-       // Returning empty allows downstream validation to handle missing required fields
-       return {};
+       // Returning null lets the other passes continue; downstream validation handles missing required fields
+       return null;
   }
 }
\ No newline at end of file
@@ -0,0 +1,156 @@
+// lib/fieldProvenance.js
+// Where each form value came from. Provenance is a map keyed like validation
+// errors (field name, or `group.index.field` for repeatable rows):
+//   { source, rule?, confidence, evidence, citation, updatedAt }
+// `confidence` is 0-1 (null when it doesn't apply); `evidence` is the snippet
+// of company memory the value was taken from, when there is one, and
+// `citation` ({ factIndex, factId, metadata }) the Retool fact it is quoted from.
+// When sources disagree, `conflict.candidates` lists every value found, each
+// with its own provenance, until the user picks one.
+
+export const PROVENANCE_SOURCES = {
+  RULE: 'rule',       // Deterministic extraction rule; `rule` names it
+  LLM: 'llm',         // populateFormFields function call
+  DEFAULT: 'default', // Schema default, derived value or agency profile
+  USER: 'user',       // Typed or spoken by the user
+};
+
+// Below this, a field is flagged for review before finalizing
+export const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
+// Confidence of a value another source contradicts
+const CONFLICT_CONFIDENCE = 0.5;
+
+const isBlank = (v) => v === null || v === undefined || v === '' || (Array.isArray(v) && v.length === 0);
+
+export function createProvenance(source, { rule = null, confidence = null, evidence = null, citation = null } = {}) {
+  return { source, rule, confidence, evidence, citation, updatedAt: new Date().toISOString() };
+}
+
+// Citation for a fact as normalized by normalizeTranscripts (lib/extractionService.js)
+export const citeFact = (fact) => (fact ? { factIndex: fact.index, factId: fact.factId, metadata: fact.metadata } : null);
+
+export const needsReview = (entry) =>
+  Boolean(entry) && entry.source !== PROVENANCE_SOURCES.USER && (Boolean(entry.conflict) ||
+  (entry.confidence !== null && entry.confidence !== undefined && entry.confidence < LOW_CONFIDENCE_THRESHOLD));
+
+// Text of a composite value (an address) is its parts in order
+export const valueText = (v) => (v && typeof v === 'object'
+  ? Object.values(v).filter(part => part !== null && part !== undefined).join(' ')
+  : String(v ?? ''));
+
+// Loosely equal: same number, or same letters and digits ignoring case and punctuation
+export function isSameValue(a, b) {
+  const toNumber = (v) => (typeof v === 'number' ? v : Number(String(v ?? '').replace(/[$,\s]/g, '')));
+  if (typeof a === 'number' || typeof b === 'number') return toNumber(a) === toNumber(b);
+  const normalize = (v) => valueText(v).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Records that another source found `candidateValue` for a field currently
+ * holding `currentValue`. The current value stays; both become candidates the
+ * user can choose from, and the field is flagged for review.
+ *
+ * @param {Object} entry - The field's current provenance
+ * @param {Object} candidateEntry - Provenance of the competing value
+ * @returns {Object} - The updated provenance entry (unchanged if the values agree)
+ */
+export function addConflictCandidate(entry, currentValue, candidateValue, candidateEntry) {
+  const current = entry || createProvenance(PROVENANCE_SOURCES.RULE);
+  const { conflict, ...currentWithoutConflict } = current;
+  const candidates = conflict?.candidates || [{ value: currentValue, ...currentWithoutConflict }];
+  if (candidates.some(candidate => isSameValue(candidate.value, candidateValue))) return current;
+  return {
+    ...current,
+    confidence: Math.min(current.confidence ?? 1, CONFLICT_CONFIDENCE),
+    conflict: { candidates: [...candidates, { value: candidateValue, ...candidateEntry }] },
+  };
+}
+
+/**
+ * Finds `text` in the facts' content (case-insensitive) and returns it with
+ * some surrounding context plus the fact it was found in, or null when it
+ * doesn't occur anywhere.
+ *
+ * @param {Array<{ content: string }>} facts
+ * @returns {{ snippet: string, fact: Object }|null}
+ */
+export function locateEvidence(facts, text, radius = 60) {
+  // A composite value is looked up by its first part (an address by its street)
+  const first = text && typeof text === 'object' ? Object.values(text).find(Boolean) : text;
+  const needle = String(first ?? '').trim().toLowerCase();
+  if (!needle) return null;
+  for (const fact of facts || []) {
+    const content = fact?.content;
+    if (typeof content !== 'string') continue;
+    const position = content.toLowerCase().indexOf(needle);
+    if (position === -1) continue;
+    const start = Math.max(0, position - radius);
+    const end = Math.min(content.length, position + needle.length + radius);
+    return { snippet: `${start > 0 ? '…' : ''}${content.slice(start, end).trim()}${end < content.length ? '…' : ''}`, fact };
+  }
+  return null;
+}
+
+/**
+ * Records `entry` for every top-level field (and repeatable row cell) that
+ * was blank in `before` and is filled in `after`, unless it already has
+ * provenance. Used for values filled in by defaults.
+ *
+ * @returns {Object} - A new provenance map
+ */
+export function markFilledFields(provenance, before = {}, after = {}, entry) {
+  const updated = { ...provenance };
+  const mark = (path, previous, next) => {
+    if (isBlank(previous) && !isBlank(next) && !updated[path]) updated[path] = entry;
+  };
+  Object.keys(after).forEach(key => {
+    const next = after[key];
+    if (Array.isArray(next)) {
+      next.forEach((row, index) => {
+        if (!row || typeof row !== 'object') return;
+        Object.keys(row).forEach(field => mark(`${key}.${index}.${field}`, before[key]?.[index]?.[field], row[field]));
+      });
+      return;
+    }
+    mark(key, before[key], next);
+  });
+  return updated;
+}
+
+/**
+ * Marks what the user just changed. For repeatable groups the changed cells are
+ * the user's; cells that kept their value keep their provenance, and cells
+ * whose value moved (a row was removed above them) lose it.
+ *
+ * @param {string} fieldName - Field or `group.index.field` path passed to the change handler
+ * @returns {Object} - A new provenance map
+ */
+export function recordUserEdit(provenance, previousData, updatedData, fieldName) {
+  const group = fieldName.split('.')[0];
+  const before = previousData[group];
+  const after = updatedData[group];
+  const userEntry = createProvenance(PROVENANCE_SOURCES.USER, { confidence: 1 });
+  if (!Array.isArray(after)) return { ...provenance, [fieldName]: userEntry };
+
+  const updated = {};
+  Object.entries(provenance || {}).forEach(([path, entry]) => {
+    const [pathGroup, index, field] = path.split('.');
+    if (pathGroup !== group || index === undefined) {
+      updated[path] = entry;
+      return;
+    }
+    const row = after[Number(index)];
+    if (row && before?.[Number(index)]?.[field] === row[field]) updated[path] = entry;
+  });
+  if (Array.isArray(before) && before.length === after.length) {
+    after.forEach((row, index) => {
+      Object.keys(row || {}).forEach(field => {
+        if (row[field] !== before[index]?.[field]) updated[`${group}.${index}.${field}`] = userEntry;
+      });
+    });
+  }
+  if (fieldName !== group) updated[fieldName] = userEntry;
+  return updated;
+}
@@ -0,0 +1,138 @@
+// lib/formStore.js
+import { createSupabaseAdapter } from './storage/supabaseAdapter';
+import { createLocalAdapter } from './storage/localAdapter';
+
+export { RevisionConflictError } from './storage/errors';
+
+// How a version came to exist, so reviewers can tell checkpoints from background saves
+export const SAVE_TYPES = {
+  AUTO: 'auto',
+  MANUAL: 'manual',
+  RESTORE: 'restore',
+};
+
+// Lifecycle of a draft; only 'ready' drafts have passed full validation
+export const FORM_STATUSES = {
+  DRAFT: 'draft',
+  READY: 'ready',
+  SUBMITTED: 'submitted',
+};
+
+// Allowed status changes. Saving new content always drops back to DRAFT.
+const STATUS_TRANSITIONS = {
+  [FORM_STATUSES.DRAFT]: [FORM_STATUSES.READY],
+  [FORM_STATUSES.READY]: [FORM_STATUSES.DRAFT, FORM_STATUSES.SUBMITTED],
+  [FORM_STATUSES.SUBMITTED]: [FORM_STATUSES.DRAFT],
+};
+
+export function canTransitionStatus(fromStatus, toStatus) {
+  return (STATUS_TRANSITIONS[fromStatus || FORM_STATUSES.DRAFT] || []).includes(toStatus);
+}
+
+let storeInstance = null;
+
+/**
+ * Picks the persistence adapter for form drafts.
+ * FORM_STORE_ADAPTER ('supabase' | 'local') wins when set; otherwise Supabase
+ * is used when its credentials are configured and the local file store when not.
+ */
+function resolveAdapterName() {
+  const configured = (process.env.FORM_STORE_ADAPTER || '').trim().toLowerCase();
+  if (configured === 'supabase' || configured === 'local') return configured;
+  if (configured) {
+    console.warn(`[FormStore] Unknown FORM_STORE_ADAPTER "${configured}". Falling back to auto-detection.`);
+  }
+  const hasSupabase = process.env.NEXT_PUBLIC_SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY;
+  return hasSupabase ? 'supabase' : 'local';
+}
+
+export function getFormStore() {
+  if (storeInstance) return storeInstance;
+
+  const adapterName = resolveAdapterName();
+  storeInstance = adapterName === 'supabase' ? createSupabaseAdapter() : createLocalAdapter();
+  console.log(`[FormStore] Using ${storeInstance.name} adapter for form drafts.`);
+  return storeInstance;
+}
+
+// Drafts are identified by (Clerk user ID, company ID, form type); formType is a
+// key of config/formRegistry.js and is validated by the API routes.
+
+/**
+ * Loads the saved draft for a user/company/form.
+ * `current_version` is the revision token clients send back when saving.
+ *
+ * @returns {Promise<Object|null>} - { id, user_id, company_id, form_type, form_data, field_provenance, current_version, status,
+ *   created_at, updated_at } or null
+ */
+export async function loadDraft(userId, companyId, formType) {
+  return getFormStore().loadDraft(userId, companyId, formType);
+}
+
+/**
+ * Stores formData as the new current draft and appends it to the version history.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.saveType] - One of SAVE_TYPES (defaults to MANUAL)
+ * @param {number} [options.expectedRevision] - Revision the caller loaded (0 = no draft yet).
+ *   When given, the save is rejected with RevisionConflictError if the draft has moved on.
+ * @param {Object} [options.provenance] - Per-field provenance (see lib/fieldProvenance.js)
+ * @returns {Promise<Object>} - The stored draft record
+ */
+export async function saveDraft(userId, companyId, formType, formData, { saveType = SAVE_TYPES.MANUAL, expectedRevision, provenance = {} } = {}) {
+  if (!Object.values(SAVE_TYPES).includes(saveType)) {
+    throw new Error(`Unknown save type "${saveType}".`);
+  }
+  return getFormStore().saveDraft(userId, companyId, formType, formData, { saveType, expectedRevision, provenance });
+}
+
+/**
+ * Moves a draft to a new status without touching its content or revision.
+ * Callers check canTransitionStatus (and any validation) first.
+ *
+ * @param {number} expectedRevision - Revision the caller checked; rejects with RevisionConflictError if stale
+ * @returns {Promise<Object>} - The updated draft record
+ */
+export async function setDraftStatus(userId, companyId, formType, status, { expectedRevision }) {
+  if (!Object.values(FORM_STATUSES).includes(status)) {
+    throw new Error(`Unknown form status "${status}".`);
+  }
+  return getFormStore().setStatus(userId, companyId, formType, status, { expectedRevision });
+}
+
+/**
+ * Lists { company_id, form_type, status, updated_at } for every draft the user has.
+ */
+export async function listDraftStatuses(userId) {
+  return getFormStore().listStatuses(userId);
+}
+
+/**
+ * Lists version summaries (no form_data), newest first.
+ */
+export async function listVersions(userId, companyId, formType) {
+  return getFormStore().listVersions(userId, companyId, formType);
+}
+
+/**
+ * Loads a single version including its form_data, or null if it doesn't exist.
+ */
+export async function getVersion(userId, companyId, formType, version) {
+  return getFormStore().getVersion(userId, companyId, formType, Number(version));
+}
+
+/**
+ * Restores an old version by saving a copy of it as the newest version.
+ * History is never rewritten, so the restore itself can be undone.
+ *
+ * @returns {Promise<Object|null>} - The new draft record, or null if the version doesn't exist
+ */
+export async function restoreVersion(userId, companyId, formType, version) {
+  const source = await getVersion(userId, companyId, formType, version);
+  if (!source) return null;
+  return getFormStore().saveDraft(userId, companyId, formType, source.form_data, {
+    saveType: SAVE_TYPES.RESTORE,
+    restoredFrom: source.version,
+    provenance: source.field_provenance || {},
+  });
+}
@@ -0,0 +1,9 @@
+// lib/llm/finishReasons.js
+
+// Why a provider stopped generating, normalized across providers
+export const FINISH_REASONS = {
+  STOP: 'stop',             // Finished normally (with or without a function call)
+  SAFETY: 'safety',         // Blocked by the provider's content filter
+  MAX_TOKENS: 'max_tokens', // Ran out of output tokens
+  OTHER: 'other',
+};
@@ -0,0 +1,68 @@
+// lib/llm/geminiProvider.js
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from "@google/generative-ai";
+import { FINISH_REASONS } from './finishReasons';
+
+const DEFAULT_MODEL = 'gemini-1.5-flash-latest'; // Supports function calling
+
+// Block potentially harmful content in prompts and responses
+const SAFETY_SETTINGS = [
+  { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+  { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+  { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+  { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
+];
+
+const toFinishReason = (reason) => {
+  if (!reason || reason === 'STOP') return FINISH_REASONS.STOP;
+  if (reason === 'SAFETY' || reason === 'BLOCKLIST' || reason === 'PROHIBITED_CONTENT') return FINISH_REASONS.SAFETY;
+  if (reason === 'MAX_TOKENS') return FINISH_REASONS.MAX_TOKENS;
+  return FINISH_REASONS.OTHER;
+};
+
+/**
+ * Google Gemini function calling. Function parameter schemas use JSON Schema
+ * type names ('object', 'string', ...), which match Gemini's SchemaType values.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Defaults to GEMINI_API_KEY
+ * @param {string} [options.model] - Defaults to LLM_MODEL, then gemini-1.5-flash-latest
+ * @returns {Object} - Provider exposing isConfigured / callFunction
+ */
+export function createGeminiProvider({ apiKey = process.env.GEMINI_API_KEY, model = process.env.LLM_MODEL || DEFAULT_MODEL } = {}) {
+  return {
+    name: 'gemini',
+    model,
+
+    isConfigured() {
+      return Boolean(apiKey);
+    },
+
+    async callFunction({ prompt, functions, temperature = 0.1 }) {
+      const genAI = new GoogleGenerativeAI(apiKey);
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        tools: [{ functionDeclarations: functions }],
+      });
+      const chat = generativeModel.startChat({
+        generationConfig: { temperature },
+        safetySettings: SAFETY_SETTINGS,
+      });
+
+      const result = await chat.sendMessage(prompt);
+      const response = result.response;
+      const candidate = response?.candidates?.[0];
+      console.log("[LLM/Gemini] Raw response:", JSON.stringify(response, null, 2));
+
+      const parts = candidate?.content?.parts || [];
+      const functionCallPart = parts.find(part => part.functionCall);
+      if (!candidate) console.warn("[LLM/Gemini] No response candidate. Prompt feedback:", response?.promptFeedback);
+      return {
+        functionCall: functionCallPart
+          ? { name: functionCallPart.functionCall.name, args: functionCallPart.functionCall.args || {} }
+          : null,
+        text: parts.filter(part => part.text).map(part => part.text).join('') || null,
+        finishReason: candidate ? toFinishReason(candidate.finishReason) : (response?.promptFeedback?.blockReason ? FINISH_REASONS.SAFETY : FINISH_REASONS.OTHER),
+      };
+    },
+  };
+}
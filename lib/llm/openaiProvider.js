@@ -0,0 +1,68 @@
+// lib/llm/openaiProvider.js
+import axios from 'axios';
+import { FINISH_REASONS } from './finishReasons';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const toFinishReason = (reason) => {
+  if (!reason || reason === 'stop' || reason === 'tool_calls' || reason === 'function_call') return FINISH_REASONS.STOP;
+  if (reason === 'content_filter') return FINISH_REASONS.SAFETY;
+  if (reason === 'length') return FINISH_REASONS.MAX_TOKENS;
+  return FINISH_REASONS.OTHER;
+};
+
+/**
+ * Function calling through any OpenAI-compatible chat completions API
+ * (OpenAI, Azure OpenAI, vLLM, Ollama, LiteLLM, ...).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Defaults to OPENAI_API_KEY; may be empty for local servers
+ * @param {string} [options.baseUrl] - Defaults to LLM_BASE_URL, then the OpenAI API
+ * @param {string} [options.model] - Defaults to LLM_MODEL, then gpt-4o-mini
+ * @returns {Object} - Provider exposing isConfigured / callFunction
+ */
+export function createOpenAIProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  baseUrl = process.env.LLM_BASE_URL || DEFAULT_BASE_URL,
+  model = process.env.LLM_MODEL || DEFAULT_MODEL,
+} = {}) {
+  return {
+    name: 'openai',
+    model,
+
+    // A custom base URL is usually a local server that needs no key
+    isConfigured() {
+      return Boolean(apiKey) || baseUrl !== DEFAULT_BASE_URL;
+    },
+
+    async callFunction({ prompt, functions, temperature = 0.1 }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const response = await axios.post(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        model,
+        temperature,
+        messages: [{ role: 'user', content: prompt }],
+        tools: functions.map(declaration => ({ type: 'function', function: declaration })),
+        tool_choice: 'auto',
+      }, { headers });
+
+      const choice = response.data?.choices?.[0];
+      console.log("[LLM/OpenAI] Raw response:", JSON.stringify(response.data, null, 2));
+      const toolCall = choice?.message?.tool_calls?.find(call => call.type === 'function');
+      let functionCall = null;
+      if (toolCall) {
+        try {
+          functionCall = { name: toolCall.function.name, args: JSON.parse(toolCall.function.arguments || '{}') };
+        } catch (error) {
+          console.warn(`[LLM/OpenAI] Could not parse arguments of ${toolCall.function.name}: ${error.message}`);
+        }
+      }
+      return {
+        functionCall,
+        text: choice?.message?.content || null,
+        finishReason: choice ? toFinishReason(choice.finish_reason) : FINISH_REASONS.OTHER,
+      };
+    },
+  };
+}
@@ -0,0 +1,82 @@
+// lib/llm/replayProvider.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { FINISH_REASONS } from './finishReasons';
+
+const DEFAULT_FIXTURE_DIR = path.join(process.cwd(), 'fixtures', 'llm');
+
+// Identifies a call: the functions offered plus the exact prompt
+export function fixtureKey(prompt, functions = []) {
+  const names = functions.map(declaration => declaration.name).sort().join(',');
+  return crypto.createHash('sha256').update(`${names}\n${prompt}`).digest('hex');
+}
+
+// Every fixture in the directory, in file name order. A file holds one fixture or an array.
+function readFixtures(fixtureDir) {
+  if (!fs.existsSync(fixtureDir)) return [];
+  return fs.readdirSync(fixtureDir)
+    .filter(fileName => fileName.endsWith('.json'))
+    .sort()
+    .flatMap(fileName => {
+      try {
+        const parsed = JSON.parse(fs.readFileSync(path.join(fixtureDir, fileName), 'utf8'));
+        return (Array.isArray(parsed) ? parsed : [parsed]).map(fixture => ({ ...fixture, file: fileName }));
+      } catch (error) {
+        console.warn(`[LLM/Replay] Skipping unreadable fixture ${fileName}: ${error.message}`);
+        return [];
+      }
+    });
+}
+
+// Hand-written fixtures match loosely, so they survive prompt wording changes
+const matchesLoosely = (fixture, prompt, functionNames) => {
+  const { function: functionName, promptIncludes = [] } = fixture.match || {};
+  if (!fixture.match) return false;
+  if (functionName && !functionNames.includes(functionName)) return false;
+  return promptIncludes.every(text => prompt.includes(text));
+};
+
+/**
+ * Deterministic provider for CI and offline development: answers from JSON
+ * fixtures instead of calling a model. A fixture is
+ *   { key?, match?: { function?, promptIncludes?: [] }, response: { functionCall, text, finishReason } }
+ * Recorded fixtures (see withRecording in lib/llmProvider.js) match on `key`
+ * exactly; hand-written ones use `match`. Exact matches win. With no match the
+ * reply is "no function call", as a model with nothing to extract would give.
+ * `stats` counts replayed and missed calls so a test run can tell recordings are missing.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.fixtureDir] - Defaults to LLM_FIXTURE_DIR, then fixtures/llm
+ * @returns {Object} - Provider exposing isConfigured / callFunction
+ */
+export function createReplayProvider({ fixtureDir = process.env.LLM_FIXTURE_DIR || DEFAULT_FIXTURE_DIR } = {}) {
+  const stats = { replayed: 0, missed: 0 };
+  return {
+    name: 'replay',
+    model: 'replay',
+    stats,
+
+    isConfigured() {
+      return true;
+    },
+
+    async callFunction({ prompt, functions = [] }) {
+      // Read on every call so fixtures can be added while the dev server runs
+      const fixtures = readFixtures(fixtureDir);
+      const key = fixtureKey(prompt, functions);
+      const functionNames = functions.map(declaration => declaration.name);
+      const fixture = fixtures.find(f => f.key === key) || fixtures.find(f => matchesLoosely(f, prompt, functionNames));
+
+      if (!fixture) {
+        stats.missed += 1;
+        console.warn(`[LLM/Replay] No fixture for ${functionNames.join(', ')} call (key ${key.slice(0, 12)}) in ${fixtureDir}.`);
+        return { functionCall: null, text: null, finishReason: FINISH_REASONS.STOP };
+      }
+      stats.replayed += 1;
+      console.log(`[LLM/Replay] Replaying ${fixture.file}.`);
+      const { functionCall = null, text = null, finishReason = FINISH_REASONS.STOP } = fixture.response || {};
+      return { functionCall, text, finishReason };
+    },
+  };
+}
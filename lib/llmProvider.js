@@ -0,0 +1,78 @@
+// lib/llmProvider.js
+import fs from 'fs';
+import path from 'path';
+import { createGeminiProvider } from './llm/geminiProvider';
+import { createOpenAIProvider } from './llm/openaiProvider';
+import { createReplayProvider, fixtureKey } from './llm/replayProvider';
+
+export { FINISH_REASONS } from './llm/finishReasons';
+
+// Every provider exposes:
+//   name, model
+//   isConfigured() -> boolean
+//   callFunction({ prompt, functions, temperature }) -> { functionCall: { name, args } | null, text, finishReason }
+// `functions` are declarations { name, description, parameters } whose
+// parameters use JSON Schema type names ('object', 'string', 'array', ...).
+// Transport errors are thrown; callers decide how to degrade.
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  replay: createReplayProvider,
+};
+
+let providerInstance = null;
+
+/**
+ * Picks the function-calling provider.
+ * LLM_PROVIDER ('gemini' | 'openai' | 'replay') wins when set; otherwise Gemini
+ * is used unless only OPENAI_API_KEY is configured.
+ */
+function resolveProviderName() {
+  const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (PROVIDERS[configured]) return configured;
+  if (configured) {
+    console.warn(`[LLMProvider] Unknown LLM_PROVIDER "${configured}". Falling back to auto-detection.`);
+  }
+  return !process.env.GEMINI_API_KEY && process.env.OPENAI_API_KEY ? 'openai' : 'gemini';
+}
+
+/**
+ * Wraps a provider so every call is saved as a replay fixture in `recordDir`.
+ * Point LLM_FIXTURE_DIR at the same directory to replay them later.
+ */
+export function withRecording(provider, recordDir) {
+  return {
+    ...provider,
+    async callFunction(request) {
+      const response = await provider.callFunction(request);
+      const key = fixtureKey(request.prompt, request.functions);
+      const fixture = {
+        key,
+        recordedWith: `${provider.name}:${provider.model}`,
+        recordedAt: new Date().toISOString(),
+        functions: (request.functions || []).map(declaration => declaration.name),
+        response,
+      };
+      try {
+        await fs.promises.mkdir(recordDir, { recursive: true });
+        await fs.promises.writeFile(path.join(recordDir, `${key.slice(0, 16)}.json`), JSON.stringify(fixture, null, 2));
+      } catch (error) {
+        console.error(`[LLMProvider] Could not record fixture ${key.slice(0, 16)}:`, error);
+      }
+      return response;
+    },
+  };
+}
+
+export function getLlmProvider() {
+  if (providerInstance) return providerInstance;
+
+  const providerName = resolveProviderName();
+  providerInstance = PROVIDERS[providerName]();
+  // LLM_RECORD_DIR records live calls as fixtures for the replay provider
+  if (process.env.LLM_RECORD_DIR && providerName !== 'replay') {
+    providerInstance = withRecording(providerInstance, process.env.LLM_RECORD_DIR);
+  }
+  console.log(`[LLMProvider] Using ${providerInstance.name} provider (${providerInstance.model}).`);
+  return providerInstance;
+}
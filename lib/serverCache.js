@@ -0,0 +1,99 @@
+// lib/serverCache.js
+import crypto from 'crypto';
+
+const parseSeconds = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Company memory can change in Retool at any time, so it is kept briefly.
+// Extraction results are keyed by a hash of the memory they came from and
+// stay valid until that memory changes.
+const MEMORY_TTL_MS = parseSeconds(process.env.MEMORY_CACHE_TTL_SECONDS, 15 * 60) * 1000;
+const EXTRACTION_TTL_MS = parseSeconds(process.env.EXTRACTION_CACHE_TTL_SECONDS, 24 * 60 * 60) * 1000;
+
+// JSON with object keys sorted, so equal content always serializes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+export const hashContent = (value) => crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+
+/**
+ * In-process cache with a time to live, evicting the least recently used
+ * entry past `maxEntries`. Entries can be tagged (e.g. with a company ID) and
+ * invalidated by tag. A TTL of 0 disables the cache.
+ *
+ * @returns {Object} - get / set / delete / invalidateTag / clear
+ */
+export function createTtlCache({ name, ttlMs, maxEntries = 500 }) {
+  const entries = new Map(); // key -> { value, expiresAt, tags }
+
+  return {
+    name,
+
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Re-insert so Map order tracks recency
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, { tags = [] } = {}) {
+      if (ttlMs <= 0) return;
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs, tags });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+
+    delete(key) {
+      return entries.delete(key);
+    },
+
+    // Removes every entry carrying the tag; returns how many were removed
+    invalidateTag(tag) {
+      let removed = 0;
+      entries.forEach((entry, key) => {
+        if (entry.tags.includes(tag)) {
+          entries.delete(key);
+          removed += 1;
+        }
+      });
+      return removed;
+    },
+
+    clear() {
+      entries.clear();
+    },
+  };
+}
+
+// API routes are bundled separately, so module state isn't shared between
+// them; keeping the caches on globalThis lets one route invalidate another's.
+const caches = globalThis.__acordServerCaches ||= {
+  companyMemory: createTtlCache({ name: 'company-memory', ttlMs: MEMORY_TTL_MS }),
+  extraction: createTtlCache({ name: 'extraction', ttlMs: EXTRACTION_TTL_MS }),
+};
+
+// Keyed by company ID; tagged with it
+export const companyMemoryCache = caches.companyMemory;
+
+// Keyed by extractionCacheKey; tagged with the company ID when known
+export const extractionCache = caches.extraction;
+
+export const extractionCacheKey = (formType, companyMemory) => `${formType}:${hashContent(companyMemory)}`;
+
+// Drops everything cached for a company; returns the number of entries removed
+export function invalidateCompanyCaches(companyId) {
+  return companyMemoryCache.invalidateTag(String(companyId)) + extractionCache.invalidateTag(String(companyId));
+}
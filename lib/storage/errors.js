@@ -0,0 +1,14 @@
+// lib/storage/errors.js
+
+/**
+ * Thrown when a save was based on a revision that is no longer current.
+ * `currentRevision` is the revision the caller should rebase onto.
+ */
+export class RevisionConflictError extends Error {
+  constructor(expectedRevision, currentRevision) {
+    super(`Draft was saved elsewhere (expected revision ${expectedRevision}, current is ${currentRevision}).`);
+    this.name = 'RevisionConflictError';
+    this.expectedRevision = expectedRevision;
+    this.currentRevision = currentRevision;
+  }
+}
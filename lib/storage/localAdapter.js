@@ -0,0 +1,190 @@
+// lib/storage/localAdapter.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { RevisionConflictError } from './errors';
+
+const DEFAULT_STORE_PATH = path.join(process.cwd(), '.data', 'form-store.json');
+
+/**
+ * File-based form draft storage for tests and offline development.
+ * Mirrors the Supabase adapter: records have the same shape as the
+ * `form_drafts` / `form_draft_versions` rows and are keyed by Clerk user ID,
+ * then "<companyId>:<formType>".
+ *
+ * @param {string} [filePath] - JSON file to persist to
+ * @returns {Object} - Adapter exposing loadDraft / saveDraft / setStatus / listStatuses /
+ *   listVersions / getVersion and the agency profile methods
+ */
+export function createLocalAdapter(filePath = process.env.FORM_STORE_PATH || DEFAULT_STORE_PATH) {
+  // Serialize writes so concurrent saves in one process don't clobber each other
+  let writeQueue = Promise.resolve();
+
+  const readStore = async () => {
+    try {
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return { drafts: {}, versions: {} };
+      throw error;
+    }
+  };
+
+  const writeStore = async (store) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Write to a temp file and rename so a crash never leaves half a JSON file behind
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(store, null, 2));
+    await fs.promises.rename(tmpPath, filePath);
+  };
+
+  const withStore = (mutate) => {
+    const run = writeQueue.then(async () => {
+      const store = await readStore();
+      const result = mutate(store);
+      await writeStore(store);
+      return result;
+    });
+    writeQueue = run.catch(() => {}); // Keep the queue alive after a failed write
+    return run;
+  };
+
+  const readCurrent = async () => {
+    await writeQueue;
+    return readStore();
+  };
+
+  const draftKey = (companyId, formType) => `${companyId}:${formType}`;
+  const profileKey = (scope, ownerId) => `${scope}:${ownerId}`;
+  const versionsFor = (store, userId, companyId, formType) =>
+    store.versions?.[userId]?.[draftKey(companyId, formType)] || [];
+
+  return {
+    name: 'local',
+
+    async loadDraft(userId, companyId, formType) {
+      const store = await readCurrent();
+      return store.drafts?.[userId]?.[draftKey(companyId, formType)] || null;
+    },
+
+    async saveDraft(userId, companyId, formType, formData, { saveType, restoredFrom, expectedRevision, provenance = {} } = {}) {
+      const key = draftKey(companyId, formType);
+      return withStore((store) => {
+        if (!store.drafts) store.drafts = {};
+        if (!store.drafts[userId]) store.drafts[userId] = {};
+        if (!store.versions) store.versions = {};
+        if (!store.versions[userId]) store.versions[userId] = {};
+        if (!store.versions[userId][key]) store.versions[userId][key] = [];
+
+        const history = store.versions[userId][key];
+        const latest = history.length > 0 ? history[history.length - 1].version : 0;
+        if (expectedRevision !== undefined && expectedRevision !== null && expectedRevision !== latest) {
+          throw new RevisionConflictError(expectedRevision, latest);
+        }
+
+        const now = new Date().toISOString();
+        const version = {
+          id: crypto.randomUUID(),
+          user_id: userId,
+          company_id: companyId,
+          form_type: formType,
+          version: latest + 1,
+          form_data: formData,
+          field_provenance: provenance,
+          save_type: saveType,
+          restored_from: restoredFrom ?? null,
+          created_at: now,
+        };
+        history.push(version);
+
+        const existing = store.drafts[userId][key];
+        const record = {
+          id: existing?.id || crypto.randomUUID(),
+          user_id: userId,
+          company_id: companyId,
+          form_type: formType,
+          form_data: formData,
+          field_provenance: provenance,
+          current_version: version.version,
+          status: 'draft', // Any content change reopens the draft
+          created_at: existing?.created_at || now,
+          updated_at: now,
+        };
+        store.drafts[userId][key] = record;
+        return record;
+      });
+    },
+
+    async setStatus(userId, companyId, formType, status, { expectedRevision }) {
+      return withStore((store) => {
+        const draft = store.drafts?.[userId]?.[draftKey(companyId, formType)];
+        const current = draft?.current_version || 0;
+        if (!draft || current !== expectedRevision) {
+          throw new RevisionConflictError(expectedRevision, current);
+        }
+        draft.status = status;
+        draft.updated_at = new Date().toISOString();
+        return draft;
+      });
+    },
+
+    async listStatuses(userId) {
+      const store = await readCurrent();
+      return Object.values(store.drafts?.[userId] || {})
+        .map(({ company_id, form_type, status, updated_at }) => ({ company_id, form_type, status: status || 'draft', updated_at }));
+    },
+
+    async listVersions(userId, companyId, formType) {
+      const store = await readCurrent();
+      return versionsFor(store, userId, companyId, formType)
+        .map(({ form_data, ...summary }) => summary)
+        .reverse();
+    },
+
+    async getVersion(userId, companyId, formType, version) {
+      const store = await readCurrent();
+      return versionsFor(store, userId, companyId, formType).find(v => v.version === version) || null;
+    },
+
+    // Agency profiles live alongside the drafts, keyed by "<scope>:<ownerId>"
+    async getAgencyProfile(scope, ownerId) {
+      const store = await readCurrent();
+      return store.agencyProfiles?.[profileKey(scope, ownerId)] || null;
+    },
+
+    async listAgencyProfiles(orgId) {
+      const store = await readCurrent();
+      return Object.values(store.agencyProfiles || {}).filter(record => record.org_id === orgId);
+    },
+
+    async saveAgencyProfile(scope, ownerId, { orgId, profile, updatedBy }) {
+      const key = profileKey(scope, ownerId);
+      return withStore((store) => {
+        if (!store.agencyProfiles) store.agencyProfiles = {};
+        const existing = store.agencyProfiles[key];
+        const now = new Date().toISOString();
+        const record = {
+          id: existing?.id || crypto.randomUUID(),
+          scope,
+          owner_id: ownerId,
+          org_id: orgId ?? null,
+          profile,
+          updated_by: updatedBy,
+          created_at: existing?.created_at || now,
+          updated_at: now,
+        };
+        store.agencyProfiles[key] = record;
+        return record;
+      });
+    },
+
+    async deleteAgencyProfile(scope, ownerId) {
+      return withStore((store) => {
+        const key = profileKey(scope, ownerId);
+        const existed = Boolean(store.agencyProfiles?.[key]);
+        if (existed) delete store.agencyProfiles[key];
+        return existed;
+      });
+    },
+  };
+}
@@ -0,0 +1,214 @@
+// lib/storage/supabaseAdapter.js
+import { getSupabaseClient } from '../supabaseClient';
+import { RevisionConflictError } from './errors';
+
+// Table layout lives in db/schema.sql
+const DRAFTS_TABLE = 'form_drafts';
+const VERSIONS_TABLE = 'form_draft_versions';
+const AGENCY_PROFILES_TABLE = 'agency_profiles';
+const VERSION_SUMMARY_COLUMNS = 'id, user_id, company_id, form_type, version, save_type, restored_from, created_at';
+// Raised by save_form_draft (db/schema.sql) for a stale expected revision
+const REVISION_CONFLICT = 'PT409';
+
+/**
+ * Form draft storage backed by the Supabase `form_drafts` table.
+ * Rows are unique per (user_id, company_id, form_type); `created_at` is set by the
+ * database on first insert and left untouched by later upserts.
+ * Every save also appends an immutable row to `form_draft_versions`, in the
+ * same transaction (the `save_form_draft` function), so the draft row and its
+ * history can't drift apart. The latest version number doubles as the draft's
+ * revision token.
+ * Agency profiles are stored in `agency_profiles`, one row per (scope, owner_id).
+ *
+ * @param {Object} [client] - Supabase client (defaults to the shared instance)
+ * @returns {Object} - Adapter exposing loadDraft / saveDraft / setStatus / listStatuses /
+ *   listVersions / getVersion and the agency profile methods
+ */
+export function createSupabaseAdapter(client = getSupabaseClient()) {
+  const latestVersionNumber = async (userId, companyId, formType) => {
+    const { data, error } = await client
+      .from(VERSIONS_TABLE)
+      .select('version')
+      .eq('user_id', userId)
+      .eq('company_id', companyId)
+      .eq('form_type', formType)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Supabase version lookup failed: ${error.message}`);
+    }
+    return data?.version || 0;
+  };
+
+  return {
+    name: 'supabase',
+
+    async loadDraft(userId, companyId, formType) {
+      const { data, error } = await client
+        .from(DRAFTS_TABLE)
+        .select('*')
+        .eq('user_id', userId)
+        .eq('company_id', companyId)
+        .eq('form_type', formType)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Supabase load failed: ${error.message}`);
+      }
+      return data || null;
+    },
+
+    async saveDraft(userId, companyId, formType, formData, { saveType, restoredFrom, expectedRevision, provenance = {} } = {}) {
+      const { data, error } = await client
+        .rpc('save_form_draft', {
+          p_user_id: userId,
+          p_company_id: companyId,
+          p_form_type: formType,
+          p_form_data: formData,
+          p_field_provenance: provenance,
+          p_save_type: saveType,
+          p_restored_from: restoredFrom ?? null,
+          p_expected_revision: expectedRevision ?? null,
+        })
+        .single();
+
+      if (error?.code === REVISION_CONFLICT) {
+        throw new RevisionConflictError(expectedRevision, Number(error.details));
+      }
+      if (error) {
+        throw new Error(`Supabase save failed: ${error.message}`);
+      }
+      return data;
+    },
+
+    // Status lives on the draft row only; it is not part of the version history.
+    // Matching on current_version makes the update a no-op if a save slipped in.
+    async setStatus(userId, companyId, formType, status, { expectedRevision }) {
+      const { data, error } = await client
+        .from(DRAFTS_TABLE)
+        .update({ status, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('company_id', companyId)
+        .eq('form_type', formType)
+        .eq('current_version', expectedRevision)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Supabase status update failed: ${error.message}`);
+      }
+      if (!data) {
+        throw new RevisionConflictError(expectedRevision, await latestVersionNumber(userId, companyId, formType));
+      }
+      return data;
+    },
+
+    async listStatuses(userId) {
+      const { data, error } = await client
+        .from(DRAFTS_TABLE)
+        .select('company_id, form_type, status, updated_at')
+        .eq('user_id', userId);
+
+      if (error) {
+        throw new Error(`Supabase status list failed: ${error.message}`);
+      }
+      return data || [];
+    },
+
+    async listVersions(userId, companyId, formType) {
+      const { data, error } = await client
+        .from(VERSIONS_TABLE)
+        .select(VERSION_SUMMARY_COLUMNS)
+        .eq('user_id', userId)
+        .eq('company_id', companyId)
+        .eq('form_type', formType)
+        .order('version', { ascending: false });
+
+      if (error) {
+        throw new Error(`Supabase version list failed: ${error.message}`);
+      }
+      return data || [];
+    },
+
+    async getVersion(userId, companyId, formType, version) {
+      const { data, error } = await client
+        .from(VERSIONS_TABLE)
+        .select('*')
+        .eq('user_id', userId)
+        .eq('company_id', companyId)
+        .eq('form_type', formType)
+        .eq('version', version)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Supabase version load failed: ${error.message}`);
+      }
+      return data || null;
+    },
+
+    async getAgencyProfile(scope, ownerId) {
+      const { data, error } = await client
+        .from(AGENCY_PROFILES_TABLE)
+        .select('*')
+        .eq('scope', scope)
+        .eq('owner_id', ownerId)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(`Supabase agency profile load failed: ${error.message}`);
+      }
+      return data || null;
+    },
+
+    async listAgencyProfiles(orgId) {
+      const { data, error } = await client
+        .from(AGENCY_PROFILES_TABLE)
+        .select('*')
+        .eq('org_id', orgId);
+
+      if (error) {
+        throw new Error(`Supabase agency profile list failed: ${error.message}`);
+      }
+      return data || [];
+    },
+
+    async saveAgencyProfile(scope, ownerId, { orgId, profile, updatedBy }) {
+      const { data, error } = await client
+        .from(AGENCY_PROFILES_TABLE)
+        .upsert(
+          {
+            scope,
+            owner_id: ownerId,
+            org_id: orgId ?? null,
+            profile,
+            updated_by: updatedBy,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: 'scope,owner_id' }
+        )
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Supabase agency profile save failed: ${error.message}`);
+      }
+      return data;
+    },
+
+    async deleteAgencyProfile(scope, ownerId) {
+      const { data, error } = await client
+        .from(AGENCY_PROFILES_TABLE)
+        .delete()
+        .eq('scope', scope)
+        .eq('owner_id', ownerId)
+        .select('id');
+
+      if (error) {
+        throw new Error(`Supabase agency profile delete failed: ${error.message}`);
+      }
+      return (data || []).length > 0;
+    },
+  };
+}
@@ -1,12 +1,15 @@
 import { createClient } from '@supabase/supabase-js';
 
+// Server-only: the service-role key bypasses row level security (db/schema.sql),
+// so it must never be a NEXT_PUBLIC_ variable or reach client-side code.
+
 let supabaseInstance = null;
 
 export function getSupabaseClient() {
   if (supabaseInstance) return supabaseInstance;
   
   const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL || '';
-  const supabaseKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY || '';
+  const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || '';
   
   if (!supabaseUrl || !supabaseKey) {
     console.error('Missing Supabase credentials. Please check your environment variables.');
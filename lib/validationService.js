@@ -6,12 +6,16 @@
  * @returns {Object} - Object containing isValid flag and errors object
  */
 
-import { formSchema, validateAcord125Data } from '../config/formSchema'; // Import both
+import { getFormDefinition } from '../config/formRegistry';
 
-// Replace the old function content entirely
-export function validateFormData(formData) {
-  // Pass the imported schema to the validation function within formSchema.js
-  return validateAcord125Data(formData);
+// Validates against the registered form's own rules (ACORD 125 when formType is omitted)
+export function validateFormData(formData, formType) {
+  return getFormDefinition(formType).validate(formData);
+}
+
+// Draft saves: format checks on filled fields only, required fields may be empty
+export function validateDraftFormData(formData, formType) {
+  return getFormDefinition(formType).validate(formData, { partial: true });
 }
 
 // export function validateFormData(formData, schema) {
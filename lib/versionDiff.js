@@ -0,0 +1,194 @@
+// lib/versionDiff.js
+import { formSchema } from '../config/formSchema';
+import { isSameValue, PROVENANCE_SOURCES } from './fieldProvenance';
+
+const isBlank = (v) => v === null || v === undefined || v === '';
+
+const sameValue = (a, b) => {
+  if (isBlank(a) && isBlank(b)) return true;
+  if (typeof a === 'object' || typeof b === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+};
+
+/**
+ * Compares two form data snapshots field by field.
+ * Schema fields come first in schema order, labelled from formSchema; any
+ * extra keys found in either snapshot follow, labelled by their key.
+ *
+ * @param {Object} fromData - The older snapshot
+ * @param {Object} toData - The newer snapshot
+ * @param {Object} [schema] - Form schema used for ordering and labels
+ * @returns {Array<Object>} - [{ field, label, from, to, change: 'added' | 'removed' | 'changed' }]
+ */
+export function diffFormData(fromData = {}, toData = {}, schema = formSchema) {
+  const before = fromData || {};
+  const after = toData || {};
+  const extraKeys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => !schema[key]);
+
+  const changes = [];
+  [...Object.keys(schema), ...extraKeys].forEach(field => {
+    const from = before[field];
+    const to = after[field];
+    if (sameValue(from, to)) return;
+
+    let change = 'changed';
+    if (isBlank(from)) change = 'added';
+    else if (isBlank(to)) change = 'removed';
+
+    changes.push({
+      field,
+      label: schema[field]?.label || field,
+      from: isBlank(from) ? null : from,
+      to: isBlank(to) ? null : to,
+      change,
+    });
+  });
+  return changes;
+}
+
+/**
+ * Three-way comparison for a save that lost an optimistic-concurrency race.
+ * A field conflicts when both sides changed it from the common base to
+ * different values. Fields only the other side changed are reported as
+ * remoteChanges so the client can adopt them without asking.
+ *
+ * @param {Object} baseData - Snapshot both sides started from
+ * @param {Object} theirData - Snapshot currently stored on the server
+ * @param {Object} yourData - Snapshot the client tried to save
+ * @param {Object} [schema] - Form schema used for ordering and labels
+ * @returns {{ conflicts: Array<Object>, remoteChanges: Array<Object> }}
+ */
+export function findConflicts(baseData = {}, theirData = {}, yourData = {}, schema = formSchema) {
+  const theirChanges = diffFormData(baseData, theirData, schema);
+  const yourChangedFields = new Set(diffFormData(baseData, yourData, schema).map(c => c.field));
+  const base = baseData || {};
+  const yours = yourData || {};
+
+  const conflicts = [];
+  const remoteChanges = [];
+  theirChanges.forEach(({ field, label, to }) => {
+    if (!yourChangedFields.has(field)) {
+      remoteChanges.push({ field, label, theirs: to });
+    } else if (!sameValue(to, yours[field])) {
+      conflicts.push({
+        field,
+        label,
+        base: isBlank(base[field]) ? null : base[field],
+        theirs: to,
+        yours: isBlank(yours[field]) ? null : yours[field],
+      });
+    }
+  });
+  return { conflicts, remoteChanges };
+}
+
+/**
+ * Compares a draft with a fresh extraction, field by field and, for
+ * repeatable groups, cell by cell. Only values the extraction actually found
+ * are offered: blanks and schema defaults never replace what the draft has,
+ * and values that only differ in formatting are not reported. Extracted rows
+ * past the end of the draft's list are offered as whole new rows.
+ *
+ * @param {Object} currentData - The draft's form data
+ * @param {Object} currentProvenance - The draft's field provenance
+ * @param {{ formData: Object, provenance: Object }} extraction - /api/extract-data response
+ * @param {Object} [schema] - Form schema used for ordering and labels
+ * @returns {Array<Object>} - [{ path, label, from, to, provenance, userEdited, newRow? }];
+ *   `userEdited` marks values the user typed or spoke, `newRow` (with `group`) rows to append
+ */
+export function diffExtraction(currentData = {}, currentProvenance = {}, extraction = {}, schema = formSchema) {
+  const current = currentData || {};
+  const extracted = extraction?.formData || {};
+  const extractedProvenance = extraction?.provenance || {};
+  const isFinding = (path, value) => !isBlank(value) && extractedProvenance[path]?.source !== PROVENANCE_SOURCES.DEFAULT;
+  const isUserValue = (path) => currentProvenance?.[path]?.source === PROVENANCE_SOURCES.USER;
+  const differs = (from, to) => isBlank(from) || (typeof from === 'object' ? !sameValue(from, to) : !isSameValue(from, to));
+
+  const changes = [];
+  Object.entries(schema).forEach(([key, config]) => {
+    if (config.type !== 'repeatable') {
+      const to = extracted[key];
+      if (!isFinding(key, to) || !differs(current[key], to)) return;
+      changes.push({
+        path: key,
+        label: config.label,
+        from: isBlank(current[key]) ? null : current[key],
+        to,
+        provenance: extractedProvenance[key] || null,
+        userEdited: isUserValue(key),
+      });
+      return;
+    }
+
+    const currentRows = Array.isArray(current[key]) ? current[key] : [];
+    (Array.isArray(extracted[key]) ? extracted[key] : []).forEach((row, index) => {
+      if (!row || typeof row !== 'object') return;
+      if (index >= currentRows.length) {
+        const cells = Object.keys(config.fields).filter(field => isFinding(`${key}.${index}.${field}`, row[field]));
+        if (cells.length === 0) return;
+        changes.push({
+          path: `${key}.${index}`,
+          group: key,
+          label: `New ${config.itemLabel.toLowerCase()}`,
+          from: null,
+          to: row,
+          provenance: Object.fromEntries(cells.map(field => [field, extractedProvenance[`${key}.${index}.${field}`] || null])),
+          userEdited: false,
+          newRow: true,
+        });
+        return;
+      }
+      Object.entries(config.fields).forEach(([field, fieldConfig]) => {
+        const path = `${key}.${index}.${field}`;
+        const from = currentRows[index]?.[field];
+        if (!isFinding(path, row[field]) || !differs(from, row[field])) return;
+        changes.push({
+          path,
+          label: `${config.itemLabel} ${index + 1}: ${fieldConfig.label}`,
+          from: isBlank(from) ? null : from,
+          to: row[field],
+          provenance: extractedProvenance[path] || null,
+          userEdited: isUserValue(path),
+        });
+      });
+    });
+  });
+  return changes;
+}
+
+/**
+ * Applies the accepted changes from diffExtraction to a draft. Accepted
+ * values take the extraction's provenance; new rows are appended in order.
+ *
+ * @returns {{ formData: Object, provenance: Object }} - New objects; the inputs are not modified
+ */
+export function applyExtractionChanges(currentData = {}, currentProvenance = {}, acceptedChanges = []) {
+  const formData = { ...currentData };
+  const provenance = { ...currentProvenance };
+  const setProvenance = (path, entry) => {
+    if (entry) provenance[path] = entry;
+    else delete provenance[path];
+  };
+
+  acceptedChanges.forEach(change => {
+    if (change.newRow) {
+      const rows = [...(Array.isArray(formData[change.group]) ? formData[change.group] : [])];
+      const index = rows.length;
+      rows.push({ ...change.to });
+      formData[change.group] = rows;
+      Object.entries(change.provenance || {}).forEach(([field, entry]) => setProvenance(`${change.group}.${index}.${field}`, entry));
+      return;
+    }
+    const [group, index, field] = change.path.split('.');
+    if (index === undefined) {
+      formData[group] = change.to;
+    } else {
+      const rows = [...(Array.isArray(formData[group]) ? formData[group] : [])];
+      rows[Number(index)] = { ...rows[Number(index)], [field]: change.to };
+      formData[group] = rows;
+    }
+    setProvenance(change.path, change.provenance);
+  });
+  return { formData, provenance };
+}
@@ -0,0 +1,193 @@
+// pages/admin/agency-profiles.js
+import { useEffect, useState } from 'react';
+import { SignedIn, SignedOut, useUser } from '@clerk/nextjs';
+import {
+  Container, Title, Select, Button, Text, Loader, Group, Stack, Paper, Grid, Alert, Badge
+} from '@mantine/core';
+import { IconAlertCircle } from '@tabler/icons-react';
+import { showNotification } from '@mantine/notifications';
+import { useRouter } from 'next/router';
+import Layout from '../../components/Layout';
+import FormField from '../../components/FormField';
+import { listAgencyProfiles, saveAgencyProfile, deleteAgencyProfile } from '../../lib/apiClient';
+import { formSchema, AGENCY_FIELDS } from '../../config/formSchema';
+
+const ORGANIZATION_KEY = 'organization';
+
+// Every profile field is optional: a producer may override only some of them
+const PROFILE_FIELD_CONFIGS = AGENCY_FIELDS.reduce((configs, fieldName) => {
+  configs[fieldName] = { ...formSchema[fieldName], required: false };
+  return configs;
+}, {});
+
+// Select value -> { scope, ownerId } for the API
+const profileTarget = (selectedKey, data) => (
+  selectedKey === ORGANIZATION_KEY
+    ? { scope: 'organization', ownerId: data.organizationId }
+    : { scope: 'producer', ownerId: selectedKey }
+);
+
+/**
+ * Admin screen for the agency info that pre-fills the agency fields on every form.
+ * The organization profile is the office default; a producer profile overrides
+ * it for producers working out of another office.
+ */
+export default function AgencyProfilesAdmin() {
+  const { isSignedIn, isLoaded: isUserLoaded } = useUser();
+  const router = useRouter();
+
+  const [data, setData] = useState(null); // Response of listAgencyProfiles
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [profile, setProfile] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (isUserLoaded && isSignedIn) loadProfiles();
+  }, [isUserLoaded, isSignedIn]);
+
+  const recordFor = (key, source = data) => {
+    if (!source) return null;
+    if (key === ORGANIZATION_KEY) return source.organization;
+    return source.producers.find(p => p.userId === key)?.record || null;
+  };
+
+  const selectProfile = (key, source = data) => {
+    setSelectedKey(key);
+    setProfile({ ...(recordFor(key, source)?.profile || {}) });
+    setFieldErrors({});
+  };
+
+  const loadProfiles = async (keepSelection = null) => {
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      const result = await listAgencyProfiles();
+      setData(result);
+      const defaultKey = result.canManageOrganization ? ORGANIZATION_KEY : result.producers[0]?.userId;
+      selectProfile(keepSelection || defaultKey || null, result);
+    } catch (error) {
+      console.error("[AgencyProfiles] Failed to load agency profiles:", error);
+      setLoadError(error?.error || error?.message || 'Could not load agency profiles.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const { scope, ownerId } = profileTarget(selectedKey, data);
+    setIsSaving(true);
+    try {
+      await saveAgencyProfile(scope, ownerId, profile);
+      showNotification({ title: 'Profile Saved', message: 'New forms will use this agency info.', color: 'green' });
+      await loadProfiles(selectedKey);
+    } catch (error) {
+      console.error("[AgencyProfiles] Failed to save agency profile:", error);
+      setFieldErrors(error?.details || {});
+      showNotification({ title: 'Save Failed', message: error?.error || 'Could not save the agency profile.', color: 'red' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    const { scope, ownerId } = profileTarget(selectedKey, data);
+    setIsSaving(true);
+    try {
+      await deleteAgencyProfile(scope, ownerId);
+      showNotification({ title: 'Profile Removed', message: 'This producer now uses the organization profile.', color: 'green' });
+      await loadProfiles(selectedKey);
+    } catch (error) {
+      console.error("[AgencyProfiles] Failed to remove agency profile:", error);
+      showNotification({ title: 'Remove Failed', message: error?.error || 'Could not remove the agency profile.', color: 'red' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const profileOptions = data ? [
+    ...(data.canManageOrganization ? [{ value: ORGANIZATION_KEY, label: 'Organization default' }] : []),
+    ...data.producers.map(p => ({ value: p.userId, label: `${p.name}${p.record ? '' : ' (uses organization default)'}` })),
+  ] : [];
+  const selectedRecord = recordFor(selectedKey);
+  const isProducerProfile = selectedKey && selectedKey !== ORGANIZATION_KEY;
+
+  return (
+    <Layout>
+      <SignedIn>
+        <Container size="md" py="xl">
+          <Paper shadow="xs" p="md" withBorder>
+            <Group position="apart" mb="md">
+              <Title order={3}>Agency Profiles</Title>
+              <Button variant="subtle" onClick={() => router.push('/')}>Back to Forms</Button>
+            </Group>
+            <Text size="sm" c="dimmed" mb="md">
+              Agency info fills the agency fields of new forms. Fields already filled in on a form are never overwritten.
+            </Text>
+
+            {loadError && <Alert icon={<IconAlertCircle size="1rem" />} color="red" mb="sm">{loadError}</Alert>}
+
+            {isLoading && !data ? (
+              <Group><Loader size="xs" /><Text size="sm" c="dimmed">Loading agency profiles...</Text></Group>
+            ) : data && (
+              <Stack>
+                <Select
+                  label="Profile"
+                  data={profileOptions}
+                  value={selectedKey}
+                  onChange={(key) => key && selectProfile(key)}
+                  searchable
+                />
+                {selectedKey && (
+                  <>
+                    <Group>
+                      {selectedRecord ? (
+                        <Text size="xs" c="dimmed">Last updated {new Date(selectedRecord.updated_at).toLocaleString()}</Text>
+                      ) : (
+                        <Badge color="gray" variant="light">Not set up yet</Badge>
+                      )}
+                    </Group>
+                    <Grid>
+                      {AGENCY_FIELDS.map(fieldName => (
+                        <Grid.Col span={12} md={6} key={fieldName}>
+                          <FormField
+                            name={fieldName}
+                            config={PROFILE_FIELD_CONFIGS[fieldName]}
+                            value={profile[fieldName]}
+                            error={fieldErrors[fieldName]}
+                            onChange={(value) => setProfile(prev => ({ ...prev, [fieldName]: value }))}
+                          />
+                        </Grid.Col>
+                      ))}
+                    </Grid>
+                    <Group position="right">
+                      {isProducerProfile && selectedRecord && (
+                        <Button variant="default" color="red" onClick={handleRemove} disabled={isSaving}>
+                          Remove Override
+                        </Button>
+                      )}
+                      <Button onClick={handleSave} loading={isSaving}>Save Profile</Button>
+                    </Group>
+                  </>
+                )}
+              </Stack>
+            )}
+          </Paper>
+        </Container>
+      </SignedIn>
+      <SignedOut>
+        <Container size="sm" py="xl">
+          <Paper shadow="xs" p="md" withBorder>
+            <Stack align="center" spacing="md">
+              <Title order={2}>Please Sign In</Title>
+              <Text>You need to be signed in to manage agency profiles.</Text>
+              <Button onClick={() => router.push('/sign-in')}>Sign In</Button>
+            </Stack>
+          </Paper>
+        </Container>
+      </SignedOut>
+    </Layout>
+  );
+}
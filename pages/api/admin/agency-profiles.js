@@ -0,0 +1,142 @@
+// pages/api/admin/agency-profiles.js
+import { getAuth, clerkClient } from '@clerk/nextjs/server';
+import {
+  AGENCY_PROFILE_SCOPES, sanitizeAgencyProfile, listOrganizationAgencyProfiles, getAgencyProfile,
+  saveAgencyProfile, deleteAgencyProfile
+} from '../../../lib/agencyProfiles';
+
+const ORG_ADMIN_ROLE = 'org:admin';
+
+// Whether the user belongs to the organization. Unlike the member listing
+// below this guards writes, so a failed lookup counts as "no".
+async function isOrganizationMember(orgId, userId) {
+  try {
+    const client = await clerkClient();
+    const { data } = await client.users.getOrganizationMembershipList({ userId, limit: 100 });
+    return data.some(membership => membership.organization?.id === orgId);
+  } catch (error) {
+    console.warn(`[API/AdminAgencyProfiles] Could not check whether ${userId} belongs to organization ${orgId}:`, error.message);
+    return false;
+  }
+}
+
+// Organization admins manage their organization's profile and its members'
+// producer profiles. Users without an organization manage only their own.
+async function canManage({ userId, orgId, orgRole }, scope, ownerId) {
+  if (!orgId) {
+    return scope === AGENCY_PROFILE_SCOPES.PRODUCER && ownerId === userId;
+  }
+  if (orgRole !== ORG_ADMIN_ROLE) return false;
+  if (scope === AGENCY_PROFILE_SCOPES.ORGANIZATION) return ownerId === orgId;
+  if (!(await isOrganizationMember(orgId, ownerId))) return false;
+  // Don't let one organization take over a profile another one manages
+  const existing = await getAgencyProfile(scope, ownerId);
+  return !existing || existing.org_id === orgId;
+}
+
+// Producers without a stored profile still need to show up on the admin screen.
+// Membership lookups are best-effort; stored profiles are listed regardless.
+async function listOrganizationMembers(orgId) {
+  try {
+    const client = await clerkClient();
+    const { data } = await client.organizations.getOrganizationMembershipList({ organizationId: orgId, limit: 100 });
+    return data.map(({ publicUserData }) => ({
+      userId: publicUserData?.userId,
+      name: [publicUserData?.firstName, publicUserData?.lastName].filter(Boolean).join(' ') || publicUserData?.identifier || publicUserData?.userId,
+    })).filter(member => member.userId);
+  } catch (error) {
+    console.warn(`[API/AdminAgencyProfiles] Could not list members of organization ${orgId}:`, error.message);
+    return [];
+  }
+}
+
+// GET                               -> { organizationId, canManageOrganization, organization, producers: [{ userId, name, record }] }
+// PUT { scope, ownerId, profile }   -> saves the profile; 400 with `details` when a field is invalid
+// DELETE ?scope=&ownerId=           -> removes the profile (producers fall back to the organization's)
+export default async function handler(req, res) {
+  const auth = getAuth(req);
+  const { userId: clerkUserId, orgId, orgRole } = auth;
+
+  if (!clerkUserId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (orgId && orgRole !== ORG_ADMIN_ROLE) {
+    return res.status(403).json({ error: "Only organization admins can manage agency profiles." });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      if (!orgId) {
+        const record = await getAgencyProfile(AGENCY_PROFILE_SCOPES.PRODUCER, clerkUserId);
+        return res.status(200).json({
+          organizationId: null,
+          canManageOrganization: false,
+          organization: null,
+          producers: [{ userId: clerkUserId, name: 'You', record }],
+        });
+      }
+
+      const [{ organization, producers }, members] = await Promise.all([
+        listOrganizationAgencyProfiles(orgId),
+        listOrganizationMembers(orgId),
+      ]);
+      const byUser = {};
+      members.forEach(member => { byUser[member.userId] = { ...member, record: null }; });
+      producers.forEach(record => {
+        byUser[record.owner_id] = { userId: record.owner_id, name: byUser[record.owner_id]?.name || record.owner_id, record };
+      });
+      return res.status(200).json({
+        organizationId: orgId,
+        canManageOrganization: true,
+        organization,
+        producers: Object.values(byUser),
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const { scope, ownerId, profile } = req.body || {};
+      if (!scope || !ownerId) {
+        return res.status(400).json({ error: "Missing scope or ownerId" });
+      }
+      if (!Object.values(AGENCY_PROFILE_SCOPES).includes(scope)) {
+        return res.status(400).json({ error: `Invalid scope "${scope}"` });
+      }
+      if (!(await canManage(auth, scope, ownerId))) {
+        return res.status(403).json({ error: "You can't manage this agency profile." });
+      }
+
+      const { profile: sanitized, errors } = sanitizeAgencyProfile(profile);
+      if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ error: "Agency profile has invalid fields.", details: errors });
+      }
+
+      const saved = await saveAgencyProfile(scope, ownerId, { orgId: orgId || null, profile: sanitized, updatedBy: clerkUserId });
+      console.log(`[API/AdminAgencyProfiles] User ${clerkUserId} saved ${scope} profile for ${ownerId}.`);
+      return res.status(200).json({ success: true, record: saved });
+    }
+
+    if (req.method === 'DELETE') {
+      const { scope, ownerId } = req.query;
+      if (!scope || !ownerId) {
+        return res.status(400).json({ error: "Missing scope or ownerId" });
+      }
+      if (!Object.values(AGENCY_PROFILE_SCOPES).includes(scope)) {
+        return res.status(400).json({ error: `Invalid scope "${scope}"` });
+      }
+      if (!(await canManage(auth, scope, ownerId))) {
+        return res.status(403).json({ error: "You can't manage this agency profile." });
+      }
+
+      const deleted = await deleteAgencyProfile(scope, ownerId);
+      console.log(`[API/AdminAgencyProfiles] User ${clerkUserId} removed ${scope} profile for ${ownerId}: ${deleted}`);
+      return res.status(200).json({ success: true, deleted });
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+
+  } catch (error) {
+    console.error(`[API/AdminAgencyProfiles] Unexpected error for user ${clerkUserId}:`, error);
+    return res.status(500).json({ error: "An unexpected error occurred while managing agency profiles." });
+  }
+}
@@ -0,0 +1,24 @@
+// pages/api/agency-profile.js
+import { getAuth } from '@clerk/nextjs/server';
+import { loadEffectiveAgencyProfile } from '../../lib/agencyProfiles';
+
+// GET -> { profile, sources } the agency fields to pre-fill for the signed-in producer
+export default async function handler(req, res) {
+  const { userId: clerkUserId, orgId } = getAuth(req);
+
+  if (!clerkUserId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const result = await loadEffectiveAgencyProfile(clerkUserId, orgId || null);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error(`[API/AgencyProfile] Failed to load agency profile for user ${clerkUserId}:`, error);
+    return res.status(500).json({ error: "An unexpected error occurred while loading the agency profile." });
+  }
+}
@@ -1,33 +1,61 @@
 // pages/api/company-memory.js
 import axios from 'axios';
+import { getAuth } from '@clerk/nextjs/server';
+import { companyMemoryCache, invalidateCompanyCaches } from '../../lib/serverCache';
+import { normalizeAddress } from '../../lib/address';
+
+// Retool keeps the address in separate columns, which map onto the
+// structured address fields part for part
+function addressFromCompany(companyData) {
+    return normalizeAddress({
+        street1: companyData?.company_street_address_1,
+        street2: companyData?.company_street_address_2,
+        city: companyData?.company_city,
+        state: companyData?.company_state,
+        zip: companyData?.company_postal_code,
+    });
+}
 
-// Helper to combine address parts safely
-function combineAddress(companyData) {
-    const parts = [
-        companyData?.company_street_address_1,
-        companyData?.company_street_address_2,
-        companyData?.company_city,
-        companyData?.company_state,
-        companyData?.company_postal_code
-    ];
-    // Filter out empty/null parts and join
-    const validParts = parts.filter(part => part && typeof part === 'string' && part.trim() !== '');
-    // Add zip logic if needed - sometimes state includes zip
-    // Basic join for now
-    return validParts.join(', ');
+// Caches the memory and returns the response body
+function cacheMemory(companyId, memory) {
+    const entry = { ...memory, fetched_at: new Date().toISOString() };
+    companyMemoryCache.set(String(companyId), entry, { tags: [String(companyId)] });
+    return { ...entry, cached: false };
 }
 
 
+// GET    ?companyId=...[&refresh=1]  Company memory; refresh=1 bypasses the cache
+// DELETE ?companyId=...              Drops the cached memory and extractions for the company
 export default async function handler(req, res) {
-  if (req.method !== 'GET') {
+  const { userId } = getAuth(req);
+  if (!userId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const { companyId } = req.query;
+  const { companyId, refresh } = req.query;
   if (!companyId) {
     return res.status(400).json({ error: "Company ID is required" });
   }
 
+  if (req.method === 'DELETE') {
+    const invalidated = invalidateCompanyCaches(companyId);
+    console.log(`[API/CompanyMemory] Invalidated ${invalidated} cache entries for company ${companyId}.`);
+    return res.status(200).json({ invalidated });
+  }
+
+  const bypassCache = refresh === '1' || refresh === 'true';
+  if (!bypassCache) {
+    const cached = companyMemoryCache.get(String(companyId));
+    if (cached) {
+      console.log(`[API/CompanyMemory] Serving cached memory for company ${companyId} (fetched ${cached.fetched_at}).`);
+      return res.status(200).json({ ...cached, cached: true });
+    }
+  }
+
   const apiUrl = process.env.RETOOL_MEMORY_URL;
   const apiKey = process.env.RETOOL_API_KEY_MEMORY;
 
@@ -46,7 +74,7 @@ export default async function handler(req, res) {
 
     if (!companyJson) {
         console.warn(`[API/CompanyMemory] No company.json data found for company ${companyId}.`);
-        return res.status(200).json({ structured_data: {}, unstructured_transcripts: [] });
+        return res.status(200).json(cacheMemory(companyId, { structured_data: {}, unstructured_transcripts: [] }));
     }
 
     const companyData = companyJson.company || {};
@@ -65,7 +93,7 @@ export default async function handler(req, res) {
 
         // Applicant Info
         legal_name: companyData.company_name || null,
-        applicant_address: combineAddress(companyData), // Combine address parts
+        applicant_address: addressFromCompany(companyData),
         business_phone: companyData.company_primary_phone || primaryContact.contact_primary_phone || null, // Use company phone first, then contact
         applicant_entity_type: companyData.company_legal_entity_type || null, // Get direct if available
         fein: companyData.fein || null, // Check if FEIN exists directly
@@ -80,7 +108,7 @@ export default async function handler(req, res) {
         contact_phone: primaryContact.contact_primary_phone || companyData.company_primary_phone || null, // Use contact phone first
 
         // Premises Info (Assuming same as applicant for now)
-        premise_address: combineAddress(companyData), // Default to applicant address
+        premise_address: addressFromCompany(companyData), // Default to applicant address
         city_limits: null, // Typically not structured, needs LLM/Rules
 
         // Business Details
@@ -89,10 +117,17 @@ export default async function handler(req, res) {
         business_description: companyData.company_description || null,
     };
 
-    // Prepare unstructured_transcripts from facts' content
+    // Prepare unstructured_transcripts from facts, keeping each fact's ID and
+    // its scalar metadata (source, dates, ...) so extracted values can cite it
     const unstructured_transcripts = facts
-        .map(fact => fact?.content)
-        .filter(content => typeof content === 'string' && content.trim() !== '');
+        .filter(fact => typeof fact?.content === 'string' && fact.content.trim() !== '')
+        .map(({ id, content, ...rest }) => ({
+            fact_id: id ?? rest.fact_id ?? null,
+            content,
+            metadata: Object.fromEntries(
+                Object.entries(rest).filter(([key, value]) => key !== 'fact_id' && (value === null || typeof value !== 'object'))
+            ),
+        }));
 
     // Log the structured data prepared *before* sending to extract-data
     console.log(`[API/CompanyMemory] Prepared structured_data for company ${companyId}:`, JSON.stringify(structured_data, null, 2));
@@ -103,7 +138,7 @@ export default async function handler(req, res) {
     };
 
     console.log(`[API/CompanyMemory] Successfully processed memory for company ${companyId}.`);
-    return res.status(200).json(result);
+    return res.status(200).json(cacheMemory(companyId, result));
 
   } catch (error) {
     console.error(`[API/CompanyMemory] Error processing memory for company ${companyId}:`, error.response?.data || error.message);
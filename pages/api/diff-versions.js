@@ -0,0 +1,56 @@
+// pages/api/diff-versions.js
+import { getAuth } from '@clerk/nextjs/server';
+import { getVersion } from '../../lib/formStore';
+import { diffFormData } from '../../lib/versionDiff';
+import { getFormDefinition } from '../../config/formRegistry';
+
+// GET ?companyId=...&formType=...&from=N&to=M -> field-by-field changes between two versions
+export default async function handler(req, res) {
+  const { userId: clerkUserId } = getAuth(req);
+
+  if (!clerkUserId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { companyId, formType, from, to } = req.query;
+
+  if (!companyId || from === undefined || to === undefined) {
+    return res.status(400).json({ error: "Missing companyId, from or to parameter" });
+  }
+  if (!Number.isInteger(Number(from)) || !Number.isInteger(Number(to))) {
+    return res.status(400).json({ error: "Version parameters must be integers" });
+  }
+  const form = getFormDefinition(formType);
+  if (!form) {
+    return res.status(400).json({ error: `Unknown formType "${formType}"` });
+  }
+
+  try {
+    const [fromVersion, toVersion] = await Promise.all([
+      getVersion(clerkUserId, companyId, form.formType, from),
+      getVersion(clerkUserId, companyId, form.formType, to),
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      const missing = !fromVersion ? from : to;
+      return res.status(404).json({ error: `Version ${missing} not found.` });
+    }
+
+    const changes = diffFormData(fromVersion.form_data, toVersion.form_data, form.schema);
+    console.log(`[API/DiffVersions] ${changes.length} changed fields between v${from} and v${to} for company ${companyId}`);
+
+    return res.status(200).json({
+      from: { version: fromVersion.version, save_type: fromVersion.save_type, created_at: fromVersion.created_at },
+      to: { version: toVersion.version, save_type: toVersion.save_type, created_at: toVersion.created_at },
+      changes,
+    });
+
+  } catch (error) {
+    console.error(`[API/DiffVersions] Unexpected error for user ${clerkUserId}, company ${companyId}:`, error);
+    return res.status(500).json({ error: "An unexpected error occurred while comparing versions." });
+  }
+}
@@ -0,0 +1,83 @@
+// pages/api/form-status.js
+import { getAuth } from '@clerk/nextjs/server';
+import {
+  loadDraft, setDraftStatus, listDraftStatuses, canTransitionStatus, FORM_STATUSES, RevisionConflictError
+} from '../../lib/formStore';
+import { validateFormData } from '../../lib/validationService';
+import { getFormDefinition } from '../../config/formRegistry';
+
+// GET                                              -> [{ company_id, form_type, status, updated_at }] for the user's drafts
+// POST { companyId, formType, status, baseRevision } -> status transition; 'ready' requires full validation
+export default async function handler(req, res) {
+  const { userId: clerkUserId } = getAuth(req);
+
+  if (!clerkUserId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (req.method === 'GET') {
+    try {
+      const statuses = await listDraftStatuses(clerkUserId);
+      return res.status(200).json(statuses);
+    } catch (error) {
+      console.error(`[API/FormStatus] Failed to list statuses for user ${clerkUserId}:`, error);
+      return res.status(500).json({ error: "An unexpected error occurred while loading form statuses." });
+    }
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { companyId, formType, status, baseRevision } = req.body || {};
+
+  if (!companyId || !status || !Number.isInteger(baseRevision)) {
+    return res.status(400).json({ error: "Missing companyId, status or baseRevision" });
+  }
+  if (!Object.values(FORM_STATUSES).includes(status)) {
+    return res.status(400).json({ error: `Invalid status "${status}"` });
+  }
+  const form = getFormDefinition(formType);
+  if (!form) {
+    return res.status(400).json({ error: `Unknown formType "${formType}"` });
+  }
+
+  try {
+    const draft = await loadDraft(clerkUserId, companyId, form.formType);
+    if (!draft) {
+      return res.status(404).json({ error: "No saved draft found. Save the form first." });
+    }
+
+    if ((draft.current_version || 0) !== baseRevision) {
+      return res.status(409).json({ error: "This draft was changed since you loaded it. Reload before finalizing." });
+    }
+
+    const currentStatus = draft.status || FORM_STATUSES.DRAFT;
+    if (currentStatus === status) {
+      return res.status(200).json({ success: true, status, revision: draft.current_version });
+    }
+    if (!canTransitionStatus(currentStatus, status)) {
+      return res.status(400).json({ error: `Cannot change status from '${currentStatus}' to '${status}'.` });
+    }
+
+    // Finalizing: the stored draft must pass the form's complete validation
+    if (status === FORM_STATUSES.READY) {
+      const { isValid, errors } = validateFormData(draft.form_data || {}, form.formType);
+      if (!isValid) {
+        console.warn(`[API/FormStatus] Finalize rejected for user ${clerkUserId}, company ${companyId}. Errors:`, errors);
+        return res.status(400).json({ error: "Form is incomplete and cannot be finalized.", details: errors });
+      }
+    }
+
+    const updated = await setDraftStatus(clerkUserId, companyId, form.formType, status, { expectedRevision: baseRevision });
+    console.log(`[API/FormStatus] ${form.formType} status for user ${clerkUserId}, company ${companyId}: ${currentStatus} -> ${status}`);
+    return res.status(200).json({ success: true, status: updated.status, revision: updated.current_version });
+
+  } catch (error) {
+    if (error instanceof RevisionConflictError) {
+      return res.status(409).json({ error: "This draft was changed since you loaded it. Reload before finalizing." });
+    }
+    console.error(`[API/FormStatus] Unexpected error for user ${clerkUserId}, company ${companyId}:`, error);
+    return res.status(500).json({ error: "An unexpected error occurred while updating the form status." });
+  }
+}
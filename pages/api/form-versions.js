@@ -0,0 +1,49 @@
+// pages/api/form-versions.js
+import { getAuth } from '@clerk/nextjs/server';
+import { listVersions, getVersion } from '../../lib/formStore';
+import { getFormDefinition } from '../../config/formRegistry';
+
+// GET ?companyId=...&formType=...            -> version summaries, newest first
+// GET ?companyId=...&formType=...&version=N  -> a single version including its form_data
+export default async function handler(req, res) {
+  const { userId: clerkUserId } = getAuth(req);
+
+  if (!clerkUserId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { companyId, formType, version } = req.query;
+
+  if (!companyId) {
+    return res.status(400).json({ error: "Missing companyId parameter" });
+  }
+  const form = getFormDefinition(formType);
+  if (!form) {
+    return res.status(400).json({ error: `Unknown formType "${formType}"` });
+  }
+
+  try {
+    if (version !== undefined) {
+      if (!Number.isInteger(Number(version))) {
+        return res.status(400).json({ error: "Invalid version parameter" });
+      }
+      const found = await getVersion(clerkUserId, companyId, form.formType, version);
+      if (!found) {
+        return res.status(404).json({ error: `Version ${version} not found.` });
+      }
+      return res.status(200).json(found);
+    }
+
+    const versions = await listVersions(clerkUserId, companyId, form.formType);
+    console.log(`[API/FormVersions] Found ${versions.length} ${form.formType} versions for user ${clerkUserId}, company ${companyId}`);
+    return res.status(200).json(versions);
+
+  } catch (error) {
+    console.error(`[API/FormVersions] Unexpected error for user ${clerkUserId}, company ${companyId}:`, error);
+    return res.status(500).json({ error: "An unexpected error occurred while loading form versions." });
+  }
+}
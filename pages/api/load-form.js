@@ -1,8 +1,7 @@
 // pages/api/load-form.js
 import { getAuth } from '@clerk/nextjs/server';
-
-// Assuming mockDatabase is imported correctly (even if empty initially)
-import { mockDatabase } from './save-form'; // Check this import path
+import { loadDraft, FORM_STATUSES } from '../../lib/formStore';
+import { getFormDefinition } from '../../config/formRegistry';
 
 export default async function handler(req, res) {
   const { userId: clerkUserId } = getAuth(req);
@@ -15,32 +14,39 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const { companyId } = req.query;
+  const { companyId, formType } = req.query;
 
   if (!companyId) {
     return res.status(400).json({ error: "Missing companyId parameter" });
   }
+  const form = getFormDefinition(formType);
+  if (!form) {
+    return res.status(400).json({ error: `Unknown formType "${formType}"` });
+  }
 
   try {
-    console.log(`[API/LoadForm - MOCK] Attempting to load data for user ${clerkUserId}, company ${companyId}`);
-
-    // **1. Look up in In-Memory Store (Safely)**
-    // Check if mockDatabase itself and the user entry exist
-    const userData = mockDatabase && mockDatabase[clerkUserId] ? mockDatabase[clerkUserId] : null;
-    const companyData = userData ? userData[companyId] : null; // Now userData check happens first
-
-    if (companyData && companyData.formData) {
-      console.log(`[API/LoadForm - MOCK] Found mock saved data from ${companyData.updatedAt || 'unknown time'} for user ${clerkUserId}, company ${companyId}`);
-      return res.status(200).json(companyData.formData);
+    console.log(`[API/LoadForm] Attempting to load ${form.formType} data for user ${clerkUserId}, company ${companyId}`);
+
+    const draft = await loadDraft(clerkUserId, companyId, form.formType);
+
+    // `revision` must be sent back with the next save; 0 means no draft exists yet
+    if (draft && draft.form_data) {
+      console.log(`[API/LoadForm] Found saved data (revision ${draft.current_version}) from ${draft.updated_at || 'unknown time'} for user ${clerkUserId}, company ${companyId}`);
+      return res.status(200).json({
+        formData: draft.form_data,
+        provenance: draft.field_provenance || {},
+        revision: draft.current_version || 0,
+        status: draft.status || FORM_STATUSES.DRAFT,
+        updatedAt: draft.updated_at,
+      });
     } else {
-      console.log(`[API/LoadForm - MOCK] No mock saved data found for user ${clerkUserId}, company ${companyId}`);
-      return res.status(200).json(null);
+      console.log(`[API/LoadForm] No saved data found for user ${clerkUserId}, company ${companyId}`);
+      return res.status(200).json({ formData: null, provenance: {}, revision: 0, status: FORM_STATUSES.DRAFT, updatedAt: null });
     }
 
   } catch (error) {
-    // Log the specific error object
-    console.error(`[API/LoadForm - MOCK] Unexpected error for user ${clerkUserId}, company ${companyId}:`, error);
+    console.error(`[API/LoadForm] Unexpected error for user ${clerkUserId}, company ${companyId}:`, error);
     // Avoid exposing detailed error messages potentially
-    return res.status(500).json({ error: "An unexpected error occurred while loading mock form data." });
+    return res.status(500).json({ error: "An unexpected error occurred while loading form data." });
   }
-}
\ No newline at end of file
+}
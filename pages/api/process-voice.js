@@ -1,84 +1,76 @@
 // pages/api/process-voice.js
 import { getAuth } from '@clerk/nextjs/server';
 import { createClient as createDeepgramClient } from '@deepgram/sdk';
-import {
-    GoogleGenerativeAI,
-    HarmCategory,
-    HarmBlockThreshold,
-    SchemaType // Use SchemaType
-} from "@google/generative-ai";
-import { formSchema } from '../../config/formSchema'; // Import the updated schema
+import { getLlmProvider, FINISH_REASONS } from '../../lib/llmProvider';
+import { getFormDefinition } from '../../config/formRegistry';
+import { getFieldConfig, listFieldPaths, normalizeFieldValue } from '../../config/formSchema';
+import { coerceValue } from '../../lib/coercion';
 import formidable from 'formidable';
 import fs from 'fs';
 
-// --- Define Schema Information and Tools for Function Calling ---
-
-const validFieldNames = Object.keys(formSchema);
-
-const tools = [
-  {
-    functionDeclarations: [
-      {
-        name: "updateFormField",
-        description: "Updates the value of a specific field in the form.",
-        parameters: {
-          type: SchemaType.OBJECT,
-          properties: {
-            fieldName: {
-              type: SchemaType.STRING,
-              description: "The exact name of the form field to update.",
-              enum: validFieldNames
-            },
-            value: {
-              type: SchemaType.STRING, // Expect string from LLM
-              description: "The new value for the form field (as a string). Type conversion will be handled later based on the field name."
-            }
-          },
-          required: ["fieldName", "value"]
-        }
-      },
-      {
-        name: "clearFormField",
-        description: "Clears the value of a specific field in the form.",
-        parameters: {
-          type: SchemaType.OBJECT,
-          properties: {
-            fieldName: {
-                type: SchemaType.STRING,
-                description: "The exact name of the form field to clear.",
-                enum: validFieldNames
-            }
-          },
-          required: ["fieldName"]
-        }
-      },
-      {
-          name: "reportAmbiguityOrIrrelevance",
-          description: "Use this function if the user's command is ambiguous, unclear, references a non-existent field, or is unrelated to managing the form fields.",
+// --- Define Schema Information and Functions for Function Calling ---
+
+// Functions are built per form so the field enums only list that form's fields.
+// Repeatable rows are addressed as group.index.field (e.g. premises.1.address).
+function buildFunctions(formSchema) {
+  const validFieldNames = listFieldPaths(formSchema);
+
+  return [
+        {
+          name: "updateFormField",
+          description: "Updates the value of a specific field in the form.",
           parameters: {
-              type: SchemaType.OBJECT,
-              properties: {
-                  reason: {
-                      type: SchemaType.STRING,
-                      description: "A brief explanation of why the command could not be directly processed (e.g., 'Ambiguous field reference', 'Unrelated command', 'Field not found')."
-                  }
+            type: 'object',
+            properties: {
+              fieldName: {
+                type: 'string',
+                description: "The exact name of the form field to update. Rows of repeatable sections use group.index.field with a 0-based index, e.g. premises.1.address for the second location.",
+                enum: validFieldNames
               },
-              required: ["reason"]
+              value: {
+                type: 'string', // Expect string from LLM
+                description: "The new value for the form field (as a string). Type conversion will be handled later based on the field name."
+              }
+            },
+            required: ["fieldName", "value"]
           }
-      }
-    ]
-  }
-];
+        },
+        {
+          name: "clearFormField",
+          description: "Clears the value of a specific field in the form.",
+          parameters: {
+            type: 'object',
+            properties: {
+              fieldName: {
+                  type: 'string',
+                  description: "The exact name of the form field to clear.",
+                  enum: validFieldNames
+              }
+            },
+            required: ["fieldName"]
+          }
+        },
+        {
+            name: "reportAmbiguityOrIrrelevance",
+            description: "Use this function if the user's command is ambiguous, unclear, references a non-existent field, or is unrelated to managing the form fields.",
+            parameters: {
+                type: 'object',
+                properties: {
+                    reason: {
+                        type: 'string',
+                        description: "A brief explanation of why the command could not be directly processed (e.g., 'Ambiguous field reference', 'Unrelated command', 'Field not found')."
+                    }
+                },
+                required: ["reason"]
+            }
+        }
+  ];
+}
 
 
-// --- Function to Call Gemini for Intent Parsing using Function Calling ---
-async function parseTranscriptWithFunctionCalling(transcript, apiKey) {
-    console.log("[Gemini FC] Initializing client...");
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({
-      model: "gemini-1.5-flash-latest",
-      tools: tools
-    });
+// --- Function to Call the LLM for Intent Parsing using Function Calling ---
+async function parseTranscriptWithFunctionCalling(transcript, formSchema) {
+    const provider = getLlmProvider();
 
     const prompt = `
 You are an AI assistant helping parse voice commands for filling a form.
@@ -89,107 +81,48 @@ Only use the provided functions to respond. Do not add explanations or conversat
 "${transcript}"
 `;
 
-    console.log("[Gemini FC] Sending prompt to Gemini for function calling...");
+    console.log(`[Voice FC] Sending prompt to ${provider.name} for function calling...`);
 
     try {
-        const generationConfig = {
-          temperature: 0.1,
-        };
-        const safetySettings = [
-            { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-            { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-            { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-            { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE },
-        ];
-
-        const chat = model.startChat({
-            history: [{ role: "user", parts: [{ text: prompt }] }],
-            generationConfig,
-            safetySettings
+        const { functionCall, text, finishReason } = await provider.callFunction({
+            prompt,
+            functions: buildFunctions(formSchema),
+            temperature: 0.1,
         });
 
-        const result = await chat.sendMessage("Analyzing transcript...");
-        const response = result.response;
-        const candidate = response?.candidates?.[0];
-
-        console.log("[Gemini FC] Raw Gemini Response:", JSON.stringify(response, null, 2));
-
-        if (!candidate || !candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-            const finishReason = candidate?.finishReason;
-            const safetyRatings = candidate?.safetyRatings;
-            console.error(`[Gemini FC] No valid response candidate. Finish reason: ${finishReason}`, safetyRatings ? `Safety Ratings: ${JSON.stringify(safetyRatings)}` : '');
-            console.error("[Gemini FC] Prompt feedback:", response?.promptFeedback);
-            if(finishReason === 'SAFETY') {
+        if (!functionCall) {
+            if (finishReason === FINISH_REASONS.SAFETY) {
                  throw new Error("AI processing stopped due to safety settings.");
-            } else if (finishReason === 'STOP' && (!candidate.content.parts || candidate.content.parts.find(p => p.text))) {
-                 console.warn("[Gemini FC] Model generated text instead of function call:", candidate.content.parts?.find(p => p.text)?.text);
-                 return { intent: 'AMBIGUOUS', field: null, value: null, message: "Could not determine a specific action from the command." };
-            } else if (finishReason === 'MAX_TOKENS') {
+            } else if (finishReason === FINISH_REASONS.MAX_TOKENS) {
                 throw new Error("AI model response exceeded maximum length.");
-            } else {
+            } else if (finishReason !== FINISH_REASONS.STOP) {
                  throw new Error(`AI model finished unexpectedly. Reason: ${finishReason || 'Unknown'}`);
             }
         }
 
-        const functionCallPart = candidate.content.parts.find(part => part.functionCall);
-
-        if (functionCallPart && functionCallPart.functionCall) {
-            const functionCall = functionCallPart.functionCall;
+        if (functionCall) {
             const { name, args } = functionCall;
-            console.log(`[Gemini FC] Function Call Recommended: ${name}`);
-            console.log(`[Gemini FC] Arguments:`, args);
+            console.log(`[Voice FC] Function Call Recommended: ${name}`);
+            console.log(`[Voice FC] Arguments:`, args);
 
             // --- Validate Arguments & Map Function Call ---
             switch (name) {
                 case "updateFormField": {
-                    if (!args || !args.fieldName || !formSchema[args.fieldName]) {
-                        console.warn(`[Gemini FC] Invalid fieldName '${args?.fieldName}' in updateFormField call.`);
+                    if (!args || !args.fieldName || !getFieldConfig(formSchema, args.fieldName)) {
+                        console.warn(`[Voice FC] Invalid fieldName '${args?.fieldName}' in updateFormField call.`);
                         return { intent: 'AMBIGUOUS', field: null, value: null, message: `Could not update field: '${args?.fieldName || 'unknown'}' not found.` };
                     }
 
                     const fieldName = args.fieldName;
-                    const value = args.value; // Value from Gemini (expected string)
-                    const fieldConfig = formSchema[fieldName];
+                    const value = args.value; // Value from the LLM (expected string)
+                    const fieldConfig = getFieldConfig(formSchema, fieldName);
 
                     let coercedValue = value; // Start with the original string value
                     let validationError = null;
 
                     try {
-                        // 1. Coerce Type based on schema
-                        if (fieldConfig.type === 'number') {
-                            // Attempt to parse common number representations first
-                            let potentialNum = String(value).trim().toLowerCase();
-                            // Basic word-to-number mapping (can be expanded)
-                            const numberWords = { 'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'zero': 0 };
-                            if (numberWords[potentialNum] !== undefined) {
-                                potentialNum = numberWords[potentialNum];
-                            }
-                            // Remove commas, $, etc. for parsing
-                            potentialNum = String(potentialNum).replace(/[$, ]/g, '');
-                            const parsed = parseFloat(potentialNum);
-                            if (isNaN(parsed)) {
-                                throw new Error(`Value "${value}" could not be parsed as a valid number.`);
-                            }
-                            // If the schema expects an integer (like num_vehicles), check that too
-                            if (fieldName === 'num_vehicles' && !Number.isInteger(parsed)) {
-                                throw new Error(`Value "${value}" must be a whole number for ${fieldConfig.label}.`);
-                            }
-                            coercedValue = parsed;
-                        } else if (fieldConfig.type === 'checkbox') {
-                            const lowerVal = String(value).toLowerCase().trim();
-                             const truthy = ['true', 'yes', 'on', '1', 'affirmative', 'checked'];
-                             const falsy = ['false', 'no', 'off', '0', 'negative', 'unchecked'];
-                             if (truthy.includes(lowerVal)) {
-                                 coercedValue = true;
-                             } else if (falsy.includes(lowerVal)) {
-                                 coercedValue = false;
-                             } else {
-                                 throw new Error(`Value "${value}" is not a clear indicator of true or false.`);
-                             }
-                        } else {
-                            // For text, textarea, email, select - coerce to string and trim
-                            coercedValue = String(value).trim();
-                        }
+                        // 1. Coerce Type based on schema (numbers in words, spoken dates, phone and FEIN formats)
+                        coercedValue = normalizeFieldValue(fieldConfig, coerceValue(value, fieldConfig));
 
                         // 2. Validate coerced value using schema's validation function
                         if (fieldConfig.validation) {
@@ -198,11 +131,11 @@ Only use the provided functions to respond. Do not add explanations or conversat
                                 let specificError = `Invalid value "${value}" provided for ${fieldConfig.label}.`;
                                 if(fieldConfig.type === 'select' && fieldConfig.options) {
                                     specificError += ` Please choose from: ${fieldConfig.options.map(o => o.label || o.value).join(', ')}.`;
-                                } else if (fieldName === 'fein' && fieldConfig.type === 'text') {
+                                } else if (fieldConfig.format === 'fein') {
                                      specificError += ` Expected format: XX-XXXXXXX.`;
                                 } else if (fieldConfig.type === 'number' && coercedValue < 0) {
                                      specificError += ` Value cannot be negative.`
-                                } else if (fieldName === 'num_vehicles' && !Number.isInteger(coercedValue)) {
+                                } else if (fieldConfig.integer && !Number.isInteger(coercedValue)) {
                                     // This check is now also in validation, but can be explicit here too
                                     specificError += ` Value must be a whole number.`;
                                 }
@@ -211,7 +144,7 @@ Only use the provided functions to respond. Do not add explanations or conversat
                         }
 
                         // If coercion and validation passed:
-                        console.log(`[Gemini FC] Coerced/Validated value for ${fieldName}:`, coercedValue);
+                        console.log(`[Voice FC] Coerced/Validated value for ${fieldName}:`, coercedValue);
                         return {
                             intent: 'UPDATE',
                             field: fieldName,
@@ -220,7 +153,7 @@ Only use the provided functions to respond. Do not add explanations or conversat
                         };
 
                     } catch (error) {
-                        console.warn(`[Gemini FC] Validation/Coercion Error for field "${fieldName}" with value "${value}": ${error.message}`);
+                        console.warn(`[Voice FC] Validation/Coercion Error for field "${fieldName}" with value "${value}": ${error.message}`);
                         validationError = error.message;
                         return {
                             intent: 'AMBIGUOUS',
@@ -232,8 +165,8 @@ Only use the provided functions to respond. Do not add explanations or conversat
                 } // End case "updateFormField"
 
                 case "clearFormField": {
-                     if (!args || !args.fieldName || !formSchema[args.fieldName]) {
-                         console.warn(`[Gemini FC] Invalid fieldName '${args?.fieldName}' in clearFormField call.`);
+                     if (!args || !args.fieldName || !getFieldConfig(formSchema, args.fieldName)) {
+                         console.warn(`[Voice FC] Invalid fieldName '${args?.fieldName}' in clearFormField call.`);
                          return { intent: 'AMBIGUOUS', field: null, value: null, message: `Could not clear field: '${args?.fieldName || 'unknown'}' not found.` };
                      }
                      const fieldName = args.fieldName;
@@ -255,18 +188,17 @@ Only use the provided functions to respond. Do not add explanations or conversat
                      };
 
                 default:
-                    console.warn(`[Gemini FC] Received unknown function call name: ${name}`);
+                    console.warn(`[Voice FC] Received unknown function call name: ${name}`);
                     return { intent: 'OTHER', field: null, value: null, message: `Unknown action requested: ${name}` };
             }
         } else {
-             const textPart = candidate.content.parts.find(part => part.text);
-             const responseText = textPart?.text || "";
-             console.warn("[Gemini FC] No function call found in response. Text:", responseText);
+             const responseText = text || "";
+             console.warn("[Voice FC] Model generated text instead of function call:", responseText);
              return { intent: 'AMBIGUOUS', field: null, value: null, message: responseText || "Could not determine a specific action from the command." };
         }
 
     } catch (error) {
-        console.error("[Gemini FC] Error during Gemini API call or processing:", error);
+        console.error("[Voice FC] Error during LLM call or processing:", error);
         return {
             intent: 'OTHER',
             field: null,
@@ -300,12 +232,11 @@ export default async function handler(req, res) {
   console.log("[API/ProcessVoice] Received request...");
 
   const deepgramApiKey = process.env.DEEPGRAM_API_KEY;
-  const geminiApiKey = process.env.GEMINI_API_KEY;
+  const llmProvider = getLlmProvider();
 
-  if (!deepgramApiKey || !geminiApiKey) {
-      console.error('[API/ProcessVoice] Missing Deepgram or Gemini API key.');
-      const missingKeys =[!deepgramApiKey ? 'Deepgram':'', !geminiApiKey ? 'Gemini':''].filter(Boolean).join(' and ');
-       return res.status(500).json({ intent: 'OTHER', message: `Voice processing service (${missingKeys}) not configured.` });
+  if (!llmProvider.isConfigured()) {
+      console.error(`[API/ProcessVoice] The ${llmProvider.name} LLM provider is not configured.`);
+      return res.status(500).json({ intent: 'OTHER', message: `Voice processing service (${llmProvider.name}) not configured.` });
   }
 
   const form = formidable({});
@@ -313,56 +244,77 @@ export default async function handler(req, res) {
 
   try {
     // --- Parse Form Data ---
+    // A `transcript` field skips speech-to-text (typed commands, offline dev and CI)
     const [fields, files] = await form.parse(req);
+    const typedTranscript = fields.transcript?.[0]?.trim() || '';
     if (files.audio && files.audio.length > 0) {
        audioFile = files.audio[0];
        console.log(`[API/ProcessVoice] Received audio file: ${audioFile.originalFilename}, size: ${audioFile.size}, type: ${audioFile.mimetype}`);
-    } else {
+    } else if (!typedTranscript) {
         console.warn("[API/ProcessVoice] No audio file found in the request.");
         return res.status(400).json({ intent: 'OTHER', message: 'No audio data received.' });
     }
 
-    // --- Deepgram Transcription ---
-    const deepgram = createDeepgramClient(deepgramApiKey);
-    const audioBuffer = fs.readFileSync(audioFile.filepath);
-    console.log("[API/ProcessVoice] Sending audio buffer to Deepgram...");
-    const { result: dgResult, error: dgError } = await deepgram.listen.prerecorded.transcribeFile(
-        audioBuffer,
-        { // Ensure these options are appropriate
-            model: 'nova-2',
-            language: 'en-US',
-            smart_format: true,
-            punctuate: true,
-            numerals: true, // Important for number parsing
-        }
-    );
-
-    // --- Clean up Temp File ---
-    if (audioFile?.filepath && fs.existsSync(audioFile.filepath)) {
-         try {
-             fs.unlinkSync(audioFile.filepath);
-             console.log("[API/ProcessVoice] Temporary audio file deleted.");
-         } catch (unlinkErr) { console.error("Error deleting temp file", unlinkErr); }
-         audioFile = null;
+    // Commands are interpreted against the form currently open in the editor
+    const formType = fields.formType?.[0];
+    const formDefinition = getFormDefinition(formType);
+    if (!formDefinition) {
+        if (audioFile) fs.unlinkSync(audioFile.filepath);
+        audioFile = null;
+        return res.status(400).json({ intent: 'OTHER', message: `Unknown form type "${formType}".` });
     }
 
-    if (dgError) {
-        console.error("[API/ProcessVoice] Deepgram Error:", dgError);
-        throw new Error(`Speech-to-text failed: ${dgError.message || 'Unknown Deepgram error'}`);
+    if (audioFile && !deepgramApiKey) {
+        console.error('[API/ProcessVoice] Missing Deepgram API key.');
+        fs.unlinkSync(audioFile.filepath);
+        audioFile = null;
+        return res.status(500).json({ intent: 'OTHER', message: 'Voice processing service (Deepgram) not configured.' });
     }
 
-    const transcript = dgResult?.results?.channels[0]?.alternatives[0]?.transcript || '';
-    if (!transcript) {
-        console.warn("[API/ProcessVoice] Deepgram returned empty transcript.");
-        return res.status(200).json({ intent: 'OTHER', message: 'Could not understand audio or no speech detected.' });
+    // --- Deepgram Transcription ---
+    let transcript = typedTranscript;
+    if (audioFile) {
+        const deepgram = createDeepgramClient(deepgramApiKey);
+        const audioBuffer = fs.readFileSync(audioFile.filepath);
+        console.log("[API/ProcessVoice] Sending audio buffer to Deepgram...");
+        const { result: dgResult, error: dgError } = await deepgram.listen.prerecorded.transcribeFile(
+            audioBuffer,
+            { // Ensure these options are appropriate
+                model: 'nova-2',
+                language: 'en-US',
+                smart_format: true,
+                punctuate: true,
+                numerals: true, // Important for number parsing
+            }
+        );
+
+        // --- Clean up Temp File ---
+        if (audioFile?.filepath && fs.existsSync(audioFile.filepath)) {
+             try {
+                 fs.unlinkSync(audioFile.filepath);
+                 console.log("[API/ProcessVoice] Temporary audio file deleted.");
+             } catch (unlinkErr) { console.error("Error deleting temp file", unlinkErr); }
+             audioFile = null;
+        }
+
+        if (dgError) {
+            console.error("[API/ProcessVoice] Deepgram Error:", dgError);
+            throw new Error(`Speech-to-text failed: ${dgError.message || 'Unknown Deepgram error'}`);
+        }
+
+        transcript = dgResult?.results?.channels[0]?.alternatives[0]?.transcript || '';
+        if (!transcript) {
+            console.warn("[API/ProcessVoice] Deepgram returned empty transcript.");
+            return res.status(200).json({ intent: 'OTHER', message: 'Could not understand audio or no speech detected.' });
+        }
+        console.log('[API/ProcessVoice] Deepgram Transcript:', transcript);
     }
-    console.log('[API/ProcessVoice] Deepgram Transcript:', transcript);
 
 
-    // --- Call Gemini Function Calling Parser (with validation inside) ---
-    console.log('[API/ProcessVoice] Calling Gemini Function Calling for parsing...');
-    const parsedResult = await parseTranscriptWithFunctionCalling(transcript, geminiApiKey);
-    console.log('[API/ProcessVoice] Gemini Parsed Result (FC):', parsedResult);
+    // --- Call LLM Function Calling Parser (with validation inside) ---
+    console.log(`[API/ProcessVoice] Calling ${llmProvider.name} function calling for parsing...`);
+    const parsedResult = await parseTranscriptWithFunctionCalling(transcript, formDefinition.schema);
+    console.log('[API/ProcessVoice] Parsed Result (FC):', parsedResult);
 
     // --- Return Result ---
     return res.status(200).json(parsedResult);
@@ -0,0 +1,45 @@
+// pages/api/restore-version.js
+import { getAuth } from '@clerk/nextjs/server';
+import { restoreVersion } from '../../lib/formStore';
+import { getFormDefinition } from '../../config/formRegistry';
+
+// POST { companyId, formType, version } -> saves a copy of that version as the newest one
+export default async function handler(req, res) {
+  const { userId: clerkUserId } = getAuth(req);
+
+  if (!clerkUserId) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const { companyId, formType, version } = req.body || {};
+
+  if (!companyId || !Number.isInteger(Number(version))) {
+    return res.status(400).json({ error: "Missing companyId or version" });
+  }
+  const form = getFormDefinition(formType);
+  if (!form) {
+    return res.status(400).json({ error: `Unknown formType "${formType}"` });
+  }
+
+  try {
+    const restored = await restoreVersion(clerkUserId, companyId, form.formType, Number(version));
+    if (!restored) {
+      return res.status(404).json({ error: `Version ${version} not found.` });
+    }
+
+    console.log(`[API/RestoreVersion] Restored ${form.formType} v${version} as v${restored.current_version} for user ${clerkUserId}, company ${companyId}`);
+    return res.status(200).json({
+      success: true,
+      message: `Version ${version} restored.`,
+      savedData: restored,
+    });
+
+  } catch (error) {
+    console.error(`[API/RestoreVersion] Unexpected error for user ${clerkUserId}, company ${companyId}:`, error);
+    return res.status(500).json({ error: "An unexpected error occurred while restoring the version." });
+  }
+}
@@ -1,16 +1,29 @@
 // pages/api/save-form.js
 import { getAuth } from '@clerk/nextjs/server';
-import { formSchema } from '../../config/formSchema';
-import { validateFormData } from '../../lib/validationService';
+import { getFormDefinition } from '../../config/formRegistry';
+import { normalizeFormData } from '../../config/formSchema';
+import { validateDraftFormData } from '../../lib/validationService';
+import { saveDraft, loadDraft, getVersion, SAVE_TYPES, RevisionConflictError } from '../../lib/formStore';
+import { findConflicts } from '../../lib/versionDiff';
 
-// --- In-Memory Mock Database ---
-// IMPORTANT: This data resets when the server restarts!
-const mockDatabase = {};
-// Structure: mockDatabase[clerkUserId][companyId] = { formData: {}, updatedAt: Date }
-// -----------------------------
+// Builds the 409 body: what the client needs to show a per-field merge dialog
+async function describeConflict(userId, companyId, form, baseRevision, formData) {
+  const [current, base] = await Promise.all([
+    loadDraft(userId, companyId, form.formType),
+    baseRevision > 0 ? getVersion(userId, companyId, form.formType, baseRevision) : null,
+  ]);
+  const currentFormData = current?.form_data || {};
+  const { conflicts, remoteChanges } = findConflicts(base?.form_data || {}, currentFormData, formData, form.schema);
+  return {
+    currentRevision: current?.current_version || 0,
+    updatedAt: current?.updated_at || null,
+    currentFormData,
+    conflicts,
+    remoteChanges,
+  };
+}
 
 export default async function handler(req, res) {
-  // Use Clerk user ID directly as the key for the mock DB
   const { userId: clerkUserId } = getAuth(req);
 
   if (!clerkUserId) {
@@ -22,57 +35,65 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { companyId, formData } = req.body;
+    const { companyId, formType, provenance = {}, saveType = SAVE_TYPES.MANUAL, baseRevision } = req.body;
 
-    if (!companyId || !formData) {
+    if (!companyId || !req.body.formData) {
       return res.status(400).json({ error: "Missing companyId or formData" });
     }
+    const form = getFormDefinition(formType);
+    if (!form) {
+      return res.status(400).json({ error: `Unknown formType "${formType}"` });
+    }
+    // Stored in canonical formats (the client normalizes too; this covers other callers)
+    const formData = normalizeFormData(form.schema, req.body.formData);
+    // Revision token from /api/load-form (0 when no draft existed yet)
+    if (!Number.isInteger(baseRevision) || baseRevision < 0) {
+      return res.status(400).json({ error: "Missing or invalid baseRevision" });
+    }
+    // Restores go through /api/restore-version so they always point at a source version
+    if (saveType !== SAVE_TYPES.AUTO && saveType !== SAVE_TYPES.MANUAL) {
+      return res.status(400).json({ error: `Invalid saveType "${saveType}"` });
+    }
+    if (!provenance || typeof provenance !== 'object' || Array.isArray(provenance)) {
+      return res.status(400).json({ error: "Invalid provenance" });
+    }
 
-    // **1. Validate the received formData** (Keep validation)
+    // **1. Validate the received formData**
+    // Drafts only need filled-in fields to be well-formed; completeness is
+    // enforced when the form is finalized via /api/form-status.
     const completeFormDataForValidation = {};
-     Object.keys(formSchema).forEach(key => {
-        completeFormDataForValidation[key] = formData.hasOwnProperty(key) ? formData[key] : (formSchema[key].type === 'checkbox' ? false : null);
+     Object.keys(form.schema).forEach(key => {
+        completeFormDataForValidation[key] = formData.hasOwnProperty(key) ? formData[key] : (form.schema[key].type === 'checkbox' ? false : null);
      });
-    const { isValid, errors } = validateFormData(completeFormDataForValidation, formSchema);
+    const { isValid, errors } = validateDraftFormData(completeFormDataForValidation, form.formType);
 
     if (!isValid) {
-      console.warn(`[API/SaveForm - MOCK] Validation failed for user ${clerkUserId}, company ${companyId}. Errors:`, errors);
+      console.warn(`[API/SaveForm] Validation failed for user ${clerkUserId}, company ${companyId}. Errors:`, errors);
       return res.status(400).json({ error: "Invalid form data provided.", details: errors });
     }
-    console.log(`[API/SaveForm - MOCK] Validation passed for user ${clerkUserId}, company ${companyId}.`);
+    console.log(`[API/SaveForm] Validation passed for user ${clerkUserId}, company ${companyId}.`);
 
-    // **2. Update In-Memory Store**
-    // Ensure user entry exists
-    if (!mockDatabase[clerkUserId]) {
-        mockDatabase[clerkUserId] = {};
+    // **2. Persist the draft**
+    let savedDraft;
+    try {
+      savedDraft = await saveDraft(clerkUserId, companyId, form.formType, formData, { saveType, expectedRevision: baseRevision, provenance });
+    } catch (error) {
+      if (!(error instanceof RevisionConflictError)) throw error;
+      console.warn(`[API/SaveForm] Stale save for user ${clerkUserId}, company ${companyId}: base revision ${baseRevision}, current ${error.currentRevision}.`);
+      const conflict = await describeConflict(clerkUserId, companyId, form, baseRevision, formData);
+      return res.status(409).json({ error: "This draft was changed since you loaded it.", conflict });
     }
 
-    // Store the data
-    mockDatabase[clerkUserId][companyId] = {
-        formData: formData,
-        updatedAt: new Date()
-    };
-
-    console.log(`[API/SaveForm - MOCK] Successfully saved form data for user ${clerkUserId}, company ${companyId}`);
-    // console.log("Current Mock DB State:", JSON.stringify(mockDatabase, null, 2)); // Optional: Log state for debugging
+    console.log(`[API/SaveForm] Successfully saved form data (${form.formType} ${saveType}, v${savedDraft.current_version}) for user ${clerkUserId}, company ${companyId}`);
 
-    // Simulate successful save response
     return res.status(200).json({
         success: true,
-        message: "Form data saved (Mock).",
-        // Mimic structure of Supabase response if needed by frontend later
-        savedData: {
-            user_id: clerkUserId,
-            company_id: companyId,
-            form_data: formData,
-            updated_at: mockDatabase[clerkUserId][companyId].updatedAt,
-            // id: 'mock-id-' + Math.random(), // Mock ID if needed
-            // created_at: mockDatabase[clerkUserId][companyId].createdAt || new Date() // Mock created_at
-        }
+        message: "Form data saved.",
+        savedData: savedDraft,
     });
 
   } catch (error) {
-    console.error(`[API/SaveForm - MOCK] Unexpected error for user ${clerkUserId}:`, error);
-    return res.status(500).json({ error: "An unexpected error occurred while saving mock form data." });
+    console.error(`[API/SaveForm] Unexpected error for user ${clerkUserId}:`, error);
+    return res.status(500).json({ error: "An unexpected error occurred while saving form data." });
   }
-}
\ No newline at end of file
+}
@@ -1,22 +1,50 @@
 // pages/index.js
-import { useEffect, useState, useRef } from 'react'; // Import useRef
+import { Fragment, useEffect, useState, useRef } from 'react'; // Import useRef
 import { SignedIn, SignedOut, useUser } from '@clerk/nextjs';
 import {
-  Container, Title, Select, Button, Text, Loader, Group, Stack, Paper, Box, Grid, Alert, Progress, Collapse, Divider
+  Container, Title, Select, Button, Text, Loader, Group, Stack, Paper, Box, Grid, Alert, Progress, Collapse, Divider, Badge
 } from '@mantine/core';
-import { IconAlertCircle, IconCircleCheck, IconLoader } from '@tabler/icons-react';
+import { IconAlertCircle, IconCircleCheck, IconLoader, IconHistory, IconQuote, IconRefresh, IconWand } from '@tabler/icons-react';
 import { showNotification, updateNotification } from '@mantine/notifications';
 import { useRouter } from 'next/router';
 import Layout from '../components/Layout';
 import FormField from '../components/FormField';
 import VoiceInput from '../components/VoiceInput';
+import VersionHistory from '../components/VersionHistory';
+import MergeConflictDialog from '../components/MergeConflictDialog';
+import ExtractionDiffDialog from '../components/ExtractionDiffDialog';
+import EvidencePanel from '../components/EvidencePanel';
 // Import new API client functions
-import { getCompanies, getCompanyMemory, extractData, generatePdf, saveFormData, loadFormData } from '../lib/apiClient';
-// Import validation and schema (now includes applyDefaultsToFormData)
-import { formSchema, validateAcord125Data, applyDefaultsToFormData } from '../config/formSchema';
+import {
+  getCompanies, getCompanyMemory, extractData, generatePdf, saveFormData, loadFormData, getDraftStatuses, updateFormStatus,
+  getAgencyProfile
+} from '../lib/apiClient';
+// Form definitions (schema, sections, validation and defaults per ACORD form)
+import { DEFAULT_FORM_TYPE, getFormDefinition, listFormTypes } from '../config/formRegistry';
+import { getFieldConfig, getFieldLabel, setFieldValue, applyDerivedDefaults, normalizeFormData } from '../config/formSchema';
+import {
+  createProvenance, markFilledFields, recordUserEdit, needsReview, PROVENANCE_SOURCES
+} from '../lib/fieldProvenance';
+import { diffExtraction, applyExtractionChanges } from '../lib/versionDiff';
+import { formatAddress } from '../lib/address';
 
 const AUTO_SAVE_INTERVAL = 30000; // 30 seconds
 
+// Draft lifecycle badges (statuses come from /api/form-status and /api/load-form)
+const STATUS_BADGES = {
+  draft: { label: 'Draft', color: 'gray' },
+  ready: { label: 'Ready', color: 'blue' },
+  submitted: { label: 'Submitted', color: 'green' },
+};
+
+const FORM_TYPE_OPTIONS = listFormTypes().map(({ formType, title, description }) => ({
+  value: formType,
+  label: `${title} - ${description}`,
+}));
+
+// Drafts are kept per company and form type
+const statusKey = (companyId, formType) => `${companyId}:${formType}`;
+
 export default function Home() {
   const { isSignedIn, isLoaded: isUserLoaded } = useUser();
   const router = useRouter();
@@ -26,10 +54,16 @@ export default function Home() {
   const [companiesError, setCompaniesError] = useState(null);
 
   const [selectedCompanyId, setSelectedCompanyId] = useState(null);
+  const [selectedFormType, setSelectedFormType] = useState(DEFAULT_FORM_TYPE);
+  const formDefinition = getFormDefinition(selectedFormType);
   const [companyMemory, setCompanyMemory] = useState(null); // Keep memory for potential re-extraction?
   const [formData, setFormData] = useState({}); // Initial empty state
   const [validationErrors, setValidationErrors] = useState({});
+  const [validationWarnings, setValidationWarnings] = useState({}); // Shown, but never block finalizing
   const [isFormValid, setIsFormValid] = useState(false);
+  // Where each value came from (extraction rule, AI, default or user); saved with the draft
+  const [fieldProvenance, setFieldProvenance] = useState({});
+  const [agencyProfile, setAgencyProfile] = useState({}); // Fills empty agency fields; see /admin/agency-profiles
 
   const [isLoadingMemory, setIsLoadingMemory] = useState(false);
   const [isExtracting, setIsExtracting] = useState(false);
@@ -39,17 +73,51 @@ export default function Home() {
   const [isSaving, setIsSaving] = useState(false);
   const [isLoadingSavedData, setIsLoadingSavedData] = useState(false);
   const [lastSaveTime, setLastSaveTime] = useState(null); // Optional: display last save time
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isSourcesOpen, setIsSourcesOpen] = useState(false); // Evidence side panel
+  // Revision token from load-form / the last save; a stale one makes the save return 409
+  const [formRevision, setFormRevision] = useState(0);
+  const [mergeConflict, setMergeConflict] = useState(null); // { conflict, yourFormData } while a merge is pending
+  const [extractionChanges, setExtractionChanges] = useState(null); // diffExtraction result while the user reviews a re-extraction
+  const [formStatus, setFormStatus] = useState('draft');
+  const [companyStatuses, setCompanyStatuses] = useState({}); // statusKey(companyId, formType) -> status, for the selector
 
   // Ref for auto-save timer
   const autoSaveTimerRef = useRef(null);
+  // JSON of the data last known to be on the server; auto-save skips when nothing changed,
+  // which also keeps an idle 'ready' draft from being reopened
+  const lastSavedSnapshotRef = useRef(null);
 
   // --- Fetch Companies ---
   useEffect(() => {
     if (isUserLoaded && isSignedIn) {
       loadCompanies();
+      loadAgencyProfile();
     }
   }, [isUserLoaded, isSignedIn]);
 
+  // A missing profile just leaves the agency fields for the user to fill in
+  const loadAgencyProfile = async () => {
+    try {
+      const { profile } = await getAgencyProfile();
+      setAgencyProfile(profile || {});
+    } catch (error) {
+      console.warn("[Frontend] Could not load agency profile:", error);
+    }
+  };
+
+  // The profile may arrive after a form was loaded; fill whatever agency fields are still empty
+  useEffect(() => {
+    if (Object.keys(agencyProfile).length === 0) return;
+    setFormData(prevData => {
+      if (Object.keys(prevData).length === 0) return prevData;
+      const updatedData = formDefinition.applyDefaults(prevData, agencyProfile);
+      validateForm(updatedData);
+      setFieldProvenance(prev => markFilledFields(prev, prevData, updatedData, createProvenance(PROVENANCE_SOURCES.DEFAULT)));
+      return updatedData;
+    });
+  }, [agencyProfile]);
+
   const loadCompanies = async () => {
     setIsLoadingCompanies(true);
     setCompaniesError(null);
@@ -64,6 +132,7 @@ export default function Home() {
         if (data.length === 0) {
           console.warn("[Frontend] No companies returned from API.");
         }
+        loadDraftStatuses();
       } else {
           console.error("[Frontend] Received non-array data for companies:", data);
           setCompaniesError("Received invalid data format for companies.");
@@ -79,43 +148,81 @@ export default function Home() {
     }
   };
 
+  // Statuses only decorate the selector, so failures here are logged and ignored
+  const loadDraftStatuses = async () => {
+    try {
+      const statuses = await getDraftStatuses();
+      const byCompanyForm = {};
+      (Array.isArray(statuses) ? statuses : []).forEach(({ company_id, form_type, status }) => {
+        byCompanyForm[statusKey(company_id, form_type || DEFAULT_FORM_TYPE)] = status;
+      });
+      setCompanyStatuses(byCompanyForm);
+    } catch (error) {
+      console.warn("[Frontend] Could not load draft statuses:", error);
+    }
+  };
+
+  const applyFormStatus = (companyId, status) => {
+    setFormStatus(status);
+    setCompanyStatuses(prev => ({ ...prev, [statusKey(companyId, selectedFormType)]: status }));
+  };
+
   // --- Form Validation ---
-  // Uses the imported validateAcord125Data function
-  const validateForm = (data) => {
-    const { isValid, errors } = validateAcord125Data(data);
+  // Uses the selected form's validate function; `definition` is passed while switching forms
+  const validateForm = (data, definition = formDefinition) => {
+    const { isValid, errors, warnings = {} } = definition.validate(data);
     setValidationErrors(errors);
+    setValidationWarnings(warnings);
     setIsFormValid(isValid);
-    console.log("[Frontend] Form validation run. IsValid:", isValid, "Errors:", errors);
+    console.log("[Frontend] Form validation run. IsValid:", isValid, "Errors:", errors, "Warnings:", warnings);
     return isValid;
   };
 
   // --- Input Change Handler ---
-  const handleInputChange = (fieldName, value) => {
+  // fieldName may be a repeatable row cell (`group.index.field`), e.g. from a voice command.
+  // `editedPath` names the cell edited when a whole group's rows are passed in.
+  const handleInputChange = (fieldName, value, editedPath = fieldName) => {
     console.log(`[Frontend] Input change: ${fieldName} =`, value);
     setFormData(prevData => {
-        const updatedData = { ...prevData, [fieldName]: value };
+        // Derived fields (e.g. expiration from effective date) follow unless edited by hand
+        const updatedData = applyDerivedDefaults(formDefinition.schema, prevData, setFieldValue(prevData, fieldName, value), fieldName);
+        setFieldProvenance(prev => recordUserEdit(prev, prevData, updatedData, editedPath));
         // Validate immediately after setting state using the *updated* data
-        const { isValid, errors } = validateAcord125Data(updatedData);
+        const { isValid, errors, warnings = {} } = formDefinition.validate(updatedData);
         setIsFormValid(isValid); // Update validity based on the potential new state
         setValidationErrors(errors); // Update errors
+        setValidationWarnings(warnings);
         return updatedData;
     });
     // Auto-save logic will trigger via useEffect watching formData
   };
 
   // --- Auto-Save Logic ---
-  const handleSaveForm = async (isAutoSave = false) => {
-      if (!selectedCompanyId || Object.keys(formData).length === 0) {
+  // `overrides` lets the merge dialog save data/revision that aren't in state yet.
+  // Resolves to the saved draft record, or null when nothing was saved.
+  const handleSaveForm = async (isAutoSave = false, overrides = {}) => {
+      const dataSource = overrides.formData || formData;
+      const provenanceToSave = overrides.provenance || fieldProvenance;
+      const baseRevision = overrides.revision ?? formRevision;
+      if (!selectedCompanyId || Object.keys(dataSource).length === 0) {
           console.log("[Frontend] Save skipped: No company selected or form data is empty.");
-          return;
+          return null;
       }
        if (isSaving) {
             console.log("[Frontend] Save skipped: Another save operation is already in progress.");
-            return;
+            return null;
+       }
+       if (mergeConflict && !overrides.formData) {
+            console.log("[Frontend] Save skipped: Waiting for the merge conflict to be resolved.");
+            return null;
+       }
+       if (isAutoSave && JSON.stringify(dataSource) === lastSavedSnapshotRef.current) {
+            console.log("[Frontend] Auto-save skipped: No changes since the last save.");
+            return null;
        }
 
       setIsSaving(true);
-      const notificationId = `save-${selectedCompanyId}`;
+      const notificationId = `save-${selectedCompanyId}-${selectedFormType}`;
       if (isAutoSave) {
            console.log("[Frontend] Auto-saving form data...");
            // Less intrusive notification for auto-save perhaps? Or keep as is.
@@ -133,9 +240,17 @@ export default function Home() {
       }
 
 
+      // Saved in canonical formats; the form shows them once the save succeeds
+      const dataToSave = normalizeFormData(formDefinition.schema, dataSource);
       try {
-          const dataToSave = { ...formData };
-          await saveFormData(selectedCompanyId, dataToSave);
+          const result = await saveFormData(selectedCompanyId, selectedFormType, dataToSave, { isAutoSave, baseRevision, provenance: provenanceToSave });
+          const savedDraft = result?.savedData;
+          lastSavedSnapshotRef.current = JSON.stringify(dataToSave);
+          if (lastSavedSnapshotRef.current !== JSON.stringify(dataSource)) {
+              setFormData(current => (current === dataSource ? dataToSave : current)); // Unless edited meanwhile
+          }
+          setFormRevision(savedDraft?.current_version ?? baseRevision);
+          applyFormStatus(selectedCompanyId, savedDraft?.status || 'draft'); // Saving reopens the draft
           setLastSaveTime(new Date());
 
            if (isAutoSave) {
@@ -158,8 +273,24 @@ export default function Home() {
                 });
                  console.log("[Frontend] Explicit save successful.");
            }
+           return savedDraft;
 
       } catch (error) {
+          if (error?.conflict) {
+               console.warn("[Frontend] Save rejected: draft changed since it was loaded.", error.conflict);
+               setMergeConflict({ conflict: error.conflict, yourFormData: dataToSave });
+               const conflictNotice = {
+                    title: 'Draft Changed Elsewhere',
+                    message: 'Someone else saved this draft. Review the changes to continue.',
+                    color: 'yellow',
+               };
+               if (isAutoSave) {
+                    updateNotification({ id: notificationId, ...conflictNotice, loading: false, autoClose: 5000, disallowClose: false });
+               } else {
+                    showNotification(conflictNotice);
+               }
+               return null;
+          }
           console.error("[Frontend] Failed to save form data:", error);
            const errorMsg = error?.error || error?.message || 'Could not save form data.';
            if (isAutoSave) {
@@ -180,6 +311,7 @@ export default function Home() {
                      color: 'red',
                 });
            }
+           return null;
       } finally {
           setIsSaving(false);
       }
@@ -190,7 +322,7 @@ export default function Home() {
     if (autoSaveTimerRef.current) {
       clearTimeout(autoSaveTimerRef.current);
     }
-    if (selectedCompanyId && Object.keys(formData).length > 0 && !isSaving) { // Also check !isSaving
+    if (selectedCompanyId && Object.keys(formData).length > 0 && !isSaving && !mergeConflict) { // No auto-save while a merge is pending
       autoSaveTimerRef.current = setTimeout(() => {
         console.log(`[Frontend] Auto-save timer expired. Triggering save.`);
         handleSaveForm(true);
@@ -203,47 +335,76 @@ export default function Home() {
         console.log("[Frontend] Auto-save timer cleared.");
       }
     };
-  }, [formData, selectedCompanyId, isSaving]); // Rerun when formData, company, or saving state changes
+  }, [formData, selectedCompanyId, selectedFormType, isSaving, formRevision, mergeConflict]); // Rerun when data, company, form, saving or revision state changes
 
 
-  // --- Company Selection & Data Loading (REVISED LOGIC WITH DEFAULTS) ---
-  const handleCompanySelect = async (companyId) => {
+  // --- Company / Form Selection ---
+  const handleCompanySelect = (companyId) => {
     console.log(`[Frontend] Company selected: ${companyId}`);
     setSelectedCompanyId(companyId);
+    loadCompanyForm(companyId, selectedFormType);
+  };
+
+  const handleFormTypeSelect = (formType) => {
+    if (!formType || formType === selectedFormType) return;
+    console.log(`[Frontend] Form selected: ${formType}`);
+    setSelectedFormType(formType);
+    loadCompanyForm(selectedCompanyId, formType);
+  };
+
+  // --- Data Loading (REVISED LOGIC WITH DEFAULTS) ---
+  const loadCompanyForm = async (companyId, formType) => {
+    const definition = getFormDefinition(formType);
     // Reset states consistently
     setCompanyMemory(null);
     setFormData({}); // Start with empty
     setValidationErrors({});
+    setValidationWarnings({});
+    setFieldProvenance({});
     setIsFormValid(false);
     setIsLoadingMemory(false);
     setIsExtracting(false);
     setIsSaving(false);
     setLastSaveTime(null);
     setIsLoadingSavedData(false);
+    setFormRevision(0);
+    setMergeConflict(null);
+    setExtractionChanges(null);
+    setFormStatus('draft');
+    lastSavedSnapshotRef.current = null;
      if (autoSaveTimerRef.current) {
         clearTimeout(autoSaveTimerRef.current);
         autoSaveTimerRef.current = null;
      }
 
     if (!companyId) {
-        setFormData(applyDefaultsToFormData({})); // Apply defaults even if no company selected
-        validateForm({});
+        const defaultData = definition.applyDefaults({}, agencyProfile);
+        setFieldProvenance(markFilledFields({}, {}, defaultData, createProvenance(PROVENANCE_SOURCES.DEFAULT)));
+        setFormData(defaultData); // Apply defaults even if no company selected
+        validateForm({}, definition);
         return;
     }
 
     setIsLoadingSavedData(true);
     let loadedData = null; // Store loaded/extracted data before applying defaults
+    let loadedProvenance = {};
+    let loadedFromSave = false;
 
     try {
         // **Step 1: Attempt to load previously saved form data**
-        console.log(`[Frontend] Attempting to load saved form data for company ${companyId}...`);
-        const savedData = await loadFormData(companyId);
+        console.log(`[Frontend] Attempting to load saved ${formType} data for company ${companyId}...`);
+        const saved = await loadFormData(companyId, formType);
+        const savedData = saved?.formData;
+        setFormRevision(saved?.revision || 0);
+        setFormStatus(saved?.status || 'draft');
 
         if (savedData && typeof savedData === 'object' && Object.keys(savedData).length > 0) {
-            console.log("[Frontend] Saved data found.", savedData);
+            console.log(`[Frontend] Saved data found (revision ${saved.revision}).`, savedData);
             loadedData = savedData; // Use saved data
+            loadedProvenance = saved.provenance || {};
+            loadedFromSave = true;
             showNotification({ title: 'Progress Loaded', message: 'Loaded previously saved data.', color: 'teal' });
-            setLastSaveTime(new Date()); // Or use actual timestamp from data if available
+            setLastSaveTime(saved.updatedAt ? new Date(saved.updatedAt) : new Date());
         } else {
             console.log("[Frontend] No saved data found. Proceeding to extraction.");
             // **Step 2: Fetch memory and extract if no saved data**
@@ -259,8 +420,9 @@ export default function Home() {
                     console.log("[Frontend] Extracting data from memory...");
                     const structured = memory?.structured_data || {};
                     const unstructured = memory?.unstructured_transcripts || [];
-                    const extracted = await extractData(structured, unstructured);
-                    loadedData = extracted; // Use extracted data
+                    const extracted = await extractData(structured, unstructured, formType, { companyId });
+                    loadedData = extracted?.formData || {}; // Use extracted data
+                    loadedProvenance = extracted?.provenance || {};
                     console.log("[Frontend] Data extraction complete.", extracted);
                 } else {
                     console.log("[Frontend] No company memory found. Initializing with defaults.");
@@ -297,12 +459,106 @@ export default function Home() {
     } finally {
        setIsLoadingSavedData(false);
        // **Step 3: Apply defaults AFTER loading or extracting**
-       const finalDataWithDefaults = applyDefaultsToFormData(loadedData);
+       const finalDataWithDefaults = definition.applyDefaults(loadedData, agencyProfile);
+       setFieldProvenance(markFilledFields(loadedProvenance, loadedData || {}, finalDataWithDefaults, createProvenance(PROVENANCE_SOURCES.DEFAULT)));
        console.log("[Frontend] Final data after applying defaults:", finalDataWithDefaults);
        setFormData(finalDataWithDefaults);
-       validateForm(finalDataWithDefaults); // Validate the data with defaults applied
+       validateForm(finalDataWithDefaults, definition); // Validate the data with defaults applied
+       if (loadedFromSave) lastSavedSnapshotRef.current = JSON.stringify(finalDataWithDefaults);
+    }
+    // End of loadCompanyForm
+  };
+
+
+  // --- Re-extraction ---
+  // Runs extraction again for the selected company. `refreshMemory` refetches
+  // company memory from Retool first (bypassing the server caches); otherwise
+  // the memory already loaded is reused. A blank form is simply replaced; a
+  // draft gets a per-field diff to accept changes from.
+  const handleReExtract = async ({ refreshMemory = false } = {}) => {
+    if (!selectedCompanyId) return;
+    const companyId = selectedCompanyId;
+    try {
+        let memory = companyMemory;
+        if (refreshMemory || !memory) {
+            setIsLoadingMemory(true);
+            console.log(`[Frontend] ${refreshMemory ? 'Refreshing' : 'Loading'} company memory for company ${companyId}...`);
+            memory = await getCompanyMemory(companyId, { refresh: refreshMemory });
+            setCompanyMemory(memory);
+            setIsLoadingMemory(false);
+        }
+
+        setIsExtracting(true);
+        const extracted = await extractData(memory?.structured_data || {}, memory?.unstructured_transcripts || [], selectedFormType, { companyId, refresh: true });
+        console.log("[Frontend] Re-extraction complete.", extracted);
+
+        const hasDraft = formRevision > 0 || Object.values(fieldProvenance).some(entry => entry?.source === PROVENANCE_SOURCES.USER);
+        if (hasDraft) {
+            setExtractionChanges(diffExtraction(formData, fieldProvenance, extracted, formDefinition.schema));
+            return;
+        }
+
+        const extractedData = extracted?.formData || {};
+        const refreshedData = formDefinition.applyDefaults(extractedData, agencyProfile);
+        setFieldProvenance(markFilledFields(extracted?.provenance || {}, extractedData, refreshedData, createProvenance(PROVENANCE_SOURCES.DEFAULT)));
+        setFormData(refreshedData);
+        validateForm(refreshedData);
+        showNotification({ title: 'Re-extracted', message: 'Form filled from the latest company memory.', color: 'teal' });
+    } catch (extractError) {
+        console.error("[Frontend] Error during re-extraction:", extractError);
+        showNotification({
+            title: 'Re-extraction Failed',
+            message: extractError?.error || extractError?.message || 'Could not re-run extraction.',
+            color: 'red',
+        });
+    } finally {
+        setIsLoadingMemory(false);
+        setIsExtracting(false);
+    }
+  };
+
+  const handleExtractionChangesApplied = (acceptedChanges) => {
+    const { formData: mergedData, provenance: mergedProvenance } = applyExtractionChanges(formData, fieldProvenance, acceptedChanges);
+    console.log(`[Frontend] Applied ${acceptedChanges.length} re-extracted value(s).`);
+    setExtractionChanges(null);
+    setFormData(mergedData);
+    setFieldProvenance(mergedProvenance);
+    validateForm(mergedData);
+  };
+
+
+  // --- Version Restore ---
+  // The restored version is already saved server-side; just load it into the editor
+  const handleVersionRestored = (savedDraft) => {
+    if (autoSaveTimerRef.current) {
+      clearTimeout(autoSaveTimerRef.current);
+      autoSaveTimerRef.current = null;
+    }
+    const restoredData = formDefinition.applyDefaults(savedDraft?.form_data || {}, agencyProfile);
+    console.log(`[Frontend] Restored draft as version ${savedDraft?.current_version}:`, restoredData);
+    setFormData(restoredData);
+    validateForm(restoredData);
+    setFieldProvenance(savedDraft?.field_provenance || {});
+    lastSavedSnapshotRef.current = JSON.stringify(restoredData);
+    setFormRevision(savedDraft?.current_version || 0);
+    applyFormStatus(selectedCompanyId, savedDraft?.status || 'draft');
+    setLastSaveTime(savedDraft?.updated_at ? new Date(savedDraft.updated_at) : new Date());
+  };
+
+
+  // --- Merge Conflict Resolution ---
+  const handleMergeResolved = async (resolvedData, currentRevision, { save }) => {
+    const dataWithDefaults = formDefinition.applyDefaults(resolvedData, agencyProfile);
+    console.log(`[Frontend] Merge resolved onto revision ${currentRevision}. Saving: ${save}`);
+    setMergeConflict(null);
+    setFormData(dataWithDefaults);
+    setFormRevision(currentRevision);
+    validateForm(dataWithDefaults);
+    if (save) {
+      await handleSaveForm(false, { formData: dataWithDefaults, revision: currentRevision });
+    } else {
+      lastSavedSnapshotRef.current = JSON.stringify(dataWithDefaults);
     }
-    // End of handleCompanySelect
   };
 
 
@@ -320,11 +576,11 @@ export default function Home() {
     }
 
     // Handle UPDATE intent (including clear mapped to null)
-    if (formSchema[command.field]) {
+    if (getFieldConfig(formDefinition.schema, command.field)) {
       handleInputChange(command.field, command.value); // Use standard handler
       showNotification({
         title: 'Voice Command Applied',
-        message: `Set ${formSchema[command.field]?.label || command.field} to: ${command.value === null ? 'cleared' : command.value}`,
+        message: `Set ${getFieldLabel(formDefinition.schema, command.field)} to: ${command.value === null ? 'cleared' : typeof command.value === 'object' ? formatAddress(command.value) : command.value}`,
         color: 'green',
       });
     } else {
@@ -341,7 +597,7 @@ export default function Home() {
   // --- PDF Generation Trigger ---
   const handleFinalizeAndGenerate = async () => {
     // 1. Validate form one last time
-    const { isValid, errors } = validateAcord125Data(formData);
+    const { isValid, errors } = formDefinition.validate(formData);
     if (!isValid) {
         setValidationErrors(errors);
         showNotification({
@@ -358,21 +614,37 @@ export default function Home() {
         clearTimeout(autoSaveTimerRef.current);
         autoSaveTimerRef.current = null;
      }
-    await handleSaveForm(false); // Explicitly save before generating
+    const savedDraft = await handleSaveForm(false); // Explicitly save before generating
+    if (!savedDraft) {
+        console.warn("[Frontend] PDF generation cancelled: latest data could not be saved.");
+        return;
+    }
+
+    // 2b. Finalize: the server re-runs full validation and marks the draft 'ready'
+    try {
+        const finalized = await updateFormStatus(selectedCompanyId, selectedFormType, 'ready', savedDraft.current_version);
+        applyFormStatus(selectedCompanyId, finalized.status);
+    } catch (finalizeError) {
+        console.error("[Frontend] Finalize failed:", finalizeError);
+        if (finalizeError?.details) setValidationErrors(finalizeError.details);
+        showNotification({
+            title: 'Could Not Finalize',
+            message: finalizeError?.error || 'The form could not be finalized.',
+            color: 'red',
+        });
+        return;
+    }
 
     // 3. Trigger PDF generation API call
     setIsGeneratingPdf(true);
-    console.log("[Frontend] Calling API to generate PDF with data:", formData); // Log data being sent
+    console.log("[Frontend] Calling API to generate PDF for the finalized draft:", formData);
     const notificationId = 'pdf-generation';
     showNotification({ /* ... existing notification ... */ });
 
     try {
-        // Send current validated formData (now includes defaults and agency info)
-        const response = await fetch('/api/generate-pdf', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(formData),
-        });
+        // The server renders the draft just saved and finalized above
+        const query = new URLSearchParams({ formType: selectedFormType, companyId: selectedCompanyId });
+        const response = await fetch(`/api/generate-pdf?${query}`, { method: 'POST' });
 
         if (!response.ok) { /* ... existing error handling ... */
              let errorDetails = `Server responded with status ${response.status}`;
@@ -390,7 +662,7 @@ export default function Home() {
 
         // Handle PDF Download (existing logic is fine)
         const disposition = response.headers.get('content-disposition');
-        let filename = 'ACORD_125_Generated.pdf';
+        let filename = `${formDefinition.title.replace(/\s+/g, '_')}_Generated.pdf`;
         if (disposition && disposition.indexOf('attachment') !== -1) { /* ... extract filename ... */ }
         const blob = await response.blob();
         const url = window.URL.createObjectURL(blob);
@@ -401,6 +673,14 @@ export default function Home() {
 
         updateNotification({ /* ... existing success notification ... */ });
 
+        // Document generated from a finalized draft: record it as submitted
+        try {
+            const submitted = await updateFormStatus(selectedCompanyId, selectedFormType, 'submitted', savedDraft.current_version);
+            applyFormStatus(selectedCompanyId, submitted.status);
+        } catch (statusError) {
+            console.warn("[Frontend] Could not mark draft as submitted:", statusError);
+        }
+
     } catch (error) {
       console.error("[Frontend] Failed to generate document:", error);
       updateNotification({ /* ... existing error notification ... */ });
@@ -416,38 +696,50 @@ export default function Home() {
       label: company.name
   }));
 
+  const renderStatusBadge = (status) => {
+      const badge = STATUS_BADGES[status];
+      return badge ? <Badge size="sm" variant="light" color={badge.color}>{badge.label}</Badge> : null;
+  };
+
+  // Companies with a saved draft of the selected form show its status next to the name
+  const renderCompanyOption = ({ option }) => (
+      <Group position="apart" style={{ width: '100%' }}>
+          <Text size="sm">{option.label}</Text>
+          {renderStatusBadge(companyStatuses[statusKey(option.value, selectedFormType)])}
+      </Group>
+  );
+
   const showLoadingIndicator = isLoadingCompanies || isLoadingSavedData || isLoadingMemory || isExtracting;
   const showForm = isUserLoaded && isSignedIn && selectedCompanyId && !showLoadingIndicator;
   const showSelectCompanyMessage = isUserLoaded && isSignedIn && !selectedCompanyId && !showLoadingIndicator;
+  const lowConfidenceCount = Object.values(fieldProvenance).filter(needsReview).length;
 
-  // Filter schema keys for rendering sections
-  const agencyFields = Object.keys(formSchema).filter(key => key.startsWith('agency_'));
-  const policyFields = ['policy_eff_date', 'policy_exp_date'];
-  const applicantFields = ['legal_name', 'applicant_address', 'business_phone', 'applicant_entity_type', 'fein', 'sic', 'naics'];
-  const contactFields = ['contact_name', 'contact_email', 'contact_phone'];
-  const premisesFields = ['premise_address', 'city_limits', 'annual_revenue'];
-  const businessDetailFields = ['nature_of_business', 'business_description'];
-
-  // Function to render a section of the form
+  // Function to render a section of the form (sections come from the form definition)
   const renderFormSection = (title, fieldKeys) => (
-      <>
+      <Fragment key={title}>
           <Grid.Col span={12}>
               <Divider my="sm" label={<Title order={5}>{title}</Title>} labelPosition="left" />
           </Grid.Col>
           {fieldKeys.map(fieldName => (
-              <Grid.Col span={12} md={6} key={fieldName}>
+              <Grid.Col span={12} md={formDefinition.schema[fieldName].type === 'repeatable' ? 12 : 6} key={fieldName}>
                   <FormField
                       name={fieldName}
-                      config={formSchema[fieldName]}
+                      config={formDefinition.schema[fieldName]}
                       value={formData[fieldName]}
                       error={validationErrors[fieldName]}
-                      onChange={(value) => handleInputChange(fieldName, value)}
+                      warning={validationWarnings[fieldName]}
+                      errors={validationErrors}
+                      warnings={validationWarnings}
+                      provenance={fieldProvenance[fieldName]}
+                      provenanceMap={fieldProvenance}
+                      formData={formData}
+                      onChange={(value, editedPath) => handleInputChange(fieldName, value, editedPath)}
                       // Consider adding a disabled prop for agency fields if needed:
                       // disabled={fieldName.startsWith('agency_')}
                   />
               </Grid.Col>
           ))}
-      </>
+      </Fragment>
   );
 
   return (
@@ -464,11 +756,20 @@ export default function Home() {
                 label="Company"
                 placeholder={isLoadingCompanies ? "Loading companies..." : "Select a company"}
                 data={companySelectData}
+                renderOption={renderCompanyOption}
                 value={selectedCompanyId}
                 onChange={handleCompanySelect}
                 disabled={isLoadingCompanies || !!companiesError || showLoadingIndicator}
                 searchable
                 clearable
+              />
+              <Select
+                label="Form"
+                mt="sm"
+                data={FORM_TYPE_OPTIONS}
+                value={selectedFormType}
+                onChange={handleFormTypeSelect}
+                disabled={showLoadingIndicator || isSaving}
               />
                {/* Loading Indicators */}
                 <Collapse in={isLoadingSavedData} mt="sm">
@@ -487,24 +788,82 @@ export default function Home() {
                 <Paper shadow="xs" p="md" withBorder>
                     <Group position="apart" mb="md">
                         <Title order={3}>
-                            ACORD 125 Data
+                            {formDefinition.title} Data
+                            {showForm && <span style={{ marginLeft: '8px' }}>{renderStatusBadge(formStatus)}</span>}
                             {selectedCompanyId && isSaving ? <IconLoader size="1rem" style={{marginLeft: '8px', animation: 'spin 1s linear infinite'}} /> : ''}
                         </Title>
-                        {showForm && <VoiceInput onCommandProcessed={handleVoiceCommand} />}
+                        {showForm && (
+                            <Group>
+                                <Button
+                                    variant={isSourcesOpen ? 'light' : 'default'}
+                                    leftSection={<IconQuote size="1rem" />}
+                                    onClick={() => setIsSourcesOpen(open => !open)}
+                                >
+                                    Sources
+                                </Button>
+                                <Button
+                                    variant="default"
+                                    leftSection={<IconWand size="1rem" />}
+                                    onClick={() => handleReExtract()}
+                                    loading={isExtracting && !isLoadingMemory}
+                                    disabled={!selectedCompanyId || isSaving || isLoadingMemory}
+                                >
+                                    Re-run Extraction
+                                </Button>
+                                <Button
+                                    variant="default"
+                                    leftSection={<IconRefresh size="1rem" />}
+                                    onClick={() => handleReExtract({ refreshMemory: true })}
+                                    loading={isLoadingMemory}
+                                    disabled={!selectedCompanyId || isSaving || isExtracting}
+                                >
+                                    Refresh from Source
+                                </Button>
+                                <Button
+                                    variant="default"
+                                    leftSection={<IconHistory size="1rem" />}
+                                    onClick={() => setIsHistoryOpen(true)}
+                                    disabled={isSaving}
+                                >
+                                    Version History
+                                </Button>
+                                <VoiceInput onCommandProcessed={handleVoiceCommand} formType={selectedFormType} />
+                            </Group>
+                        )}
                     </Group>
 
                     {showForm ? (
                         <form>
                             <Grid>
-                                {renderFormSection("Agency Information", agencyFields)}
-                                {renderFormSection("Policy Information", policyFields)}
-                                {renderFormSection("Applicant Information", applicantFields)}
-                                {renderFormSection("Primary Contact Information", contactFields)}
-                                {renderFormSection("Primary Premises Information", premisesFields)}
-                                {renderFormSection("Business Details", businessDetailFields)}
+                                <Grid.Col span={12} md={isSourcesOpen ? 8 : 12}>
+                                    <Grid>
+                                        {formDefinition.sections.map(section => renderFormSection(section.title, section.fields))}
+                                    </Grid>
+                                </Grid.Col>
+                                {isSourcesOpen && (
+                                    <Grid.Col span={12} md={4}>
+                                        <EvidencePanel
+                                            schema={formDefinition.schema}
+                                            sections={formDefinition.sections}
+                                            formData={formData}
+                                            provenance={fieldProvenance}
+                                            facts={companyMemory?.unstructured_transcripts}
+                                        />
+                                    </Grid.Col>
+                                )}
                             </Grid>
 
                             <Group position="right" mt="xl">
+                            {lowConfidenceCount > 0 && (
+                                <Text size="sm" color="orange">
+                                    {lowConfidenceCount} low-confidence value(s) to double-check.
+                                </Text>
+                            )}
+                            {isFormValid && Object.keys(validationWarnings).length > 0 && (
+                                <Text size="sm" color="orange">
+                                    {Object.keys(validationWarnings).length} warning(s) to review. They won't block the document.
+                                </Text>
+                            )}
                             <Button
                                 color="blue"
                                 onClick={handleFinalizeAndGenerate}
@@ -526,6 +885,24 @@ export default function Home() {
 
 
           </Stack>
+          <VersionHistory
+            opened={isHistoryOpen}
+            onClose={() => setIsHistoryOpen(false)}
+            companyId={selectedCompanyId}
+            formType={selectedFormType}
+            onRestored={handleVersionRestored}
+          />
+          <MergeConflictDialog
+            conflict={mergeConflict?.conflict}
+            yourFormData={mergeConflict?.yourFormData}
+            onResolve={handleMergeResolved}
+          />
+          <ExtractionDiffDialog
+            changes={extractionChanges}
+            schema={formDefinition.schema}
+            onApply={handleExtractionChangesApplied}
+            onClose={() => setExtractionChanges(null)}
+          />
         </Container>
       </SignedIn>
       <SignedOut>
@@ -0,0 +1,31 @@
+// scripts/esm-loader.mjs
+// Lets plain Node run the app's lib/ and config/ modules, which Next.js
+// normally compiles: they are ESM in .js files and import without extensions.
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const ROOT_URL = pathToFileURL(path.resolve(path.dirname(new URL(import.meta.url).pathname), '..')).href;
+
+const isAppModule = (url) => url.startsWith(ROOT_URL) && !url.includes('/node_modules/') && url.endsWith('.js');
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    const resolvable = ['ERR_MODULE_NOT_FOUND', 'ERR_UNSUPPORTED_DIR_IMPORT'].includes(error.code);
+    if (!resolvable || !specifier.startsWith('.')) throw error;
+    for (const suffix of ['.js', '/index.js']) {
+      try {
+        return await nextResolve(`${specifier}${suffix}`, context);
+      } catch {
+        // Try the next suffix
+      }
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (isAppModule(url)) return nextLoad(url, { ...context, format: 'module' });
+  return nextLoad(url, context);
+}
@@ -0,0 +1,164 @@
+// scripts/extraction-regression.mjs
+// Runs the /api/extract-data pipeline (lib/extractionPipeline.js) over a corpus
+// of saved company memories and scores the result against expected values,
+// per field, so prompt and rule changes can be judged by precision/recall.
+//
+//   npm test                     Replay recorded LLM responses (no network)
+//   npm run test:record          Call the configured LLM and record its responses
+//
+// Options: --case=<name> (run one case), --verbose (pipeline logs),
+//          --json (machine-readable report), --min-precision=0.9, --min-recall=0.8
+//
+// A case is fixtures/extraction/<name>.json:
+//   {
+//     "description": "...",
+//     "formType": "acord125",
+//     "companyMemory": { "structured_data": {...}, "unstructured_transcripts": [...] },
+//     "expected": { "legal_name": "Acme Roofing LLC", "premises.0.address": "...", "fein": null }
+//   }
+// Only fields listed in `expected` are scored; null means the field should stay empty.
+// LLM responses are replayed from fixtures/llm (see lib/llm/replayProvider.js).
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CORPUS_DIR = path.join(ROOT, 'fixtures', 'extraction');
+const LLM_FIXTURE_DIR = path.join(ROOT, 'fixtures', 'llm');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+  return [key, value];
+}));
+
+// Providers read their configuration on first use, so set it before importing the pipeline
+if (args.record) {
+  if ((process.env.LLM_PROVIDER || '').trim().toLowerCase() === 'replay') {
+    console.error('Recording needs a live LLM provider; unset LLM_PROVIDER=replay.');
+    process.exit(1);
+  }
+  process.env.LLM_RECORD_DIR = LLM_FIXTURE_DIR;
+} else {
+  process.env.LLM_PROVIDER = 'replay';
+  process.env.LLM_FIXTURE_DIR = LLM_FIXTURE_DIR;
+}
+
+const { extractFormData } = await import('../lib/extractionPipeline.js');
+const { getFormDefinition } = await import('../config/formRegistry.js');
+const { getLlmProvider } = await import('../lib/llmProvider.js');
+const { isSameValue } = await import('../lib/fieldProvenance.js');
+
+const isBlank = (v) => v === null || v === undefined || v === '';
+
+// Value at a field name or `group.index.field` path
+const valueAt = (formData, fieldPath) => {
+  const [group, index, field] = fieldPath.split('.');
+  return index === undefined ? formData[group] : formData[group]?.[Number(index)]?.[field];
+};
+
+// Row cells are scored together across rows: premises.*.address
+const scoreKey = (fieldPath) => fieldPath.replace(/\.\d+\./, '.*.');
+
+const formatValue = (v) => (isBlank(v) ? '(empty)' : JSON.stringify(v));
+const percent = (numerator, denominator) => (denominator === 0 ? null : numerator / denominator);
+const formatPercent = (ratio) => (ratio === null ? '     -' : `${(ratio * 100).toFixed(1).padStart(5)}%`);
+
+function loadCases() {
+  if (!fs.existsSync(CORPUS_DIR)) return [];
+  return fs.readdirSync(CORPUS_DIR)
+    .filter(fileName => fileName.endsWith('.json'))
+    .sort()
+    .map(fileName => ({ name: path.basename(fileName, '.json'), ...JSON.parse(fs.readFileSync(path.join(CORPUS_DIR, fileName), 'utf8')) }))
+    .filter(testCase => !args.case || testCase.name === args.case);
+}
+
+// Runs fn with the pipeline's console chatter silenced unless --verbose
+async function quietly(fn) {
+  if (args.verbose) return fn();
+  const { log, info, warn } = console;
+  console.log = console.info = console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, info, warn });
+  }
+}
+
+/**
+ * Compares one case's output with its expectations. A wrong value is both a
+ * false positive (something wrong was filled in) and a false negative (the
+ * right value was missed).
+ */
+function scoreCase(testCase, formData, totals, mismatches) {
+  Object.entries(testCase.expected || {}).forEach(([fieldPath, expectedValue]) => {
+    const actualValue = valueAt(formData, fieldPath);
+    const counts = totals[scoreKey(fieldPath)] ||= { tp: 0, fp: 0, fn: 0 };
+    if (isBlank(expectedValue) && isBlank(actualValue)) return;
+    if (!isBlank(expectedValue) && !isBlank(actualValue) && isSameValue(expectedValue, actualValue)) {
+      counts.tp += 1;
+      return;
+    }
+    if (!isBlank(actualValue)) counts.fp += 1;
+    if (!isBlank(expectedValue)) counts.fn += 1;
+    mismatches.push({ case: testCase.name, field: fieldPath, expected: expectedValue ?? null, actual: actualValue ?? null });
+  });
+}
+
+const cases = loadCases();
+if (cases.length === 0) {
+  console.error(`No extraction cases found in ${path.relative(ROOT, CORPUS_DIR)}${args.case ? ` named "${args.case}"` : ''}.`);
+  process.exit(1);
+}
+
+const totals = {};
+const mismatches = [];
+const failures = [];
+for (const testCase of cases) {
+  const form = getFormDefinition(testCase.formType);
+  if (!form) {
+    failures.push({ case: testCase.name, error: `Unknown formType "${testCase.formType}"` });
+    continue;
+  }
+  try {
+    const { formData } = await quietly(() => extractFormData(form, testCase.companyMemory || {}));
+    scoreCase(testCase, formData, totals, mismatches);
+  } catch (error) {
+    failures.push({ case: testCase.name, error: error.message });
+  }
+}
+
+const fields = Object.entries(totals).map(([field, { tp, fp, fn }]) => ({
+  field, tp, fp, fn, precision: percent(tp, tp + fp), recall: percent(tp, tp + fn),
+}));
+const overall = fields.reduce((sum, { tp, fp, fn }) => ({ tp: sum.tp + tp, fp: sum.fp + fp, fn: sum.fn + fn }), { tp: 0, fp: 0, fn: 0 });
+overall.precision = percent(overall.tp, overall.tp + overall.fp);
+overall.recall = percent(overall.tp, overall.tp + overall.fn);
+
+const provider = getLlmProvider();
+const missedRecordings = provider.stats?.missed || 0;
+
+if (args.json) {
+  console.log(JSON.stringify({ cases: cases.length, provider: provider.name, missedRecordings, overall, fields, mismatches, failures }, null, 2));
+} else {
+  console.log(`\nExtraction regression: ${cases.length} case(s), LLM provider ${provider.name}${args.record ? ` (recording to ${path.relative(ROOT, LLM_FIXTURE_DIR)})` : ''}\n`);
+  const width = Math.max(24, ...fields.map(f => f.field.length)) + 2;
+  console.log(`${'Field'.padEnd(width)}   TP   FP   FN  Precision  Recall`);
+  [...fields, { field: 'Overall', ...overall }].forEach(({ field, tp, fp, fn, precision, recall }) => {
+    console.log(`${field.padEnd(width)}${String(tp).padStart(5)}${String(fp).padStart(5)}${String(fn).padStart(5)}     ${formatPercent(precision)}  ${formatPercent(recall)}`);
+  });
+  if (mismatches.length > 0) {
+    console.log('\nMismatches:');
+    mismatches.forEach(m => console.log(`  ${m.case}  ${m.field}: expected ${formatValue(m.expected)}, got ${formatValue(m.actual)}`));
+  }
+  failures.forEach(f => console.log(`\nFAILED ${f.case}: ${f.error}`));
+  if (missedRecordings > 0) {
+    console.log(`\n${missedRecordings} LLM call(s) had no recording; the prompt probably changed. Re-record with: npm run test:record`);
+  }
+}
+
+const minPrecision = args['min-precision'] !== undefined ? Number(args['min-precision']) : 0;
+const minRecall = args['min-recall'] !== undefined ? Number(args['min-recall']) : 0;
+const belowThreshold = (overall.precision ?? 1) < minPrecision || (overall.recall ?? 1) < minRecall;
+if (belowThreshold) console.log(`\nOverall precision/recall is below the required ${minPrecision}/${minRecall}.`);
+
+process.exit(failures.length > 0 || missedRecordings > 0 || belowThreshold ? 1 : 0);
@@ -0,0 +1,5 @@
+// scripts/register-loader.mjs
+// Use with `node --import ./scripts/register-loader.mjs <script>`
+import { register } from 'module';
+
+register('./esm-loader.mjs', import.meta.url);